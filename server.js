@@ -4,12 +4,23 @@ const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
 require('dotenv').config();
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer set TRUST_PROXY to the number of proxy hops, "true" or a list of proxy addresses;
+// without it X-Forwarded-For is ignored
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
 // Enhanced logging utility
 const logger = {
   info: (message, data = null) => {
@@ -41,9 +52,28 @@ logger.info('Environment:', {
   GEMINI_API_KEY: process.env.GEMINI_API_KEY ? '✅ Configured' : '❌ Not configured',
   UNSPLASH_ACCESS_KEY: process.env.UNSPLASH_ACCESS_KEY ? '✅ Configured' : '❌ Not configured',
   PEXELS_API_KEY: process.env.PEXELS_API_KEY ? '✅ Configured' : '❌ Not configured',
-  PIXABAY_API_KEY: process.env.PIXABAY_API_KEY ? '✅ Configured' : '❌ Not configured'
+  PIXABAY_API_KEY: process.env.PIXABAY_API_KEY ? '✅ Configured' : '❌ Not configured',
+  FIELD_ENCRYPTION_KEY: process.env.FIELD_ENCRYPTION_KEY ? '✅ Configured' : '❌ Not configured (medical information cannot be saved)'
 });
 
+// Routes whose next path segment is a bearer secret; routes that take a token in the URL add their prefix here
+const SECRET_URL_PREFIXES = [
+  '/api/share/location',
+  '/api/emergency/responder',
+  '/api/emergency/contact',
+  '/api/trip-invitations',
+  '/api/share/itineraries',
+  '/share/trips',
+  '/api/calendar'
+];
+
+// Keeps those secrets, and token or password query values, out of the request log
+function redactUrl(url) {
+  const redacted = url.replace(/([?&](?:token|password)=)[^&]*/gi, '$1[redacted]');
+  const prefix = SECRET_URL_PREFIXES.find(candidate => redacted.startsWith(`${candidate}/`));
+  return prefix ? `${prefix}/[redacted]${redacted.slice(prefix.length + 1).replace(/^[^/?]+/, '')}` : redacted;
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -51,7 +81,7 @@ app.use((req, res, next) => {
   
   logger.info(`📥 Incoming Request [${requestId}]`, {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     userAgent: req.get('User-Agent'),
     ip: req.ip
   });
@@ -61,7 +91,7 @@ app.use((req, res, next) => {
     const duration = Date.now() - start;
     logger.info(`📤 Request Complete [${requestId}]`, {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       statusCode: res.statusCode,
       duration: `${duration}ms`
     });
@@ -84,8 +114,14 @@ app.use(cors({
     'http://localhost:5173',
     'https://github.com/AJDC6534/Aventra.git'
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag', 'Content-Disposition', 'X-Trail-Truncated-Before']
 }));
+
+// Import uploads may be whole account exports, so they get the import size cap instead of the 100kb default.
+// Mounted first so the global parser below sees the body as already parsed.
+const IMPORT_MAX_UPLOAD_SIZE = '2mb';
+app.use('/api/itinerary-imports', express.json({ limit: IMPORT_MAX_UPLOAD_SIZE }));
 app.use(express.json());
 
 // MongoDB Connection
@@ -93,6 +129,9 @@ logger.info('🔌 Connecting to MongoDB...');
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     logger.info('✅ MongoDB connected successfully');
+    encryptLegacyMedicalInfo();
+    migrateLegacyResponderTokens();
+    repairDisplayCurrencies();
   })
   .catch((err) => {
     logger.error('❌ MongoDB connection failed:', err);
@@ -146,6 +185,337 @@ const rateLimiter = {
   }
 };
 
+// ===== MAIL SERVICE =====
+// Transports share one interface: async send({ to, subject, text, html }) => { messageId }
+const mailTransports = {
+  // Logs only the envelope: bodies carry live reset and verification links. Use the file transport to read them.
+  console: {
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      logger.info('✉️ [console mail transport] Email', { messageId, to: message.to, subject: message.subject });
+      return { messageId };
+    }
+  },
+  file: {
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox'),
+    
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.promises.mkdir(this.outboxDir, { recursive: true });
+      
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.json`;
+      await fs.promises.writeFile(
+        path.join(this.outboxDir, fileName),
+        JSON.stringify({ messageId, ...message, createdAt: new Date().toISOString() }, null, 2)
+      );
+      
+      logger.info('✉️ [file mail transport] Email written to outbox', { messageId, to: message.to, fileName });
+      return { messageId };
+    }
+  }
+};
+
+const mailer = {
+  transportName: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Aventra <no-reply@aventra.app>',
+  
+  // Lets an SMTP (or any other) transport be plugged in without touching callers
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Mail transport "${name}" must implement send()`);
+    }
+    mailTransports[name] = transport;
+  },
+  
+  async send({ to, subject, text, html }) {
+    const transport = mailTransports[this.transportName];
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${this.transportName}`);
+    }
+    
+    logger.info('✉️ Sending email', { to, subject, transport: this.transportName });
+    return transport.send({ from: this.from, to, subject, text, html });
+  }
+};
+
+// ===== EMERGENCY NOTIFICATION SERVICE =====
+// Every channel exposes isConfigured(), canDeliver(contact) and async send({ contact, text, subject, payload })
+const notificationChannels = {
+  sms: {
+    isConfigured() {
+      return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM_NUMBER);
+    },
+    canDeliver(contact) {
+      return !!(contact.phone && contact.phone.trim());
+    },
+    async send({ contact, text }) {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: contact.phone.trim(), From: process.env.TWILIO_FROM_NUMBER, Body: text }),
+        {
+          auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+          timeout: 10000
+        }
+      );
+      return { providerMessageId: response.data?.sid };
+    }
+  },
+  email: {
+    // The console transport only writes to the log, so it never counts as reaching a contact
+    isConfigured() {
+      return mailer.transportName !== 'console' && !!mailTransports[mailer.transportName];
+    },
+    canDeliver(contact) {
+      return isValidEmail(contact.email);
+    },
+    async send({ contact, text, subject }) {
+      const result = await mailer.send({
+        to: contact.email.trim(),
+        subject,
+        text,
+        html: `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`
+      });
+      return { providerMessageId: result?.messageId };
+    }
+  },
+  webhook: {
+    isConfigured() {
+      return !!process.env.EMERGENCY_WEBHOOK_URL;
+    },
+    canDeliver() {
+      return true;
+    },
+    async send({ contact, payload }) {
+      const body = JSON.stringify({ ...payload, contact: { name: contact.name, phone: contact.phone, email: contact.email } });
+      const headers = { 'Content-Type': 'application/json' };
+      
+      if (process.env.EMERGENCY_WEBHOOK_SECRET) {
+        headers['X-Aventra-Signature'] = crypto
+          .createHmac('sha256', process.env.EMERGENCY_WEBHOOK_SECRET)
+          .update(body)
+          .digest('hex');
+      }
+      
+      const response = await axios.post(process.env.EMERGENCY_WEBHOOK_URL, body, { headers, timeout: 10000 });
+      return { providerMessageId: response.headers?.['x-request-id'] };
+    }
+  },
+  // Offline stand-in for development and tests: keeps messages in memory and can be told to fail
+  local: {
+    outbox: [],
+    failuresRemaining: 0,
+    
+    isConfigured() {
+      return true;
+    },
+    canDeliver() {
+      return true;
+    },
+    async send({ contact, text, payload }) {
+      if (this.failuresRemaining > 0) {
+        this.failuresRemaining--;
+        throw new Error('Simulated local channel failure');
+      }
+      
+      const providerMessageId = crypto.randomUUID();
+      this.outbox.push({ providerMessageId, contact, text, payload, sentAt: new Date() });
+      logger.info('📟 [local notification channel] Message recorded', { providerMessageId, to: contact.name });
+      return { providerMessageId };
+    }
+  }
+};
+
+const emergencyNotifier = {
+  maxAttempts: parseInt(process.env.EMERGENCY_NOTIFY_MAX_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.EMERGENCY_NOTIFY_BACKOFF_MS) || 1000,
+  
+  registerChannel(name, channel) {
+    ['isConfigured', 'canDeliver', 'send'].forEach(method => {
+      if (typeof channel?.[method] !== 'function') {
+        throw new Error(`Notification channel "${name}" must implement ${method}()`);
+      }
+    });
+    notificationChannels[name] = channel;
+  },
+  
+  // EMERGENCY_NOTIFICATION_CHANNELS picks channels explicitly; otherwise every configured real channel is used
+  enabledChannels() {
+    const requested = process.env.EMERGENCY_NOTIFICATION_CHANNELS
+      ? process.env.EMERGENCY_NOTIFICATION_CHANNELS.split(',').map(name => name.trim()).filter(Boolean)
+      : Object.keys(notificationChannels).filter(name => name !== 'local');
+    
+    return requested.filter(name => notificationChannels[name] && notificationChannels[name].isConfigured());
+  },
+  
+  buildMessage(alert, user, { responderUrl, contactUrl } = {}) {
+    const name = user?.name || 'A traveller';
+    const escalated = alert.status === 'escalated';
+    const lines = [escalated
+      ? `🚨 ESCALATED EMERGENCY: ${name}'s SOS alert (${alert.alertType}) has not been acknowledged. Please respond urgently.`
+      : `🚨 EMERGENCY: ${name} has raised an SOS alert (${alert.alertType}).`];
+    
+    if (alert.location && alert.location.latitude != null && alert.location.longitude != null) {
+      lines.push(`Location: ${alert.location.address || 'Unknown address'}`);
+      lines.push(`Map: https://maps.google.com/?q=${alert.location.latitude},${alert.location.longitude}`);
+    }
+    if (alert.message) {
+      lines.push(`Message: ${alert.message}`);
+    }
+    if (contactUrl) {
+      lines.push(`Acknowledge and follow the alert: ${contactUrl}`);
+    }
+    if (responderUrl) {
+      lines.push(`Medical details for responders (only while the alert is active): ${responderUrl}`);
+    }
+    lines.push(`Sent ${new Date(alert.createdAt).toUTCString()} via Aventra.`);
+    
+    return {
+      subject: escalated ? `🚨 ESCALATED emergency alert from ${name}` : `🚨 Emergency alert from ${name}`,
+      text: lines.join('\n'),
+      payload: {
+        event: escalated ? 'emergency_alert_escalated' : 'emergency_alert',
+        alertId: alert._id,
+        alertType: alert.alertType,
+        status: alert.status,
+        contactUrl: contactUrl || null,
+        traveller: { id: user?._id, name: user?.name, email: user?.email },
+        location: alert.location,
+        message: alert.message,
+        responderUrl: responderUrl || null,
+        createdAt: alert.createdAt
+      }
+    };
+  },
+  
+  // Retries one channel with exponential backoff, recording every attempt on the contact and passing it to onAttempt
+  async sendWithRetry(channelName, contact, message, onAttempt = async () => {}) {
+    const channel = notificationChannels[channelName];
+    
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let entry;
+      try {
+        const result = await channel.send({ contact, ...message });
+        entry = {
+          channel: channelName,
+          attempt,
+          status: 'sent',
+          providerMessageId: result?.providerMessageId ? String(result.providerMessageId) : undefined,
+          timestamp: new Date()
+        };
+      } catch (error) {
+        const errorMessage = error.response?.data?.message || error.message;
+        entry = {
+          channel: channelName,
+          attempt,
+          status: 'failed',
+          error: errorMessage,
+          timestamp: new Date()
+        };
+        logger.warn(`⚠️ Emergency notification attempt failed`, { channel: channelName, contact: contact.name, attempt, error: errorMessage });
+      }
+      
+      contact.deliveryAttempts.push(entry);
+      await onAttempt(entry);
+      if (entry.status === 'sent') return true;
+      
+      if (attempt < this.maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, this.baseDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+    
+    return false;
+  },
+  
+  // One-off message to a single contact outside of an alert; returns the delivery attempts
+  async notifyContact(contact, message) {
+    const target = { name: contact.name, phone: contact.phone, email: contact.email, deliveryAttempts: [] };
+    const usableChannels = this.enabledChannels().filter(name => notificationChannels[name].canDeliver(target));
+    
+    const results = await Promise.all(usableChannels.map(name => this.sendWithRetry(name, target, message)));
+    
+    return { delivered: results.some(Boolean), attempts: target.deliveryAttempts };
+  },
+  
+  // Sends the alert to every contact on every usable channel. The alert must already be saved: each attempt and
+  // outcome is written to the stored contact with an atomic update, so acknowledgements, messages or a resolve
+  // arriving while retries run are kept. The passed alert is not saved and must not be saved afterwards.
+  // options: responderUrl, contactUrls (Map of contact id -> personal link), contacts (subset to notify)
+  async dispatch(alert, user, options = {}) {
+    const channels = this.enabledChannels();
+    const recipients = options.contacts || alert.emergencyContacts;
+    
+    logger.info('🚨 Dispatching emergency notifications', { alertId: alert._id, channels, contacts: recipients.length });
+    
+    await Promise.all(recipients.map(async contact => {
+      const storedContact = { _id: alert._id, 'emergencyContacts._id': contact._id };
+      const recordAttempt = entry => EmergencyAlert.updateOne(storedContact, { $push: { 'emergencyContacts.$.deliveryAttempts': entry } });
+      
+      const message = this.buildMessage(alert, user, {
+        responderUrl: options.responderUrl,
+        contactUrl: options.contactUrls?.get(contact.id)
+      });
+      const usableChannels = channels.filter(name => notificationChannels[name].canDeliver(contact));
+      
+      if (usableChannels.length === 0) {
+        const skipped = {
+          channel: 'none',
+          attempt: 0,
+          status: 'skipped',
+          error: channels.length === 0 ? 'No notification channels are configured' : 'Contact has no address for any configured channel',
+          timestamp: new Date()
+        };
+        contact.deliveryAttempts.push(skipped);
+        await recordAttempt(skipped);
+      }
+      
+      const results = await Promise.all(usableChannels.map(name => this.sendWithRetry(name, contact, message, recordAttempt)));
+      const delivered = results.some(Boolean);
+      
+      contact.notificationSent = contact.notificationSent || delivered;
+      contact.deliveryStatus = contact.notificationSent ? 'delivered' : 'failed';
+      if (delivered) contact.deliveredAt = new Date();
+      
+      await EmergencyAlert.updateOne(storedContact, {
+        $set: {
+          'emergencyContacts.$.notificationSent': contact.notificationSent,
+          'emergencyContacts.$.deliveryStatus': contact.deliveryStatus,
+          ...(delivered && { 'emergencyContacts.$.deliveredAt': contact.deliveredAt })
+        },
+        $push: {
+          timeline: {
+            type: 'notification',
+            actor: { kind: 'system' },
+            message: delivered
+              ? `${contact.name} notified via ${[...new Set(contact.deliveryAttempts.filter(a => a.status === 'sent').map(a => a.channel))].join(', ')}`
+              : `${contact.name} could not be notified`,
+            metadata: { contactId: contact._id, delivered, escalation: alert.status === 'escalated' },
+            createdAt: new Date()
+          }
+        }
+      });
+    }));
+    
+    const outcomes = recipients.map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+      email: contact.email,
+      notificationSent: contact.notificationSent,
+      deliveryStatus: contact.deliveryStatus,
+      deliveredAt: contact.deliveredAt,
+      attempts: contact.deliveryAttempts
+    }));
+    
+    logger.info('📨 Emergency notification dispatch complete', {
+      alertId: alert._id,
+      delivered: outcomes.filter(outcome => outcome.notificationSent).length,
+      failed: outcomes.filter(outcome => !outcome.notificationSent).length
+    });
+    
+    return outcomes;
+  }
+};
+
 // ===== PHOTO SERVICE UTILITIES =====
 
 // Photo service configuration
@@ -437,6 +807,9 @@ const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  passwordChangedAt: Date,
   phone: { type: String },
   location: { type: String },
   bio: { type: String },
@@ -450,6 +823,12 @@ const userSchema = new mongoose.Schema({
     budgetRange: String,
     pace: String,
   },
+  // Currency budget summaries and totals are shown in when a trip uses another currency
+  displayCurrency: {
+    type: String,
+    default: 'USD',
+    validate: { validator: value => isValidCurrency(value), message: 'displayCurrency must be a three-letter ISO 4217 code' }
+  },
   
   // Emergency contacts (multiple contacts)
   emergencyContacts: [{
@@ -467,6 +846,29 @@ const userSchema = new mongoose.Schema({
     shareWithTrustedCircle: { type: Boolean, default: false },
     allowEmergencyAccess: { type: Boolean, default: false }
   },
+  // Set when an active alert switched emergency access on, so resolving it can switch it back off
+  emergencyAccessAutoEnabledAt: Date,
+  
+  // Private calendar subscription feed of upcoming trips
+  calendarFeed: {
+    tokenHash: { type: String, index: { sparse: true }, select: false },
+    createdAt: Date,
+    lastAccessedAt: Date
+  },
+  
+  // Deviation-from-plan monitor state
+  geofenceMonitor: {
+    date: String,
+    outsidePlanSince: Date,
+    deviationAlertedAt: Date
+  },
+  
+  // Location trail retention
+  locationHistory: {
+    enabled: { type: Boolean, default: false },
+    retentionDays: { type: Number, default: 30, min: 1, max: 365 },
+    deleteAfterTripEnds: { type: Boolean, default: false }
+  },
   
   // Medical information
   medicalInfo: {
@@ -480,10 +882,20 @@ const userSchema = new mongoose.Schema({
   // Travel preferences for safety
   travelPreferences: {
     checkInFrequency: { type: String, default: 'daily' },
+    // Opt-in switch for missed check-in monitoring; checkInFrequency only sets the interval once it is on
     autoCheckIn: { type: Boolean, default: false },
     sosButtonEnabled: { type: Boolean, default: true }
   },
   
+  // Missed check-in monitor state for the current check-in cycle
+  checkInMonitor: {
+    cycleDueAt: Date,
+    reminderSentAt: Date,
+    escalatedAt: Date,
+    alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyAlert' },
+    itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary' }
+  },
+  
   // User statistics
   totalTrips: { type: Number, default: 0 },
   countriesVisited: { type: Number, default: 0 },
@@ -492,6 +904,17 @@ const userSchema = new mongoose.Schema({
   
   // Security settings
   twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorRecoveryCodes: { type: [String], select: false },
+  twoFactorEnabledAt: Date,
+  // Time step of the last accepted TOTP code; codes from that step or earlier are refused
+  twoFactorLastUsedStep: { type: Number, select: false },
+  // The login waiting for its second factor and how many codes were tried against it
+  twoFactorChallengeId: { type: String, select: false },
+  twoFactorChallengeAttempts: { type: Number, select: false },
+  // Set directly in the database; no route can grant it
+  isAdmin: { type: Boolean, default: false, select: false },
   
   // Current location
   currentLocation: {
@@ -513,6 +936,20 @@ const itinerarySchema = new mongoose.Schema({
   startDate: { type: Date, required: true },
   endDate: { type: Date, required: true },
   budget: { type: Number },
+  // ISO 4217 code the budget and activity costs are in
+  currency: { type: String, default: 'USD' },
+  // IANA time zone of the destination (e.g. "Europe/Rome"), used for calendar exports
+  timezone: String,
+  // Resolved by the geocoder; manual is set when a user corrected it by hand
+  destinationCoordinates: {
+    latitude: Number,
+    longitude: Number,
+    confidence: Number,
+    provider: String,
+    precision: String,
+    manual: Boolean,
+    resolvedAt: Date
+  },
   preferences: {
     interests: [String],
     pace: String,
@@ -535,7 +972,13 @@ const itinerarySchema = new mongoose.Schema({
       location: String,
       duration: String,
       cost: Number,
+      // Only set when the activity is priced in another currency than the trip
+      currency: String,
       notes: String,
+      // Private notes are left out of public share links
+      notesPrivate: { type: Boolean, default: false },
+      // Budget category; guessed from the activity text when not set
+      category: { type: String, enum: ['accommodation', 'transport', 'food', 'activities', 'shopping', 'health', 'other'] },
       photo: {
         id: String,
         url: String,
@@ -553,6 +996,16 @@ const itinerarySchema = new mongoose.Schema({
         photographer: String,
         photographerUrl: String,
         source: String
+      },
+      // Where the activity takes place; confidence runs from 0 to 1 and manual corrections are never re-geocoded
+      coordinates: {
+        latitude: Number,
+        longitude: Number,
+        confidence: Number,
+        provider: String,
+        precision: String,
+        manual: Boolean,
+        resolvedAt: Date
       }
     }],
   }],
@@ -571,10 +1024,165 @@ const itinerarySchema = new mongoose.Schema({
   
   rating: { type: Number, min: 1, max: 5 },
   aiGenerated: { type: Boolean, default: false },
+  // Incremented on every content change; exposed as the ETag for optimistic locking
+  version: { type: Number, default: 0 },
+  // People the owner (userId) shares the trip with
+  members: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['editor', 'viewer'], required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+itinerarySchema.index({ 'members.userId': 1 });
+
+const tripInvitationSchema = new mongoose.Schema({
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary', required: true, index: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ['editor', 'viewer'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  status: { type: String, enum: ['pending', 'accepted', 'declined', 'revoked'], default: 'pending' },
+  respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  respondedAt: Date,
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Public read-only link to an itinerary; the slug is the credential unless a password is set as well
+const itineraryShareLinkSchema = new mongoose.Schema({
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  slug: { type: String, required: true, unique: true },
+  passwordHash: { type: String, select: false },
+  passwordProtected: { type: Boolean, default: false },
+  hideBudget: { type: Boolean, default: false },
+  expiresAt: Date,
+  revokedAt: Date,
+  lastAccessedAt: Date,
+  accessCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Money actually spent on a trip; userId is the trip owner, paidBy the member who paid
+const expenseSchema = new mongoose.Schema({
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'USD' },
+  category: { type: String, enum: ['accommodation', 'transport', 'food', 'activities', 'shopping', 'health', 'other'], default: 'other' },
+  date: { type: String, required: true },
+  description: String,
+  activityId: mongoose.Schema.Types.ObjectId,
+  // Who shares the cost; amounts are in the expense currency and add up to the expense amount
+  split: {
+    method: { type: String, enum: ['equal', 'shares', 'exact', 'percentage'] },
+    participants: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      value: Number,
+      amount: { type: Number, required: true }
+    }]
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Money one trip member paid back to another; userId is the trip owner, as for expenses
+const settlementSchema = new mongoose.Schema({
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  toUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'USD' },
+  date: { type: String, required: true },
+  note: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Reusable plan without dates; days are applied to a new trip's range by position
+const itineraryTemplateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true },
+  description: String,
+  sourceItineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary' },
+  destination: { type: String, required: true },
+  budget: Number,
+  currency: String,
+  timezone: String,
+  destinationCoordinates: mongoose.Schema.Types.Mixed,
+  preferences: {
+    interests: [String],
+    pace: String,
+    accommodation: String,
+  },
+  photosEnabled: { type: Boolean, default: false },
+  destinationPhotos: [mongoose.Schema.Types.Mixed],
+  days: [{
+    dayPhoto: mongoose.Schema.Types.Mixed,
+    activities: [mongoose.Schema.Types.Mixed]
+  }],
+  timesUsed: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Rates for one day as units of each currency per one unit of base (always DEFAULT_CURRENCY)
+const exchangeRateSchema = new mongoose.Schema({
+  date: { type: String, required: true },
+  base: { type: String, required: true },
+  rates: { type: Map, of: Number },
+  source: String,
+  fetchedAt: { type: Date, default: Date.now }
+});
+
+exchangeRateSchema.index({ base: 1, date: -1 }, { unique: true });
+
+// Geocoder answers per provider and normalized query; result is null for places the provider could not find
+const geocodeCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  query: String,
+  result: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Parsed upload waiting for the user to review its preview and commit it
+const itineraryImportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  format: { type: String, enum: ['csv', 'ics', 'json'], required: true },
+  fileName: String,
+  parsed: mongoose.Schema.Types.Mixed,
+  options: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: ['pending', 'committing', 'committed'], default: 'pending' },
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary' },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Immutable copy of an itinerary's content as saved at one version
+const itineraryRevisionSchema = new mongoose.Schema({
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  version: { type: Number, required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  source: { type: String, enum: ['created', 'generated', 'update', 'activity', 'photos', 'schedule', 'location', 'restore', 'legacy'], default: 'update' },
+  summary: String,
+  restoredFrom: Number,
+  snapshot: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now }
+});
+
+itineraryRevisionSchema.index({ itineraryId: 1, version: 1 }, { unique: true });
+
 const chatSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary' },
@@ -623,20 +1231,170 @@ const emergencyAlertSchema = new mongoose.Schema({
     name: String,
     phone: String,
     email: String,
-    notificationSent: { type: Boolean, default: false }
+    // Hashes of this contact's personal alert links (view, acknowledge, message)
+    accessTokenHashes: [String],
+    // Pushed forward whenever a new link is issued to the contact
+    accessTokensExpireAt: Date,
+    acknowledgedAt: Date,
+    lastViewedAt: Date,
+    notificationSent: { type: Boolean, default: false },
+    deliveryStatus: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+    deliveredAt: Date,
+    deliveryAttempts: [{
+      channel: String,
+      attempt: Number,
+      status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+      error: String,
+      providerMessageId: String,
+      timestamp: { type: Date, default: Date.now }
+    }]
   }],
-  status: { type: String, default: 'active' },
+  status: { type: String, enum: ['active', 'acknowledged', 'escalated', 'resolved', 'false_alarm'], default: 'active' },
+  acknowledgedAt: Date,
+  acknowledgedBy: String,
+  escalatedAt: Date,
   resolvedAt: Date,
+  resolutionNote: String,
+  lastLocation: {
+    latitude: Number,
+    longitude: Number,
+    address: String,
+    timestamp: Date
+  },
+  timeline: [{
+    type: {
+      type: String,
+      enum: ['created', 'notification', 'acknowledged', 'escalated', 'location_update', 'contact_message', 'user_update', 'resolved', 'false_alarm'],
+      required: true
+    },
+    actor: {
+      kind: { type: String, enum: ['user', 'contact', 'system'], default: 'system' },
+      name: String
+    },
+    message: String,
+    location: {
+      latitude: Number,
+      longitude: Number,
+      address: String
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Hashes of the responder links sent with the alert; they unlock medical info while the alert is open
+  responderTokenHashes: [String],
+  responderTokensExpireAt: Date,
+  // Only alerts raised since automatic escalation exists are escalated by the monitor
+  escalationEligible: Boolean,
+  createdAt: { type: Date, default: Date.now }
+});
+
+emergencyAlertSchema.index({ 'emergencyContacts.accessTokenHashes': 1 });
+emergencyAlertSchema.index({ responderTokenHashes: 1 });
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  familyId: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  revokedAt: Date,
+  revokedReason: String,
+  replacedByHash: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const accountTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  email: String,
+  usedAt: Date,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const locationShareLinkSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  label: String,
+  contactName: String,
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  lastAccessedAt: Date,
+  accessCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const locationPointSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary' },
+  latitude: { type: Number, required: true },
+  longitude: { type: Number, required: true },
+  accuracy: Number,
+  address: String,
+  source: { type: String, enum: ['location_update', 'check_in', 'emergency_alert'], default: 'location_update' },
+  recordedAt: { type: Date, default: Date.now }
+});
+
+locationPointSchema.index({ userId: 1, recordedAt: -1 });
+
+const geofenceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  itineraryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Itinerary' },
+  name: { type: String, required: true },
+  // safe: e.g. the hotel; plan: the area around a day's activities; avoid: somewhere the traveller should not go
+  type: { type: String, enum: ['safe', 'plan', 'avoid'], required: true },
+  center: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  radiusMeters: { type: Number, required: true, min: 10, max: 100000 },
+  date: String,
+  notifyContact: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  lastInside: { type: Boolean, default: false },
+  lastTransitionAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const medicalDisclosureSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  accessorType: { type: String, enum: ['owner', 'emergency_responder'], required: true },
+  accessorLabel: String,
+  channel: String,
+  alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyAlert' },
+  fields: [String],
+  ipAddress: String,
+  userAgent: String,
   createdAt: { type: Date, default: Date.now }
 });
 
 // ===== MODELS =====
 const User = mongoose.model('User', userSchema);
 const Itinerary = mongoose.model('Itinerary', itinerarySchema);
+const ItineraryRevision = mongoose.model('ItineraryRevision', itineraryRevisionSchema);
+const TripInvitation = mongoose.model('TripInvitation', tripInvitationSchema);
+const ItineraryShareLink = mongoose.model('ItineraryShareLink', itineraryShareLinkSchema);
+const ItineraryImport = mongoose.model('ItineraryImport', itineraryImportSchema);
+const ItineraryTemplate = mongoose.model('ItineraryTemplate', itineraryTemplateSchema);
+const Expense = mongoose.model('Expense', expenseSchema);
+const Settlement = mongoose.model('Settlement', settlementSchema);
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+const GeocodeCache = mongoose.model('GeocodeCache', geocodeCacheSchema);
 const Chat = mongoose.model('Chat', chatSchema);
 const UserActivity = mongoose.model('UserActivity', userActivitySchema);
 const CheckIn = mongoose.model('CheckIn', checkInSchema);
 const EmergencyAlert = mongoose.model('EmergencyAlert', emergencyAlertSchema);
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+const LocationShareLink = mongoose.model('LocationShareLink', locationShareLinkSchema);
+const LocationPoint = mongoose.model('LocationPoint', locationPointSchema);
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+const MedicalDisclosure = mongoose.model('MedicalDisclosure', medicalDisclosureSchema);
 
 logger.info('📊 Database models created successfully');
 
@@ -652,17 +1410,58 @@ const authenticateToken = (req, res, next) => {
     return res.sendStatus(401);
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', async (err, user) => {
     if (err) {
       logger.warn('🔐 Authentication failed: Invalid token', { error: err.message });
       return res.sendStatus(403);
     }
+
+    // Challenge tokens issued during a 2FA login are not valid access tokens
+    if (user.purpose) {
+      logger.warn('🔐 Authentication failed: Token not valid for API access', { purpose: user.purpose });
+      return res.sendStatus(403);
+    }
+
+    // Access tokens are tied to a session so logout and revocation take effect immediately
+    try {
+      const sessionActive = user.sessionId && await RefreshToken.exists({
+        familyId: user.sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!sessionActive) {
+        logger.warn('🔐 Authentication failed: Session revoked or expired', { userId: user.userId, sessionId: user.sessionId });
+        return res.sendStatus(401);
+      }
+    } catch (sessionError) {
+      logger.error('❌ Session lookup failed:', sessionError);
+      return res.status(500).json({ message: 'Server error', error: sessionError.message });
+    }
+
     req.user = user;
     logger.debug('✅ Authentication successful for user:', { userId: user.userId });
     next();
   });
 };
 
+// Runs after authenticateToken; the flag is read fresh so revoking it takes effect on the next request
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+isAdmin').lean();
+    
+    if (!user || !user.isAdmin) {
+      logger.warn('🔐 Admin access denied', { userId: req.user.userId, path: req.path });
+      return res.status(403).json({ message: 'Administrator access required' });
+    }
+    
+    next();
+  } catch (error) {
+    logger.error('❌ Admin check failed:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Chat Mock Response Function
 function generateIntelligentMockResponse(message, user, itinerary) {
   logger.info('🤖 Generating mock response', { message, hasUser: !!user, hasItinerary: !!itinerary });
@@ -719,9 +1518,10 @@ function sanitizeString(str) {
   return str.trim().substring(0, 200);
 }
 
+// Amounts keep their cents; the currency is decided by the caller
 function sanitizeCost(cost, multiplier = 1) {
   if (typeof cost === 'number') {
-    return Math.max(0, Math.round(cost * multiplier));
+    return Math.max(0, roundMoney(cost * multiplier));
   }
   
   if (typeof cost === 'string') {
@@ -731,9 +1531,9 @@ function sanitizeCost(cost, multiplier = 1) {
       return 0;
     }
     
-    const numberMatch = cost.match(/(\d+)/);
+    const numberMatch = cost.replace(/,(?=\d{3}\b)/g, '').match(/(\d+(?:\.\d+)?)/);
     if (numberMatch) {
-      return Math.max(0, Math.round(parseInt(numberMatch[1]) * multiplier));
+      return Math.max(0, roundMoney(parseFloat(numberMatch[1]) * multiplier));
     }
     
     if (lowerCost.includes('variable') || lowerCost.includes('varies')) {
@@ -1035,1410 +1835,11084 @@ async function generateHighQualityMockItineraryWithPhotos(destination, days, int
   };
 }
 
-// ===== AUTHENTICATION ROUTES =====
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    logger.info('👤 User registration attempt', { name, email });
-    
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      logger.warn('⚠️ Registration failed: User already exists', { email });
-      return res.status(400).json({ message: 'User already exists' });
+// ===== TWO-FACTOR AUTHENTICATION UTILITIES =====
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Aventra';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
     }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = new User({ name, email, password: hashedPassword });
-    await user.save();
-    
-    logger.info('✅ User registered successfully', { userId: user._id, email });
+function base32Decode(str) {
+  const cleaned = str.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
 
-    res.status(201).json({
-      message: 'User created successfully',
+// RFC 6238 TOTP code for a given 30-second counter
+function generateTotpCode(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+// Accepts codes from the previous, current and next time step to allow for clock drift.
+// Returns the time step the code belongs to, or null when it matches none of them.
+function findTotpStep(secret, code, window = 1) {
+  if (!secret || !code) return null;
+  
+  const normalizedCode = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalizedCode)) return null;
+  
+  const currentCounter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  
+  for (let i = -window; i <= window; i++) {
+    const expected = generateTotpCode(secret, currentCounter + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return currentCounter + i;
+    }
+  }
+  
+  return null;
+}
+
+// A code can be used once: its time step is claimed atomically, so replaying it within its window fails
+async function useTotpCode(user, secret, code) {
+  const step = findTotpStep(secret, code);
+  if (step === null) return false;
+  
+  const claimed = await User.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return claimed.modifiedCount === 1;
+}
+
+function buildOtpAuthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_STEP_SECONDS.toString()
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+async function hashRecoveryCodes(codes) {
+  return Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+}
+
+// Returns the index of the matching hashed recovery code, or -1
+async function findRecoveryCodeIndex(hashedCodes, recoveryCode) {
+  if (!recoveryCode || !Array.isArray(hashedCodes)) return -1;
+  
+  const normalized = String(recoveryCode).trim().toLowerCase();
+  for (let i = 0; i < hashedCodes.length; i++) {
+    if (await bcrypt.compare(normalized, hashedCodes[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Checks a TOTP code or a recovery code; a used recovery code is removed from the user
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code && await useTotpCode(user, user.twoFactorSecret, code)) {
+    return { valid: true, method: 'totp' };
+  }
+  
+  if (recoveryCode) {
+    const index = await findRecoveryCodeIndex(user.twoFactorRecoveryCodes, recoveryCode);
+    if (index !== -1) {
+      // The code is pulled conditionally so two concurrent logins cannot both spend it
+      const hash = user.twoFactorRecoveryCodes[index];
+      const pulled = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      );
+      if (pulled.modifiedCount !== 1) {
+        return { valid: false };
+      }
+      user.twoFactorRecoveryCodes.splice(index, 1);
+      return { valid: true, method: 'recovery_code', remainingRecoveryCodes: user.twoFactorRecoveryCodes.length };
+    }
+  }
+  
+  return { valid: false };
+}
+
+
+// Only the latest challenge of a user is valid, and it allows TWO_FACTOR_MAX_ATTEMPTS codes before the
+// password has to be entered again
+async function generateTwoFactorChallengeToken(user) {
+  const challengeId = crypto.randomUUID();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorChallengeId: challengeId, twoFactorChallengeAttempts: 0 } });
+  
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa_challenge', challengeId },
+    process.env.JWT_SECRET || 'fallback-secret',
+    { expiresIn: '5m' }
+  );
+}
+
+// Counts an attempt against the challenge; false once it is used up, replaced by a newer login or finished
+async function claimTwoFactorAttempt(userId, challengeId) {
+  if (!challengeId) return false;
+  
+  const claimed = await User.updateOne(
+    { _id: userId, twoFactorChallengeId: challengeId, twoFactorChallengeAttempts: { $lt: TWO_FACTOR_MAX_ATTEMPTS } },
+    { $inc: { twoFactorChallengeAttempts: 1 } }
+  );
+  return claimed.modifiedCount === 1;
+}
+
+// ===== SESSION & REFRESH TOKEN UTILITIES =====
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// req.ip only reads X-Forwarded-For from the proxies trusted through TRUST_PROXY, so clients cannot spoof it
+function getClientIp(req) {
+  return req.ip;
+}
+
+// Short human-readable device label from a User-Agent string, e.g. "Chrome on Windows"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(userAgent)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+  else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+  else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+  else if (/Safari\//.test(userAgent)) browser = 'Safari';
+  else if (/okhttp|Dart|Expo|ReactNative/i.test(userAgent)) browser = 'Mobile app';
+  else if (/curl|PostmanRuntime|axios|node-fetch/i.test(userAgent)) browser = 'API client';
+  
+  let os = 'Unknown OS';
+  if (/Windows/.test(userAgent)) os = 'Windows';
+  else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+  else if (/Android/.test(userAgent)) os = 'Android';
+  else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+  else if (/Linux/.test(userAgent)) os = 'Linux';
+  
+  return `${browser} on ${os}`;
+}
+
+function generateAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sessionId },
+    process.env.JWT_SECRET || 'fallback-secret',
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createRefreshToken(user, req, familyId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const userAgent = req.get('User-Agent') || '';
+  
+  const record = await new RefreshToken({
+    userId: user._id,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }).save();
+  
+  return { refreshToken, record };
+}
+
+// Starts a new session (token family) and returns an access/refresh token pair
+async function issueAuthTokens(user, req) {
+  const familyId = crypto.randomUUID();
+  const { refreshToken } = await createRefreshToken(user, req, familyId);
+  
+  logger.info('🎫 New session started', { userId: user._id, sessionId: familyId });
+  
+  return {
+    token: generateAccessToken(user, familyId),
+    refreshToken,
+    sessionId: familyId,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+async function revokeTokenFamily(familyId, reason) {
+  const result = await RefreshToken.updateMany(
+    { familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+// ===== ACCOUNT VERIFICATION & RECOVERY UTILITIES =====
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const PASSWORD_RESET_TTL_MINUTES = 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+function validatePassword(password) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  return null;
+}
+
+// Creates a single-use token of the given type; any older unused tokens of that type are invalidated
+async function createAccountToken(user, type, ttlMs) {
+  await AccountToken.updateMany(
+    { userId: user._id, type, usedAt: null },
+    { usedAt: new Date() }
+  );
+  
+  const token = crypto.randomBytes(32).toString('base64url');
+  await new AccountToken({
+    userId: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  }).save();
+  
+  return token;
+}
+
+// Atomically marks a token as used so it can never be redeemed twice
+async function consumeAccountToken(token, type) {
+  if (!token || typeof token !== 'string') return null;
+  
+  return AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${FRONTEND_URL}/#/verify-email?token=${encodeURIComponent(token)}`;
+  
+  return mailer.send({
+    to: user.email,
+    subject: 'Verify your Aventra email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${FRONTEND_URL}/#/reset-password?token=${encodeURIComponent(token)}`;
+  
+  return mailer.send({
+    to: user.email,
+    subject: 'Reset your Aventra password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.</p>`
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ===== LIVE LOCATION SHARING UTILITIES =====
+const LOCATION_SHARE_DEFAULT_HOURS = 24;
+const LOCATION_SHARE_MAX_HOURS = 7 * 24;
+
+// Turns emergency access on while an alert is active, remembering that it was switched on automatically
+async function enableEmergencyAccess(userId) {
+  const result = await User.updateOne(
+    { _id: userId, 'locationSharing.allowEmergencyAccess': { $ne: true } },
+    { 'locationSharing.allowEmergencyAccess': true, emergencyAccessAutoEnabledAt: new Date() }
+  );
+  
+  if (result.modifiedCount > 0) {
+    logger.info('🔓 Emergency location access enabled for active alert', { userId });
+  }
+}
+
+// Reverts an automatic emergency access switch once no alert is active any more
+async function restoreEmergencyAccess(userId) {
+  const stillActive = await EmergencyAlert.exists({ userId, status: { $in: OPEN_ALERT_STATUSES } });
+  if (stillActive) return;
+  
+  const result = await User.updateOne(
+    { _id: userId, emergencyAccessAutoEnabledAt: { $ne: null } },
+    { 'locationSharing.allowEmergencyAccess': false, $unset: { emergencyAccessAutoEnabledAt: 1 } }
+  );
+  
+  if (result.modifiedCount > 0) {
+    logger.info('🔒 Automatic emergency location access switched off', { userId });
+  }
+}
+
+// Contacts see the location when sharing is on, or through emergency access while an alert is active
+function getLocationShareAccess(user, activeAlert) {
+  const sharing = user.locationSharing || {};
+  
+  if (sharing.enabled && sharing.shareWithContacts) {
+    return { allowed: true, mode: activeAlert ? 'emergency' : 'contacts' };
+  }
+  if (sharing.allowEmergencyAccess && activeAlert) {
+    return { allowed: true, mode: 'emergency' };
+  }
+  return { allowed: false };
+}
+
+function buildLocationShareUrl(token) {
+  return `${FRONTEND_URL}/#/live/${token}`;
+}
+
+// ===== LOCATION TRAIL UTILITIES =====
+const locationTrailSettings = {
+  minIntervalMs: parseInt(process.env.LOCATION_TRAIL_MIN_INTERVAL_MS) || 30 * 1000,
+  minDistanceMeters: parseInt(process.env.LOCATION_TRAIL_MIN_DISTANCE_M) || 25,
+  stationaryIntervalMs: parseInt(process.env.LOCATION_TRAIL_STATIONARY_INTERVAL_MS) || 15 * 60 * 1000,
+  maxExportPoints: 10000
+};
+
+// Great-circle distance between two { latitude, longitude } points
+function haversineDistanceMeters(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const earthRadius = 6371000;
+  
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  
+  return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+// Adds a point to the user's trail, dropping near-duplicates of the previous point.
+// Check-ins and alerts are always kept; routine updates are sampled by time and distance.
+async function recordLocationPoint(userId, { latitude, longitude, accuracy, address }, source = 'location_update') {
+  try {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!isValidCoordinate(lat, lng)) return null;
+    
+    const user = await User.findById(userId).select('locationHistory').lean();
+    if (!user || user.locationHistory?.enabled !== true) return null;
+    
+    const now = new Date();
+    
+    if (source === 'location_update') {
+      const previous = await LocationPoint.findOne({ userId }).sort({ recordedAt: -1 }).lean();
+      
+      if (previous) {
+        const elapsed = now - new Date(previous.recordedAt);
+        const distance = haversineDistanceMeters(previous, { latitude: lat, longitude: lng });
+        
+        if (elapsed < locationTrailSettings.minIntervalMs) {
+          logger.debug('📍 Trail point skipped (sampling interval)', { userId, elapsed });
+          return null;
+        }
+        if (distance < locationTrailSettings.minDistanceMeters && elapsed < locationTrailSettings.stationaryIntervalMs) {
+          logger.debug('📍 Trail point skipped (duplicate position)', { userId, distance });
+          return null;
+        }
+      }
+    }
+    
+    const itinerary = await findCurrentItinerary(userId, now);
+    
+    return await new LocationPoint({
+      userId,
+      itineraryId: itinerary?._id,
+      latitude: lat,
+      longitude: lng,
+      accuracy: accuracy ? parseFloat(accuracy) : undefined,
+      address,
+      source,
+      recordedAt: now
+    }).save();
+  } catch (error) {
+    // The trail is best-effort; it must never break a location update or SOS
+    logger.error('❌ Failed to record location trail point:', error);
+    return null;
+  }
+}
+
+// A LineString needs at least two positions, so shorter trails are only their point features
+function buildTrailGeoJson(points, name) {
+  const line = points.length < 2 ? [] : [{
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(point => [point.longitude, point.latitude])
+    },
+    properties: {
+      name,
+      pointCount: points.length,
+      startTime: points[0].recordedAt,
+      endTime: points[points.length - 1].recordedAt
+    }
+  }];
+  
+  return {
+    type: 'FeatureCollection',
+    features: [
+      ...line,
+      ...points.map(point => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+        properties: {
+          time: point.recordedAt,
+          source: point.source,
+          accuracy: point.accuracy ?? null,
+          address: point.address || null
+        }
+      }))
+    ]
+  };
+}
+
+function buildTrailGpx(points, name) {
+  const trackPoints = points.map(point => [
+    `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+    `        <time>${new Date(point.recordedAt).toISOString()}</time>`,
+    point.address ? `        <desc>${escapeHtml(point.address)}</desc>` : null,
+    `        <type>${point.source}</type>`,
+    '      </trkpt>'
+  ].filter(Boolean).join('\n')).join('\n');
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Aventra" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeHtml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    '  <trk>',
+    `    <name>${escapeHtml(name)}</name>`,
+    '    <trkseg>',
+    trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+// Loads up to maxExportPoints of a trail, keeping the most recent points when the range holds more.
+// truncatedBefore is the time of the oldest point returned; anything earlier was left out.
+async function findTrailPoints(query) {
+  const newestFirst = await LocationPoint
+    .find(query)
+    .sort({ recordedAt: -1 })
+    .limit(locationTrailSettings.maxExportPoints + 1)
+    .lean();
+  
+  const truncated = newestFirst.length > locationTrailSettings.maxExportPoints;
+  const points = newestFirst.slice(0, locationTrailSettings.maxExportPoints).reverse();
+  
+  return { points, truncated, truncatedBefore: truncated ? points[0].recordedAt : null };
+}
+
+// Sends a trail as JSON, GeoJSON or GPX depending on ?format=
+function sendTrail(res, { points, truncated, truncatedBefore }, name, format) {
+  const fileBase = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'location-trail';
+  
+  if (truncated) {
+    res.setHeader('X-Trail-Truncated-Before', new Date(truncatedBefore).toISOString());
+  }
+  
+  switch ((format || 'json').toLowerCase()) {
+    case 'geojson':
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.geojson"`);
+      return res.send(JSON.stringify(buildTrailGeoJson(points, name)));
+      
+    case 'gpx':
+      res.setHeader('Content-Type', 'application/gpx+xml');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.gpx"`);
+      return res.send(buildTrailGpx(points, name));
+      
+    case 'json':
+      return res.json({
+        name,
+        count: points.length,
+        truncated,
+        truncatedBefore,
+        points: points.map(point => ({
+          latitude: point.latitude,
+          longitude: point.longitude,
+          accuracy: point.accuracy ?? null,
+          address: point.address || null,
+          source: point.source,
+          itineraryId: point.itineraryId || null,
+          recordedAt: point.recordedAt
+        }))
+      });
+      
+    default:
+      return res.status(400).json({ message: 'Format must be json, geojson or gpx' });
+  }
+}
+
+// ===== GEOFENCE UTILITIES =====
+const GEOFENCE_DEVIATION_MINUTES = parseInt(process.env.GEOFENCE_DEVIATION_MINUTES) || 90;
+
+async function notifyPrimaryContactOfGeofenceEvent(user, subject, text, payload) {
+  const contact = user.emergencyContacts?.find(c => c.isPrimary) || user.emergencyContacts?.[0];
+  if (!contact) {
+    logger.warn('⚠️ Geofence notification skipped: No emergency contact', { userId: user._id });
+    return { delivered: false, attempts: [] };
+  }
+  
+  const result = await emergencyNotifier.notifyContact(contact, { subject, text, payload });
+  return { ...result, contactName: contact.name };
+}
+
+// Checks a new position against the user's geofences and returns the events it triggered.
+// Avoid-zone entries and long absences from the day's plan are logged as warnings.
+async function evaluateGeofences(userId, location, now = new Date()) {
+  const events = [];
+  
+  try {
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    if (!isValidCoordinate(latitude, longitude)) return events;
+    
+    // Plan zones belong to a day of the trip, so "today" is the date at the destination
+    const trip = await findCurrentItinerary(userId, now);
+    const today = isValidTimeZone(trip?.timezone)
+      ? formatDateInTimeZone(now, trip.timezone)
+      : now.toISOString().split('T')[0];
+    const geofences = await Geofence.find({
+      userId,
+      active: true,
+      $or: [{ type: { $ne: 'plan' } }, { date: today }]
+    });
+    if (geofences.length === 0) return events;
+    
+    const user = await User.findById(userId).select('name emergencyContacts geofenceMonitor');
+    if (!user) return events;
+    
+    const position = { latitude, longitude };
+    const distances = new Map();
+    
+    for (const fence of geofences) {
+      const distance = haversineDistanceMeters(fence.center, position);
+      const inside = distance <= fence.radiusMeters;
+      distances.set(fence.id, distance);
+      
+      if (inside === fence.lastInside) continue;
+      
+      fence.lastInside = inside;
+      fence.lastTransitionAt = now;
+      await fence.save();
+      
+      // Plan zones feed the deviation check below instead of producing their own events
+      if (fence.type === 'plan') continue;
+      
+      const event = { type: inside ? 'entered' : 'exited', geofenceId: fence._id, name: fence.name, zoneType: fence.type };
+      events.push(event);
+      
+      if (fence.type === 'avoid' && inside) {
+        let notification = null;
+        if (fence.notifyContact) {
+          notification = await notifyPrimaryContactOfGeofenceEvent(
+            user,
+            `⚠️ ${user.name} entered an area to avoid`,
+            `${user.name} has entered "${fence.name}", an area they marked to avoid.\nMap: https://maps.google.com/?q=${latitude},${longitude}`,
+            { event: 'geofence_avoid_entered', geofenceId: fence._id, location: position, at: now }
+          );
+        }
+        
+        await new UserActivity({
+          userId,
+          type: 'geofence_warning',
+          title: '⚠️ Entered an area to avoid',
+          description: `You entered "${fence.name}"${notification ? (notification.delivered ? `; ${notification.contactName} was notified` : '; your contact could not be notified') : ''}`,
+          icon: '⚠️',
+          metadata: { geofenceId: fence._id, location: position, distance: Math.round(distance), contactNotified: !!notification?.delivered }
+        }).save();
+        
+        event.warning = true;
+      } else {
+        await new UserActivity({
+          userId,
+          type: inside ? 'geofence_entered' : 'geofence_exited',
+          title: `${inside ? 'Arrived at' : 'Left'} ${fence.name}`,
+          description: `${inside ? 'Entered' : 'Left'} ${fence.type === 'safe' ? 'safe zone' : 'zone to avoid'} "${fence.name}"`,
+          icon: inside ? '🏨' : '🚶',
+          metadata: { geofenceId: fence._id, location: position }
+        }).save();
+      }
+    }
+    
+    const planZones = geofences.filter(fence => fence.type === 'plan');
+    if (planZones.length > 0) {
+      const deviation = await checkPlanDeviation(user, planZones, distances, position, now, today);
+      if (deviation) events.push(deviation);
+    }
+  } catch (error) {
+    // Geofencing is advisory; a failure must not break the location update itself
+    logger.error('❌ Geofence evaluation failed:', error);
+  }
+  
+  return events;
+}
+
+async function checkPlanDeviation(user, planZones, distances, position, now, today) {
+  // State from an earlier day says nothing about today's plan
+  const monitor = user.geofenceMonitor?.date === today ? user.geofenceMonitor : {};
+  const insideAnyPlanZone = planZones.some(fence => fence.lastInside);
+  
+  if (insideAnyPlanZone) {
+    if (monitor.outsidePlanSince || user.geofenceMonitor?.date !== today) {
+      user.geofenceMonitor = { date: today };
+      await user.save();
+    }
+    return null;
+  }
+  
+  if (!monitor.outsidePlanSince) {
+    user.geofenceMonitor = { date: today, outsidePlanSince: now };
+    await user.save();
+    return null;
+  }
+  
+  const minutesAway = (now - new Date(monitor.outsidePlanSince)) / 60000;
+  if (minutesAway < GEOFENCE_DEVIATION_MINUTES || monitor.deviationAlertedAt) return null;
+  
+  const nearest = planZones.reduce((closest, fence) =>
+    !closest || distances.get(fence.id) < distances.get(closest.id) ? fence : closest, null);
+  const nearestDistance = distances.get(nearest.id);
+  
+  let notification = null;
+  if (planZones.some(fence => fence.notifyContact)) {
+    notification = await notifyPrimaryContactOfGeofenceEvent(
+      user,
+      `⚠️ ${user.name} is away from their travel plan`,
+      `${user.name} has been away from today's planned areas for ${Math.round(minutesAway)} minutes. Nearest planned stop: "${nearest.name}" (${(nearestDistance / 1000).toFixed(1)} km away).\nMap: https://maps.google.com/?q=${position.latitude},${position.longitude}`,
+      { event: 'plan_deviation', location: position, minutesAway: Math.round(minutesAway), at: now }
+    );
+  }
+  
+  user.geofenceMonitor.deviationAlertedAt = now;
+  await user.save();
+  
+  await new UserActivity({
+    userId: user._id,
+    type: 'geofence_warning',
+    title: '⚠️ Away from today\'s plan',
+    description: `Away from all of today's planned areas for ${Math.round(minutesAway)} minutes${notification ? (notification.delivered ? `; ${notification.contactName} was notified` : '; your contact could not be notified') : ''}`,
+    icon: '🧭',
+    metadata: {
+      location: position,
+      outsideSince: monitor.outsidePlanSince,
+      nearestZone: nearest.name,
+      nearestDistance: Math.round(nearestDistance),
+      contactNotified: !!notification?.delivered
+    }
+  }).save();
+  
+  return { type: 'plan_deviation', minutesAway: Math.round(minutesAway), nearestZone: nearest.name, warning: true };
+}
+
+function validateGeofenceInput({ name, type, center, radiusMeters, date }, partial = false) {
+  if (!partial || name !== undefined) {
+    if (!sanitizeString(name)) return 'Geofence name is required';
+  }
+  if (!partial || type !== undefined) {
+    if (!['safe', 'plan', 'avoid'].includes(type)) return 'Type must be safe, plan or avoid';
+  }
+  if (!partial || center !== undefined) {
+    if (!center || !isValidCoordinate(parseFloat(center.latitude), parseFloat(center.longitude))) {
+      return 'A valid center latitude and longitude are required';
+    }
+  }
+  if (!partial || radiusMeters !== undefined) {
+    const radius = parseFloat(radiusMeters);
+    if (isNaN(radius) || radius < 10 || radius > 100000) return 'Radius must be between 10 and 100000 meters';
+  }
+  if (type === 'plan' && !partial && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return 'Plan zones need a date (YYYY-MM-DD)';
+  }
+  if (date !== undefined && date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return 'Date must be in YYYY-MM-DD format';
+  }
+  return null;
+}
+
+// ===== MEDICAL INFORMATION ENCRYPTION =====
+const MEDICAL_FIELDS = ['allergies', 'medications', 'medicalConditions', 'bloodType', 'emergencyMedicalInfo'];
+const FIELD_ENCRYPTION_PREFIX = 'enc:v1:';
+const deriveFieldKey = secret => crypto.createHash('sha256').update(secret).digest();
+
+// Only a dedicated key encrypts, so rotating the JWT secret never locks away stored medical data
+const fieldEncryptionKey = process.env.FIELD_ENCRYPTION_KEY ? deriveFieldKey(process.env.FIELD_ENCRYPTION_KEY) : null;
+// Values written before FIELD_ENCRYPTION_KEY was required were keyed from the JWT secret (or its fallback, like the
+// token code); they can still be read
+const legacyFieldEncryptionKey = deriveFieldKey(process.env.JWT_SECRET || 'fallback-secret');
+
+function hasMedicalContent(medicalInfo) {
+  return MEDICAL_FIELDS.some(field => sanitizeMedicalValue(medicalInfo?.[field]) !== '');
+}
+
+// AES-256-GCM; stored as enc:v1:<iv>:<auth tag>:<ciphertext>, all base64
+function encryptField(value) {
+  if (value === undefined || value === null || value === '') return value;
+  if (typeof value === 'string' && value.startsWith(FIELD_ENCRYPTION_PREFIX)) return value;
+  if (!fieldEncryptionKey) {
+    throw new Error('FIELD_ENCRYPTION_KEY is not configured; refusing to store protected fields');
+  }
+  
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', fieldEncryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  
+  return `${FIELD_ENCRYPTION_PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decryptField(value) {
+  if (typeof value !== 'string' || !value.startsWith(FIELD_ENCRYPTION_PREFIX)) return value;
+  
+  const [iv, tag, ciphertext] = value.slice(FIELD_ENCRYPTION_PREFIX.length).split(':');
+  let lastError = new Error('No field encryption key is configured');
+  
+  for (const key of [fieldEncryptionKey, legacyFieldEncryptionKey].filter(Boolean)) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  
+  logger.error('❌ Failed to decrypt protected field (wrong key?)', lastError);
+  return null;
+}
+
+function encryptMedicalInfo(medicalInfo) {
+  const encrypted = {};
+  MEDICAL_FIELDS.forEach(field => {
+    encrypted[field] = encryptField(sanitizeMedicalValue(medicalInfo?.[field]));
+  });
+  return encrypted;
+}
+
+function sanitizeMedicalValue(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().substring(0, 2000);
+}
+
+function decryptMedicalInfo(medicalInfo) {
+  const decrypted = {};
+  MEDICAL_FIELDS.forEach(field => {
+    decrypted[field] = decryptField(medicalInfo?.[field]) || '';
+  });
+  return decrypted;
+}
+
+// The only way medical details leave the server in plain text: decrypts and writes an audit entry
+async function discloseMedicalInfo(user, req, { accessorType, accessorLabel, channel, alertId }) {
+  const medicalInfo = decryptMedicalInfo(user.medicalInfo);
+  const fields = MEDICAL_FIELDS.filter(field => medicalInfo[field]);
+  
+  if (fields.length > 0) {
+    try {
+      await new MedicalDisclosure({
+        userId: user._id,
+        accessorType,
+        accessorLabel: accessorLabel || (accessorType === 'owner' ? 'You' : 'Emergency responder'),
+        channel,
+        alertId,
+        fields,
+        ipAddress: req ? getClientIp(req) : undefined,
+        userAgent: req ? req.get('User-Agent') : undefined
+      }).save();
+    } catch (error) {
+      logger.error('❌ Failed to write medical disclosure audit entry:', error);
+    }
+  }
+  
+  return medicalInfo;
+}
+
+// Profile payload for the account owner, with medical details decrypted (and audited)
+async function toOwnerProfile(user, req, channel) {
+  const profile = user.toObject();
+  profile.medicalInfo = await discloseMedicalInfo(user, req, { accessorType: 'owner', channel });
+  return profile;
+}
+
+function issueResponderToken(alert) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  alert.responderTokenHashes.push(hashToken(token));
+  alert.responderTokensExpireAt = new Date(Date.now() + ALERT_LINK_TTL_HOURS * 60 * 60 * 1000);
+  return token;
+}
+
+// Links issued before expiry dates were stored are good for ALERT_LINK_TTL_HOURS after the alert was raised
+function alertLinkExpired(expiresAt, alert, now = new Date()) {
+  const expiry = expiresAt || new Date(new Date(alert.createdAt).getTime() + ALERT_LINK_TTL_HOURS * 60 * 60 * 1000);
+  return now >= new Date(expiry);
+}
+
+// One-off migration for alerts written when each alert had a single responderTokenHash, so links already sent keep working
+async function migrateLegacyResponderTokens() {
+  try {
+    const result = await EmergencyAlert.collection.updateMany(
+      { responderTokenHash: { $exists: true } },
+      [
+        { $set: { responderTokenHashes: { $concatArrays: [{ $ifNull: ['$responderTokenHashes', []] }, ['$responderTokenHash']] } } },
+        { $unset: 'responderTokenHash' }
+      ]
+    );
+    
+    if (result.modifiedCount > 0) {
+      logger.info('🩺 Migrated legacy responder links', { alerts: result.modifiedCount });
+    }
+  } catch (error) {
+    logger.error('❌ Responder link migration failed:', error);
+  }
+}
+
+function buildResponderUrl(token) {
+  return `${FRONTEND_URL}/#/emergency/responder/${token}`;
+}
+
+// One-off migration for documents written before medical fields were encrypted
+async function encryptLegacyMedicalInfo() {
+  if (!fieldEncryptionKey) {
+    logger.warn('⚠️ Skipping medical information encryption migration: FIELD_ENCRYPTION_KEY is not configured');
+    return;
+  }
+  
+  try {
+    const plainTextFilter = {
+      $or: MEDICAL_FIELDS.map(field => ({
+        [`medicalInfo.${field}`]: { $exists: true, $nin: ['', null], $not: /^enc:v1:/ }
+      }))
+    };
+    const users = await User.find(plainTextFilter).select('medicalInfo').lean();
+    
+    for (const user of users) {
+      await User.updateOne({ _id: user._id }, { medicalInfo: encryptMedicalInfo(user.medicalInfo) });
+    }
+    
+    if (users.length > 0) {
+      logger.info('🔐 Encrypted legacy medical information', { users: users.length });
+    }
+  } catch (error) {
+    logger.error('❌ Medical information encryption migration failed:', error);
+  }
+}
+
+// ===== EMERGENCY ALERT LIFECYCLE UTILITIES =====
+// Alerts in these states still need attention; resolved and false_alarm alerts are closed
+const OPEN_ALERT_STATUSES = ['active', 'acknowledged', 'escalated'];
+const ALERT_ACK_TIMEOUT_MINUTES = parseInt(process.env.ALERT_ACK_TIMEOUT_MINUTES) || 15;
+const ALERT_LOCATION_TIMELINE_INTERVAL_MS = 5 * 60 * 1000;
+const ALERT_LINK_TTL_HOURS = parseInt(process.env.ALERT_LINK_TTL_HOURS) || 72;
+
+function buildAlertContactUrl(token) {
+  return `${FRONTEND_URL}/#/emergency/alert/${token}`;
+}
+
+// Gives each contact a fresh personal link; returns a Map of contact id -> url for emergencyNotifier.dispatch()
+function issueContactLinks(alert, contacts = alert.emergencyContacts) {
+  const contactUrls = new Map();
+  
+  contacts.forEach(contact => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    contact.accessTokenHashes.push(hashToken(token));
+    contact.accessTokensExpireAt = new Date(Date.now() + ALERT_LINK_TTL_HOURS * 60 * 60 * 1000);
+    contactUrls.set(contact.id, buildAlertContactUrl(token));
+  });
+  
+  return contactUrls;
+}
+
+function addAlertTimelineEvent(alert, type, { actor, message, location, metadata } = {}) {
+  alert.timeline.push({
+    type,
+    actor: actor || { kind: 'system' },
+    message,
+    location,
+    metadata,
+    createdAt: new Date()
+  });
+}
+
+// Contacts are matched on phone digits (or email) so escalation does not notify anyone twice
+function alertContactKey(contact) {
+  const digits = (contact.phone || '').replace(/\D/g, '');
+  return digits || (contact.email || '').trim().toLowerCase();
+}
+
+// Full alert for its owner, without the link hashes
+function formatAlertForOwner(alert) {
+  const plain = typeof alert.toObject === 'function' ? alert.toObject() : { ...alert };
+  delete plain.responderTokenHashes;
+  delete plain.responderTokensExpireAt;
+  plain.emergencyContacts = (plain.emergencyContacts || []).map(({ accessTokenHashes, accessTokensExpireAt, ...contact }) => contact);
+  return plain;
+}
+
+// What an emergency contact sees through their personal link; locations are hidden once the alert is closed
+function formatAlertForContact(alert, user, contact) {
+  const open = OPEN_ALERT_STATUSES.includes(alert.status);
+  
+  return {
+    alertId: alert._id,
+    traveller: { name: user?.name || 'Traveller' },
+    alertType: alert.alertType,
+    status: alert.status,
+    message: alert.message,
+    location: open ? alert.location : null,
+    lastLocation: open ? alert.lastLocation : null,
+    createdAt: alert.createdAt,
+    acknowledgedAt: alert.acknowledgedAt,
+    acknowledgedBy: alert.acknowledgedBy,
+    escalatedAt: alert.escalatedAt,
+    resolvedAt: alert.resolvedAt,
+    resolutionNote: alert.resolutionNote,
+    you: { name: contact.name, acknowledgedAt: contact.acknowledgedAt },
+    contacts: alert.emergencyContacts.map(other => ({ name: other.name, acknowledged: !!other.acknowledgedAt })),
+    timeline: alert.timeline
+      .filter(event => event.type !== 'notification')
+      .map(event => ({
+        type: event.type,
+        actor: event.actor,
+        message: event.message,
+        location: open ? event.location : undefined,
+        createdAt: event.createdAt
+      }))
+  };
+}
+
+async function findAlertByContactToken(token) {
+  const tokenHash = hashToken(token);
+  const alert = await EmergencyAlert.findOne({ 'emergencyContacts.accessTokenHashes': tokenHash });
+  if (!alert) return null;
+  
+  const contact = alert.emergencyContacts.find(entry => entry.accessTokenHashes.includes(tokenHash));
+  if (!contact || alertLinkExpired(contact.accessTokensExpireAt, alert)) return null;
+  return { alert, contact };
+}
+
+function buildAlertFollowUpMessage(alert, user, text, event) {
+  const name = user?.name || 'A traveller';
+  
+  return {
+    subject: `Update on ${name}'s emergency alert`,
+    text: `Update on ${name}'s SOS alert (${alert.alertType}):\n${text}\nSent ${new Date().toUTCString()} via Aventra.`,
+    payload: {
+      event,
+      alertId: alert._id,
+      alertType: alert.alertType,
+      status: alert.status,
+      traveller: { id: user?._id, name: user?.name },
+      message: text,
+      createdAt: new Date()
+    }
+  };
+}
+
+// Sends a follow-up to every contact who received the original alert; returns how many were reached
+async function notifyAlertContacts(alert, user, text, event) {
+  const message = buildAlertFollowUpMessage(alert, user, text, event);
+  const recipients = alert.emergencyContacts.filter(contact => contact.notificationSent);
+  
+  const results = await Promise.all(recipients.map(contact => emergencyNotifier.notifyContact(contact, message)));
+  return results.filter(result => result.delivered).length;
+}
+
+// Widens an alert to all saved emergency contacts and re-notifies everyone who has not acknowledged it
+async function escalateAlert(alert, { actor, reason } = {}) {
+  const user = await User.findById(alert.userId).select('name email emergencyContacts');
+  
+  const knownContacts = new Set(alert.emergencyContacts.map(alertContactKey));
+  const addedContacts = (user?.emergencyContacts || []).filter(contact =>
+    contact.name && alertContactKey(contact) && !knownContacts.has(alertContactKey(contact))
+  );
+  addedContacts.forEach(contact => {
+    alert.emergencyContacts.push({ name: contact.name, phone: contact.phone || '', email: contact.email || '' });
+  });
+  
+  alert.status = 'escalated';
+  alert.escalatedAt = new Date();
+  addAlertTimelineEvent(alert, 'escalated', {
+    actor,
+    message: reason || 'Alert escalated',
+    metadata: { addedContacts: addedContacts.map(contact => contact.name) }
+  });
+  
+  const recipients = alert.emergencyContacts.filter(contact => !contact.acknowledgedAt);
+  const contactUrls = issueContactLinks(alert, recipients);
+  const responderToken = issueResponderToken(alert);
+  await alert.save();
+  await enableEmergencyAccess(alert.userId);
+  
+  logger.warn('🚨 Emergency alert escalated', { alertId: alert._id, recipients: recipients.length, addedContacts: addedContacts.length });
+  
+  const outcomes = await emergencyNotifier.dispatch(alert, user, {
+    contacts: recipients,
+    contactUrls,
+    responderUrl: buildResponderUrl(responderToken)
+  });
+  const contactsNotified = outcomes.filter(outcome => outcome.notificationSent).length;
+  
+  await new UserActivity({
+    userId: alert.userId,
+    type: 'emergency_escalated',
+    title: '🚨 Emergency alert escalated',
+    description: `${reason || 'Alert escalated'} - ${contactsNotified} of ${recipients.length} contacts notified`,
+    icon: '🚨',
+    metadata: { alertId: alert._id, contactsNotified, addedContacts: addedContacts.length }
+  }).save();
+  
+  return outcomes;
+}
+
+// Resolves or dismisses an alert, tells the notified contacts and switches automatic emergency access back off
+async function closeAlert(alert, status, { note, actor } = {}) {
+  const user = await User.findById(alert.userId).select('name');
+  
+  alert.status = status;
+  alert.resolvedAt = new Date();
+  if (note) alert.resolutionNote = note;
+  
+  const summary = status === 'false_alarm'
+    ? `${user?.name || 'The traveller'} has cancelled the alert: it was a false alarm.`
+    : `${user?.name || 'The traveller'} has marked the emergency as resolved.`;
+  const contactsUpdated = await notifyAlertContacts(alert, user, note ? `${summary}\nNote: ${note}` : summary, `emergency_alert_${status}`);
+  
+  addAlertTimelineEvent(alert, status, {
+    actor,
+    message: note || summary,
+    metadata: { contactsUpdated }
+  });
+  await alert.save();
+  await restoreEmergencyAccess(alert.userId);
+  
+  return { contactsUpdated };
+}
+
+// Keeps open alerts following the traveller; the timeline gets at most one plain location update every few minutes
+async function recordAlertLocationUpdate(userId, location, { source, message } = {}) {
+  const now = new Date();
+  const position = {
+    latitude: parseFloat(location.latitude),
+    longitude: parseFloat(location.longitude),
+    address: location.address || `${location.latitude}, ${location.longitude}`
+  };
+  const openFilter = { userId, status: { $in: OPEN_ALERT_STATUSES } };
+  
+  const timelineFilter = source === 'check_in' ? openFilter : {
+    ...openFilter,
+    $or: [
+      { 'lastLocation.timestamp': { $exists: false } },
+      { 'lastLocation.timestamp': { $lt: new Date(now.getTime() - ALERT_LOCATION_TIMELINE_INTERVAL_MS) } }
+    ]
+  };
+  
+  await EmergencyAlert.updateMany(timelineFilter, {
+    $push: {
+      timeline: {
+        type: 'location_update',
+        actor: { kind: 'user' },
+        message: message || (source === 'check_in' ? 'Checked in' : 'Location updated'),
+        location: position,
+        createdAt: now
+      }
+    }
+  });
+  
+  const result = await EmergencyAlert.updateMany(openFilter, { lastLocation: { ...position, timestamp: now } });
+  return result.modifiedCount;
+}
+
+// ===== ITINERARY ACTIVITY UTILITIES =====
+const ACTIVITY_TEXT_LIMITS = { activity: 200, location: 200, duration: 100, notes: 1000 };
+
+// Accepts 24h ("9:30", "09:30") and 12h ("2:15 PM") times and returns "HH:MM", or null when invalid
+function parseActivityTime(value) {
+  if (typeof value !== 'string') return null;
+  
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?$/i);
+  if (!match) return null;
+  
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+  
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+function activityTimeToMinutes(time) {
+  const parsed = parseActivityTime(time);
+  if (!parsed) return null;
+  
+  const [hours, minutes] = parsed.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Validates an activity payload from the client; with partial set only the fields present are checked
+function validateActivityInput(input, { partial = false } = {}) {
+  const errors = [];
+  const activity = {};
+  
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Activity details are required'], activity };
+  }
+  
+  if (!partial || input.time !== undefined) {
+    const time = parseActivityTime(input.time);
+    if (time) activity.time = time;
+    else errors.push('time must be a valid time such as 09:30 or 2:15 PM');
+  }
+  
+  Object.entries(ACTIVITY_TEXT_LIMITS).forEach(([field, limit]) => {
+    const required = field === 'activity';
+    if (input[field] === undefined && (partial || !required)) return;
+    
+    if (input[field] !== null && input[field] !== undefined && typeof input[field] !== 'string') {
+      errors.push(`${field} must be text`);
+      return;
+    }
+    
+    const value = (input[field] || '').trim();
+    if (required && !value) {
+      errors.push(`${field} is required`);
+    } else if (value.length > limit) {
+      errors.push(`${field} must be at most ${limit} characters`);
+    } else {
+      activity[field] = value;
+    }
+  });
+  
+  if (input.cost !== undefined) {
+    const cost = input.cost === null || input.cost === '' ? 0 : Number(input.cost);
+    if (Number.isFinite(cost) && cost >= 0) activity.cost = Math.round(cost * 100) / 100;
+    else errors.push('cost must be a non-negative number');
+  }
+  
+  if (input.currency !== undefined) {
+    const currency = normalizeCurrency(input.currency);
+    if (input.currency === null || input.currency === '') activity.currency = undefined;
+    else if (isValidCurrency(currency)) activity.currency = currency;
+    else errors.push('currency must be a three-letter ISO 4217 code such as EUR');
+  }
+  
+  if (input.category !== undefined) {
+    if (input.category === null || EXPENSE_CATEGORIES.includes(input.category)) activity.category = input.category || undefined;
+    else errors.push(`category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`);
+  }
+  
+  if (input.notesPrivate !== undefined) {
+    if (typeof input.notesPrivate === 'boolean') activity.notesPrivate = input.notesPrivate;
+    else errors.push('notesPrivate must be true or false');
+  }
+  
+  // null drops a manual correction so the location is geocoded again
+  if (input.coordinates !== undefined) {
+    const { coordinates, error } = input.coordinates === null ? { coordinates: null } : validateManualCoordinates(input.coordinates);
+    if (error) errors.push(error);
+    else activity.coordinates = coordinates;
+  }
+  
+  return { errors, activity };
+}
+
+// Days can be addressed by their subdocument id or by their date (YYYY-MM-DD)
+function findItineraryDay(itinerary, dayRef) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dayRef || '')) {
+    return itinerary.days.find(day => day.date === dayRef) || null;
+  }
+  return itinerary.days.id(dayRef) || null;
+}
+
+function findItineraryActivity(itinerary, activityId) {
+  for (const day of itinerary.days) {
+    const activity = day.activities.id(activityId);
+    if (activity) return { day, activity };
+  }
+  return null;
+}
+
+// Stable chronological sort; activities without a readable time keep their relative order at the end
+function sortDayActivities(day) {
+  day.activities = day.activities
+    .map((activity, index) => ({ activity, index, minutes: activityTimeToMinutes(activity.time) }))
+    .sort((a, b) => (a.minutes ?? Infinity) - (b.minutes ?? Infinity) || a.index - b.index)
+    .map(entry => entry.activity);
+}
+
+function sortItineraryDays(itinerary) {
+  itinerary.days = itinerary.days
+    .map((day, index) => ({ day, index }))
+    .sort((a, b) => (a.day.date ? 0 : 1) - (b.day.date ? 0 : 1) || (a.day.date || '').localeCompare(b.day.date || '') || a.index - b.index)
+    .map(entry => entry.day);
+  itinerary.days.forEach(sortDayActivities);
+}
+
+// Best effort: activity photos only matter for itineraries that have photos switched on
+async function attachActivityPhoto(itinerary, activity) {
+  if (!itinerary.photosEnabled) return;
+  
+  try {
+    const photo = await getActivityPhotos(itinerary.destination, activity.activity, activity.location);
+    activity.photo = photo;
+    activity.fallbackPhoto = photo ? null : (itinerary.destinationPhotos?.[0] || null);
+  } catch (error) {
+    logger.warn('⚠️ Could not fetch activity photo', { activity: activity.activity, error: error.message });
+  }
+}
+
+// ===== ITINERARY VERSIONING UTILITIES =====
+// Fields a client edits; snapshots of these are kept per version and used as the base for merges
+const ITINERARY_CONTENT_FIELDS = ['title', 'destination', 'startDate', 'endDate', 'budget', 'currency', 'timezone', 'destinationCoordinates', 'preferences', 'photosEnabled', 'destinationPhotos', 'days'];
+
+// Itineraries saved before versioning have no version field and count as version 0
+function itineraryVersionFilter(version) {
+  return { version: version === 0 ? { $in: [0, null] } : version };
+}
+
+function buildItineraryEtag(itinerary) {
+  return `"v${itinerary.version || 0}"`;
+}
+
+function setItineraryEtag(res, itinerary) {
+  res.set('ETag', buildItineraryEtag(itinerary));
+}
+
+// If-Match ("v3", W/"v3" or *) wins over a version field in the body; null means the write is unconditional
+function getExpectedItineraryVersion(req) {
+  const header = req.get('If-Match');
+  
+  if (header) {
+    if (header.trim() === '*') return null;
+    const match = header.match(/"v(\d+)"/);
+    return match ? parseInt(match[1]) : NaN;
+  }
+  
+  if (req.body?.version !== undefined && req.body.version !== null) {
+    const version = Number(req.body.version);
+    return Number.isInteger(version) && version >= 0 ? version : NaN;
+  }
+  
+  return null;
+}
+
+// Plain JSON copy of the editable fields
+function itineraryContent(itinerary) {
+  const source = typeof itinerary.toObject === 'function' ? itinerary.toObject() : itinerary;
+  const content = {};
+  ITINERARY_CONTENT_FIELDS.forEach(field => {
+    content[field] = source[field] === undefined ? null : source[field];
+  });
+  return JSON.parse(JSON.stringify(content));
+}
+
+// Subdocument ids are ignored so copies that went through a browser compare equal to the stored ones
+function sameItineraryField(field, a, b) {
+  if (field === 'startDate' || field === 'endDate') {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  
+  const comparable = value => JSON.stringify(value === undefined ? null : value, (key, val) => key === '_id' ? undefined : val);
+  return comparable(a) === comparable(b);
+}
+
+// Every saved version is kept as an immutable revision; the summary is worked out from the previous one when not given
+async function recordItineraryRevision(itinerary, { authorId, source = 'update', summary, restoredFrom } = {}) {
+  const version = itinerary.version || 0;
+  
+  try {
+    if (await ItineraryRevision.exists({ itineraryId: itinerary._id, version })) return;
+    
+    const snapshot = itineraryContent(itinerary);
+    
+    if (!summary) {
+      const previous = await ItineraryRevision
+        .findOne({ itineraryId: itinerary._id, version: { $lt: version } })
+        .sort({ version: -1 })
+        .lean();
+      summary = previous ? summarizeItineraryDiff(diffItinerarySnapshots(previous.snapshot, snapshot)) : 'First saved version';
+    }
+    
+    await ItineraryRevision.updateOne(
+      { itineraryId: itinerary._id, version },
+      {
+        $setOnInsert: {
+          userId: itinerary.userId,
+          authorId: authorId || itinerary.userId,
+          source,
+          summary,
+          restoredFrom,
+          snapshot,
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('❌ Failed to record itinerary revision:', error);
+  }
+}
+
+const DIFF_ACTIVITY_FIELDS = ['time', 'activity', 'location', 'duration', 'cost', 'notes'];
+
+function describeActivity(activity) {
+  return { id: activity._id, time: activity.time, activity: activity.activity, location: activity.location };
+}
+
+// Activities are paired by subdocument id first, then by name for copies that lost their ids
+function diffDayActivities(fromActivities, toActivities) {
+  const remaining = [...(toActivities || [])];
+  const pairs = [];
+  const removed = [];
+  
+  (fromActivities || []).forEach(activity => {
+    let index = remaining.findIndex(other => activity._id && String(other._id) === String(activity._id));
+    if (index === -1) index = remaining.findIndex(other => other.activity === activity.activity);
+    
+    if (index === -1) removed.push(describeActivity(activity));
+    else pairs.push([activity, remaining.splice(index, 1)[0]]);
+  });
+  
+  const changed = pairs
+    .map(([before, after]) => {
+      const changes = DIFF_ACTIVITY_FIELDS
+        .filter(field => !sameItineraryField(field, before[field], after[field]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+      
+      if ((before.photo?.url || null) !== (after.photo?.url || null)) {
+        changes.push({ field: 'photo', from: before.photo?.url || null, to: after.photo?.url || null });
+      }
+      return changes.length > 0 ? { ...describeActivity(after), changes } : null;
+    })
+    .filter(Boolean);
+  
+  return { added: remaining.map(describeActivity), removed, changed };
+}
+
+// Structured difference between two snapshots: top-level fields, then days by date and activities within them
+function diffItinerarySnapshots(from, to) {
+  const fields = ITINERARY_CONTENT_FIELDS
+    .filter(field => field !== 'days' && !sameItineraryField(field, from[field], to[field]))
+    .map(field => ({
+      field,
+      from: field === 'destinationPhotos' ? (from[field] || []).length : from[field] ?? null,
+      to: field === 'destinationPhotos' ? (to[field] || []).length : to[field] ?? null
+    }));
+  
+  const fromDays = new Map((from.days || []).map(day => [day.date, day]));
+  const toDays = new Map((to.days || []).map(day => [day.date, day]));
+  
+  const days = { added: [], removed: [], changed: [] };
+  
+  toDays.forEach((day, date) => {
+    if (!fromDays.has(date)) {
+      days.added.push({ date, activities: (day.activities || []).map(describeActivity) });
+    }
+  });
+  
+  fromDays.forEach((day, date) => {
+    if (!toDays.has(date)) {
+      days.removed.push({ date, activities: (day.activities || []).map(describeActivity) });
+      return;
+    }
+    
+    const activities = diffDayActivities(day.activities, toDays.get(date).activities);
+    const dayPhotoChanged = (day.dayPhoto?.url || null) !== (toDays.get(date).dayPhoto?.url || null);
+    
+    if (activities.added.length || activities.removed.length || activities.changed.length || dayPhotoChanged) {
+      days.changed.push({ date, activities, dayPhotoChanged });
+    }
+  });
+  
+  days.added.sort((a, b) => a.date.localeCompare(b.date));
+  days.removed.sort((a, b) => a.date.localeCompare(b.date));
+  days.changed.sort((a, b) => a.date.localeCompare(b.date));
+  
+  return { fields, days };
+}
+
+function summarizeItineraryDiff(diff) {
+  const parts = diff.fields.map(change => {
+    if (change.field === 'destination') return `destination changed to ${change.to}`;
+    if (change.field === 'startDate' || change.field === 'endDate') return 'dates changed';
+    if (change.field === 'destinationPhotos') return 'destination photos updated';
+    return `${change.field} changed`;
+  });
+  
+  const count = (number, singular, plural) => `${number} ${number === 1 ? singular : plural}`;
+  const activityTotals = { added: 0, removed: 0, changed: 0 };
+  
+  diff.days.changed.forEach(day => {
+    Object.keys(activityTotals).forEach(kind => {
+      activityTotals[kind] += day.activities[kind].length;
+    });
+  });
+  
+  if (diff.days.added.length) parts.push(`${count(diff.days.added.length, 'day', 'days')} added`);
+  if (diff.days.removed.length) parts.push(`${count(diff.days.removed.length, 'day', 'days')} removed`);
+  Object.entries(activityTotals).forEach(([kind, total]) => {
+    if (total) parts.push(`${count(total, 'activity', 'activities')} ${kind}`);
+  });
+  
+  const summary = [...new Set(parts)].join(', ');
+  return summary ? summary.charAt(0).toUpperCase() + summary.slice(1) : 'No content changes';
+}
+
+// Days are matched by date, so edits to different days never collide
+function mergeItineraryDays(baseDays, currentDays, clientDays) {
+  const byDate = days => new Map((days || []).filter(day => day && day.date).map(day => [day.date, day]));
+  const base = byDate(baseDays);
+  const current = byDate(currentDays);
+  const client = byDate(clientDays);
+  const dates = [...new Set([...base.keys(), ...current.keys(), ...client.keys()])].sort();
+  
+  const days = [];
+  const conflicts = [];
+  
+  dates.forEach(date => {
+    const clientChanged = !sameItineraryField('days', client.get(date), base.get(date));
+    const serverChanged = !sameItineraryField('days', current.get(date), base.get(date));
+    
+    if (clientChanged && serverChanged && !sameItineraryField('days', client.get(date), current.get(date))) {
+      conflicts.push(`days.${date}`);
+    }
+    
+    const chosen = clientChanged ? client.get(date) : current.get(date);
+    if (chosen) days.push(chosen);
+  });
+  
+  return { days, conflicts };
+}
+
+// Three-way merge of a stale update: fields only the client changed win, fields only the server changed are kept,
+// and a field both sides changed differently is a conflict
+function mergeItineraryUpdate(base, current, updates) {
+  const merged = {};
+  const conflicts = [];
+  
+  ITINERARY_CONTENT_FIELDS.forEach(field => {
+    if (field === 'days' || updates[field] === undefined) return;
+    
+    const clientChanged = !sameItineraryField(field, updates[field], base[field]);
+    const serverChanged = !sameItineraryField(field, current[field], base[field]);
+    
+    if (clientChanged && serverChanged && !sameItineraryField(field, updates[field], current[field])) {
+      conflicts.push(field);
+    }
+    merged[field] = clientChanged ? updates[field] : current[field];
+  });
+  
+  if (updates.days !== undefined) {
+    const dayMerge = mergeItineraryDays(base.days, current.days, updates.days);
+    merged.days = dayMerge.days;
+    conflicts.push(...dayMerge.conflicts);
+  }
+  
+  return { merged, conflicts };
+}
+
+// Granular edits only conflict when a stale If-Match is sent and one of the touched days changed since that version
+async function findItineraryDayConflicts(req, itinerary, dates) {
+  const expectedVersion = getExpectedItineraryVersion(req);
+  if (expectedVersion === null || expectedVersion === (itinerary.version || 0)) return [];
+  if (Number.isNaN(expectedVersion)) return ['version'];
+  
+  const base = await ItineraryRevision.findOne({ itineraryId: itinerary._id, version: expectedVersion }).lean();
+  if (!base) return ['version'];
+  
+  const current = itineraryContent(itinerary);
+  const findDay = (days, date) => (days || []).find(day => day.date === date);
+  
+  return [...new Set(dates)]
+    .filter(date => !sameItineraryField('days', findDay(base.snapshot.days, date), findDay(current.days, date)))
+    .map(date => `days.${date}`);
+}
+
+// The same check for top-level fields such as destinationCoordinates
+async function findItineraryFieldConflicts(req, itinerary, fields) {
+  const expectedVersion = getExpectedItineraryVersion(req);
+  if (expectedVersion === null || expectedVersion === (itinerary.version || 0)) return [];
+  if (Number.isNaN(expectedVersion)) return ['version'];
+  
+  const base = await ItineraryRevision.findOne({ itineraryId: itinerary._id, version: expectedVersion }).lean();
+  if (!base) return ['version'];
+  
+  const current = itineraryContent(itinerary);
+  return fields.filter(field => !sameItineraryField(field, base.snapshot[field], current[field]));
+}
+
+// Saves a loaded itinerary only if nobody else saved it in the meantime (DocumentNotFoundError otherwise)
+async function saveItineraryChange(itinerary, revisionInfo = {}) {
+  const expectedVersion = itinerary.version || 0;
+  
+  itinerary.$where = itineraryVersionFilter(expectedVersion);
+  itinerary.version = expectedVersion + 1;
+  itinerary.updatedAt = Date.now();
+  
+  await itinerary.save();
+  await recordItineraryRevision(itinerary, revisionInfo);
+  return itinerary;
+}
+
+async function sendItineraryConflict(res, itineraryId, userId, conflicts = []) {
+  const current = await Itinerary.findOne({ _id: itineraryId, ...itineraryAccessFilter(userId) });
+  
+  if (!current) {
+    return res.status(404).json({ message: 'Itinerary not found' });
+  }
+  
+  logger.warn('⚠️ Itinerary edit conflict', { itineraryId, userId, conflicts, currentVersion: current.version || 0 });
+  
+  setItineraryEtag(res, current);
+  return res.status(409).json({
+    message: 'This itinerary was changed elsewhere. Review the current version and try again.',
+    conflicts,
+    currentVersion: current.version || 0,
+    current
+  });
+}
+
+// ===== TRIP MEMBERSHIP UTILITIES =====
+// Ordered from least to most access; the owner is always the itinerary's userId
+const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+const TRIP_INVITATION_TTL_DAYS = 14;
+
+function itineraryAccessFilter(userId) {
+  return { $or: [{ userId }, { 'members.userId': userId }] };
+}
+
+function getTripRole(itinerary, userId) {
+  if (!itinerary || !userId) return null;
+  if (String(itinerary.userId) === String(userId)) return 'owner';
+  
+  const member = (itinerary.members || []).find(entry => String(entry.userId) === String(userId));
+  return member ? member.role : null;
+}
+
+function hasTripRole(role, requiredRole) {
+  return !!role && TRIP_ROLES.indexOf(role) >= TRIP_ROLES.indexOf(requiredRole);
+}
+
+// Loads an itinerary the user owns or is a member of; anyone else gets null, exactly as for a missing trip
+async function findItineraryForMember(itineraryId, userId, { select, lean = false } = {}) {
+  let query = Itinerary.findOne({ _id: itineraryId, ...itineraryAccessFilter(userId) });
+  if (select) query = query.select(`${select} userId members`);
+  
+  const itinerary = lean ? await query.lean() : await query;
+  return { itinerary, role: getTripRole(itinerary, userId) };
+}
+
+function sendTripRoleError(res, itineraryId, userId, role, requiredRole) {
+  logger.warn('⚠️ Trip permission denied', { itineraryId, userId, role, requiredRole });
+  return res.status(403).json({
+    message: requiredRole === 'owner' ? 'Only the trip owner can do this' : 'You need edit access to change this trip',
+    role
+  });
+}
+
+function buildTripInvitationUrl(token) {
+  return `${FRONTEND_URL}/#/trips/invitations/${token}`;
+}
+
+async function sendTripInvitationEmail(invitation, itinerary, inviter, token) {
+  const link = buildTripInvitationUrl(token);
+  const inviterName = inviter?.name || 'A fellow traveller';
+  const access = invitation.role === 'editor' ? 'plan and edit' : 'view';
+  
+  return mailer.send({
+    to: invitation.email,
+    subject: `${inviterName} invited you to "${itinerary.title}" on Aventra`,
+    text: `Hi,\n\n${inviterName} invited you to ${access} their trip "${itinerary.title}" to ${itinerary.destination}.\n\nAccept or decline the invitation here:\n${link}\n\nThe invitation expires in ${TRIP_INVITATION_TTL_DAYS} days.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviterName)} invited you to ${access} their trip <strong>${escapeHtml(itinerary.title)}</strong> to ${escapeHtml(itinerary.destination)}.</p><p><a href="${link}">Accept or decline the invitation</a></p><p>The invitation expires in ${TRIP_INVITATION_TTL_DAYS} days.</p>`
+  });
+}
+
+// Adds the trip's role to an itinerary payload so shared trips can be told apart from the user's own
+function withTripRole(itinerary, userId) {
+  const role = getTripRole(itinerary, userId);
+  const plain = typeof itinerary.toObject === 'function' ? itinerary.toObject() : itinerary;
+  return { ...plain, role, shared: role !== 'owner' };
+}
+
+// ===== ITINERARY SHARE LINK UTILITIES =====
+const ITINERARY_SHARE_MAX_DAYS = 365;
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+
+// Address of this API as seen by people outside, for links to server-rendered pages and feeds
+function getPublicBaseUrl(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function buildItineraryShareUrls(req, slug) {
+  const base = getPublicBaseUrl(req);
+  return {
+    url: `${base}/share/trips/${slug}`,
+    embedUrl: `${base}/share/trips/${slug}?embed=1`,
+    apiUrl: `${base}/api/share/itineraries/${slug}`
+  };
+}
+
+function getItineraryShareStatus(link, now = new Date()) {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt && link.expiresAt <= now) return 'expired';
+  return 'active';
+}
+
+function formatItineraryShareLink(req, link) {
+  return {
+    id: link._id,
+    slug: link.slug,
+    ...buildItineraryShareUrls(req, link.slug),
+    passwordProtected: !!link.passwordProtected,
+    hideBudget: link.hideBudget,
+    expiresAt: link.expiresAt || null,
+    revokedAt: link.revokedAt || null,
+    lastAccessedAt: link.lastAccessedAt || null,
+    accessCount: link.accessCount,
+    status: getItineraryShareStatus(link),
+    createdAt: link.createdAt
+  };
+}
+
+function publicPhoto(photo) {
+  if (!photo || !photo.url) return null;
+  return {
+    url: photo.url,
+    thumb: photo.thumb,
+    description: photo.description,
+    photographer: photo.photographer,
+    photographerUrl: photo.photographerUrl,
+    source: photo.source
+  };
+}
+
+function describePhotoAttribution(photo) {
+  const source = { unsplash: 'Unsplash', pexels: 'Pexels', pixabay: 'Pixabay' }[(photo.source || '').toLowerCase()] || photo.source;
+  if (!photo.photographer) return source ? `Photo from ${source}` : null;
+  return source ? `Photo by ${photo.photographer} on ${source}` : `Photo by ${photo.photographer}`;
+}
+
+// Read-only projection for people without an account: no owner, members or private notes, and no money if the owner hides it
+function buildPublicItinerary(itinerary, link) {
+  const showPhotos = itinerary.photosEnabled;
+  const photos = [];
+  const track = photo => {
+    const shown = showPhotos ? publicPhoto(photo) : null;
+    if (shown && !photos.some(entry => entry.url === shown.url)) photos.push(shown);
+    return shown;
+  };
+  
+  const days = (itinerary.days || []).map(day => ({
+    date: day.date,
+    dayPhoto: track(day.dayPhoto),
+    activities: (day.activities || []).map(activity => ({
+      time: activity.time,
+      activity: activity.activity,
+      location: activity.location,
+      duration: activity.duration,
+      ...(link.hideBudget ? {} : { cost: activity.cost, currency: activity.currency || itinerary.currency || DEFAULT_CURRENCY }),
+      notes: activity.notesPrivate ? null : activity.notes || null,
+      coordinates: publicCoordinates(activity.coordinates),
+      photo: track(activity.photo || activity.fallbackPhoto)
+    }))
+  }));
+  
+  return {
+    title: itinerary.title,
+    destination: itinerary.destination,
+    startDate: itinerary.startDate,
+    endDate: itinerary.endDate,
+    ...(link.hideBudget ? {} : { budget: itinerary.budget ?? null, currency: itinerary.currency || DEFAULT_CURRENCY }),
+    preferences: {
+      interests: itinerary.preferences?.interests || [],
+      pace: itinerary.preferences?.pace || null
+    },
+    destinationPhotos: showPhotos ? (itinerary.destinationPhotos || []).map(track).filter(Boolean) : [],
+    days,
+    attributions: photos
+      .map(photo => ({ text: describePhotoAttribution(photo), photographerUrl: photo.photographerUrl || null, source: photo.source }))
+      .filter(entry => entry.text),
+    updatedAt: itinerary.updatedAt,
+    expiresAt: link.expiresAt || null
+  };
+}
+
+// Resolves a slug to a live link and its itinerary; password is only checked when the link has one
+async function resolveItineraryShare(slug, password) {
+  const link = await ItineraryShareLink.findOne({ slug }).select('+passwordHash');
+  
+  if (!link || getItineraryShareStatus(link) !== 'active') {
+    return { status: 404 };
+  }
+  if (link.passwordHash) {
+    if (typeof password !== 'string' || !password) return { status: 401, link };
+    if (!(await bcrypt.compare(password, link.passwordHash))) return { status: 403, link };
+  }
+  
+  const itinerary = await Itinerary.findById(link.itineraryId).lean();
+  if (!itinerary) return { status: 404 };
+  
+  await ItineraryShareLink.updateOne({ _id: link._id }, { lastAccessedAt: new Date(), $inc: { accessCount: 1 } });
+  
+  return { status: 200, link, itinerary };
+}
+
+function formatShareDate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? '' : date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function renderPhotoFigure(photo, className) {
+  if (!photo) return '';
+  const credit = describePhotoAttribution(photo);
+  const creditHtml = credit
+    ? (photo.photographerUrl ? `<a href="${escapeHtml(photo.photographerUrl)}" rel="noopener" target="_blank">${escapeHtml(credit)}</a>` : escapeHtml(credit))
+    : '';
+  return `<figure class="${className}"><img src="${escapeHtml(photo.url)}" alt="${escapeHtml(photo.description || '')}" loading="lazy"><figcaption>${creditHtml}</figcaption></figure>`;
+}
+
+const SHARE_PAGE_STYLES = `
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2933; background: #f5f7fa; }
+  main { max-width: 820px; margin: 0 auto; padding: 24px 16px 48px; }
+  header h1 { margin: 0 0 4px; font-size: 1.8rem; }
+  header p { margin: 0; color: #52606d; }
+  figure { margin: 12px 0; }
+  figure img { width: 100%; max-height: 320px; object-fit: cover; border-radius: 8px; }
+  figcaption { font-size: 0.75rem; color: #7b8794; margin-top: 4px; }
+  figcaption a { color: inherit; }
+  .day { background: #fff; border-radius: 10px; padding: 16px; margin-top: 20px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+  .day h2 { margin: 0 0 8px; font-size: 1.2rem; }
+  .activity { display: flex; gap: 12px; padding: 10px 0; border-top: 1px solid #e4e7eb; }
+  .activity:first-of-type { border-top: none; }
+  .activity .time { min-width: 56px; font-weight: 600; color: #3e4c59; }
+  .activity h3 { margin: 0; font-size: 1rem; }
+  .activity p { margin: 2px 0; color: #52606d; font-size: 0.9rem; }
+  .activity-photo img { max-height: 160px; }
+  .meta { font-size: 0.8rem; color: #7b8794; }
+  form { background: #fff; padding: 24px; border-radius: 10px; max-width: 360px; margin: 48px auto; }
+  input, button { font: inherit; padding: 8px; width: 100%; box-sizing: border-box; margin-top: 8px; }
+  .error { color: #c81e1e; }
+  footer { margin-top: 32px; font-size: 0.75rem; color: #7b8794; }
+  body.embed main { padding: 8px; }
+  body.embed .day { box-shadow: none; border: 1px solid #e4e7eb; }
+`;
+
+function renderSharePage(title, body, { embed = false } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>${SHARE_PAGE_STYLES}</style>
+</head>
+<body${embed ? ' class="embed"' : ''}>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function renderPublicItineraryHtml(view, { embed = false } = {}) {
+  const dateRange = `${formatShareDate(view.startDate)} – ${formatShareDate(view.endDate)}`;
+  const cover = embed ? '' : renderPhotoFigure(view.destinationPhotos[0] || view.days.find(day => day.dayPhoto)?.dayPhoto, 'cover');
+  
+  const days = view.days.map((day, index) => {
+    const activities = day.activities.map(activity => {
+      const details = [
+        activity.location ? escapeHtml(activity.location) : null,
+        activity.duration ? escapeHtml(activity.duration) : null,
+        activity.cost ? escapeHtml(formatMoney(activity.cost, activity.currency)) : null
+      ].filter(Boolean).join(' · ');
+      
+      return `<div class="activity">
+  <div class="time">${escapeHtml(activity.time || '')}</div>
+  <div>
+    <h3>${escapeHtml(activity.activity || '')}</h3>
+    ${details ? `<p>${details}</p>` : ''}
+    ${activity.notes ? `<p>${escapeHtml(activity.notes)}</p>` : ''}
+    ${embed ? '' : renderPhotoFigure(activity.photo, 'activity-photo')}
+  </div>
+</div>`;
+    }).join('\n');
+    
+    return `<section class="day">
+  <h2>Day ${index + 1}${day.date ? ` · ${escapeHtml(formatShareDate(day.date))}` : ''}</h2>
+  ${embed ? '' : renderPhotoFigure(day.dayPhoto, 'day-photo')}
+  ${activities || '<p class="meta">Nothing planned yet.</p>'}
+</section>`;
+  }).join('\n');
+  
+  const budget = view.budget ? ` · Budget ${escapeHtml(formatMoney(view.budget, view.currency))}` : '';
+  
+  return renderSharePage(view.title, `<header>
+  <h1>${escapeHtml(view.title)}</h1>
+  <p>${escapeHtml(view.destination)} · ${escapeHtml(dateRange)}${budget}</p>
+</header>
+${cover}
+${days}
+<footer>
+  <p>Shared read-only with Aventra.</p>
+  ${view.attributions.length > 0 ? `<p>Photos: ${view.attributions.map(entry => escapeHtml(entry.text)).join('; ')}.</p>` : ''}
+</footer>`, { embed });
+}
+
+function renderSharePasswordForm(slug, { embed = false, error = null } = {}) {
+  return renderSharePage('Password required', `<form method="post" action="/share/trips/${escapeHtml(slug)}${embed ? '?embed=1' : ''}">
+  <h1>Password required</h1>
+  <p>This itinerary is protected. Enter the password you were given to view it.</p>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <input type="password" name="password" autocomplete="current-password" required autofocus>
+  <button type="submit">View itinerary</button>
+</form>`, { embed });
+}
+
+// ===== ITINERARY CALENDAR EXPORT UTILITIES =====
+const DEFAULT_ACTIVITY_MINUTES = 60;
+const CALENDAR_FEED_REFRESH = 'PT1H';
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Understands the free-text durations the generator and users write: "2 hours", "1.5 hrs", "1h 30m", "45 minutes", "2-3 hours", "half day"
+function parseDurationMinutes(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  if (typeof value !== 'string') return null;
+  
+  const text = value.trim().toLowerCase();
+  if (!text) return null;
+  if (/\bhalf[\s-]?day\b/.test(text)) return 240;
+  if (/\b(full|all|whole)[\s-]?day\b/.test(text)) return 480;
+  
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) return parseInt(clock[1]) * 60 + parseInt(clock[2]);
+  
+  // For ranges such as "2-3 hours" the lower bound is used
+  const hours = text.match(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?\s*(?:h|hr|hrs|hour|hours)\b/);
+  const minutes = text.match(/(\d+)(?:\s*(?:-|–|to)\s*\d+)?\s*(?:m|min|mins|minute|minutes)\b/);
+  
+  const total = (hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0);
+  return total > 0 ? Math.round(total) : null;
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function getTimeZoneOffsetMinutes(timeZone, timestamp) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+  
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+// The calendar date (YYYY-MM-DD) in the zone at the given instant
+function formatDateInTimeZone(date, timeZone) {
+  const timestamp = new Date(date).getTime();
+  return new Date(timestamp + getTimeZoneOffsetMinutes(timeZone, timestamp) * 60000).toISOString().split('T')[0];
+}
+
+// Converts a wall-clock date and "HH:MM" at the destination into a UTC Date, following DST changes
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  
+  let utc = wallClock - getTimeZoneOffsetMinutes(timeZone, wallClock) * 60000;
+  const correctedOffset = getTimeZoneOffsetMinutes(timeZone, utc);
+  utc = wallClock - correctedOffset * 60000;
+  
+  return new Date(utc);
+}
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 3.1: lines longer than 75 octets are folded with CRLF followed by a space
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  
+  return chunks.join('\r\n ');
+}
+
+function formatIcsUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatIcsDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function addDaysToDateString(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// One VEVENT per activity. With a timezone, timed activities are written in UTC so every client shows them at
+// the right moment; without one they are floating local times. Activities without a time become all-day events.
+function buildItineraryEvents(itinerary, { timeZone = null } = {}) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : (isValidTimeZone(itinerary.timezone) ? itinerary.timezone : null);
+  const stamp = formatIcsUtc(new Date());
+  const events = [];
+  
+  (itinerary.days || []).forEach((day, dayIndex) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day.date || '')) return;
+    
+    (day.activities || []).forEach((activity, activityIndex) => {
+      const time = parseActivityTime(activity.time);
+      const durationMinutes = parseDurationMinutes(activity.duration) || DEFAULT_ACTIVITY_MINUTES;
+      const lines = [
+        'BEGIN:VEVENT',
+        `UID:${activity._id || `${itinerary._id}-${dayIndex}-${activityIndex}`}@aventra`,
+        `DTSTAMP:${stamp}`,
+        `SEQUENCE:${itinerary.version || 0}`
+      ];
+      
+      if (itinerary.updatedAt) lines.push(`LAST-MODIFIED:${formatIcsUtc(itinerary.updatedAt)}`);
+      
+      if (!time) {
+        lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(day.date)}`, `DTEND;VALUE=DATE:${formatIcsDate(addDaysToDateString(day.date, 1))}`);
+      } else if (zone) {
+        const start = zonedTimeToUtc(day.date, time, zone);
+        lines.push(`DTSTART:${formatIcsUtc(start)}`, `DTEND:${formatIcsUtc(start.getTime() + durationMinutes * 60000)}`);
+      } else {
+        const [hours, minutes] = time.split(':');
+        lines.push(`DTSTART:${formatIcsDate(day.date)}T${hours}${minutes}00`, `DURATION:PT${durationMinutes}M`);
+      }
+      
+      const description = [
+        activity.notes || null,
+        activity.duration ? `Duration: ${activity.duration}` : null,
+        activity.cost ? `Estimated cost: ${formatMoney(activity.cost, activity.currency || itinerary.currency)}` : null,
+        `Trip: ${itinerary.title}`
+      ].filter(Boolean).join('\n');
+      
+      lines.push(
+        `SUMMARY:${escapeIcsText(activity.activity || 'Activity')}`,
+        `LOCATION:${escapeIcsText(activity.location ? `${activity.location}, ${itinerary.destination}` : itinerary.destination)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`
+      );
+      if (isValidCoordinate(activity.coordinates?.latitude, activity.coordinates?.longitude)) {
+        lines.push(`GEO:${activity.coordinates.latitude};${activity.coordinates.longitude}`);
+      }
+      if (activity.cost) lines.push(`X-AVENTRA-COST:${activity.cost}`);
+      lines.push('END:VEVENT');
+      
+      events.push(lines);
+    });
+  });
+  
+  return { events, timeZone: zone };
+}
+
+function buildIcsCalendar(name, events, { timeZone = null, feed = false } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Aventra//Itinerary Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`
+  ];
+  
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  if (feed) lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_FEED_REFRESH}`, `X-PUBLISHED-TTL:${CALENDAR_FEED_REFRESH}`);
+  
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function buildCalendarFeedUrls(req, token) {
+  const url = `${getPublicBaseUrl(req)}/api/calendar/${token}/trips.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+// ===== ITINERARY DOCUMENT EXPORT UTILITIES =====
+const ITINERARY_DOCUMENT_TEMPLATES = ['compact', 'detailed'];
+const DOCUMENT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const DOCUMENT_MAX_IMAGES = 20;
+// All photos are fetched together and whatever has not arrived by then is left out
+const DOCUMENT_IMAGE_DEADLINE_MS = 15000;
+// A TTF/OTF with wide script coverage (e.g. Noto Sans CJK); without it the PDF falls back to Helvetica, which is Latin-only
+const PDF_UNICODE_FONT = process.env.PDF_UNICODE_FONT;
+// Characters the built-in Helvetica can draw (WinAnsiEncoding)
+const PDF_STANDARD_FONT_CHARACTERS = /[^\t\n\r\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/g;
+// Only images from the photo providers are downloaded for embedding; anything else is linked, never fetched
+const DOCUMENT_IMAGE_HOSTS = ['images.unsplash.com', 'images.pexels.com', 'pixabay.com'];
+const PHOTO_SOURCE_CREDITS = {
+  unsplash: 'Photos from Unsplash (https://unsplash.com)',
+  pexels: 'Photos provided by Pexels (https://www.pexels.com)',
+  pixabay: 'Images from Pixabay (https://pixabay.com)'
+};
+
+function exportFileName(title, extension) {
+  const base = (title || 'itinerary').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'itinerary';
+  return `${base}.${extension}`;
+}
+
+// The PDF's built-in fonts only have Latin-1 and the euro sign, so other symbols such as ₹ become the currency code
+function formatDocumentCost(amount, currency = DEFAULT_CURRENCY) {
+  const text = formatMoney(amount, currency);
+  return /[^\u0000-\u00ff€]/.test(text) ? `${currency} ${roundCurrency(amount, currency).toFixed(currencyDecimals(currency))}` : text;
+}
+
+// Gathers everything both renderers need; the detailed template adds notes, day photos and extra cover photos.
+// Activities priced in another currency count towards the totals at their day's rate when the converter has one;
+// otherwise they are left out and the document carries the same warnings as the budget summary.
+function buildItineraryDocument(itinerary, user, template, converter = null) {
+  const currency = itinerary.currency || DEFAULT_CURRENCY;
+  const unconverted = new Set();
+  const detailed = template === 'detailed';
+  const destinationPhotos = (itinerary.destinationPhotos || []).map(publicPhoto).filter(Boolean);
+  const cover = destinationPhotos[0] || null;
+  const gallery = detailed ? destinationPhotos.slice(1, 3) : [];
+  
+  const days = (itinerary.days || []).map((day, index) => {
+    const activities = (day.activities || []).map(activity => ({
+      time: activity.time || '',
+      activity: activity.activity || 'Activity',
+      location: activity.location || '',
+      duration: activity.duration || '',
+      cost: Number(activity.cost) || 0,
+      currency: activity.currency || currency,
+      notes: detailed ? activity.notes || '' : ''
+    }));
+    const toTripCurrency = activity => {
+      if (activity.currency === currency || !activity.cost) return activity.cost;
+      const converted = converter?.convert(activity.cost, activity.currency, currency, day.date) ?? null;
+      if (converted === null) unconverted.add(activity.currency);
+      return converted ?? 0;
+    };
+    
+    return {
+      number: index + 1,
+      date: day.date,
+      label: `Day ${index + 1}${day.date ? ` · ${formatShareDate(day.date)}` : ''}`,
+      photo: detailed ? publicPhoto(day.dayPhoto) : null,
+      activities,
+      total: activities.reduce((sum, activity) => sum + toTripCurrency(activity), 0)
+    };
+  });
+  
+  const totalCost = days.reduce((sum, day) => sum + day.total, 0);
+  const warnings = [];
+  if (unconverted.size > 0) {
+    warnings.push({ type: 'unconverted_currency', severity: 'low', message: `No exchange rate to ${currency} is available for ${[...unconverted].join(', ')}, so those amounts are not included in the totals` });
+  }
+  const earlyRateWarning = converter?.earlyRateWarning();
+  if (earlyRateWarning) warnings.push(earlyRateWarning);
+  const photos = [cover, ...gallery, ...days.map(day => day.photo)].filter(Boolean);
+  const sources = [...new Set(photos.map(photo => (photo.source || '').toLowerCase()))].filter(source => PHOTO_SOURCE_CREDITS[source]);
+  
+  return {
+    template,
+    detailed,
+    title: itinerary.title,
+    destination: itinerary.destination,
+    dateRange: `${formatShareDate(itinerary.startDate)} – ${formatShareDate(itinerary.endDate)}`,
+    budget: itinerary.budget || null,
+    currency,
+    totalCost,
+    warnings,
+    cover,
+    gallery,
+    days,
+    contacts: [...(user?.emergencyContacts || [])]
+      .sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0))
+      .map(contact => ({ name: contact.name, relationship: contact.relationship || '', phone: contact.phone, email: contact.email || '', isPrimary: !!contact.isPrimary })),
+    photos,
+    attributions: [...new Set(photos.map(photo => describePhotoAttribution(photo)).filter(Boolean))],
+    sourceCredits: sources.map(source => PHOTO_SOURCE_CREDITS[source]),
+    generatedAt: new Date()
+  };
+}
+
+function isEmbeddableImageUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && DOCUMENT_IMAGE_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Downloads the document's photos once so the PDF and the offline HTML can embed them; failures just leave a photo out
+async function fetchDocumentImages(photos) {
+  const images = new Map();
+  const urls = [...new Set(photos.slice(0, DOCUMENT_MAX_IMAGES).map(photo => photo.url))].filter(isEmbeddableImageUrl);
+  const deadline = AbortSignal.timeout(DOCUMENT_IMAGE_DEADLINE_MS);
+  
+  await Promise.all(urls.map(async url => {
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000, signal: deadline, maxContentLength: DOCUMENT_IMAGE_MAX_BYTES });
+      const buffer = Buffer.from(response.data);
+      const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+      const isPng = buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+      
+      // PDFKit can only embed JPEG and PNG
+      if (isJpeg || isPng) {
+        images.set(url, { buffer, mimeType: isJpeg ? 'image/jpeg' : 'image/png' });
+      }
+    } catch (error) {
+      logger.warn('⚠️ Could not fetch document image', { url, error: error.message });
+    }
+  }));
+  
+  return images;
+}
+
+let pdfUnicodeFont;
+
+// Read once; null when PDF_UNICODE_FONT is not set or cannot be read
+function loadPdfUnicodeFont() {
+  if (pdfUnicodeFont !== undefined) return pdfUnicodeFont;
+  
+  pdfUnicodeFont = null;
+  if (PDF_UNICODE_FONT) {
+    try {
+      pdfUnicodeFont = fs.readFileSync(PDF_UNICODE_FONT);
+    } catch (error) {
+      logger.warn('⚠️ Could not load PDF_UNICODE_FONT, falling back to Helvetica', { path: PDF_UNICODE_FONT, error: error.message });
+    }
+  }
+  return pdfUnicodeFont;
+}
+
+// Copy of the document with characters Helvetica cannot draw replaced by "?"; photo URLs are kept as they are
+function toStandardFontDocument(value, key) {
+  if (typeof value === 'string') return key === 'url' ? value : value.replace(PDF_STANDARD_FONT_CHARACTERS, '?');
+  if (Array.isArray(value)) return value.map(item => toStandardFontDocument(item));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([entryKey, entry]) => [entryKey, toStandardFontDocument(entry, entryKey)]));
+  }
+  return value;
+}
+
+function renderDocumentPhotoHtml(photo, images, className) {
+  if (!photo) return '';
+  const image = images.get(photo.url);
+  const src = image ? `data:${image.mimeType};base64,${image.buffer.toString('base64')}` : photo.url;
+  const credit = describePhotoAttribution(photo);
+  return `<figure class="${className}"><img src="${escapeHtml(src)}" alt="${escapeHtml(photo.description || '')}">${credit ? `<figcaption>${escapeHtml(credit)}</figcaption>` : ''}</figure>`;
+}
+
+const DOCUMENT_STYLES = `
+  @page { size: A4; margin: 16mm; }
+  body { margin: 0; font-family: Georgia, "Times New Roman", serif; color: #1f2933; }
+  main { max-width: 780px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 2rem; margin: 16px 0 4px; }
+  h2 { font-size: 1.3rem; margin: 0 0 8px; border-bottom: 2px solid #1f2933; padding-bottom: 4px; }
+  figure { margin: 8px 0; }
+  figure img { width: 100%; object-fit: cover; }
+  figcaption, .muted { font-size: 0.75rem; color: #616e7c; }
+  .cover img { max-height: 380px; }
+  .gallery { display: flex; gap: 8px; }
+  .gallery figure { flex: 1; }
+  .gallery img { height: 140px; }
+  .day-photo img { max-height: 200px; }
+  section { margin-top: 28px; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #cbd2d9; vertical-align: top; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  .notes { font-style: italic; color: #52606d; }
+  .warning { font-size: 0.85rem; color: #b42318; }
+  .detailed .day { page-break-before: always; }
+  .compact table { font-size: 0.8rem; }
+  .compact td, .compact th { padding: 3px 4px; }
+  @media print { main { padding: 0; } a { color: inherit; text-decoration: none; } }
+`;
+
+function renderItineraryDocumentHtml(doc, images) {
+  const days = doc.days.map(day => `<section class="day">
+  <h2>${escapeHtml(day.label)}</h2>
+  ${renderDocumentPhotoHtml(day.photo, images, 'day-photo')}
+  <table>
+    <thead><tr><th>Time</th><th>Activity</th><th>Where</th><th>Duration</th><th class="num">Cost</th></tr></thead>
+    <tbody>
+${day.activities.map(activity => `      <tr><td>${escapeHtml(activity.time)}</td><td>${escapeHtml(activity.activity)}${activity.notes ? `<div class="notes">${escapeHtml(activity.notes)}</div>` : ''}</td><td>${escapeHtml(activity.location)}</td><td>${escapeHtml(activity.duration)}</td><td class="num">${activity.cost ? formatDocumentCost(activity.cost, activity.currency) : ''}</td></tr>`).join('\n') || '      <tr><td colspan="5" class="muted">Nothing planned yet.</td></tr>'}
+      <tr><th colspan="4">Day total</th><th class="num">${formatDocumentCost(day.total, doc.currency)}</th></tr>
+    </tbody>
+  </table>
+</section>`).join('\n');
+  
+  const costs = `<section>
+  <h2>Costs</h2>
+  <table>
+${doc.days.map(day => `    <tr><td>${escapeHtml(day.label)}</td><td class="num">${formatDocumentCost(day.total, doc.currency)}</td></tr>`).join('\n')}
+    <tr><th>Total planned</th><th class="num">${formatDocumentCost(doc.totalCost, doc.currency)}</th></tr>
+${doc.budget ? `    <tr><td>Budget</td><td class="num">${formatDocumentCost(doc.budget, doc.currency)}</td></tr>
+    <tr><td>${doc.budget >= doc.totalCost ? 'Remaining' : 'Over budget by'}</td><td class="num">${formatDocumentCost(Math.abs(doc.budget - doc.totalCost), doc.currency)}</td></tr>` : ''}
+  </table>
+${doc.warnings.map(warning => `  <p class="warning">${escapeHtml(warning.message)}</p>`).join('\n')}
+</section>`;
+  
+  const contacts = `<section>
+  <h2>Emergency contacts</h2>
+  ${doc.contacts.length > 0 ? `<table>
+${doc.contacts.map(contact => `    <tr><td>${escapeHtml(contact.name)}${contact.isPrimary ? ' (primary)' : ''}</td><td>${escapeHtml(contact.relationship)}</td><td>${escapeHtml(contact.phone)}</td><td>${escapeHtml(contact.email)}</td></tr>`).join('\n')}
+  </table>` : '<p class="muted">No emergency contacts saved. Add them in your safety settings.</p>'}
+</section>`;
+  
+  const credits = doc.attributions.length > 0 ? `<section>
+  <h2>Photo credits</h2>
+  <ul>${doc.attributions.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>
+  ${doc.sourceCredits.map(text => `<p class="muted">${escapeHtml(text)}</p>`).join('')}
+</section>` : '';
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(doc.title)}</title>
+<style>${DOCUMENT_STYLES}</style>
+</head>
+<body class="${doc.template}">
+<main>
+<header>
+  ${renderDocumentPhotoHtml(doc.cover, images, 'cover')}
+  ${doc.gallery.length > 0 ? `<div class="gallery">${doc.gallery.map(photo => renderDocumentPhotoHtml(photo, images, 'gallery-photo')).join('')}</div>` : ''}
+  <h1>${escapeHtml(doc.title)}</h1>
+  <p>${escapeHtml(doc.destination)} · ${escapeHtml(doc.dateRange)} · ${doc.days.length} day${doc.days.length === 1 ? '' : 's'}</p>
+</header>
+${days}
+${costs}
+${contacts}
+${credits}
+<p class="muted">Generated by Aventra on ${escapeHtml(doc.generatedAt.toISOString().slice(0, 10))}.</p>
+</main>
+</body>
+</html>`;
+}
+
+function renderItineraryDocumentPdf(sourceDoc, images) {
+  return new Promise((resolve, reject) => {
+    const unicodeFont = loadPdfUnicodeFont();
+    // Without a Unicode font, text in other scripts is replaced rather than drawn as garbage, and the cover says so
+    const fontFallback = !unicodeFont && JSON.stringify(sourceDoc).search(PDF_STANDARD_FONT_CHARACTERS) !== -1;
+    const doc = fontFallback ? toStandardFontDocument(sourceDoc) : sourceDoc;
+    const pdf = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: sourceDoc.title, Author: 'Aventra' } });
+    const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+    if (unicodeFont) {
+      pdf.registerFont('Unicode', unicodeFont);
+      Object.keys(fonts).forEach(style => { fonts[style] = 'Unicode'; });
+    }
+    const chunks = [];
+    const contentWidth = pdf.page.width - 100;
+    const compact = !doc.detailed;
+    
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+    
+    const ensureSpace = height => {
+      if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+    };
+    
+    const drawPhoto = (photo, width, height, x = 50) => {
+      const image = photo && images.get(photo.url);
+      if (!image) return false;
+      ensureSpace(height + 14);
+      const top = pdf.y;
+      pdf.image(image.buffer, x, top, { fit: [width, height], align: 'center', valign: 'center' });
+      const credit = describePhotoAttribution(photo);
+      pdf.font(fonts.regular).fontSize(7).fillColor('#616e7c').text(credit || '', x, top + height + 2, { width });
+      pdf.fillColor('#1f2933');
+      pdf.x = 50;
+      return true;
+    };
+    
+    const heading = text => {
+      ensureSpace(40);
+      pdf.moveDown(compact ? 0.6 : 1).font(fonts.bold).fontSize(compact ? 13 : 16).text(text, 50);
+      pdf.moveTo(50, pdf.y + 2).lineTo(50 + contentWidth, pdf.y + 2).stroke('#1f2933');
+      pdf.moveDown(0.5).font(fonts.regular).fontSize(compact ? 9 : 10);
+    };
+    
+    const row = (left, right, { bold = false } = {}) => {
+      ensureSpace(16);
+      const top = pdf.y;
+      pdf.font(bold ? fonts.bold : fonts.regular).text(left, 50, top, { width: contentWidth - 90 });
+      const bottom = pdf.y;
+      pdf.text(right, 50 + contentWidth - 80, top, { width: 80, align: 'right' });
+      pdf.y = Math.max(bottom, pdf.y);
+      pdf.x = 50;
+    };
+    
+    try {
+      // Cover
+      if (drawPhoto(doc.cover, contentWidth, compact ? 200 : 320)) pdf.moveDown(0.5);
+      if (doc.gallery.some(photo => images.has(photo.url))) {
+        const top = pdf.y;
+        const width = (contentWidth - 10) / 2;
+        doc.gallery.forEach((photo, index) => {
+          pdf.y = top;
+          drawPhoto(photo, width, 120, 50 + index * (width + 10));
+        });
+        pdf.moveDown(0.5);
+      }
+      pdf.font(fonts.bold).fontSize(compact ? 22 : 28).fillColor('#1f2933').text(doc.title, 50);
+      pdf.font(fonts.regular).fontSize(12).text(`${doc.destination} · ${doc.dateRange} · ${doc.days.length} day${doc.days.length === 1 ? '' : 's'}`);
+      if (doc.budget) pdf.text(`Budget ${formatDocumentCost(doc.budget, doc.currency)} · Planned ${formatDocumentCost(doc.totalCost, doc.currency)}`);
+      if (fontFallback) {
+        pdf.moveDown(0.5).fontSize(9).fillColor('#b42318')
+          .text('Some text uses characters this PDF font cannot show and appears as "?". Download the HTML version to see it in full.', 50, pdf.y, { width: contentWidth })
+          .fillColor('#1f2933');
+      }
+      
+      // Schedule
+      doc.days.forEach((day, index) => {
+        if (doc.detailed || index === 0) pdf.addPage();
+        heading(day.label);
+        if (drawPhoto(day.photo, contentWidth, 160)) pdf.moveDown(0.5);
+        
+        if (day.activities.length === 0) {
+          pdf.fillColor('#616e7c').text('Nothing planned yet.').fillColor('#1f2933');
+        }
+        day.activities.forEach(activity => {
+          const details = [activity.location, activity.duration].filter(Boolean).join(' · ');
+          row(`${activity.time ? `${activity.time}  ` : ''}${activity.activity}`, activity.cost ? formatDocumentCost(activity.cost, activity.currency) : '', { bold: !compact });
+          if (details) pdf.font(fonts.regular).fillColor('#52606d').text(details, 50, pdf.y, { width: contentWidth - 90 }).fillColor('#1f2933');
+          if (activity.notes) pdf.font(fonts.italic).fillColor('#52606d').text(activity.notes, 50, pdf.y, { width: contentWidth - 90 }).fillColor('#1f2933');
+          pdf.moveDown(compact ? 0.2 : 0.5);
+        });
+        row('Day total', formatDocumentCost(day.total, doc.currency), { bold: true });
+      });
+      
+      // Costs
+      pdf.addPage();
+      heading('Costs');
+      doc.days.forEach(day => row(day.label, formatDocumentCost(day.total, doc.currency)));
+      row('Total planned', formatDocumentCost(doc.totalCost, doc.currency), { bold: true });
+      if (doc.budget) {
+        row('Budget', formatDocumentCost(doc.budget, doc.currency));
+        row(doc.budget >= doc.totalCost ? 'Remaining' : 'Over budget by', formatDocumentCost(Math.abs(doc.budget - doc.totalCost), doc.currency));
+      }
+      doc.warnings.forEach(warning => {
+        ensureSpace(24);
+        pdf.moveDown(0.3).font(fonts.regular).fontSize(9).fillColor('#b42318')
+          .text(warning.message, 50, pdf.y, { width: contentWidth })
+          .fillColor('#1f2933').fontSize(compact ? 9 : 10);
+      });
+      
+      // Emergency contacts
+      heading('Emergency contacts');
+      if (doc.contacts.length === 0) {
+        pdf.text('No emergency contacts saved. Add them in your safety settings.');
+      }
+      doc.contacts.forEach(contact => {
+        ensureSpace(30);
+        pdf.font(fonts.bold).text(`${contact.name}${contact.isPrimary ? ' (primary)' : ''}${contact.relationship ? ` · ${contact.relationship}` : ''}`, 50);
+        pdf.font(fonts.regular).text([contact.phone, contact.email].filter(Boolean).join(' · '));
+        pdf.moveDown(0.3);
+      });
+      
+      // Photo credits
+      if (doc.attributions.length > 0) {
+        heading('Photo credits');
+        doc.attributions.forEach(text => pdf.text(text, 50));
+        pdf.moveDown(0.5).fontSize(8).fillColor('#616e7c');
+        doc.sourceCredits.forEach(text => pdf.text(text, 50));
+        pdf.fillColor('#1f2933');
+      }
+      
+      // Page footers are written last so they know the page count
+      const range = pdf.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        pdf.switchToPage(i);
+        const bottomMargin = pdf.page.margins.bottom;
+        pdf.page.margins.bottom = 0;
+        pdf.font(fonts.regular).fontSize(8).fillColor('#616e7c')
+          .text(`${doc.title} · page ${i + 1} of ${range.count}`, 50, pdf.page.height - 35, { width: contentWidth, align: 'center' });
+        pdf.page.margins.bottom = bottomMargin;
+      }
+      
+      pdf.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// ===== ITINERARY IMPORT UTILITIES =====
+const IMPORT_FORMATS = ['csv', 'ics', 'json'];
+const IMPORT_MAX_ROWS = 1000;
+const IMPORT_PREVIEW_TTL_HOURS = 24;
+const IMPORT_CSV_COLUMNS = {
+  date: ['date', 'day'],
+  time: ['time', 'start', 'start time'],
+  activity: ['activity', 'title', 'name', 'summary'],
+  location: ['location', 'place', 'where', 'address'],
+  duration: ['duration', 'length'],
+  cost: ['cost', 'price', 'amount'],
+  currency: ['currency'],
+  notes: ['notes', 'note', 'description', 'details'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long']
+};
+
+// Picks the format from ?format=, the wrapper body or the Content-Type, and returns the raw content to parse
+function readImportPayload(req) {
+  const body = req.body;
+  const contentType = (req.get('Content-Type') || '').toLowerCase();
+  let format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : null;
+  let content = body;
+  
+  if (body && typeof body === 'object' && !Array.isArray(body) && typeof body.content === 'string') {
+    format = format || (typeof body.format === 'string' ? body.format.toLowerCase() : null);
+    content = body.content;
+  } else if (body && typeof body === 'object') {
+    format = format || 'json';
+  }
+  
+  if (!format) {
+    if (contentType.includes('text/csv')) format = 'csv';
+    else if (contentType.includes('text/calendar')) format = 'ics';
+  }
+  
+  return { format, content };
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+function readCsvImportRows(text) {
+  const table = parseCsv(text.replace(/^\uFEFF/, ''));
+  const header = (table[0] || []).map(name => name.trim().toLowerCase());
+  const columns = {};
+  
+  Object.entries(IMPORT_CSV_COLUMNS).forEach(([field, aliases]) => {
+    const index = header.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  });
+  
+  const errors = [];
+  if (columns.date === undefined) errors.push('The CSV header needs a "date" column');
+  if (columns.activity === undefined) errors.push('The CSV header needs an "activity" column');
+  if (errors.length > 0) return { rows: [], errors, meta: {} };
+  
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => !cell.trim())) return;
+    const raw = { row: index + 2 };
+    Object.entries(columns).forEach(([field, column]) => { raw[field] = cells[column]; });
+    rows.push(raw);
+  });
+  
+  return { rows, errors: [], meta: {} };
+}
+
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function parseIcsProperty(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      const [name, ...paramParts] = line.slice(0, i).split(';');
+      const params = {};
+      paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+// Returns the wall-clock date and time of an iCalendar DATE or DATE-TIME value, converting UTC values into timeZone
+function readIcsDateTime(property, timeZone) {
+  const match = property?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (!hours) return { date: `${year}-${month}-${day}`, time: null, timestamp: Date.UTC(year, month - 1, day), utc: false };
+  
+  const timestamp = Date.UTC(year, month - 1, day, hours, minutes);
+  if (utc && timeZone) {
+    const local = new Date(timestamp + getTimeZoneOffsetMinutes(timeZone, timestamp) * 60000).toISOString();
+    return { date: local.slice(0, 10), time: local.slice(11, 16), timestamp, utc: true };
+  }
+  return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}`, timestamp, utc: !!utc };
+}
+
+function parseIcsDurationMinutes(value) {
+  const match = (value || '').match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+  if (!match) return null;
+  const [, weeks, days, hours, minutes] = match.map(part => parseInt(part) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+function formatDurationText(minutes) {
+  if (!minutes || minutes <= 0) return null;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return minutes > 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} minutes`;
+}
+
+function readIcsImportRows(text, timeZone) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const rows = [];
+  const meta = {};
+  const warnings = [];
+  const stack = [];
+  let event = null;
+  
+  lines.forEach(line => {
+    const property = parseIcsProperty(line);
+    if (!property) return;
+    
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') event = {};
+      return;
+    }
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        rows.push(event);
+        event = null;
+      }
+      return;
+    }
+    
+    const current = stack[stack.length - 1];
+    if (current === 'VCALENDAR') {
+      if (property.name === 'X-WR-CALNAME') meta.title = unescapeIcsText(property.value);
+      if (property.name === 'X-WR-TIMEZONE') meta.timezone = property.value;
+    } else if (current === 'VEVENT' && event) {
+      event[property.name] = property;
+    }
+  });
+  
+  const zone = isValidTimeZone(timeZone) ? timeZone : (isValidTimeZone(meta.timezone) ? meta.timezone : null);
+  
+  const importRows = rows.map((properties, index) => {
+    const start = readIcsDateTime(properties.DTSTART, zone);
+    const end = readIcsDateTime(properties.DTEND, zone);
+    const minutes = properties.DURATION
+      ? parseIcsDurationMinutes(properties.DURATION.value)
+      : (start?.time && end ? Math.round((end.timestamp - start.timestamp) / 60000) : null);
+    
+    if (start?.utc && !zone && !warnings.length) {
+      warnings.push('Event times are in UTC; pass a timezone to convert them to local times at the destination');
+    }
+    
+    // Descriptions written by our own export carry the duration, cost and trip name on separate lines
+    const descriptionLines = properties.DESCRIPTION ? unescapeIcsText(properties.DESCRIPTION.value).split('\n') : [];
+    const costLine = descriptionLines.find(line => /^Estimated cost:/i.test(line));
+    const notes = descriptionLines.filter(line => !/^(Duration|Estimated cost|Trip):/i.test(line)).join('\n').trim();
+    const [latitude, longitude] = properties.GEO ? properties.GEO.value.split(';') : [];
+    
+    return {
+      row: index + 1,
+      date: start?.date,
+      time: start?.time || '',
+      activity: properties.SUMMARY ? unescapeIcsText(properties.SUMMARY.value) : '',
+      location: properties.LOCATION ? unescapeIcsText(properties.LOCATION.value) : '',
+      duration: start?.time ? formatDurationText(minutes) || '' : '',
+      cost: properties['X-AVENTRA-COST']?.value ?? (costLine ? costLine.replace(/^Estimated cost:\s*/i, '') : ''),
+      notes,
+      latitude,
+      longitude,
+      ...(start ? {} : { dateError: 'DTSTART is missing or not a valid date' })
+    };
+  });
+  
+  return { rows: importRows, errors: [], warnings, meta: { ...meta, timezone: zone || undefined } };
+}
+
+// Accepts our export files of any schema version; account exports need itineraryIndex to pick one trip
+function readJsonImportRows(content, options = {}) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { rows: [], errors: ['The file is not valid JSON'], meta: {} };
+    }
+  }
+  
+  const { document, migratedFrom, error } = migrateExport(data);
+  if (error) return { rows: [], errors: [error], meta: {} };
+  
+  const warnings = migratedFrom < EXPORT_SCHEMA_VERSION
+    ? [`The file uses export schema version ${migratedFrom} and was upgraded to version ${EXPORT_SCHEMA_VERSION}`]
+    : [];
+  
+  let itinerary = document.data?.itinerary;
+  if (document.kind === 'account') {
+    const itineraries = document.data?.itineraries || [];
+    const index = options.itineraryIndex === undefined ? (itineraries.length === 1 ? 0 : NaN) : Number(options.itineraryIndex);
+    itinerary = itineraries[index];
+    if (!itinerary) {
+      return { rows: [], errors: [`This account export contains ${itineraries.length} itineraries; pass itineraryIndex (0-${Math.max(itineraries.length - 1, 0)}) to choose one`], meta: {} };
+    }
+  }
+  
+  if (!itinerary || !Array.isArray(itinerary.days)) {
+    return { rows: [], errors: ['The JSON must be an itinerary with a "days" array'], meta: {} };
+  }
+  
+  const rows = [];
+  itinerary.days.forEach(day => {
+    (Array.isArray(day?.activities) ? day.activities : []).forEach(activity => {
+      rows.push({
+        row: rows.length + 1,
+        date: day.date,
+        time: activity?.time,
+        activity: activity?.activity,
+        location: activity?.location,
+        duration: activity?.duration,
+        cost: activity?.cost,
+        currency: activity?.currency,
+        notes: activity?.notes,
+        coordinates: activity?.coordinates
+      });
+    });
+  });
+  
+  return {
+    rows,
+    errors: [],
+    warnings,
+    meta: {
+      title: itinerary.title,
+      destination: itinerary.destination,
+      startDate: itinerary.startDate,
+      endDate: itinerary.endDate,
+      budget: itinerary.budget,
+      currency: itinerary.currency,
+      timezone: itinerary.timezone,
+      preferences: itinerary.preferences
+    }
+  };
+}
+
+function isImportDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Unlike sanitizeCost, an unreadable cost is reported instead of being replaced with an estimate
+function sanitizeImportCost(value) {
+  if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) return { cost: 0 };
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? { cost: sanitizeCost(value) } : { error: 'cost must be a non-negative number' };
+  if (typeof value !== 'string') return { error: 'cost must be a number' };
+  
+  const lowerCost = value.toLowerCase();
+  if (lowerCost.includes('free') || lowerCost.includes('no cost')) return { cost: 0 };
+  if (/^-\s*\d/.test(value.trim())) return { error: 'cost must be a non-negative number' };
+  
+  const number = value.replace(/\s/g, '').match(/\d[\d.,]*/);
+  if (!number) return { error: `cost "${value.substring(0, 40)}" is not a number` };
+  
+  const amount = parseImportAmount(number[0].replace(/[.,]$/, ''));
+  if (amount === null) return { error: `cost "${value.substring(0, 40)}" is ambiguous; use a dot for decimals, e.g. 12.50` };
+  return { cost: sanitizeCost(amount) };
+}
+
+// Reads "1,234.50", "1.234,50", "12,50" (a single comma before two digits is a decimal comma) and "1,250" (thousands).
+// Returns null for anything else with a comma, such as "1,5" or "12,5000".
+function parseImportAmount(text) {
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  if (/^\d+,\d{2}$/.test(text)) return parseFloat(text.replace(',', '.'));
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) return parseFloat(text.replace(/,/g, ''));
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) return parseFloat(text.replace(/\./g, '').replace(',', '.'));
+  return null;
+}
+
+// Coordinates in the file are kept as given; our own JSON exports also carry how they were resolved
+function readImportCoordinates(raw) {
+  const source = raw.coordinates && typeof raw.coordinates === 'object' ? raw.coordinates : raw;
+  if ([source.latitude, source.longitude].every(value => value === undefined || value === null || value === '')) return {};
+  
+  const latitude = parseFloat(source.latitude);
+  const longitude = parseFloat(source.longitude);
+  if (!isValidCoordinate(latitude, longitude)) return { warning: 'coordinates were ignored because they are not a valid latitude and longitude' };
+  
+  const confidence = Number(source.confidence);
+  return {
+    coordinates: {
+      latitude,
+      longitude,
+      confidence: confidence >= 0 && confidence <= 1 ? confidence : 1,
+      provider: typeof source.provider === 'string' ? source.provider : 'import',
+      precision: typeof source.precision === 'string' ? source.precision : null,
+      manual: typeof source.manual === 'boolean' ? source.manual : source.provider === undefined,
+      resolvedAt: new Date()
+    }
+  };
+}
+
+// Applies the sanitizeAIItinerary rules to one imported row and reports what could not be used
+function validateImportRow(raw) {
+  const errors = [];
+  const warnings = [];
+  const date = typeof raw.date === 'string' ? raw.date.trim().slice(0, 10) : raw.date;
+  
+  if (raw.dateError) errors.push(raw.dateError);
+  else if (!isImportDate(date)) errors.push('date must be a calendar date in YYYY-MM-DD format');
+  
+  let time = null;
+  if (typeof raw.time === 'string' && raw.time.trim()) {
+    time = parseActivityTime(raw.time) || sanitizeTime(raw.time);
+    if (!time) errors.push(`time "${raw.time.substring(0, 20)}" is not a valid time`);
+  } else if (raw.time !== undefined && raw.time !== null && raw.time !== '') {
+    errors.push('time must be text such as 09:30');
+  }
+  
+  const activityName = sanitizeString(typeof raw.activity === 'string' ? raw.activity : null);
+  if (!activityName) errors.push('activity is required');
+  
+  const text = {};
+  ['activity', 'location', 'duration', 'notes'].forEach(field => {
+    const value = raw[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push(`${field} must be text`);
+      return;
+    }
+    text[field] = sanitizeString(value) || '';
+    if (typeof value === 'string' && value.trim().length > 200) warnings.push(`${field} was shortened to 200 characters`);
+  });
+  
+  const { cost, error: costError } = sanitizeImportCost(raw.cost);
+  if (costError) errors.push(costError);
+  
+  let currency = null;
+  if (raw.currency !== undefined && raw.currency !== null && raw.currency !== '') {
+    currency = normalizeCurrency(raw.currency);
+    if (!isValidCurrency(currency)) errors.push(`currency "${String(raw.currency).substring(0, 20)}" is not an ISO 4217 code`);
+  }
+  
+  const { coordinates, warning: coordinatesWarning } = readImportCoordinates(raw);
+  if (coordinatesWarning) warnings.push(coordinatesWarning);
+  
+  return {
+    row: raw.row,
+    status: errors.length > 0 ? 'error' : 'ok',
+    errors,
+    warnings,
+    date: isImportDate(date) ? date : null,
+    activity: errors.length > 0 ? null : {
+      ...(time ? { time } : {}),
+      activity: text.activity,
+      location: text.location,
+      duration: text.duration,
+      cost,
+      ...(currency ? { currency } : {}),
+      notes: text.notes,
+      ...(coordinates ? { coordinates } : {})
+    }
+  };
+}
+
+// Turns the parsed rows into a preview: per-row results plus the itinerary that committing would create
+function buildImportPreview(format, parsed, overrides = {}) {
+  const errors = [...parsed.errors];
+  const warnings = [...(parsed.warnings || [])];
+  
+  if (parsed.rows.length === 0 && errors.length === 0) errors.push('The file contains no activities');
+  if (parsed.rows.length > IMPORT_MAX_ROWS) errors.push(`Imports are limited to ${IMPORT_MAX_ROWS} activities`);
+  
+  const rows = parsed.rows.slice(0, IMPORT_MAX_ROWS).map(validateImportRow);
+  const validRows = rows.filter(row => row.status === 'ok');
+  const dates = [...new Set(rows.map(row => row.date).filter(Boolean))].sort();
+  
+  const meta = parsed.meta || {};
+  const destination = sanitizeString(overrides.destination) || sanitizeString(meta.destination);
+  const timezone = overrides.timezone || meta.timezone;
+  const currency = normalizeCurrency(overrides.currency || meta.currency);
+  const metaStart = meta.startDate ? new Date(meta.startDate) : null;
+  const metaEnd = meta.endDate ? new Date(meta.endDate) : null;
+  const firstDate = dates[0] || (metaStart && !isNaN(metaStart) ? metaStart.toISOString().slice(0, 10) : null);
+  const lastDate = dates[dates.length - 1] || (metaEnd && !isNaN(metaEnd) ? metaEnd.toISOString().slice(0, 10) : null);
+  
+  if (!destination) errors.push('destination is required; pass it with the import');
+  if (timezone && !isValidTimeZone(timezone)) errors.push('timezone must be an IANA time zone such as Europe/Rome');
+  if (currency && !isValidCurrency(currency)) errors.push('currency must be a three-letter ISO 4217 code such as EUR');
+  
+  const days = [];
+  if (firstDate && lastDate) {
+    const span = Math.round((new Date(`${lastDate}T00:00:00Z`) - new Date(`${firstDate}T00:00:00Z`)) / 86400000) + 1;
+    if (span > MAX_TRIP_DAYS) {
+      errors.push(`Imported trips can span at most ${MAX_TRIP_DAYS} days`);
+    } else {
+      for (let i = 0; i < span; i++) {
+        const date = addDaysToDateString(firstDate, i);
+        days.push({ date, activities: validRows.filter(row => row.date === date).map(row => row.activity) });
+      }
+      days.forEach(sortDayActivities);
+    }
+  }
+  
+  const budget = overrides.budget !== undefined ? Number(overrides.budget) : meta.budget;
+  
+  return {
+    format,
+    errors,
+    warnings,
+    summary: { rows: rows.length, valid: validRows.length, invalid: rows.length - validRows.length },
+    rows,
+    itinerary: {
+      title: sanitizeString(overrides.title) || sanitizeString(meta.title) || (destination ? `Imported Trip to ${destination}` : 'Imported Trip'),
+      destination,
+      startDate: firstDate,
+      endDate: lastDate,
+      ...(Number.isFinite(budget) && budget >= 0 ? { budget } : {}),
+      ...(timezone && isValidTimeZone(timezone) ? { timezone } : {}),
+      ...(isValidCurrency(currency) ? { currency } : {}),
+      ...(meta.preferences && typeof meta.preferences === 'object' ? { preferences: meta.preferences } : {}),
+      days
+    }
+  };
+}
+
+function parseImport(format, content, options = {}) {
+  if (format === 'json') return readJsonImportRows(content, options);
+  if (typeof content !== 'string') return { rows: [], errors: ['The file content must be text'], meta: {} };
+  if (format === 'csv') return readCsvImportRows(content);
+  return readIcsImportRows(content, options.timezone);
+}
+
+// ===== DATA EXPORT UTILITIES =====
+const EXPORT_FORMAT = 'aventra-export';
+const EXPORT_SCHEMA_VERSION = 2;
+const EXPORT_ITINERARY_FIELDS = [...ITINERARY_CONTENT_FIELDS, 'rating', 'aiGenerated', 'createdAt', 'updatedAt'];
+
+// Upgrades an export from the keyed version to the next one. Whenever the format changes, bump
+// EXPORT_SCHEMA_VERSION, update EXPORT_JSON_SCHEMA and add the step from the previous version here.
+const EXPORT_MIGRATIONS = {
+  // Version 0 is a bare itinerary as returned by GET /api/itineraries/:id, from before exports were versioned
+  0: document => ({
+    format: EXPORT_FORMAT,
+    schemaVersion: 1,
+    kind: 'itinerary',
+    exportedAt: null,
+    data: { itinerary: document.itinerary && typeof document.itinerary === 'object' ? document.itinerary : document }
+  }),
+  // Version 2 added itinerary and activity currencies, coordinates, and account expenses and settlements.
+  // All of them are optional, so version 1 files only gain the empty account lists.
+  1: document => ({
+    ...document,
+    schemaVersion: 2,
+    data: document.kind === 'account'
+      ? { expenses: [], settlements: [], ...document.data }
+      : document.data
+  })
+};
+
+const EXPORT_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://aventra-backend.onrender.com/api/exports/schema',
+  title: 'Aventra data export',
+  description: `Exports written by GET /api/itineraries/:id/export (kind "itinerary") and GET /api/users/export (kind "account"). Older schema versions are upgraded on import.`,
+  type: 'object',
+  required: ['format', 'schemaVersion', 'kind', 'exportedAt', 'data'],
+  properties: {
+    format: { const: EXPORT_FORMAT },
+    schemaVersion: { const: EXPORT_SCHEMA_VERSION },
+    kind: { enum: ['itinerary', 'account'] },
+    exportedAt: { type: ['string', 'null'], format: 'date-time' },
+    data: { type: 'object' }
+  },
+  allOf: [
+    {
+      if: { properties: { kind: { const: 'itinerary' } } },
+      then: { properties: { data: { type: 'object', required: ['itinerary'], properties: { itinerary: { $ref: '#/$defs/itinerary' } } } } }
+    },
+    {
+      if: { properties: { kind: { const: 'account' } } },
+      then: {
+        properties: {
+          data: {
+            type: 'object',
+            required: ['profile', 'itineraries'],
+            properties: {
+              profile: { $ref: '#/$defs/profile' },
+              itineraries: { type: 'array', items: { $ref: '#/$defs/itinerary' } },
+              sharedItineraries: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, title: { type: 'string' }, role: { enum: ['editor', 'viewer'] } } } },
+              templates: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, destination: { type: 'string' }, days: { type: 'array', items: { type: 'object', properties: { activities: { type: 'array', items: { $ref: '#/$defs/activity' } } } } } } } },
+              expenses: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    itineraryId: { type: 'string' }, amount: { type: 'number' }, currency: { type: 'string' }, category: { type: 'string' }, date: { type: 'string' }, description: { type: 'string' },
+                    split: { type: 'object', properties: { method: { enum: ['equal', 'shares', 'exact', 'percentage'] }, participants: { type: 'array', items: { type: 'object', properties: { userId: { type: 'string' }, value: { type: 'number' }, amount: { type: 'number' } } } } } },
+                    displayAmount: {
+                      type: ['object', 'null'],
+                      description: 'The amount in the profile display currency at the rate for the expense date; null without a rate',
+                      properties: { currency: { type: 'string' }, amount: { type: 'number' }, rateDate: { type: ['string', 'null'] } }
+                    }
+                  }
+                }
+              },
+              settlements: { type: 'array', items: { type: 'object', properties: { itineraryId: { type: 'string' }, fromUserId: { type: 'string' }, toUserId: { type: 'string' }, amount: { type: 'number' }, currency: { type: 'string' }, date: { type: 'string' }, note: { type: 'string' } } } },
+              chats: { type: 'array', items: { type: 'object', properties: { itineraryId: { type: ['string', 'null'] }, messages: { type: 'array', items: { type: 'object', properties: { role: { enum: ['user', 'assistant'] }, content: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } } } } } } },
+              checkIns: { type: 'array', items: { type: 'object' } },
+              activityLog: { type: 'array', items: { type: 'object', properties: { type: { type: 'string' }, title: { type: 'string' }, description: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } } } },
+              emergencyAlerts: { type: 'array', items: { type: 'object' } },
+              geofences: { type: 'array', items: { type: 'object' } },
+              locationTrail: { type: 'array', items: { type: 'object' } }
+            }
+          }
+        }
+      }
+    }
+  ],
+  $defs: {
+    coordinates: {
+      type: ['object', 'null'],
+      properties: {
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        provider: { type: 'string', description: 'Geocoder that resolved the location, "manual" or "import"' },
+        precision: { type: ['string', 'null'] },
+        manual: { type: 'boolean', description: 'Corrected by hand; never replaced by the geocoder' },
+        resolvedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    photo: {
+      type: ['object', 'null'],
+      properties: {
+        id: { type: 'string' }, url: { type: 'string' }, thumb: { type: 'string' }, description: { type: 'string' },
+        photographer: { type: 'string' }, photographerUrl: { type: 'string' }, source: { type: 'string' }
+      }
+    },
+    activity: {
+      type: 'object',
+      required: ['activity'],
+      properties: {
+        time: { type: 'string', description: '24-hour "HH:MM"' },
+        activity: { type: 'string' },
+        location: { type: 'string' },
+        duration: { type: 'string', description: 'Free text such as "2 hours"' },
+        cost: { type: 'number', minimum: 0 },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'Only present when it differs from the itinerary currency' },
+        notes: { type: 'string' },
+        notesPrivate: { type: 'boolean' },
+        photo: { $ref: '#/$defs/photo' },
+        fallbackPhoto: { $ref: '#/$defs/photo' },
+        coordinates: { $ref: '#/$defs/coordinates' }
+      }
+    },
+    itinerary: {
+      type: 'object',
+      required: ['title', 'destination', 'startDate', 'endDate', 'days'],
+      properties: {
+        id: { type: 'string', description: 'Identifier in the exporting account; not reused on import' },
+        title: { type: 'string' },
+        destination: { type: 'string' },
+        startDate: { type: 'string', format: 'date-time' },
+        endDate: { type: 'string', format: 'date-time' },
+        budget: { type: 'number' },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code of the budget and activity costs' },
+        timezone: { type: 'string', description: 'IANA time zone of the destination' },
+        destinationCoordinates: { $ref: '#/$defs/coordinates' },
+        preferences: { type: 'object', properties: { interests: { type: 'array', items: { type: 'string' } }, pace: { type: 'string' }, accommodation: { type: 'string' } } },
+        photosEnabled: { type: 'boolean' },
+        destinationPhotos: { type: 'array', items: { $ref: '#/$defs/photo' } },
+        days: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              date: { type: 'string', description: 'YYYY-MM-DD' },
+              dayPhoto: { $ref: '#/$defs/photo' },
+              activities: { type: 'array', items: { $ref: '#/$defs/activity' } }
+            }
+          }
+        },
+        rating: { type: 'number', minimum: 1, maximum: 5 },
+        aiGenerated: { type: 'boolean' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    profile: {
+      type: 'object',
+      required: ['name', 'email'],
+      properties: {
+        name: { type: 'string' }, email: { type: 'string' }, phone: { type: 'string' }, location: { type: 'string' }, bio: { type: 'string' },
+        preferences: { type: 'object' }, displayCurrency: { type: 'string' }, travelPreferences: { type: 'object' }, locationSharing: { type: 'object' }, locationHistory: { type: 'object' },
+        emergencyContacts: { type: 'array', items: { type: 'object' } },
+        medicalInfo: { type: 'object' },
+        createdAt: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+// Plain JSON copy with ids as strings and no secrets, owner references or Mongo internals
+function toExportValue(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Buffer.isBuffer(value)) return undefined;
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      if (key === '__v' || key === 'userId' || /hash/i.test(key)) return;
+      const converted = toExportValue(entry);
+      if (converted !== undefined) result[key === '_id' ? 'id' : key] = converted;
+    });
+    return result;
+  }
+  return value;
+}
+
+function exportItinerary(itinerary) {
+  const exported = { id: String(itinerary._id) };
+  EXPORT_ITINERARY_FIELDS.forEach(field => {
+    if (itinerary[field] !== undefined) exported[field] = toExportValue(itinerary[field]);
+  });
+  return exported;
+}
+
+function buildExportEnvelope(kind, data) {
+  return { format: EXPORT_FORMAT, schemaVersion: EXPORT_SCHEMA_VERSION, kind, exportedAt: new Date().toISOString(), data };
+}
+
+// Brings any supported export up to the current schema version; returns { document, migratedFrom } or { error }
+function migrateExport(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { error: 'The export must be a JSON object' };
+  }
+  
+  let version = document.format === EXPORT_FORMAT ? Number(document.schemaVersion) : 0;
+  if (!Number.isInteger(version) || version < 0) {
+    return { error: 'The export has an invalid schemaVersion' };
+  }
+  if (version > EXPORT_SCHEMA_VERSION) {
+    return { error: `This export uses schema version ${version}, which is newer than this server supports (${EXPORT_SCHEMA_VERSION})` };
+  }
+  
+  const migratedFrom = version;
+  let migrated = document;
+  while (version < EXPORT_SCHEMA_VERSION) {
+    migrated = EXPORT_MIGRATIONS[version](migrated);
+    version = migrated.schemaVersion;
+  }
+  
+  return { document: migrated, migratedFrom };
+}
+
+async function buildAccountExport(user, req) {
+  const userId = user._id;
+  const [owned, shared, templates, expenses, settlements, chats, checkIns, activityLog, alerts, geofences, locationTrail] = await Promise.all([
+    Itinerary.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Itinerary.find({ 'members.userId': userId }).select('title destination startDate endDate members').lean(),
+    ItineraryTemplate.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Expense.find({ $or: [{ userId }, { createdBy: userId }, { paidBy: userId }, { 'split.participants.userId': userId }] }).sort({ date: 1 }).lean(),
+    Settlement.find({ $or: [{ userId }, { fromUserId: userId }, { toUserId: userId }] }).sort({ date: 1 }).lean(),
+    Chat.find({ userId }).sort({ createdAt: 1 }).lean(),
+    CheckIn.find({ userId }).sort({ timestamp: 1 }).lean(),
+    UserActivity.find({ userId }).sort({ createdAt: 1 }).lean(),
+    EmergencyAlert.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Geofence.find({ userId }).lean(),
+    LocationPoint.find({ userId }).sort({ recordedAt: 1 }).lean()
+  ]);
+  
+  const medicalInfo = await discloseMedicalInfo(user, req, { accessorType: 'owner', channel: 'account_export' });
+  const displayCurrency = user.displayCurrency || DEFAULT_CURRENCY;
+  const converter = await createBudgetConverter([], expenses);
+  const exportExpense = expense => {
+    const amount = converter.convert(expense.amount, expense.currency, displayCurrency, expense.date);
+    return {
+      ...toExportValue(expense),
+      displayAmount: amount === null ? null : { currency: displayCurrency, amount: roundCurrency(amount, displayCurrency), rateDate: expense.currency === displayCurrency ? null : converter.rateDate(expense.date) }
+    };
+  };
+  
+  return buildExportEnvelope('account', {
+    profile: {
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      phone: user.phone,
+      location: user.location,
+      bio: user.bio,
+      profilePicture: user.profilePicture,
+      preferences: toExportValue(user.preferences),
+      displayCurrency,
+      travelPreferences: toExportValue(user.travelPreferences),
+      locationSharing: toExportValue(user.locationSharing),
+      locationHistory: toExportValue(user.locationHistory),
+      emergencyContacts: toExportValue(user.emergencyContacts),
+      medicalInfo,
+      currentLocation: toExportValue(user.currentLocation),
+      stats: { totalTrips: user.totalTrips, countriesVisited: user.countriesVisited, daysTraveled: user.daysTraveled, avgRating: user.avgRating },
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: toExportValue(user.createdAt)
+    },
+    itineraries: owned.map(exportItinerary),
+    sharedItineraries: shared.map(itinerary => ({
+      id: String(itinerary._id),
+      title: itinerary.title,
+      destination: itinerary.destination,
+      startDate: toExportValue(itinerary.startDate),
+      endDate: toExportValue(itinerary.endDate),
+      role: getTripRole(itinerary, userId)
+    })),
+    templates: templates.map(toExportValue),
+    expenses: expenses.map(exportExpense),
+    settlements: settlements.map(toExportValue),
+    chats: chats.map(toExportValue),
+    checkIns: checkIns.map(toExportValue),
+    activityLog: activityLog.map(toExportValue),
+    emergencyAlerts: alerts.map(toExportValue),
+    geofences: geofences.map(toExportValue),
+    locationTrail: locationTrail.map(toExportValue)
+  });
+}
+
+// ===== ITINERARY CLONING & TEMPLATE UTILITIES =====
+const TEMPLATE_TEXT_LIMITS = { name: 120, description: 1000 };
+
+// Longest trip that date changes, cloning, templates and imports lay out day by day, so an exported trip can
+// always be imported again
+const MAX_TRIP_DAYS = 365;
+
+function countTripDays(startDate, endDate) {
+  return Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
+}
+
+// Lays existing days onto a new date range by position: day i keeps its activities and photo, extra days
+// start empty and surplus days are dropped. Shared by date changes in PUT, cloning and templates.
+function buildDaysForDateRange(days, startDate, endDate) {
+  const newStartDate = new Date(startDate).toISOString().split('T')[0];
+  const newDuration = countTripDays(startDate, endDate);
+  const oldDuration = days ? days.length : 0;
+  
+  if (newDuration < 1 || newDuration > MAX_TRIP_DAYS) {
+    throw new Error('Invalid trip duration');
+  }
+  
+  const updatedDays = [];
+  const startDateObj = new Date(newStartDate + 'T00:00:00');
+  
+  for (let i = 0; i < newDuration; i++) {
+    const currentDate = new Date(startDateObj);
+    currentDate.setDate(startDateObj.getDate() + i);
+    const dateStr = currentDate.toISOString().split('T')[0];
+    
+    // Try to preserve activities from corresponding old day
+    let dayActivities = [];
+    let dayPhoto = null;
+    
+    if (i < oldDuration && days[i] && Array.isArray(days[i].activities)) {
+      dayActivities = days[i].activities;
+      dayPhoto = days[i].dayPhoto || null;
+    }
+    
+    updatedDays.push({
+      date: dateStr,
+      activities: dayActivities,
+      dayPhoto: dayPhoto
+    });
+  }
+  
+  return updatedDays;
+}
+
+// Same rules as the itinerary update route; returns { startDate, endDate } or { error }
+function parseTripDateRange(startValue, endValue) {
+  const startDate = new Date(startValue);
+  const endDate = new Date(endValue);
+  
+  if (!startValue || !endValue || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'Valid start and end dates are required' };
+  }
+  if (startDate >= endDate) {
+    return { error: 'Start date must be before end date' };
+  }
+  if (countTripDays(startDate, endDate) > MAX_TRIP_DAYS) {
+    return { error: `Trips can be at most ${MAX_TRIP_DAYS} days long` };
+  }
+  return { startDate, endDate };
+}
+
+// Content of one activity without its subdocument id, so copies get fresh ids
+function copyActivity(activity) {
+  const { _id, ...copy } = activity.toObject ? activity.toObject() : activity;
+  return copy;
+}
+
+function copyDayContent(day) {
+  return {
+    dayPhoto: day.dayPhoto && day.dayPhoto.url ? day.dayPhoto : null,
+    activities: (day.activities || []).map(copyActivity)
+  };
+}
+
+function validateTemplateText(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  
+  Object.entries(TEMPLATE_TEXT_LIMITS).forEach(([field, limit]) => {
+    if (input[field] === undefined) {
+      if (!partial && field === 'name') errors.push('name is required');
+      return;
+    }
+    if (input[field] !== null && typeof input[field] !== 'string') {
+      errors.push(`${field} must be text`);
+      return;
+    }
+    const value = (input[field] || '').trim();
+    if (field === 'name' && !value) errors.push('name is required');
+    else if (value.length > limit) errors.push(`${field} must be at most ${limit} characters`);
+    else values[field] = value;
+  });
+  
+  return { errors, values };
+}
+
+function summarizeTemplate(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    description: template.description || '',
+    destination: template.destination,
+    durationDays: template.days.length,
+    activityCount: template.days.reduce((sum, day) => sum + (day.activities || []).length, 0),
+    sourceItineraryId: template.sourceItineraryId || null,
+    timesUsed: template.timesUsed,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+// ===== BUDGET & EXPENSE UTILITIES =====
+const EXPENSE_CATEGORIES = ['accommodation', 'transport', 'food', 'activities', 'shopping', 'health', 'other'];
+const DEFAULT_CURRENCY = 'USD';
+const BUDGET_WARNING_RATIO = 0.9;
+const CATEGORY_KEYWORDS = {
+  food: /\b(breakfast|brunch|lunch|dinner|restaurant|cafe|café|coffee|food|eat|dining|market|tasting|bar|pub|bakery|street food)\b/i,
+  accommodation: /\b(hotel|hostel|check[\s-]?in|check[\s-]?out|accommodation|airbnb|resort|lodge|guesthouse)\b/i,
+  transport: /\b(flight|airport|train|bus|taxi|transfer|ferry|metro|subway|drive|car rental|uber|station)\b/i,
+  shopping: /\b(shopping|shop|souvenir|boutique|mall)\b/i,
+  health: /\b(pharmacy|doctor|hospital|clinic|spa|massage)\b/i
+};
+
+// Planned activities have no category unless one was set, so it is guessed from the activity text
+function getActivityCategory(activity) {
+  if (EXPENSE_CATEGORIES.includes(activity.category)) return activity.category;
+  const text = `${activity.activity || ''} ${activity.location || ''}`;
+  const match = Object.entries(CATEGORY_KEYWORDS).find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'activities';
+}
+
+function roundMoney(amount) {
+  return Math.round((amount || 0) * 100) / 100;
+}
+
+// Validates an expense payload; with partial set only the fields present are checked.
+// New expenses linked to an activity may leave out the amount to use the activity's cost.
+function validateExpenseInput(input, { partial = false } = {}) {
+  const errors = [];
+  const expense = {};
+  
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Expense details are required'], expense };
+  }
+  
+  if ((!partial && !input.activityId) || input.amount !== undefined) {
+    const amount = Number(input.amount);
+    if (input.amount === null || input.amount === '' || !Number.isFinite(amount) || amount <= 0 || amount > 10000000) {
+      errors.push('amount must be a positive number');
+    } else {
+      expense.amount = roundMoney(amount);
+    }
+  }
+  
+  if (input.currency !== undefined) {
+    const currency = normalizeCurrency(input.currency);
+    if (isValidCurrency(currency)) expense.currency = currency;
+    else errors.push('currency must be a three-letter ISO 4217 code such as USD');
+  }
+  
+  if (input.category !== undefined) {
+    if (EXPENSE_CATEGORIES.includes(input.category)) expense.category = input.category;
+    else errors.push(`category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`);
+  }
+  
+  if (input.date !== undefined) {
+    if (isImportDate(input.date)) expense.date = input.date;
+    else errors.push('date must be a calendar date in YYYY-MM-DD format');
+  }
+  
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') errors.push('description must be text');
+    else if ((input.description || '').trim().length > 200) errors.push('description must be at most 200 characters');
+    else expense.description = (input.description || '').trim();
+  }
+  
+  if (input.activityId !== undefined) {
+    if (input.activityId === null || input.activityId === '') expense.activityId = null;
+    else if (mongoose.Types.ObjectId.isValid(input.activityId)) expense.activityId = input.activityId;
+    else errors.push('activityId is not valid');
+  }
+  
+  if (input.paidBy !== undefined) {
+    if (mongoose.Types.ObjectId.isValid(input.paidBy)) expense.paidBy = input.paidBy;
+    else errors.push('paidBy must be the id of a trip member');
+  }
+  
+  return { errors, expense };
+}
+
+// Links to an activity must point into this trip; the activity's day, cost and currency are the defaults
+function resolveExpenseActivity(itinerary, expense) {
+  if (!expense.activityId) return { ok: true };
+  
+  const found = findItineraryActivity(itinerary, expense.activityId);
+  if (!found) return { ok: false, status: 404, message: 'Activity not found in this itinerary' };
+  
+  if (expense.amount === undefined) {
+    if (!(found.activity.cost > 0)) return { ok: false, status: 400, message: 'The activity has no cost, so an amount is required' };
+    expense.amount = found.activity.cost;
+    if (!expense.currency) expense.currency = found.activity.currency || itinerary.currency || DEFAULT_CURRENCY;
+  }
+  if (!expense.date && found.day.date) expense.date = found.day.date;
+  if (!expense.category && found.activity) expense.category = getActivityCategory(found.activity);
+  return { ok: true };
+}
+
+function formatExpense(expense) {
+  return {
+    id: expense._id,
+    itineraryId: expense.itineraryId,
+    amount: expense.amount,
+    currency: expense.currency,
+    category: expense.category,
+    date: expense.date,
+    description: expense.description || '',
+    activityId: expense.activityId || null,
+    paidBy: expense.paidBy,
+    split: expense.split?.method ? { method: expense.split.method, participants: expense.split.participants } : null,
+    createdBy: expense.createdBy,
+    createdAt: expense.createdAt,
+    updatedAt: expense.updatedAt
+  };
+}
+
+// Planned (activity costs) against actual (expense records) per day and per category, with warnings.
+// Amounts in other currencies are converted into the trip currency at the rate for their date; when no
+// converter or rate is available they are listed separately rather than added up unconverted.
+// With displayCurrency set, a display block repeats the totals in that currency.
+function buildBudgetSummary(itinerary, expenses, { converter = null, displayCurrency = null } = {}) {
+  const currency = itinerary.currency || DEFAULT_CURRENCY;
+  const round = amount => roundCurrency(amount, currency);
+  const days = new Map();
+  const categories = new Map(EXPENSE_CATEGORIES.map(category => [category, { category, planned: 0, actual: 0 }]));
+  const unconverted = new Map();
+  const dayEntry = date => {
+    const key = date || 'unscheduled';
+    if (!days.has(key)) days.set(key, { date: date || null, planned: 0, actual: 0 });
+    return days.get(key);
+  };
+  const toTripCurrency = (amount, from, date, kind) => {
+    const source = from || currency;
+    const converted = source === currency ? amount : converter?.convert(amount, source, currency, date) ?? null;
+    if (converted === null) {
+      const key = `${kind}:${source}`;
+      const entry = unconverted.get(key) || { currency: source, kind, amount: 0 };
+      entry.amount = roundCurrency(entry.amount + amount, source);
+      unconverted.set(key, entry);
+    }
+    return converted;
+  };
+  
+  (itinerary.days || []).forEach(day => {
+    const entry = dayEntry(day.date);
+    (day.activities || []).forEach(activity => {
+      const cost = toTripCurrency(Number(activity.cost) || 0, activity.currency, day.date, 'planned');
+      if (cost === null) return;
+      entry.planned += cost;
+      categories.get(getActivityCategory(activity)).planned += cost;
+    });
+  });
+  
+  expenses.forEach(expense => {
+    const amount = toTripCurrency(expense.amount, expense.currency, expense.date, 'actual');
+    if (amount === null) return;
+    dayEntry(expense.date).actual += amount;
+    categories.get(expense.category || 'other').actual += amount;
+  });
+  
+  const finish = entry => ({ ...entry, planned: round(entry.planned), actual: round(entry.actual), difference: round(entry.actual - entry.planned) });
+  const byDay = [...days.values()]
+    .sort((a, b) => (a.date ? 0 : 1) - (b.date ? 0 : 1) || (a.date || '').localeCompare(b.date || ''))
+    .map(finish);
+  const byCategory = [...categories.values()].filter(entry => entry.planned > 0 || entry.actual > 0).map(finish);
+  
+  const planned = round(byDay.reduce((sum, day) => sum + day.planned, 0));
+  const actual = round(byDay.reduce((sum, day) => sum + day.actual, 0));
+  const budget = Number(itinerary.budget) || null;
+  const money = amount => formatMoney(amount, currency);
+  
+  // Spending so far plus what is still planned for days without any recorded expenses
+  const today = new Date().toISOString().split('T')[0];
+  const upcoming = byDay.filter(day => day.date && day.date >= today && day.actual === 0);
+  const projected = round(actual + upcoming.reduce((sum, day) => sum + day.planned, 0));
+  
+  const warnings = [];
+  if (budget) {
+    if (actual > budget) {
+      warnings.push({ type: 'over_budget', severity: 'high', message: `Spending of ${money(actual)} is ${money(actual - budget)} over the ${money(budget)} budget` });
+    } else if (actual >= budget * BUDGET_WARNING_RATIO) {
+      warnings.push({ type: 'near_budget', severity: 'medium', message: `${Math.round((actual / budget) * 100)}% of the budget has been spent` });
+    }
+    if (actual <= budget && projected > budget) {
+      warnings.push({ type: 'projected_over_budget', severity: 'medium', message: `With the remaining plans the trip is expected to cost ${money(projected)}, over the ${money(budget)} budget` });
+    }
+    if (planned > budget) {
+      warnings.push({ type: 'plan_over_budget', severity: 'low', message: `Planned activity costs of ${money(planned)} exceed the budget` });
+    }
+  }
+  byDay.filter(day => day.date && day.planned > 0 && day.actual > day.planned).forEach(day => {
+    warnings.push({ type: 'day_over_plan', severity: 'low', date: day.date, message: `Spent ${money(day.actual)} on ${day.date}, ${money(day.difference)} more than planned` });
+  });
+  byCategory.filter(entry => entry.planned > 0 && entry.actual > entry.planned).forEach(entry => {
+    warnings.push({ type: 'category_over_plan', severity: 'low', category: entry.category, message: `${entry.category} spending is ${money(entry.difference)} over plan` });
+  });
+  if (unconverted.size > 0) {
+    const codes = [...new Set([...unconverted.values()].map(entry => entry.currency))];
+    warnings.push({ type: 'unconverted_currency', severity: 'low', message: `No exchange rate to ${currency} is available for ${codes.join(', ')}, so those amounts are not included in the totals` });
+  }
+  const earlyRateWarning = converter?.earlyRateWarning();
+  if (earlyRateWarning) warnings.push(earlyRateWarning);
+  
+  // Day totals are converted at each day's rate, the budget at today's
+  let display = null;
+  if (displayCurrency && displayCurrency !== currency && converter) {
+    const toDisplay = (amount, date) => converter.convert(amount, currency, displayCurrency, date);
+    const dayAmounts = byDay.map(day => ({ planned: toDisplay(day.planned, day.date), actual: toDisplay(day.actual, day.date), upcoming: upcoming.includes(day) }));
+    const displayBudget = budget ? toDisplay(budget) : null;
+    
+    if (dayAmounts.every(day => day.planned !== null && day.actual !== null) && (!budget || displayBudget !== null)) {
+      const displayActual = dayAmounts.reduce((sum, day) => sum + day.actual, 0);
+      display = {
+        currency: displayCurrency,
+        budget: budget ? roundCurrency(displayBudget, displayCurrency) : null,
+        planned: roundCurrency(dayAmounts.reduce((sum, day) => sum + day.planned, 0), displayCurrency),
+        actual: roundCurrency(displayActual, displayCurrency),
+        projected: roundCurrency(displayActual + dayAmounts.filter(day => day.upcoming).reduce((sum, day) => sum + day.planned, 0), displayCurrency),
+        remaining: budget ? roundCurrency(displayBudget - displayActual, displayCurrency) : null,
+        rateDate: converter.rateDate()
+      };
+    } else {
+      warnings.push({ type: 'display_currency_unavailable', severity: 'low', message: `No exchange rate from ${currency} to ${displayCurrency} is available` });
+    }
+  }
+  
+  return {
+    currency,
+    budget,
+    planned,
+    actual,
+    projected,
+    remaining: budget ? round(budget - actual) : null,
+    byDay,
+    byCategory,
+    otherCurrencies: [...unconverted.values()],
+    display,
+    warnings
+  };
+}
+
+// Preloads the rate tables for every day and expense date a budget summary may need
+function createBudgetConverter(itineraries, expenses) {
+  const dates = [
+    ...itineraries.flatMap(itinerary => (itinerary.days || []).map(day => day.date)),
+    ...expenses.map(expense => expense.date)
+  ];
+  return createCurrencyConverter(dates);
+}
+
+// ===== CURRENCY & EXCHANGE RATE UTILITIES =====
+// Rate tables are stored per day against DEFAULT_CURRENCY; conversions use the latest table on or before the date
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, 'data', 'exchange-rates.json');
+const EXCHANGE_RATE_CACHE_MS = 60 * 60 * 1000;
+const exchangeRateCache = new Map();
+
+// Providers return { date, base, rates } where rates are units of each currency per one unit of base
+const exchangeRateProviders = {
+  frankfurter: {
+    async fetchRates(date) {
+      const baseUrl = process.env.EXCHANGE_RATE_API_URL || 'https://api.frankfurter.app';
+      const response = await axios.get(`${baseUrl}/${date || 'latest'}`, {
+        params: { from: DEFAULT_CURRENCY },
+        timeout: 10000
+      });
+      return { date: response.data.date, base: response.data.base, rates: response.data.rates };
+    }
+  }
+};
+
+function getExchangeRateProvider() {
+  const name = process.env.EXCHANGE_RATE_PROVIDER || 'frankfurter';
+  const provider = exchangeRateProviders[name];
+  if (!provider) throw new Error(`Unknown exchange rate provider: ${name}`);
+  return { name, ...provider };
+}
+
+function normalizeCurrency(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+function isValidCurrency(value) {
+  return typeof value === 'string' && SUPPORTED_CURRENCIES.has(value);
+}
+
+// displayCurrency used to be saved unchecked through the profile route. Fixable values are upper-cased, the rest
+// fall back to the default, so the schema validator does not block every later save of those users.
+async function repairDisplayCurrencies() {
+  try {
+    const invalid = await User.distinct('displayCurrency', { displayCurrency: { $exists: true, $nin: [...SUPPORTED_CURRENCIES] } });
+    
+    for (const value of invalid) {
+      const repaired = isValidCurrency(normalizeCurrency(value)) ? normalizeCurrency(value) : DEFAULT_CURRENCY;
+      const result = await User.collection.updateMany({ displayCurrency: value }, { $set: { displayCurrency: repaired } });
+      logger.info('💱 Repaired invalid display currency', { value, repaired, users: result.modifiedCount });
+    }
+  } catch (error) {
+    logger.error('❌ Display currency repair failed:', error);
+  }
+}
+
+function currencyDecimals(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+}
+
+// Rounds to the currency's minor unit, so yen amounts stay whole and euro amounts keep cents
+function roundCurrency(amount, currency) {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round((amount || 0) * factor) / factor;
+}
+
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: currencyDecimals(currency) }).format(amount || 0);
+  } catch (error) {
+    return `${roundMoney(amount)} ${currency}`;
+  }
+}
+
+// Tables quoted against another base are converted to DEFAULT_CURRENCY, which must then be in the table
+function rebaseRates(base, rates) {
+  const cleaned = {};
+  Object.entries(rates || {}).forEach(([code, rate]) => {
+    const currency = normalizeCurrency(code);
+    if (isValidCurrency(currency) && Number.isFinite(Number(rate)) && Number(rate) > 0) cleaned[currency] = Number(rate);
+  });
+  cleaned[base] = 1;
+  
+  if (base === DEFAULT_CURRENCY) return cleaned;
+  
+  const baseRate = cleaned[DEFAULT_CURRENCY];
+  if (!baseRate) return null;
+  
+  const rebased = {};
+  Object.entries(cleaned).forEach(([currency, rate]) => {
+    rebased[currency] = rate / baseRate;
+  });
+  rebased[DEFAULT_CURRENCY] = 1;
+  return rebased;
+}
+
+async function saveExchangeRateTable({ date, base, rates }, source) {
+  const normalizedBase = normalizeCurrency(base);
+  if (!isImportDate(date) || !isValidCurrency(normalizedBase)) {
+    throw new Error('Rate tables need a YYYY-MM-DD date and an ISO 4217 base currency');
+  }
+  
+  const rebased = rebaseRates(normalizedBase, rates);
+  if (!rebased) throw new Error(`Rates for ${date} do not include ${DEFAULT_CURRENCY}, so they cannot be converted`);
+  
+  await ExchangeRate.findOneAndUpdate(
+    { base: DEFAULT_CURRENCY, date },
+    { rates: rebased, source, fetchedAt: new Date() },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  exchangeRateCache.clear();
+  return { date, currencies: Object.keys(rebased).length };
+}
+
+async function refreshExchangeRates(date) {
+  const provider = getExchangeRateProvider();
+  const table = await provider.fetchRates(date);
+  const saved = await saveExchangeRateTable(table, provider.name);
+  logger.info('💱 Exchange rates refreshed', { provider: provider.name, ...saved });
+  return saved;
+}
+
+// Rate file format: { "base": "EUR", "rates": { "2024-05-01": { "USD": 1.07, "JPY": 167.2 } } }
+async function importExchangeRateTables(content, source) {
+  if (!content || typeof content !== 'object' || !content.rates || typeof content.rates !== 'object') {
+    return { tables: 0, errors: ['Rate files need a "rates" object keyed by YYYY-MM-DD date'] };
+  }
+  
+  const base = normalizeCurrency(content.base || DEFAULT_CURRENCY);
+  const errors = [];
+  let tables = 0;
+  
+  for (const [date, rates] of Object.entries(content.rates)) {
+    try {
+      await saveExchangeRateTable({ date, base, rates }, source);
+      tables++;
+    } catch (error) {
+      errors.push(`${date}: ${error.message}`);
+    }
+  }
+  
+  return { tables, errors };
+}
+
+async function loadExchangeRatesFile(filePath = EXCHANGE_RATES_FILE) {
+  const result = await importExchangeRateTables(JSON.parse(await fs.promises.readFile(filePath, 'utf8')), 'file');
+  logger.info('💱 Exchange rate file loaded', { filePath, tables: result.tables, errors: result.errors.length });
+  return result;
+}
+
+// Latest table on or before the date; dates before the first table fall back to the earliest one
+async function findExchangeRateTable(date) {
+  const day = isImportDate(date) ? date : new Date().toISOString().split('T')[0];
+  const cached = exchangeRateCache.get(day);
+  if (cached && Date.now() - cached.cachedAt < EXCHANGE_RATE_CACHE_MS) return cached.table;
+  
+  const table = await ExchangeRate.findOne({ base: DEFAULT_CURRENCY, date: { $lte: day } }).sort({ date: -1 }).lean()
+    || await ExchangeRate.findOne({ base: DEFAULT_CURRENCY }).sort({ date: 1 }).lean();
+  
+  exchangeRateCache.set(day, { table, cachedAt: Date.now() });
+  return table;
+}
+
+// Loads the tables for every date up front so the returned convert() can be used synchronously.
+// convert() returns null when either currency is missing from the applicable table; earlyRateWarning()
+// reports conversions dated before the first stored table, which used that table's rates instead.
+async function createCurrencyConverter(dates = []) {
+  const today = new Date().toISOString().split('T')[0];
+  const tables = new Map();
+  const earlyDates = new Set();
+  
+  for (const date of new Set([today, ...dates.filter(isImportDate)])) {
+    tables.set(date, await findExchangeRateTable(date));
+  }
+  
+  const rateFor = (table, currency) => (currency === DEFAULT_CURRENCY ? 1 : table?.rates?.[currency]);
+  
+  return {
+    convert(amount, from, to, date) {
+      const source = from || DEFAULT_CURRENCY;
+      const target = to || DEFAULT_CURRENCY;
+      if (source === target) return amount;
+      
+      const day = isImportDate(date) ? date : today;
+      const table = tables.get(day);
+      const fromRate = rateFor(table, source);
+      const toRate = rateFor(table, target);
+      if (!fromRate || !toRate) return null;
+      if (table.date > day) earlyDates.add(day);
+      return (amount / fromRate) * toRate;
+    },
+    rateDate(date) {
+      return tables.get(isImportDate(date) ? date : today)?.date || null;
+    },
+    earlyRateWarning() {
+      if (earlyDates.size === 0) return null;
+      const earliest = [...earlyDates].sort()[0];
+      return {
+        type: 'rate_before_first_table',
+        severity: 'low',
+        message: `No exchange rates are stored for ${earliest}${earlyDates.size > 1 ? ` and ${earlyDates.size - 1} other early date${earlyDates.size > 2 ? 's' : ''}` : ''}; amounts from then were converted at ${tables.get(earliest).date} rates`
+      };
+    }
+  };
+}
+
+// Generation prices everything in DEFAULT_CURRENCY; this moves a generated plan into the trip currency at today's rate
+function convertDaysCurrency(days, converter, currency) {
+  return days.map(day => ({
+    ...day,
+    activities: (day.activities || []).map(activity => ({
+      ...activity,
+      cost: roundCurrency(converter.convert(Number(activity.cost) || 0, DEFAULT_CURRENCY, currency), currency)
+    }))
+  }));
+}
+
+// ===== EXPENSE SPLITTING & SETTLE-UP UTILITIES =====
+const SPLIT_METHODS = ['equal', 'shares', 'exact', 'percentage'];
+
+function getTripMemberIds(itinerary) {
+  return [itinerary.userId, ...(itinerary.members || []).map(member => member.userId)].map(String);
+}
+
+// Divides an amount by weight in the currency's minor units; leftover units go to the largest remainders so the parts always add up
+function allocateAmount(amount, weights, currency) {
+  const factor = 10 ** currencyDecimals(currency);
+  const units = Math.round(amount * factor);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (units * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  const leftover = units - parts.reduce((sum, part) => sum + part, 0);
+  
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .slice(0, leftover)
+    .forEach(({ index }) => { parts[index]++; });
+  
+  return parts.map(part => part / factor);
+}
+
+// Validates a split request against the trip members and works out each participant's amount.
+// Without participants an equal split covers everyone on the trip.
+function buildExpenseSplit(input, itinerary, amount, currency) {
+  const errors = [];
+  const request = input === undefined || input === null ? { method: 'equal' } : input;
+  
+  if (typeof request !== 'object' || Array.isArray(request)) {
+    return { errors: ['split must be an object with a method and participants'], split: null };
+  }
+  
+  const method = request.method || 'equal';
+  if (!SPLIT_METHODS.includes(method)) {
+    return { errors: [`split method must be one of: ${SPLIT_METHODS.join(', ')}`], split: null };
+  }
+  
+  const memberIds = getTripMemberIds(itinerary);
+  const entries = request.participants ?? (method === 'equal' ? memberIds : null);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { errors: [`participants are required for ${method} splits`], split: null };
+  }
+  
+  const seen = new Set();
+  const participants = [];
+  entries.forEach((entry, index) => {
+    const userId = String(typeof entry === 'object' && entry !== null ? entry.userId : entry);
+    if (!memberIds.includes(userId)) {
+      errors.push(`participant ${index + 1} is not a member of this trip`);
+      return;
+    }
+    if (seen.has(userId)) {
+      errors.push(`participant ${index + 1} is listed more than once`);
+      return;
+    }
+    seen.add(userId);
+    
+    if (method === 'equal') {
+      participants.push({ userId, value: 1 });
+      return;
+    }
+    
+    const value = Number(entry?.value);
+    if (entry?.value === null || entry?.value === '' || !Number.isFinite(value) || value < 0 || (method === 'shares' && value === 0)) {
+      errors.push(`participant ${index + 1} needs a ${method === 'shares' ? 'positive number of shares' : 'non-negative value'}`);
+      return;
+    }
+    participants.push({ userId, value });
+  });
+  
+  if (errors.length > 0) return { errors, split: null };
+  
+  const total = participants.reduce((sum, participant) => sum + participant.value, 0);
+  const tolerance = 0.5 / 10 ** currencyDecimals(currency);
+  let amounts;
+  
+  if (method === 'exact') {
+    amounts = participants.map(participant => roundCurrency(participant.value, currency));
+    const sum = amounts.reduce((acc, part) => acc + part, 0);
+    if (Math.abs(sum - amount) > tolerance) {
+      return { errors: [`exact amounts add up to ${roundCurrency(sum, currency)} but the expense is ${amount} ${currency}`], split: null };
+    }
+  } else if (method === 'percentage') {
+    if (Math.abs(total - 100) > 0.01) {
+      return { errors: [`percentages add up to ${Math.round(total * 100) / 100} instead of 100`], split: null };
+    }
+    amounts = allocateAmount(amount, participants.map(participant => participant.value), currency);
+  } else {
+    amounts = allocateAmount(amount, participants.map(participant => participant.value), currency);
+  }
+  
+  return {
+    errors: [],
+    split: {
+      method,
+      participants: participants.map((participant, index) => ({
+        userId: participant.userId,
+        ...(method === 'equal' ? {} : { value: participant.value }),
+        amount: amounts[index]
+      }))
+    }
+  };
+}
+
+// Keeps the method and values of an existing split when only the amount or currency of the expense changes
+function rebuildExpenseSplit(existing, itinerary, amount, currency) {
+  if (!existing?.method) return { errors: [], split: undefined };
+  
+  return buildExpenseSplit({
+    method: existing.method,
+    participants: existing.participants.map(participant => ({ userId: String(participant.userId), value: participant.value }))
+  }, itinerary, amount, currency);
+}
+
+function validateSettlementInput(input, userId) {
+  const errors = [];
+  const settlement = {};
+  
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Settlement details are required'], settlement };
+  }
+  
+  settlement.fromUserId = String(input.fromUserId || userId);
+  if (!mongoose.Types.ObjectId.isValid(settlement.fromUserId)) errors.push('fromUserId must be the id of a trip member');
+  
+  settlement.toUserId = String(input.toUserId || '');
+  if (!mongoose.Types.ObjectId.isValid(settlement.toUserId)) errors.push('toUserId must be the id of a trip member');
+  else if (settlement.toUserId === settlement.fromUserId) errors.push('A settlement needs two different people');
+  
+  const amount = Number(input.amount);
+  if (input.amount === null || input.amount === '' || !Number.isFinite(amount) || amount <= 0 || amount > 10000000) {
+    errors.push('amount must be a positive number');
+  } else {
+    // Rounded to the currency's minor units by the route once the currency is known
+    settlement.amount = amount;
+  }
+  
+  if (input.currency !== undefined) {
+    const currency = normalizeCurrency(input.currency);
+    if (isValidCurrency(currency)) settlement.currency = currency;
+    else errors.push('currency must be a three-letter ISO 4217 code such as EUR');
+  }
+  
+  if (input.date !== undefined) {
+    if (isImportDate(input.date)) settlement.date = input.date;
+    else errors.push('date must be a calendar date in YYYY-MM-DD format');
+  }
+  
+  if (input.note !== undefined && input.note !== null) {
+    if (typeof input.note !== 'string') errors.push('note must be text');
+    else if (input.note.trim().length > 200) errors.push('note must be at most 200 characters');
+    else settlement.note = input.note.trim();
+  }
+  
+  return { errors, settlement };
+}
+
+function formatSettlement(settlement) {
+  return {
+    id: settlement._id,
+    itineraryId: settlement.itineraryId,
+    fromUserId: settlement.fromUserId,
+    toUserId: settlement.toUserId,
+    amount: settlement.amount,
+    currency: settlement.currency,
+    date: settlement.date,
+    note: settlement.note || '',
+    createdBy: settlement.createdBy,
+    createdAt: settlement.createdAt
+  };
+}
+
+// Expenses and settlements in date order with their effect on each person in the trip currency.
+// Expenses without a split are shared equally by the current members; loadTripLedger stores that split first.
+function buildTripLedger(itinerary, expenses, settlements, converter = null) {
+  const currency = itinerary.currency || DEFAULT_CURRENCY;
+  const memberIds = getTripMemberIds(itinerary);
+  const unconverted = new Set();
+  const toTripCurrency = (amount, from, date) => {
+    const source = from || currency;
+    const converted = source === currency ? amount : converter?.convert(amount, source, currency, date) ?? null;
+    if (converted === null) unconverted.add(source);
+    return converted;
+  };
+  
+  const expenseEntries = expenses.map(expense => {
+    const tripAmount = toTripCurrency(expense.amount, expense.currency, expense.date);
+    const ratio = tripAmount === null || !expense.amount ? 0 : tripAmount / expense.amount;
+    const parts = expense.split?.participants?.length
+      ? expense.split.participants.map(participant => ({ userId: String(participant.userId), amount: participant.amount }))
+      : allocateAmount(expense.amount, memberIds.map(() => 1), expense.currency || currency).map((amount, index) => ({ userId: memberIds[index], amount }));
+    
+    return {
+      id: expense._id,
+      type: 'expense',
+      date: expense.date,
+      createdAt: expense.createdAt,
+      description: expense.description || '',
+      category: expense.category,
+      amount: expense.amount,
+      currency: expense.currency || currency,
+      tripAmount,
+      paidBy: String(expense.paidBy),
+      shares: tripAmount === null ? [] : parts.map(part => ({ userId: part.userId, amount: part.amount * ratio }))
+    };
+  });
+  
+  const settlementEntries = settlements.map(settlement => ({
+    id: settlement._id,
+    type: 'settlement',
+    date: settlement.date,
+    createdAt: settlement.createdAt,
+    description: settlement.note || '',
+    category: null,
+    amount: settlement.amount,
+    currency: settlement.currency || currency,
+    tripAmount: toTripCurrency(settlement.amount, settlement.currency, settlement.date),
+    fromUserId: String(settlement.fromUserId),
+    toUserId: String(settlement.toUserId)
+  }));
+  
+  const entries = [...expenseEntries, ...settlementEntries]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || new Date(a.createdAt) - new Date(b.createdAt));
+  
+  return { currency, memberIds, entries, unconverted: [...unconverted], earlyRateWarning: converter?.earlyRateWarning() || null };
+}
+
+// Change in each person's balance caused by one ledger entry; positive means they are owed more
+function getLedgerEntryEffects(entry) {
+  const effects = new Map();
+  const add = (userId, amount) => effects.set(userId, (effects.get(userId) || 0) + amount);
+  if (entry.tripAmount === null) return effects;
+  
+  if (entry.type === 'expense') {
+    add(entry.paidBy, entry.tripAmount);
+    entry.shares.forEach(share => add(share.userId, -share.amount));
+  } else {
+    add(entry.fromUserId, entry.tripAmount);
+    add(entry.toUserId, -entry.tripAmount);
+  }
+  return effects;
+}
+
+// Greedy settle-up: the person owing most pays the person owed most until one of them is even. Everyone either
+// only pays or only receives, and a group of n people never needs more than n - 1 transfers.
+function buildSettleUpTransfers(balances, currency) {
+  const tolerance = 0.5 / 10 ** currencyDecimals(currency);
+  const creditors = balances.filter(entry => entry.balance > tolerance).map(entry => ({ userId: entry.userId, amount: entry.balance }));
+  const debtors = balances.filter(entry => entry.balance < -tolerance).map(entry => ({ userId: entry.userId, amount: -entry.balance }));
+  const transfers = [];
+  
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.amount - a.amount);
+    debtors.sort((a, b) => b.amount - a.amount);
+    
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.amount, debtor.amount);
+    
+    transfers.push({ fromUserId: debtor.userId, toUserId: creditor.userId, amount: roundCurrency(amount, currency) });
+    creditor.amount -= amount;
+    debtor.amount -= amount;
+    if (creditor.amount <= tolerance) creditors.shift();
+    if (debtor.amount <= tolerance) debtors.shift();
+  }
+  
+  return transfers.filter(transfer => transfer.amount > 0);
+}
+
+// Running per-person totals: paid and share of expenses, settlements sent and received, and the net balance
+function buildTripBalances(ledger) {
+  const { currency } = ledger;
+  const people = new Map();
+  const person = userId => {
+    if (!people.has(userId)) people.set(userId, { userId, paid: 0, share: 0, sent: 0, received: 0, balance: 0 });
+    return people.get(userId);
+  };
+  ledger.memberIds.forEach(person);
+  
+  ledger.entries.forEach(entry => {
+    if (entry.tripAmount === null) return;
+    
+    if (entry.type === 'expense') {
+      person(entry.paidBy).paid += entry.tripAmount;
+      entry.shares.forEach(share => { person(share.userId).share += share.amount; });
+    } else {
+      person(entry.fromUserId).sent += entry.tripAmount;
+      person(entry.toUserId).received += entry.tripAmount;
+    }
+    getLedgerEntryEffects(entry).forEach((amount, userId) => { person(userId).balance += amount; });
+  });
+  
+  const balances = [...people.values()].map(entry => ({
+    userId: entry.userId,
+    paid: roundCurrency(entry.paid, currency),
+    share: roundCurrency(entry.share, currency),
+    sent: roundCurrency(entry.sent, currency),
+    received: roundCurrency(entry.received, currency),
+    balance: roundCurrency(entry.balance, currency)
+  }));
+  
+  const warnings = ledger.unconverted.length > 0
+    ? [{ type: 'unconverted_currency', severity: 'low', message: `No exchange rate to ${currency} is available for ${ledger.unconverted.join(', ')}, so those amounts are left out of the balances` }]
+    : [];
+  if (ledger.earlyRateWarning) warnings.push(ledger.earlyRateWarning);
+  
+  return { currency, balances, transfers: buildSettleUpTransfers(balances, currency), warnings };
+}
+
+// Spreadsheet apps run cells starting with =, +, - or @ as formulas, so text cells like that are prefixed with a quote
+function csvCell(value, { text = false } = {}) {
+  let cell = value === null || value === undefined ? '' : String(value);
+  if (text && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// One row per expense or settlement with each person's balance change, then a closing balance row
+function buildLedgerCsv(ledger, namesById) {
+  const { currency } = ledger;
+  const people = [...new Set([...ledger.memberIds, ...ledger.entries.flatMap(entry => [...getLedgerEntryEffects(entry).keys()])])];
+  const name = userId => namesById.get(userId) || 'Former member';
+  const totals = new Map(people.map(userId => [userId, 0]));
+  const amount = value => roundCurrency(value, currency).toFixed(currencyDecimals(currency));
+  
+  const header = ['Date', 'Type', 'Description', 'Category', 'Paid by', 'Paid to', 'Amount', 'Currency', `Amount (${currency})`, ...people.map(name)];
+  const rows = ledger.entries.map(entry => {
+    const effects = getLedgerEntryEffects(entry);
+    effects.forEach((value, userId) => totals.set(userId, totals.get(userId) + value));
+    
+    return [
+      csvCell(entry.date),
+      csvCell(entry.type),
+      csvCell(entry.description, { text: true }),
+      csvCell(entry.category),
+      csvCell(name(entry.type === 'expense' ? entry.paidBy : entry.fromUserId), { text: true }),
+      csvCell(entry.type === 'settlement' ? name(entry.toUserId) : '', { text: true }),
+      csvCell(entry.amount),
+      csvCell(entry.currency),
+      csvCell(entry.tripAmount === null ? '' : amount(entry.tripAmount)),
+      ...people.map(userId => csvCell(effects.has(userId) ? amount(effects.get(userId)) : ''))
+    ].join(',');
+  });
+  
+  const balanceRow = ['', 'balance', '', '', '', '', '', '', '', ...people.map(userId => amount(totals.get(userId)))].join(',');
+  
+  return [header.map(cell => csvCell(cell, { text: true })).join(','), ...rows, balanceRow].join('\r\n') + '\r\n';
+}
+
+// Expenses saved before splitting existed get an equal split over the members at the time they are first read,
+// so members joining or leaving later do not move balances that were already settled
+async function storeLegacyExpenseSplits(itinerary, expenses) {
+  const currency = itinerary.currency || DEFAULT_CURRENCY;
+  const updates = [];
+  
+  expenses.filter(expense => !expense.split?.participants?.length).forEach(expense => {
+    const { split } = buildExpenseSplit(undefined, itinerary, expense.amount, expense.currency || currency);
+    if (!split) return;
+    expense.split = split;
+    updates.push({
+      updateOne: {
+        filter: { _id: expense._id, 'split.participants.0': { $exists: false } },
+        update: { $set: { split } }
+      }
+    });
+  });
+  
+  if (updates.length > 0) {
+    await Expense.bulkWrite(updates);
+    logger.info('💸 Stored splits for legacy expenses', { itineraryId: itinerary._id, expenses: updates.length });
+  }
+}
+
+// Loads everything the balance views need; names cover former members who still appear in the ledger
+async function loadTripLedger(itinerary) {
+  const [expenses, settlements] = await Promise.all([
+    Expense.find({ itineraryId: itinerary._id }).lean(),
+    Settlement.find({ itineraryId: itinerary._id }).lean()
+  ]);
+  await storeLegacyExpenseSplits(itinerary, expenses);
+  const converter = await createCurrencyConverter([...expenses, ...settlements].map(entry => entry.date));
+  const ledger = buildTripLedger(itinerary, expenses, settlements, converter);
+  
+  const userIds = new Set([...ledger.memberIds, ...ledger.entries.flatMap(entry => [entry.paidBy, entry.fromUserId, entry.toUserId, ...(entry.shares || []).map(share => share.userId)])]);
+  const users = await User.find({ _id: { $in: [...userIds].filter(Boolean) } }).select('name').lean();
+  const namesById = new Map(users.map(user => [String(user._id), user.name]));
+  
+  return { ledger, namesById };
+}
+
+// ===== GEOCODING UTILITIES =====
+// Resolves destinations and activity locations to coordinates with a 0-1 confidence score.
+// Answers are cached per provider; the offline gazetteer provider doubles as the fallback when the online one fails.
+const GAZETTEER_FILE = process.env.GAZETTEER_FILE || path.join(__dirname, 'data', 'gazetteer.json');
+const GEOCODE_CACHE_DAYS = parseInt(process.env.GEOCODE_CACHE_DAYS) || 90;
+const GEOCODE_MISS_CACHE_HOURS = 24;
+const GEOCODE_NEAR_RADIUS_METERS = 150 * 1000;
+const GEOCODE_ITINERARY_TIME_BUDGET_MS = parseInt(process.env.GEOCODE_ITINERARY_TIME_BUDGET_MS) || 10 * 1000;
+const GAZETTEER_TYPE_RANK = { region: 0, city: 1, district: 2, landmark: 3 };
+let gazetteerEntries = null;
+let nominatimQueue = Promise.resolve();
+
+function normalizeGeocodeQuery(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+async function loadGazetteer() {
+  if (gazetteerEntries) return gazetteerEntries;
+  
+  const content = JSON.parse(await fs.promises.readFile(GAZETTEER_FILE, 'utf8'));
+  const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+  gazetteerEntries = (content.places || [])
+    .filter(place => place && place.name && isValidCoordinate(place.latitude, place.longitude))
+    .map(place => ({
+      ...place,
+      names: [place.name, ...(place.aliases || [])].map(normalizeGeocodeQuery).filter(Boolean),
+      parentName: normalizeGeocodeQuery(place.parent),
+      countryNames: place.country ? [place.country, countryNames.of(place.country)].map(normalizeGeocodeQuery) : []
+    }));
+  
+  logger.info('🗺️ Gazetteer loaded', { file: GAZETTEER_FILE, places: gazetteerEntries.length });
+  return gazetteerEntries;
+}
+
+// Providers return their best match as { latitude, longitude, confidence, displayName, precision } or null
+const geocodingProviders = {
+  // Whole-word name matches; the most specific place wins and words it does not explain lower the confidence
+  gazetteer: {
+    async geocode(query) {
+      const normalized = normalizeGeocodeQuery(query);
+      const words = normalized.split(' ').filter(Boolean);
+      if (words.length === 0) return null;
+      
+      const padded = ` ${normalized} `;
+      const matches = (await loadGazetteer())
+        .map(place => ({ place, name: place.names.filter(name => padded.includes(` ${name} `)).sort((a, b) => b.length - a.length)[0] }))
+        .filter(match => match.name)
+        .sort((a, b) => GAZETTEER_TYPE_RANK[b.place.type] - GAZETTEER_TYPE_RANK[a.place.type] || b.name.length - a.name.length);
+      
+      if (matches.length === 0) return null;
+      
+      // The parent place and country only count when the query names them, as in "Asakusa, Tokyo, Japan"
+      const { place, name } = matches[0];
+      const qualifiers = [place.parentName, ...place.countryNames].filter(qualifier => qualifier && padded.includes(` ${qualifier} `));
+      const explained = new Set([name, ...qualifiers].flatMap(text => text.split(' ')));
+      const coverage = words.filter(word => explained.has(word)).length / words.length;
+      
+      return {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        confidence: Math.round(0.9 * coverage * 100) / 100,
+        displayName: [place.name, place.parent, place.country].filter(Boolean).join(', '),
+        precision: place.type
+      };
+    }
+  },
+  
+  // OpenStreetMap Nominatim; its usage policy allows one request per second with an identifying User-Agent
+  nominatim: {
+    async geocode(query) {
+      const request = () => axios.get(`${process.env.GEOCODING_API_URL || 'https://nominatim.openstreetmap.org'}/search`, {
+        params: { q: query, format: 'jsonv2', limit: 1, addressdetails: 0 },
+        headers: { 'User-Agent': process.env.GEOCODING_USER_AGENT || 'Aventra travel planner' },
+        timeout: 10000
+      });
+      const run = nominatimQueue.then(request);
+      nominatimQueue = run.catch(() => {}).then(() => new Promise(resolve => setTimeout(resolve, 1000)));
+      
+      const [match] = (await run).data || [];
+      if (!match) return null;
+      
+      // place_rank runs from 4 (country) to 30 (building); importance reflects how well known the place is
+      const specificity = Math.min(1, (Number(match.place_rank) || 0) / 30);
+      const importance = Math.min(1, Number(match.importance) || 0);
+      
+      return {
+        latitude: parseFloat(match.lat),
+        longitude: parseFloat(match.lon),
+        confidence: Math.round((0.6 * specificity + 0.4 * importance) * 100) / 100,
+        displayName: match.display_name,
+        precision: match.addresstype || match.type || null
+      };
+    }
+  }
+};
+
+// Primary provider from GEOCODING_PROVIDER (default: the offline gazetteer), then the gazetteer as fallback.
+// An unknown name is reported once at startup and only the gazetteer is used, so lookups keep working.
+function getGeocodingProviders() {
+  const primary = process.env.GEOCODING_PROVIDER || 'gazetteer';
+  if (!geocodingProviders[primary]) {
+    logger.warn('⚠️ Unknown GEOCODING_PROVIDER, using the offline gazetteer', { provider: primary, known: Object.keys(geocodingProviders) });
+    return ['gazetteer'];
+  }
+  return [...new Set([primary, 'gazetteer'])];
+}
+
+const GEOCODING_PROVIDER_ORDER = getGeocodingProviders();
+
+async function geocodeWithProvider(providerName, query, { cacheOnly = false } = {}) {
+  const key = `${providerName}:${normalizeGeocodeQuery(query)}`;
+  const cached = await GeocodeCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  if (cached || cacheOnly) return cached ? cached.result : null;
+  
+  const result = await geocodingProviders[providerName].geocode(query);
+  const ttlMs = result ? GEOCODE_CACHE_DAYS * 24 * 60 * 60 * 1000 : GEOCODE_MISS_CACHE_HOURS * 60 * 60 * 1000;
+  await GeocodeCache.findOneAndUpdate(
+    { key },
+    { key, provider: providerName, query, result, expiresAt: new Date(Date.now() + ttlMs) },
+    { upsert: true }
+  );
+  return result;
+}
+
+// Results far from `near` (usually the destination) are kept but their confidence is cut.
+// cacheOnly answers from the cache without calling any provider.
+async function geocodeLocation(query, { near = null, cacheOnly = false } = {}) {
+  if (!normalizeGeocodeQuery(query)) return null;
+  
+  for (const providerName of GEOCODING_PROVIDER_ORDER) {
+    let found;
+    try {
+      found = await geocodeWithProvider(providerName, query, { cacheOnly });
+    } catch (error) {
+      logger.warn('⚠️ Geocoding provider failed', { provider: providerName, query, error: error.message });
+      continue;
+    }
+    if (!found) continue;
+    
+    const result = { ...found, provider: providerName };
+    if (near && isValidCoordinate(near.latitude, near.longitude)) {
+      const distance = haversineDistanceMeters(near, result);
+      if (distance > GEOCODE_NEAR_RADIUS_METERS) {
+        result.confidence = Math.round(result.confidence * 0.25 * 100) / 100;
+        result.distanceFromDestinationMeters = Math.round(distance);
+      }
+    }
+    return result;
+  }
+  
+  return null;
+}
+
+// Locations such as "Downtown" only make sense with the destination added
+function buildActivityGeocodeQueries(activity, destination) {
+  const queries = [];
+  const withDestination = text => (normalizeGeocodeQuery(text).includes(normalizeGeocodeQuery(destination)) ? text : `${text}, ${destination}`);
+  
+  if (activity.location && activity.location.trim()) queries.push(withDestination(activity.location.trim()));
+  if (activity.activity && activity.activity.trim()) queries.push(withDestination(activity.activity.trim()));
+  return queries;
+}
+
+function toStoredCoordinates(result) {
+  return {
+    latitude: result.latitude,
+    longitude: result.longitude,
+    confidence: result.confidence,
+    provider: result.provider,
+    precision: result.precision || null,
+    manual: false,
+    resolvedAt: new Date()
+  };
+}
+
+// Tries the location first and the activity name when that gives a weak match (below 0.5)
+async function resolveActivityCoordinates(activity, destination, near, options = {}) {
+  let best = null;
+  for (const query of buildActivityGeocodeQueries(activity, destination)) {
+    const result = await geocodeLocation(query, { near, ...options });
+    if (result && (!best || result.confidence > best.confidence)) best = result;
+    if (best && best.confidence >= 0.5) break;
+  }
+  return best;
+}
+
+// Fills in missing coordinates on the destination and every activity; with force, everything except manual
+// corrections is looked up again. Once the time budget is spent only cached answers are used, so large trips
+// come back partly resolved rather than blocking the request.
+async function geocodeItinerary(itinerary, { force = false, timeBudgetMs = GEOCODE_ITINERARY_TIME_BUDGET_MS } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const stats = { resolved: 0, unresolved: 0, skipped: 0 };
+  const options = () => ({ cacheOnly: Date.now() > deadline });
+  const needsLookup = coordinates => force ? !coordinates?.manual : !isValidCoordinate(coordinates?.latitude, coordinates?.longitude);
+  
+  if (needsLookup(itinerary.destinationCoordinates)) {
+    const result = await geocodeLocation(itinerary.destination, options());
+    if (result) itinerary.destinationCoordinates = toStoredCoordinates(result);
+  }
+  const near = isValidCoordinate(itinerary.destinationCoordinates?.latitude, itinerary.destinationCoordinates?.longitude)
+    ? itinerary.destinationCoordinates
+    : null;
+  
+  for (const day of itinerary.days || []) {
+    for (const activity of day.activities || []) {
+      if (!needsLookup(activity.coordinates)) {
+        stats.skipped++;
+        continue;
+      }
+      
+      const result = await resolveActivityCoordinates(activity, itinerary.destination, near, options());
+      if (result) {
+        activity.coordinates = toStoredCoordinates(result);
+        stats.resolved++;
+      } else {
+        stats.unresolved++;
+      }
+    }
+  }
+  
+  return stats;
+}
+
+// Best effort like attachActivityPhoto: an activity without coordinates is still a valid activity
+async function attachActivityCoordinates(itinerary, activity) {
+  try {
+    const result = await resolveActivityCoordinates(activity, itinerary.destination, itinerary.destinationCoordinates);
+    activity.coordinates = result ? toStoredCoordinates(result) : undefined;
+  } catch (error) {
+    logger.warn('⚠️ Could not geocode activity', { activity: activity.activity, error: error.message });
+  }
+}
+
+// Hand corrections are stored with full confidence and are never overwritten by the geocoder
+function validateManualCoordinates(input) {
+  if (!input || typeof input !== 'object') return { error: 'coordinates must be an object with latitude and longitude' };
+  
+  const latitude = parseFloat(input.latitude);
+  const longitude = parseFloat(input.longitude);
+  if (!isValidCoordinate(latitude, longitude)) return { error: 'latitude must be between -90 and 90 and longitude between -180 and 180' };
+  
+  return { coordinates: { latitude, longitude, confidence: 1, provider: 'manual', precision: null, manual: true, resolvedAt: new Date() } };
+}
+
+// Coordinates shown to people outside the trip leave out how they were resolved
+function publicCoordinates(coordinates) {
+  if (!isValidCoordinate(coordinates?.latitude, coordinates?.longitude)) return null;
+  return { latitude: coordinates.latitude, longitude: coordinates.longitude };
+}
+
+// ===== DAY SCHEDULING UTILITIES =====
+// Travel between activities is estimated from straight-line distance, stretched because streets are not straight.
+// Each mode has an average speed and a fixed overhead for waiting, parking or finding the stop.
+const TRAVEL_MODES = {
+  walking: { speedKmh: 4.5, overheadMinutes: 0 },
+  cycling: { speedKmh: 14, overheadMinutes: 3 },
+  transit: { speedKmh: 20, overheadMinutes: 10 },
+  driving: { speedKmh: 30, overheadMinutes: 10 }
+};
+const ROUTE_DETOUR_FACTOR = 1.3;
+// "auto" walks short hops and takes public transport for anything longer
+const AUTO_WALKING_MAX_METERS = 1500;
+const SCHEDULE_SHIFT_STEP_MINUTES = 5;
+const SCHEDULE_DEFAULTS = { mode: 'auto', bufferMinutes: 0, gapMinutes: 180 };
+
+// Reads mode, bufferMinutes and gapMinutes from a query string or request body
+function readScheduleOptions(source = {}) {
+  const errors = [];
+  const options = { ...SCHEDULE_DEFAULTS };
+  
+  if (source.mode !== undefined) {
+    if (source.mode === 'auto' || TRAVEL_MODES[source.mode]) options.mode = source.mode;
+    else errors.push(`mode must be one of: auto, ${Object.keys(TRAVEL_MODES).join(', ')}`);
+  }
+  
+  [['bufferMinutes', 0, 120], ['gapMinutes', 30, 720]].forEach(([field, min, max]) => {
+    if (source[field] === undefined) return;
+    const value = Number(source[field]);
+    if (Number.isInteger(value) && value >= min && value <= max) options[field] = value;
+    else errors.push(`${field} must be a whole number of minutes between ${min} and ${max}`);
+  });
+  
+  return { errors, options };
+}
+
+function formatScheduleTime(minutes) {
+  const time = ((minutes % 1440) + 1440) % 1440;
+  return `${Math.floor(time / 60).toString().padStart(2, '0')}:${(time % 60).toString().padStart(2, '0')}`;
+}
+
+// Returns { mode, distanceMeters, minutes, approximate } or null when either end has no coordinates.
+// approximate marks estimates between low-confidence coordinates such as a city centre.
+function estimateTravel(from, to, mode = SCHEDULE_DEFAULTS.mode) {
+  if (!isValidCoordinate(from?.latitude, from?.longitude) || !isValidCoordinate(to?.latitude, to?.longitude)) return null;
+  
+  const distanceMeters = haversineDistanceMeters(from, to) * ROUTE_DETOUR_FACTOR;
+  const modeName = mode === 'auto' ? (distanceMeters <= AUTO_WALKING_MAX_METERS ? 'walking' : 'transit') : mode;
+  const profile = TRAVEL_MODES[modeName];
+  const minutes = distanceMeters < 50 ? 0 : Math.ceil(profile.overheadMinutes + distanceMeters / 1000 / profile.speedKmh * 60);
+  
+  return {
+    mode: modeName,
+    distanceMeters: Math.round(distanceMeters),
+    minutes,
+    approximate: Math.min(from.confidence ?? 1, to.confidence ?? 1) < 0.5
+  };
+}
+
+// Walks a day in order and checks every timed activity against the one before it: overlaps and transfers that do
+// not fit are conflicts, long idle stretches and missing times, durations or locations are notices.
+// With autoShift, conflicting activities move later (never earlier) to the first time they can be reached;
+// the proposed moves are returned as shifts and nothing is changed on the day itself.
+function buildDayTimeline(day, options = SCHEDULE_DEFAULTS) {
+  const { mode, bufferMinutes, gapMinutes, autoShift = false } = { ...SCHEDULE_DEFAULTS, ...options };
+  const entries = [];
+  const warnings = [];
+  const shifts = [];
+  const warn = (type, severity, activity, message, details = {}) => {
+    warnings.push({ type, severity, activityId: activity._id, activity: activity.activity, message, ...details });
+  };
+  let previous = null;
+  
+  (day.activities || []).forEach(activity => {
+    const scheduledStart = activityTimeToMinutes(activity.time);
+    const parsedDuration = parseDurationMinutes(activity.duration);
+    const durationMinutes = parsedDuration || DEFAULT_ACTIVITY_MINUTES;
+    const entry = {
+      activityId: activity._id,
+      activity: activity.activity,
+      location: activity.location || '',
+      time: null,
+      endTime: null,
+      durationMinutes,
+      durationEstimated: !parsedDuration,
+      coordinates: publicCoordinates(activity.coordinates),
+      travelFromPrevious: null
+    };
+    entries.push(entry);
+    
+    if (!parsedDuration) {
+      warn('missing_duration', 'notice', activity, `No readable duration; ${DEFAULT_ACTIVITY_MINUTES} minutes assumed`);
+    }
+    if (!entry.coordinates) {
+      warn('missing_location', 'notice', activity, 'No coordinates, so travel to and from this activity is not checked');
+    }
+    if (scheduledStart === null) {
+      warn('missing_time', 'notice', activity, 'No start time; the activity is left out of the timeline checks');
+      return;
+    }
+    
+    let start = scheduledStart;
+    if (previous) {
+      const travel = estimateTravel(previous.coordinates, activity.coordinates, mode);
+      const readyAt = previous.end + (travel ? travel.minutes : 0) + bufferMinutes;
+      entry.travelFromPrevious = travel;
+      
+      if (autoShift && start < readyAt) {
+        const shifted = Math.ceil(readyAt / SCHEDULE_SHIFT_STEP_MINUTES) * SCHEDULE_SHIFT_STEP_MINUTES;
+        if (shifted < 1440) {
+          shifts.push({ activityId: activity._id, activity: activity.activity, from: activity.time, to: formatScheduleTime(shifted), minutes: shifted - start });
+          start = shifted;
+        }
+      }
+      
+      if (start < previous.end) {
+        warn('overlap', 'conflict', activity, `Starts ${previous.end - start} minutes before "${previous.activity}" ends`, { overlapMinutes: previous.end - start });
+      } else if (start < readyAt) {
+        const needed = travel ? `about ${travel.minutes} minutes by ${travel.mode}` : `${bufferMinutes} minutes of buffer`;
+        warn('unreachable', 'conflict', activity, `Needs ${needed} after "${previous.activity}" but ${start - previous.end} minutes are planned`, { shortByMinutes: readyAt - start });
+      } else if (start - readyAt >= gapMinutes) {
+        warn('gap', 'notice', activity, `${start - readyAt} free minutes after "${previous.activity}"`, { idleMinutes: start - readyAt });
+      }
+      entry.idleMinutesBefore = Math.max(0, start - readyAt);
+    }
+    
+    entry.time = formatScheduleTime(start);
+    entry.endTime = formatScheduleTime(start + durationMinutes);
+    entry.endsNextDay = start + durationMinutes > 1440;
+    previous = { end: start + durationMinutes, coordinates: activity.coordinates, activity: activity.activity };
+  });
+  
+  const timed = entries.filter(entry => entry.time);
+  return {
+    dayId: day._id,
+    date: day.date,
+    activities: entries,
+    warnings,
+    shifts,
+    summary: {
+      start: timed[0]?.time || null,
+      end: timed[timed.length - 1]?.endTime || null,
+      activityMinutes: timed.reduce((sum, entry) => sum + entry.durationMinutes, 0),
+      travelMinutes: timed.reduce((sum, entry) => sum + (entry.travelFromPrevious?.minutes || 0), 0),
+      idleMinutes: timed.reduce((sum, entry) => sum + (entry.idleMinutesBefore || 0), 0),
+      conflicts: warnings.filter(warning => warning.severity === 'conflict').length
+    }
+  };
+}
+
+// dates limits the timeline to some days; the totals cover only those days
+function buildItineraryTimeline(itinerary, options = SCHEDULE_DEFAULTS, dates = null) {
+  const { mode, bufferMinutes, gapMinutes } = { ...SCHEDULE_DEFAULTS, ...options };
+  const days = (itinerary.days || [])
+    .filter(day => !dates || dates.includes(day.date))
+    .map(day => buildDayTimeline(day, options));
+  
+  return {
+    options: { mode, bufferMinutes, gapMinutes },
+    days,
+    conflicts: days.reduce((sum, day) => sum + day.summary.conflicts, 0),
+    notices: days.reduce((sum, day) => sum + day.warnings.length - day.summary.conflicts, 0),
+    shifts: days.flatMap(day => day.shifts.map(shift => ({ ...shift, date: day.date })))
+  };
+}
+
+// Writes the shifted times of an autoShift timeline back onto the itinerary's activities
+function applyTimelineShifts(itinerary, timeline) {
+  timeline.shifts.forEach(shift => {
+    const found = findItineraryActivity(itinerary, shift.activityId);
+    if (found) found.activity.time = shift.to;
+  });
+  if (timeline.shifts.length > 0) sortItineraryDays(itinerary);
+}
+
+// ===== AUTHENTICATION ROUTES =====
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+    logger.info('👤 User registration attempt', { name, email });
+    
+    if (!name || !name.trim()) {
+      logger.warn('⚠️ Registration failed: Missing name', { email });
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    
+    if (!isValidEmail(email)) {
+      logger.warn('⚠️ Registration failed: Invalid email', { email });
+      return res.status(400).json({ message: 'A valid email address is required' });
+    }
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      logger.warn('⚠️ Registration failed: Weak password', { email });
+      return res.status(400).json({ message: passwordError });
+    }
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      logger.warn('⚠️ Registration failed: User already exists', { email });
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = new User({ name, email, password: hashedPassword });
+    await user.save();
+    
+    logger.info('✅ User registered successfully', { userId: user._id, email });
+
+    // Registration still succeeds if the mail transport is down; the user can resend later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('❌ Failed to send verification email:', mailError);
+    }
+
+    const tokens = await issueAuthTokens(user, req);
+
+    res.status(201).json({
+      message: 'User created successfully',
+      ...tokens,
+      user: { id: user._id, name: user.name, email: user.email, emailVerified: user.emailVerified },
+    });
+  } catch (error) {
+    logger.error('❌ Registration error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : req.body.email;
+    logger.info('🔐 User login attempt', { email });
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      logger.warn('⚠️ Login failed: User not found', { email });
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      logger.warn('⚠️ Login failed: Invalid password', { email });
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // Users with 2FA get a short-lived challenge token instead of an access token
+    if (user.twoFactorEnabled) {
+      logger.info('🔐 Login requires second factor', { userId: user._id, email });
+      
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await generateTwoFactorChallengeToken(user)
+      });
+    }
+
+    const tokens = await issueAuthTokens(user, req);
+
+    logger.info('✅ User logged in successfully', { userId: user._id, email });
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: { id: user._id, name: user.name, email: user.email, emailVerified: user.emailVerified },
+    });
+  } catch (error) {
+    logger.error('❌ Login error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    logger.info('🔐 Two-factor login verification attempt', { usingRecoveryCode: !!recoveryCode });
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      logger.warn('⚠️ 2FA verification missing parameters');
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET || 'fallback-secret');
+    } catch (tokenError) {
+      logger.warn('⚠️ 2FA verification failed: Invalid challenge token', { error: tokenError.message });
+      return res.status(401).json({ message: 'Challenge expired or invalid, please log in again' });
+    }
+
+    if (challenge.purpose !== '2fa_challenge') {
+      logger.warn('⚠️ 2FA verification failed: Wrong token purpose', { purpose: challenge.purpose });
+      return res.status(401).json({ message: 'Challenge expired or invalid, please log in again' });
+    }
+
+    const user = await User.findById(challenge.userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      logger.warn('⚠️ 2FA verification failed: User not found or 2FA disabled', { userId: challenge.userId });
+      return res.status(401).json({ message: 'Challenge expired or invalid, please log in again' });
+    }
+
+    // Also limited per account, since starting a new challenge resets the per-challenge attempt count
+    if (!rateLimiter.isAllowed(`2fa:${user._id}`)) {
+      logger.warn('⚠️ 2FA verification failed: Account rate limit exceeded', { userId: user._id });
+      return res.status(429).json({ message: 'Too many attempts, please wait a minute and try again' });
+    }
+
+    if (!(await claimTwoFactorAttempt(user._id, challenge.challengeId))) {
+      logger.warn('⚠️ 2FA verification failed: Challenge used up or replaced', { userId: user._id });
+      return res.status(429).json({ message: 'Too many attempts or the challenge is no longer valid, please log in again' });
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      logger.warn('⚠️ 2FA verification failed: Invalid code', { userId: user._id });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { twoFactorChallengeId: 1, twoFactorChallengeAttempts: 1 } });
+
+    if (result.method === 'recovery_code') {
+      await new UserActivity({
+        userId: user._id,
+        type: 'two_factor_recovery_used',
+        title: 'Recovery code used',
+        description: `Signed in with a recovery code (${result.remainingRecoveryCodes} remaining)`,
+        icon: '🔑',
+        metadata: { remainingRecoveryCodes: result.remainingRecoveryCodes }
+      }).save();
+    }
+
+    const tokens = await issueAuthTokens(user, req);
+
+    logger.info('✅ User logged in with two-factor authentication', { userId: user._id, method: result.method });
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: { id: user._id, name: user.name, email: user.email, emailVerified: user.emailVerified },
+      ...(result.method === 'recovery_code' && { remainingRecoveryCodes: result.remainingRecoveryCodes })
+    });
+  } catch (error) {
+    logger.error('❌ Two-factor verification error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== SESSION ROUTES =====
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    logger.info('🔄 Token refresh attempt');
+
+    if (!refreshToken) {
+      logger.warn('⚠️ Token refresh missing refresh token');
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!record || record.expiresAt <= new Date()) {
+      logger.warn('⚠️ Token refresh failed: Unknown or expired token');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // The token is claimed before a new one is issued, so two concurrent refreshes cannot both rotate it
+    const claimed = record.revokedAt ? null : await RefreshToken.findOneAndUpdate(
+      { _id: record._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() } },
+      { new: true }
+    );
+
+    // A rotated or revoked token being presented again means it was stolen or replayed
+    if (!claimed) {
+      const revokedCount = await revokeTokenFamily(record.familyId, 'reuse_detected');
+      
+      logger.warn('🚨 Refresh token reuse detected, session revoked', {
+        userId: record.userId,
+        sessionId: record.familyId,
+        revokedCount
+      });
+
+      await new UserActivity({
+        userId: record.userId,
+        type: 'session_reuse_detected',
+        title: 'Suspicious sign-in activity',
+        description: `A previously used refresh token was presented from ${getClientIp(req)}; the ${record.device || 'device'} session was signed out`,
+        icon: '🚨',
+        metadata: { sessionId: record.familyId, ipAddress: getClientIp(req) }
+      }).save();
+
+      return res.status(401).json({ message: 'Refresh token reuse detected, please log in again' });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      logger.warn('⚠️ Token refresh failed: User not found', { userId: record.userId });
+      await revokeTokenFamily(record.familyId, 'user_missing');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const { refreshToken: newRefreshToken, record: newRecord } = await createRefreshToken(user, req, record.familyId);
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedByHash: newRecord.tokenHash } });
+
+    logger.info('✅ Tokens refreshed successfully', { userId: user._id, sessionId: record.familyId });
+
+    res.json({
+      token: generateAccessToken(user, record.familyId),
+      refreshToken: newRefreshToken,
+      sessionId: record.familyId,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    logger.error('❌ Token refresh error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    logger.info('👋 Logout request', { userId, sessionId });
+
+    await revokeTokenFamily(sessionId, 'logout');
+
+    logger.info('✅ User logged out successfully', { userId, sessionId });
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('❌ Logout error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    logger.info('📋 Active sessions fetch request', { userId });
+
+    // Each session's current (unrotated) refresh token carries its latest device and IP
+    const activeTokens = await RefreshToken
+      .find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    const sessionStarts = await RefreshToken.aggregate([
+      { $match: { familyId: { $in: activeTokens.map(token => token.familyId) } } },
+      { $group: { _id: '$familyId', startedAt: { $min: '$createdAt' } } }
+    ]);
+    const startedAtByFamily = new Map(sessionStarts.map(entry => [entry._id, entry.startedAt]));
+
+    const sessions = activeTokens.map(token => ({
+      id: token.familyId,
+      device: token.device,
+      userAgent: token.userAgent,
+      ipAddress: token.ipAddress,
+      startedAt: startedAtByFamily.get(token.familyId) || token.createdAt,
+      lastActiveAt: token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: token.familyId === sessionId
+    }));
+
+    logger.info('✅ Active sessions fetched successfully', { userId, count: sessions.length });
+
+    res.json(sessions);
+  } catch (error) {
+    logger.error('❌ Sessions fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const targetSessionId = req.params.id;
+    logger.info('🚪 Session revoke request', { userId, targetSessionId });
+
+    const session = await RefreshToken.exists({ userId, familyId: targetSessionId });
+    if (!session) {
+      logger.warn('⚠️ Session not found for revoke', { userId, targetSessionId });
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeTokenFamily(targetSessionId, 'revoked_by_user');
+
+    await new UserActivity({
+      userId,
+      type: 'session_revoked',
+      title: 'Session signed out',
+      description: 'A signed-in device was signed out',
+      icon: '🚪',
+      metadata: { sessionId: targetSessionId }
+    }).save();
+
+    logger.info('✅ Session revoked successfully', { userId, targetSessionId });
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    logger.error('❌ Session revoke error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/sessions/revoke-all', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    logger.info('🚪 Revoke all sessions request', { userId });
+
+    const result = await RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_all' }
+    );
+
+    await new UserActivity({
+      userId,
+      type: 'session_revoked',
+      title: 'Signed out everywhere',
+      description: 'All signed-in devices were signed out',
+      icon: '🚪',
+      metadata: { revokedCount: result.modifiedCount }
+    }).save();
+
+    logger.info('✅ All sessions revoked successfully', { userId, revokedCount: result.modifiedCount });
+
+    res.json({ success: true, message: 'All sessions revoked', revokedCount: result.modifiedCount });
+  } catch (error) {
+    logger.error('❌ Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== EMAIL VERIFICATION & PASSWORD ROUTES =====
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    logger.info('✉️ Email verification attempt');
+
+    const accountToken = await consumeAccountToken(token, 'email_verification');
+    if (!accountToken) {
+      logger.warn('⚠️ Email verification failed: Invalid or expired token');
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(accountToken.userId);
+
+    // The token is only good for the address it was sent to
+    if (!user || user.email !== accountToken.email) {
+      logger.warn('⚠️ Email verification failed: User missing or email changed', { userId: accountToken.userId });
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.updatedAt = Date.now();
+    await user.save();
+
+    await new UserActivity({
+      userId: user._id,
+      type: 'email_verified',
+      title: 'Email verified',
+      description: `Verified ${user.email}`,
+      icon: '✉️'
+    }).save();
+
+    logger.info('✅ Email verified successfully', { userId: user._id });
+
+    res.json({ success: true, emailVerified: true });
+  } catch (error) {
+    logger.error('❌ Email verification error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    logger.info('✉️ Resend verification email request', { userId });
+
+    const user = await User.findById(userId);
+    if (!user) {
+      logger.warn('⚠️ Resend verification: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.json({ success: true, message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.info('✅ Verification email resent', { userId });
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('❌ Resend verification error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    logger.info('🔑 Forgot password request', { email });
+
+    if (!isValidEmail(email)) {
+      logger.warn('⚠️ Forgot password: Invalid email', { email });
+      return res.status(400).json({ message: 'A valid email address is required' });
+    }
+
+    const user = await User.findOne({ email: email.trim() });
+
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+        logger.info('✅ Password reset email sent', { userId: user._id });
+      } catch (mailError) {
+        logger.error('❌ Failed to send password reset email:', mailError);
+      }
+    } else {
+      logger.warn('⚠️ Forgot password: No account for email', { email });
+    }
+
+    // Same response either way so the endpoint cannot be used to discover accounts
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    logger.error('❌ Forgot password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    logger.info('🔑 Password reset attempt');
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      logger.warn('⚠️ Password reset failed: Weak password');
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const accountToken = await consumeAccountToken(token, 'password_reset');
+    if (!accountToken) {
+      logger.warn('⚠️ Password reset failed: Invalid or expired token');
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(accountToken.userId);
+    if (!user) {
+      logger.warn('⚠️ Password reset failed: User not found', { userId: accountToken.userId });
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    // Receiving the reset link proves ownership of the address
+    if (user.email === accountToken.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    user.updatedAt = Date.now();
+    await user.save();
+
+    // Anyone holding an old session should have to sign in with the new password
+    const revokedCount = await RefreshToken.updateMany(
+      { userId: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'password_reset' }
+    );
+
+    await new UserActivity({
+      userId: user._id,
+      type: 'password_reset',
+      title: 'Password reset',
+      description: 'Password was reset using an emailed link; all devices were signed out',
+      icon: '🔑',
+      metadata: { ipAddress: getClientIp(req), revokedSessions: revokedCount.modifiedCount }
+    }).save();
+
+    logger.info('✅ Password reset successfully', { userId: user._id });
+
+    res.json({ success: true, message: 'Password has been reset, please log in again' });
+  } catch (error) {
+    logger.error('❌ Password reset error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const { userId, sessionId } = req.user;
+    logger.info('🔑 Change password request', { userId });
+
+    if (!currentPassword) {
+      logger.warn('⚠️ Change password: Missing current password', { userId });
+      return res.status(400).json({ message: 'Current password is required' });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      logger.warn('⚠️ Change password: Weak password', { userId });
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      logger.warn('⚠️ Change password: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      logger.warn('⚠️ Change password: Current password incorrect', { userId });
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    user.updatedAt = Date.now();
+    await user.save();
+
+    // Keep the current device signed in, sign out every other one
+    const revokedCount = await RefreshToken.updateMany(
+      { userId, familyId: { $ne: sessionId }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'password_changed' }
+    );
+
+    await new UserActivity({
+      userId,
+      type: 'password_changed',
+      title: 'Password changed',
+      description: 'Account password was changed; other devices were signed out',
+      icon: '🔑',
+      metadata: { revokedSessions: revokedCount.modifiedCount }
+    }).save();
+
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: 'Your Aventra password was changed',
+        text: `Hi ${user.name},\n\nYour password was just changed. If this wasn't you, reset your password immediately at ${FRONTEND_URL}/#/forgot-password.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Your password was just changed. If this wasn't you, <a href="${FRONTEND_URL}/#/forgot-password">reset your password</a> immediately.</p>`
+      });
+    } catch (mailError) {
+      logger.error('❌ Failed to send password change notice:', mailError);
+    }
+
+    logger.info('✅ Password changed successfully', { userId });
+
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    logger.error('❌ Change password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== NEW PHOTO API ROUTES =====
+
+// Route to get photos for a destination
+app.get('/api/photos/destination/:destination', authenticateToken, async (req, res) => {
+  try {
+    const { destination } = req.params;
+    const count = parseInt(req.query.count) || 6;
+    const activityType = req.query.type || null;
+    
+    logger.info('📸 Photo API request for destination', { destination, count, activityType });
+    
+    if (!destination || destination.trim().length === 0) {
+      logger.warn('⚠️ Photo API: Invalid destination parameter');
+      return res.status(400).json({ message: 'Destination is required' });
+    }
+    
+    const photos = await fetchPhotosForDestination(destination.trim(), activityType, count);
+    
+    logger.info('✅ Photo API response', { destination, foundPhotos: photos.length });
+    
+    res.json({
+      success: true,
+      destination: destination.trim(),
+      count: photos.length,
+      photos
+    });
+    
+  } catch (error) {
+    logger.error('❌ Destination photos API error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch destination photos',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Route to get photos for a specific activity
+app.get('/api/photos/activity', authenticateToken, async (req, res) => {
+  try {
+    const { destination, activity, location } = req.query;
+    
+    logger.info('📸 Photo API request for activity', { destination, activity, location });
+    
+    if (!destination || !activity) {
+      logger.warn('⚠️ Photo API: Missing destination or activity parameter');
+      return res.status(400).json({ message: 'Destination and activity are required' });
+    }
+    
+    const photo = await getActivityPhotos(destination, activity, location);
+    
+    logger.info('✅ Activity photo API response', { destination, activity, photoFound: !!photo });
+    
+    res.json({
+      success: true,
+      destination,
+      activity,
+      location,
+      photo,
+      fallbackAvailable: !photo // Indicate if frontend should use fallback
+    });
+    
+  } catch (error) {
+    logger.error('❌ Activity photos API error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch activity photos',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Route to check photo service availability
+app.get('/api/photos/health', authenticateToken, async (req, res) => {
+  try {
+    logger.info('🔍 Photo service health check initiated');
+    
+    const services = {
+      unsplash: {
+        configured: !!process.env.UNSPLASH_ACCESS_KEY,
+        status: 'unknown'
+      },
+      pexels: {
+        configured: !!process.env.PEXELS_API_KEY,
+        status: 'unknown'
+      },
+      pixabay: {
+        configured: !!process.env.PIXABAY_API_KEY,
+        status: 'unknown'
+      }
+    };
+    
+    // Test each configured service
+    const testPromises = [];
+    
+    if (services.unsplash.configured) {
+      testPromises.push(
+        fetchUnsplashPhotos('test', 1)
+          .then(photos => {
+            services.unsplash.status = photos.length > 0 ? 'working' : 'no_results';
+            logger.info('✅ Unsplash health check', { status: services.unsplash.status });
+          })
+          .catch(() => {
+            services.unsplash.status = 'error';
+            logger.error('❌ Unsplash health check failed');
+          })
+      );
+    }
+    
+    if (services.pexels.configured) {
+      testPromises.push(
+        fetchPexelsPhotos('test', 1)
+          .then(photos => {
+            services.pexels.status = photos.length > 0 ? 'working' : 'no_results';
+            logger.info('✅ Pexels health check', { status: services.pexels.status });
+          })
+          .catch(() => {
+            services.pexels.status = 'error';
+            logger.error('❌ Pexels health check failed');
+          })
+      );
+    }
+    
+    if (services.pixabay.configured) {
+      testPromises.push(
+        fetchPixabayPhotos('test', 1)
+          .then(photos => {
+            services.pixabay.status = photos.length > 0 ? 'working' : 'no_results';
+            logger.info('✅ Pixabay health check', { status: services.pixabay.status });
+          })
+          .catch(() => {
+            services.pixabay.status = 'error';
+            logger.error('❌ Pixabay health check failed');
+          })
+      );
+    }
+    
+    await Promise.allSettled(testPromises);
+    
+    const summary = {
+      configured: Object.values(services).filter(s => s.configured).length,
+      working: Object.values(services).filter(s => s.status === 'working').length,
+      total: 3
+    };
+    
+    logger.info('✅ Photo service health check complete', { services, summary });
+    
+    res.json({
+      success: true,
+      services,
+      summary
+    });
+    
+  } catch (error) {
+    logger.error('❌ Photo health check error:', error);
+    res.status(500).json({ 
+      message: 'Photo service health check failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Route to track photo downloads (for attribution compliance)
+app.post('/api/photos/download', authenticateToken, async (req, res) => {
+  try {
+    const { photoId, source, downloadUrl } = req.body;
+    
+    logger.info('📸 Photo download tracking request', { photoId, source, userId: req.user.userId });
+    
+    if (source === 'unsplash' && downloadUrl && process.env.UNSPLASH_ACCESS_KEY) {
+      // Trigger download tracking for Unsplash (required by their API terms)
+      try {
+        await axios.get(downloadUrl, {
+          headers: photoServices.unsplash.headers
+        });
+        logger.info(`✅ Unsplash download tracked for photo ${photoId}`);
+      } catch (error) {
+        logger.error('❌ Unsplash download tracking error:', error);
+      }
+    }
+    
+    // Log activity
+    await new UserActivity({
+      userId: req.user.userId,
+      type: 'photo_downloaded',
+      title: 'Photo downloaded',
+      description: `Downloaded photo from ${source}`,
+      icon: '📸',
+      metadata: { photoId, source }
+    }).save();
+    
+    logger.info('✅ Photo download tracked successfully', { photoId, source, userId: req.user.userId });
+    
+    res.json({ success: true, message: 'Download tracked successfully' });
+    
+  } catch (error) {
+    logger.error('❌ Photo download tracking error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Route to get photo attribution info
+app.get('/api/photos/:source/:photoId/attribution', async (req, res) => {
+  try {
+    const { source, photoId } = req.params;
+    
+    logger.info('📸 Photo attribution request', { source, photoId });
+    
+    let attribution = {};
+    
+    switch (source.toLowerCase()) {
+      case 'unsplash':
+        attribution = {
+          text: 'Photo by {photographer} on Unsplash',
+          url: 'https://unsplash.com',
+          required: true,
+          format: 'Photo by [photographer_name] on Unsplash'
+        };
+        break;
+        
+      case 'pexels':
+        attribution = {
+          text: 'Photo by {photographer} from Pexels',
+          url: 'https://pexels.com',
+          required: true,
+          format: 'Photo by [photographer_name] from Pexels'
+        };
+        break;
+        
+      case 'pixabay':
+        attribution = {
+          text: 'Image by {photographer} from Pixabay',
+          url: 'https://pixabay.com',
+          required: false,
+          format: 'Image by [photographer_name] from Pixabay (optional)'
+        };
+        break;
+        
+      default:
+        logger.warn('⚠️ Invalid photo source requested', { source });
+        return res.status(400).json({ message: 'Invalid photo source' });
+    }
+    
+    logger.info('✅ Photo attribution provided', { source, photoId });
+    
+    res.json({
+      source,
+      photoId,
+      attribution
+    });
+    
+  } catch (error) {
+    logger.error('❌ Photo attribution error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get photo attribution',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// ===== USER PROFILE ROUTES =====
+app.get('/api/users/profile', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    logger.info('👤 Profile fetch request', { userId });
+    
+    const user = await User.findById(userId).select('-password');
+    
+    if (!user) {
+      logger.warn('⚠️ Profile fetch: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Calculate user statistics
+    const totalTrips = await Itinerary.countDocuments({ userId });
+    const completedTrips = await Itinerary.find({ 
+      userId,
+      endDate: { $lt: new Date() }
+    });
+    
+    // Calculate average rating from completed trips
+    const ratedTrips = completedTrips.filter(trip => trip.rating);
+    const avgRating = ratedTrips.length > 0 
+      ? ratedTrips.reduce((sum, trip) => sum + trip.rating, 0) / ratedTrips.length 
+      : 0;
+    
+    // Calculate total days traveled
+    const daysTraveled = completedTrips.reduce((total, trip) => {
+      const days = Math.ceil((new Date(trip.endDate) - new Date(trip.startDate)) / (1000 * 60 * 60 * 24)) + 1;
+      return total + days;
+    }, 0);
+    
+    // Update user statistics
+    await User.findByIdAndUpdate(userId, {
+      totalTrips,
+      avgRating: Math.round(avgRating * 10) / 10,
+      daysTraveled
+    });
+    
+    logger.info('✅ Profile data retrieved and updated', { 
+      userId, 
+      totalTrips, 
+      avgRating, 
+      daysTraveled 
+    });
+    
+    // Return updated user data
+    const updatedUser = await User.findById(userId).select('-password');
+    res.json(await toOwnerProfile(updatedUser, req, 'profile'));
+    
+  } catch (error) {
+    logger.error('❌ Profile fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/users/profile', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { currentPassword, ...body } = req.body;
+    const updates = { ...body, updatedAt: Date.now() };
+    
+    // Security fields can only be changed through their dedicated routes
+    ['password', 'passwordChangedAt', 'emailVerified', 'emailVerifiedAt', 'twoFactorEnabled', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'twoFactorEnabledAt', 'twoFactorLastUsedStep', 'twoFactorChallengeId', 'twoFactorChallengeAttempts', 'isAdmin']
+      .forEach(field => delete updates[field]);
+    
+    logger.info('✏️ Profile update request', { userId, fields: Object.keys(updates) });
+    
+    if (updates.displayCurrency !== undefined) {
+      if (!isValidCurrency(normalizeCurrency(updates.displayCurrency))) {
+        logger.warn('⚠️ Profile update: Invalid display currency', { userId, displayCurrency: updates.displayCurrency });
+        return res.status(400).json({ message: 'displayCurrency must be a three-letter ISO 4217 code such as EUR' });
+      }
+      updates.displayCurrency = normalizeCurrency(updates.displayCurrency);
+    }
+    
+    if (updates.medicalInfo) {
+      if (hasMedicalContent(updates.medicalInfo) && !fieldEncryptionKey) {
+        logger.error('❌ Profile update: Medical information rejected, FIELD_ENCRYPTION_KEY is not configured', { userId });
+        return res.status(503).json({ message: 'Medical information cannot be saved right now' });
+      }
+      updates.medicalInfo = encryptMedicalInfo(updates.medicalInfo);
+    }
+    
+    // A new email address has to be verified again
+    let emailChanged = false;
+    let previousEmail = null;
+    if (updates.email !== undefined) {
+      if (!isValidEmail(updates.email)) {
+        logger.warn('⚠️ Profile update: Invalid email', { userId });
+        return res.status(400).json({ message: 'A valid email address is required' });
+      }
+      
+      updates.email = updates.email.trim();
+      const currentUser = await User.findById(userId).select('email name password');
+      emailChanged = !!currentUser && currentUser.email !== updates.email;
+      
+      if (emailChanged) {
+        // An access token alone is not enough to move the account (and its password resets) to another inbox
+        if (!currentPassword) {
+          logger.warn('⚠️ Profile update: Email change without current password', { userId });
+          return res.status(400).json({ message: 'Current password is required to change your email' });
+        }
+        
+        const isMatch = await bcrypt.compare(currentPassword, currentUser.password);
+        if (!isMatch) {
+          logger.warn('⚠️ Profile update: Current password incorrect for email change', { userId });
+          return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+        
+        previousEmail = currentUser.email;
+        const emailTaken = await User.exists({ email: updates.email, _id: { $ne: userId } });
+        if (emailTaken) {
+          logger.warn('⚠️ Profile update: Email already in use', { userId });
+          return res.status(400).json({ message: 'Email is already in use' });
+        }
+        updates.emailVerified = false;
+        updates.emailVerifiedAt = null;
+      }
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      userId,
+      updates,
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!user) {
+      logger.warn('⚠️ Profile update: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('❌ Failed to send verification email:', mailError);
+      }
+      
+      try {
+        await mailer.send({
+          to: previousEmail,
+          subject: 'Your Aventra email address was changed',
+          text: `Hi ${user.name},\n\nThe email address on your account was just changed to ${user.email}. If this wasn't you, contact support immediately.`,
+          html: `<p>Hi ${escapeHtml(user.name)},</p><p>The email address on your account was just changed to <strong>${escapeHtml(user.email)}</strong>. If this wasn't you, contact support immediately.</p>`
+        });
+      } catch (mailError) {
+        logger.error('❌ Failed to send email change notice:', mailError);
+      }
+    }
+    
+    // Log activity
+    await new UserActivity({
+      userId,
+      type: 'profile_updated',
+      title: 'Profile updated',
+      description: 'User profile information has been updated',
+    }).save();
+    
+    logger.info('✅ Profile updated successfully', { userId });
+    
+    res.json(await toOwnerProfile(user, req, 'profile'));
+  } catch (error) {
+    logger.error('❌ Profile update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== USER PREFERENCES ROUTE =====
+app.put('/api/users/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { travelStyle, budgetRange, interests, pace, displayCurrency } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🎯 User preferences update request', { userId, travelStyle, budgetRange, interests, pace, displayCurrency });
+    
+    // Validate interests array
+    if (interests && !Array.isArray(interests)) {
+      logger.warn('⚠️ Invalid interests format', { userId, interests });
+      return res.status(400).json({ message: 'Interests must be an array' });
+    }
+    
+    if (displayCurrency !== undefined && !isValidCurrency(normalizeCurrency(displayCurrency))) {
+      logger.warn('⚠️ Invalid display currency', { userId, displayCurrency });
+      return res.status(400).json({ message: 'displayCurrency must be a three-letter ISO 4217 code such as EUR' });
+    }
+    
+    const preferencesUpdate = {
+      preferences: {
+        travelStyle: travelStyle || '',
+        budgetRange: budgetRange || '',
+        interests: interests || [],
+        pace: pace || ''
+      },
+      updatedAt: Date.now()
+    };
+    if (displayCurrency !== undefined) preferencesUpdate.displayCurrency = normalizeCurrency(displayCurrency);
+    
+    const user = await User.findByIdAndUpdate(
+      userId,
+      preferencesUpdate,
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!user) {
+      logger.warn('⚠️ Preferences update: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Log activity
+    await new UserActivity({
+      userId,
+      type: 'preferences_updated',
+      title: 'Travel preferences updated',
+      description: `Updated travel style: ${travelStyle}, budget: ${budgetRange}, interests: ${interests?.join(', ') || 'none'}`,
+      icon: '🎯'
+    }).save();
+    
+    logger.info('✅ User preferences updated successfully', { userId });
+    
+    res.json({ ...user.toObject().preferences, displayCurrency: user.displayCurrency });
+    
+  } catch (error) {
+    logger.error('❌ Preferences update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== SAFETY SETTINGS ROUTE =====
+app.put('/api/users/safety-settings', authenticateToken, async (req, res) => {
+  try {
+    const { emergencyContacts, locationSharing, medicalInfo, travelPreferences } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🛡️ Safety settings update request', { userId, emergencyContactsCount: emergencyContacts?.length });
+    
+    if (hasMedicalContent(medicalInfo) && !fieldEncryptionKey) {
+      logger.error('❌ Safety settings: Medical information rejected, FIELD_ENCRYPTION_KEY is not configured', { userId });
+      return res.status(503).json({ message: 'Medical information cannot be saved right now' });
+    }
+    
+    // Validate emergency contacts
+    if (!emergencyContacts || !Array.isArray(emergencyContacts) || emergencyContacts.length === 0) {
+      logger.warn('⚠️ Invalid emergency contacts', { userId });
+      return res.status(400).json({ message: 'At least one emergency contact is required' });
+    }
+    
+    // Validate required fields for each contact
+    for (const contact of emergencyContacts) {
+      if (!contact.name || !contact.name.trim()) {
+        logger.warn('⚠️ Missing contact name', { userId });
+        return res.status(400).json({ message: 'Contact name is required' });
+      }
+      if (!contact.phone || !contact.phone.trim()) {
+        logger.warn('⚠️ Missing contact phone', { userId });
+        return res.status(400).json({ message: 'Contact phone number is required' });
+      }
+    }
+    
+    // Ensure one primary contact
+    const primaryContacts = emergencyContacts.filter(contact => contact.isPrimary);
+    if (primaryContacts.length !== 1) {
+      emergencyContacts.forEach((contact, index) => {
+        contact.isPrimary = index === 0;
+      });
+    }
+    
+    const updates = {
+      emergencyContacts,
+      locationSharing: locationSharing || {
+        enabled: false,
+        shareWithContacts: false,
+        shareWithTrustedCircle: false,
+        allowEmergencyAccess: false
+      },
+      // Saving sharing settings makes them the user's own choice, not an automatic alert switch
+      emergencyAccessAutoEnabledAt: null,
+      medicalInfo: encryptMedicalInfo(medicalInfo || {
+        allergies: '',
+        medications: '',
+        medicalConditions: '',
+        bloodType: '',
+        emergencyMedicalInfo: ''
+      }),
+      travelPreferences: travelPreferences || {
+        checkInFrequency: 'daily',
+        autoCheckIn: false,
+        sosButtonEnabled: true
+      },
+      updatedAt: Date.now()
+    };
+    
+    const user = await User.findByIdAndUpdate(
+      userId,
+      updates,
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!user) {
+      logger.warn('⚠️ Safety settings update: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Log activity
+    await new UserActivity({
+      userId,
+      type: 'safety_updated',
+      title: 'Safety settings updated',
+      description: `Updated emergency contacts (${emergencyContacts.length}), location sharing: ${locationSharing?.enabled ? 'enabled' : 'disabled'}`,
+      icon: '🛡️'
+    }).save();
+    
+    logger.info('✅ Safety settings updated successfully', { userId });
+    
+    res.json({
+      emergencyContacts: user.emergencyContacts,
+      locationSharing: user.locationSharing,
+      medicalInfo: await discloseMedicalInfo(user, req, { accessorType: 'owner', channel: 'safety_settings' }),
+      travelPreferences: user.travelPreferences
+    });
+    
+  } catch (error) {
+    logger.error('❌ Safety settings update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== LOCATION UPDATE ROUTE =====
+app.put('/api/users/location', authenticateToken, async (req, res) => {
+  try {
+    const { latitude, longitude, address, accuracy } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('📍 Location update request', { userId, latitude, longitude, address });
+    
+    if (!latitude || !longitude) {
+      logger.warn('⚠️ Missing location coordinates', { userId });
+      return res.status(400).json({ message: 'Latitude and longitude are required' });
+    }
+    
+    const locationUpdate = {
+      currentLocation: {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        address: address || `${latitude}, ${longitude}`,
+        accuracy: accuracy || 0,
+        timestamp: new Date()
+      },
+      updatedAt: Date.now()
+    };
+    
+    const user = await User.findByIdAndUpdate(
+      userId,
+      locationUpdate,
+      { new: true }
+    ).select('currentLocation');
+    
+    if (!user) {
+      logger.warn('⚠️ Location update: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await recordLocationPoint(userId, { latitude, longitude, accuracy, address }, 'location_update');
+    const geofenceEvents = await evaluateGeofences(userId, { latitude, longitude });
+    await recordAlertLocationUpdate(userId, user.currentLocation, { source: 'location_update' });
+    
+    // Log activity
+    await new UserActivity({
+      userId,
+      type: 'location_updated',
+      title: 'Location updated',
+      description: `Location updated to ${address || 'coordinates'}`,
+      icon: '📍'
+    }).save();
+    
+    logger.info('✅ Location updated successfully', { userId });
+    
+    res.json({ success: true, location: user.currentLocation, geofenceEvents });
+    
+  } catch (error) {
+    logger.error('❌ Location update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== LOCATION TRAIL ROUTES =====
+app.get('/api/users/location-history/settings', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('🗺️ Location history settings fetch request', { userId });
+    
+    const user = await User.findById(userId).select('locationHistory');
+    if (!user) {
+      logger.warn('⚠️ Location history settings: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(user.locationHistory);
+    
+  } catch (error) {
+    logger.error('❌ Location history settings fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/users/location-history/settings', authenticateToken, async (req, res) => {
+  try {
+    const { enabled, retentionDays, deleteAfterTripEnds } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🗺️ Location history settings update request', { userId, enabled, retentionDays, deleteAfterTripEnds });
+    
+    const updates = { updatedAt: Date.now() };
+    
+    if (enabled !== undefined) {
+      updates['locationHistory.enabled'] = !!enabled;
+    }
+    if (retentionDays !== undefined) {
+      const days = parseInt(retentionDays);
+      if (isNaN(days) || days < 1 || days > 365) {
+        logger.warn('⚠️ Invalid retention days', { userId, retentionDays });
+        return res.status(400).json({ message: 'Retention must be between 1 and 365 days' });
+      }
+      updates['locationHistory.retentionDays'] = days;
+    }
+    if (deleteAfterTripEnds !== undefined) {
+      updates['locationHistory.deleteAfterTripEnds'] = !!deleteAfterTripEnds;
+    }
+    
+    const user = await User.findByIdAndUpdate(userId, updates, { new: true, runValidators: true }).select('locationHistory');
+    if (!user) {
+      logger.warn('⚠️ Location history settings update: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Apply a tighter policy straight away rather than waiting for the next job run
+    const deleted = await locationTrailCleanup.applyRetention(userId);
+    const settings = user.toObject().locationHistory;
+    
+    await new UserActivity({
+      userId,
+      type: 'location_history_settings_updated',
+      title: 'Location history settings updated',
+      description: settings.enabled
+        ? `Keeping location history for ${settings.retentionDays} days${settings.deleteAfterTripEnds ? ', deleted after each trip' : ''}`
+        : 'Location history recording turned off',
+      icon: '🗺️',
+      metadata: { ...settings, deletedPoints: deleted }
+    }).save();
+    
+    logger.info('✅ Location history settings updated', { userId, deleted });
+    
+    res.json({ ...settings, deletedPoints: deleted });
+    
+  } catch (error) {
+    logger.error('❌ Location history settings update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/users/location-history', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('🗑️ Location history delete request', { userId });
+    
+    const result = await LocationPoint.deleteMany({ userId });
+    
+    await new UserActivity({
+      userId,
+      type: 'location_history_deleted',
+      title: 'Location history deleted',
+      description: `Deleted ${result.deletedCount} location points`,
+      icon: '🗑️',
+      metadata: { deletedPoints: result.deletedCount }
+    }).save();
+    
+    logger.info('✅ Location history deleted', { userId, deleted: result.deletedCount });
+    
+    res.json({ success: true, deletedPoints: result.deletedCount });
+    
+  } catch (error) {
+    logger.error('❌ Location history delete error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/users/location-trail', authenticateToken, async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    const userId = req.user.userId;
+    
+    logger.info('🗺️ Location trail request', { userId, from, to, format });
+    
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 24 * 60 * 60 * 1000);
+    
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate > toDate) {
+      logger.warn('⚠️ Invalid trail time range', { userId, from, to });
+      return res.status(400).json({ message: 'Invalid time range' });
+    }
+    
+    const trail = await findTrailPoints({ userId, recordedAt: { $gte: fromDate, $lte: toDate } });
+    
+    logger.info('✅ Location trail fetched', { userId, count: trail.points.length, truncated: trail.truncated });
+    
+    sendTrail(res, trail, `Location trail ${fromDate.toISOString().split('T')[0]} to ${toDate.toISOString().split('T')[0]}`, format);
+    
+  } catch (error) {
+    logger.error('❌ Location trail error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/itineraries/:id/location-trail', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+    const userId = req.user.userId;
+    
+    logger.info('🗺️ Itinerary location trail request', { userId, itineraryId: id, format });
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { select: 'title destination startDate endDate', lean: true });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for trail', { userId, itineraryId: id });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    // The end date is a full travel day
+    const fromDate = new Date(itinerary.startDate);
+    const toDate = new Date(new Date(itinerary.endDate).getTime() + 24 * 60 * 60 * 1000);
+    
+    const trail = await findTrailPoints({ userId, recordedAt: { $gte: fromDate, $lt: toDate } });
+    
+    logger.info('✅ Itinerary location trail fetched', { userId, itineraryId: id, count: trail.points.length, truncated: trail.truncated });
+    
+    sendTrail(res, trail, itinerary.title || `Trip to ${itinerary.destination}`, format);
+    
+  } catch (error) {
+    logger.error('❌ Itinerary location trail error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== GEOFENCE ROUTES =====
+app.get('/api/geofences', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { itineraryId, date } = req.query;
+    
+    logger.info('🧭 Geofences fetch request', { userId, itineraryId, date });
+    
+    const query = { userId };
+    if (itineraryId) query.itineraryId = itineraryId;
+    if (date) query.date = date;
+    
+    const geofences = await Geofence.find(query).sort({ createdAt: -1 }).lean();
+    
+    logger.info('✅ Geofences fetched successfully', { userId, count: geofences.length });
+    
+    res.json(geofences);
+    
+  } catch (error) {
+    logger.error('❌ Geofences fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/geofences', authenticateToken, async (req, res) => {
+  try {
+    const { name, type, center, radiusMeters, date, itineraryId, notifyContact } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🧭 Geofence create request', { userId, name, type, radiusMeters });
+    
+    const validationError = validateGeofenceInput(req.body);
+    if (validationError) {
+      logger.warn('⚠️ Invalid geofence', { userId, error: validationError });
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (itineraryId) {
+      const itinerary = await Itinerary.exists({ _id: itineraryId, ...itineraryAccessFilter(userId) });
+      if (!itinerary) {
+        logger.warn('⚠️ Geofence itinerary not found', { userId, itineraryId });
+        return res.status(404).json({ message: 'Itinerary not found' });
+      }
+    }
+    
+    const geofence = await new Geofence({
+      userId,
+      itineraryId: itineraryId || undefined,
+      name: sanitizeString(name),
+      type,
+      center: { latitude: parseFloat(center.latitude), longitude: parseFloat(center.longitude) },
+      radiusMeters: parseFloat(radiusMeters),
+      date: date || undefined,
+      notifyContact: !!notifyContact
+    }).save();
+    
+    await new UserActivity({
+      userId,
+      type: 'geofence_created',
+      title: 'Safety zone added',
+      description: `Added ${type} zone "${geofence.name}" (${Math.round(geofence.radiusMeters)} m)`,
+      icon: '🧭',
+      metadata: { geofenceId: geofence._id, type }
+    }).save();
+    
+    logger.info('✅ Geofence created', { userId, geofenceId: geofence._id });
+    
+    res.status(201).json(geofence);
+    
+  } catch (error) {
+    logger.error('❌ Geofence create error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/geofences/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    
+    logger.info('🧭 Geofence update request', { userId, geofenceId: id });
+    
+    const geofence = await Geofence.findOne({ _id: id, userId });
+    if (!geofence) {
+      logger.warn('⚠️ Geofence not found for update', { userId, geofenceId: id });
+      return res.status(404).json({ message: 'Geofence not found' });
+    }
+    
+    const validationError = validateGeofenceInput(req.body, true);
+    if (validationError) {
+      logger.warn('⚠️ Invalid geofence update', { userId, error: validationError });
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const { name, type, center, radiusMeters, date, notifyContact, active } = req.body;
+    if (name !== undefined) geofence.name = sanitizeString(name);
+    if (type !== undefined) geofence.type = type;
+    if (center !== undefined) geofence.center = { latitude: parseFloat(center.latitude), longitude: parseFloat(center.longitude) };
+    if (radiusMeters !== undefined) geofence.radiusMeters = parseFloat(radiusMeters);
+    if (date !== undefined) geofence.date = date || undefined;
+    if (notifyContact !== undefined) geofence.notifyContact = !!notifyContact;
+    if (active !== undefined) geofence.active = !!active;
+    
+    if (geofence.type === 'plan' && !geofence.date) {
+      return res.status(400).json({ message: 'Plan zones need a date (YYYY-MM-DD)' });
+    }
+    
+    // A moved or resized zone starts from a clean state on the next position update
+    if (center !== undefined || radiusMeters !== undefined) {
+      geofence.lastInside = false;
+    }
+    geofence.updatedAt = Date.now();
+    await geofence.save();
+    
+    logger.info('✅ Geofence updated', { userId, geofenceId: id });
+    
+    res.json(geofence);
+    
+  } catch (error) {
+    logger.error('❌ Geofence update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/geofences/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    
+    logger.info('🗑️ Geofence delete request', { userId, geofenceId: id });
+    
+    const geofence = await Geofence.findOneAndDelete({ _id: id, userId });
+    if (!geofence) {
+      logger.warn('⚠️ Geofence not found for deletion', { userId, geofenceId: id });
+      return res.status(404).json({ message: 'Geofence not found' });
+    }
+    
+    logger.info('✅ Geofence deleted', { userId, geofenceId: id });
+    
+    res.json({ success: true, message: 'Geofence deleted' });
+    
+  } catch (error) {
+    logger.error('❌ Geofence delete error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== CHECK-IN ROUTE =====
+app.post('/api/users/check-in', authenticateToken, async (req, res) => {
+  try {
+    const { location, status, message, automatic } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('✅ Check-in request', { userId, status, automatic, address: location?.address });
+    
+    if (!location || !location.latitude || !location.longitude) {
+      logger.warn('⚠️ Check-in missing location', { userId });
+      return res.status(400).json({ message: 'Location is required for check-in' });
+    }
+    
+    const checkIn = new CheckIn({
+      userId,
+      location: {
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        address: location.address || `${location.latitude}, ${location.longitude}`,
+        accuracy: location.accuracy || 0
+      },
+      status: status || 'safe',
+      message: message || '',
+      automatic: automatic || false
+    });
+    
+    await checkIn.save();
+    
+    // Update user's current location and start a fresh check-in cycle
+    const previousState = await User.findByIdAndUpdate(userId, {
+      currentLocation: {
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        address: location.address || `${location.latitude}, ${location.longitude}`,
+        accuracy: location.accuracy || 0,
+        timestamp: new Date()
+      },
+      checkInMonitor: {}
+    }).select('checkInMonitor');
+    
+    await recordLocationPoint(userId, checkIn.location, 'check_in');
+    const geofenceEvents = await evaluateGeofences(userId, checkIn.location);
+    await recordAlertLocationUpdate(userId, checkIn.location, {
+      source: 'check_in',
+      message: `Checked in - Status: ${checkIn.status}${checkIn.message ? ` - ${checkIn.message}` : ''}`
+    });
+    
+    if (previousState?.checkInMonitor?.reminderSentAt) {
+      await new UserActivity({
+        userId,
+        type: 'check_in_recovered',
+        title: 'Overdue check-in received',
+        description: previousState.checkInMonitor.escalatedAt
+          ? 'Checked in after the missed check-in was escalated to your emergency contact'
+          : 'Checked in after a missed check-in reminder',
+        icon: '✅',
+        metadata: {
+          cycleDueAt: previousState.checkInMonitor.cycleDueAt,
+          alertId: previousState.checkInMonitor.alertId
+        }
+      }).save();
+    }
+    
+    // Log activity
+    await new UserActivity({
+      userId,
+      type: 'check_in',
+      title: automatic ? 'Automatic check-in' : 'Manual check-in',
+      description: `Checked in from ${location.address || 'current location'} - Status: ${status || 'safe'}`,
+      icon: '✅',
+      metadata: { location, status }
+    }).save();
+    
+    logger.info('✅ Check-in completed successfully', { userId, checkInId: checkIn._id });
+    
+    res.json({ success: true, checkIn, geofenceEvents });
+    
+  } catch (error) {
+    logger.error('❌ Check-in error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== CHECK-IN STATUS ROUTE =====
+app.get('/api/users/check-in-status', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('⏰ Check-in status request', { userId });
+    
+    const user = await User.findById(userId).select('travelPreferences checkInMonitor');
+    if (!user) {
+      logger.warn('⚠️ Check-in status: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const itinerary = await findCurrentItinerary(userId);
+    const schedule = await computeCheckInSchedule(user, itinerary);
+    
+    res.json({
+      monitored: schedule.monitored,
+      autoCheckIn: user.travelPreferences?.autoCheckIn === true,
+      checkInFrequency: user.travelPreferences?.checkInFrequency || 'daily',
+      currentItinerary: itinerary ? { id: itinerary._id, title: itinerary.title, destination: itinerary.destination } : null,
+      lastCheckInAt: schedule.lastCheckInAt || null,
+      nextCheckInDueAt: schedule.dueAt || null,
+      reminderAt: schedule.reminderAt || null,
+      escalateAt: schedule.escalateAt || null,
+      status: schedule.status || 'not_monitored'
+    });
+    
+  } catch (error) {
+    logger.error('❌ Check-in status error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== LIVE LOCATION SHARE LINK ROUTES =====
+app.post('/api/users/location-shares', authenticateToken, async (req, res) => {
+  try {
+    const { label, contactId, expiresInHours } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🔗 Location share link create request', { userId, contactId, expiresInHours });
+    
+    const hours = expiresInHours === undefined ? LOCATION_SHARE_DEFAULT_HOURS : parseFloat(expiresInHours);
+    if (isNaN(hours) || hours <= 0 || hours > LOCATION_SHARE_MAX_HOURS) {
+      logger.warn('⚠️ Invalid share link expiry', { userId, expiresInHours });
+      return res.status(400).json({ message: `Expiry must be between 0 and ${LOCATION_SHARE_MAX_HOURS} hours` });
+    }
+    
+    const user = await User.findById(userId).select('emergencyContacts locationSharing');
+    if (!user) {
+      logger.warn('⚠️ Location share: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    let contact = null;
+    if (contactId) {
+      contact = user.emergencyContacts.id(contactId);
+      if (!contact) {
+        logger.warn('⚠️ Location share: Contact not found', { userId, contactId });
+        return res.status(404).json({ message: 'Emergency contact not found' });
+      }
+    }
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    const link = await new LocationShareLink({
+      userId,
+      tokenHash: hashToken(token),
+      label: sanitizeString(label) || (contact ? `Shared with ${contact.name}` : 'Live location link'),
+      contactName: contact?.name,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    }).save();
+    
+    await new UserActivity({
+      userId,
+      type: 'location_share_created',
+      title: 'Live location link created',
+      description: `${link.label} (expires ${link.expiresAt.toISOString()})`,
+      icon: '🔗',
+      metadata: { shareId: link._id, contactName: link.contactName, expiresAt: link.expiresAt }
+    }).save();
+    
+    logger.info('✅ Location share link created', { userId, shareId: link._id });
+    
+    const access = getLocationShareAccess(user, null);
+    
+    res.status(201).json({
+      id: link._id,
+      label: link.label,
+      contactName: link.contactName,
       token,
-      user: { id: user._id, name: user.name, email: user.email },
+      url: buildLocationShareUrl(token),
+      apiUrl: `/api/share/location/${token}`,
+      expiresAt: link.expiresAt,
+      // The link works, but only shows a location while sharing (or emergency access) allows it
+      sharingActive: access.allowed
+    });
+    
+  } catch (error) {
+    logger.error('❌ Location share create error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/users/location-shares', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('🔗 Location share links fetch request', { userId });
+    
+    const links = await LocationShareLink.find({ userId }).sort({ createdAt: -1 }).lean();
+    const now = new Date();
+    
+    res.json(links.map(link => ({
+      id: link._id,
+      label: link.label,
+      contactName: link.contactName,
+      createdAt: link.createdAt,
+      expiresAt: link.expiresAt,
+      revokedAt: link.revokedAt || null,
+      lastAccessedAt: link.lastAccessedAt || null,
+      accessCount: link.accessCount,
+      status: link.revokedAt ? 'revoked' : link.expiresAt <= now ? 'expired' : 'active'
+    })));
+    
+  } catch (error) {
+    logger.error('❌ Location share links fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/users/location-shares/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const shareId = req.params.id;
+    
+    logger.info('🔗 Location share link revoke request', { userId, shareId });
+    
+    const link = await LocationShareLink.findOneAndUpdate(
+      { _id: shareId, userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!link) {
+      logger.warn('⚠️ Location share link not found for revoke', { userId, shareId });
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+    
+    await new UserActivity({
+      userId,
+      type: 'location_share_revoked',
+      title: 'Live location link revoked',
+      description: `${link.label} can no longer be opened`,
+      icon: '🔒',
+      metadata: { shareId: link._id }
+    }).save();
+    
+    logger.info('✅ Location share link revoked', { userId, shareId });
+    
+    res.json({ success: true, message: 'Share link revoked' });
+    
+  } catch (error) {
+    logger.error('❌ Location share revoke error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Public view for emergency contacts - no account needed, the token is the credential
+app.get('/api/share/location/:token', async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    
+    logger.info('🌍 Public location share view', { ip: clientIp });
+    
+    if (!rateLimiter.isAllowed(`location-share:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const link = await LocationShareLink.findOne({ tokenHash: hashToken(req.params.token) });
+    
+    if (!link || link.revokedAt || link.expiresAt <= new Date()) {
+      logger.warn('⚠️ Location share link invalid, revoked or expired');
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+    
+    const user = await User.findById(link.userId).select('name locationSharing currentLocation');
+    if (!user) {
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+    
+    const activeAlert = await EmergencyAlert
+      .findOne({ userId: link.userId, status: { $in: OPEN_ALERT_STATUSES } })
+      .sort({ createdAt: -1 })
+      .lean();
+    
+    const access = getLocationShareAccess(user, activeAlert);
+    
+    link.lastAccessedAt = new Date();
+    link.accessCount += 1;
+    await link.save();
+    
+    if (!access.allowed) {
+      logger.info('🔒 Location share blocked by sharing settings', { userId: link.userId, shareId: link._id });
+      return res.status(403).json({
+        message: `${user.name} is not sharing their location right now`,
+        traveller: { name: user.name },
+        expiresAt: link.expiresAt
+      });
+    }
+    
+    const recentCheckIns = await CheckIn
+      .find({ userId: link.userId, timestamp: { $gte: new Date(Date.now() - 48 * 60 * 60 * 1000) } })
+      .sort({ timestamp: -1 })
+      .limit(10)
+      .lean();
+    
+    logger.info('✅ Location share served', { userId: link.userId, shareId: link._id, mode: access.mode });
+    
+    res.json({
+      traveller: { name: user.name },
+      sharingMode: access.mode,
+      location: user.currentLocation?.latitude != null ? {
+        latitude: user.currentLocation.latitude,
+        longitude: user.currentLocation.longitude,
+        address: user.currentLocation.address,
+        accuracy: user.currentLocation.accuracy,
+        updatedAt: user.currentLocation.timestamp
+      } : null,
+      recentCheckIns: recentCheckIns.map(checkIn => ({
+        location: checkIn.location,
+        status: checkIn.status,
+        message: checkIn.message,
+        automatic: checkIn.automatic,
+        timestamp: checkIn.timestamp
+      })),
+      activeAlert: activeAlert ? {
+        alertType: activeAlert.alertType,
+        message: activeAlert.message,
+        location: activeAlert.location,
+        createdAt: activeAlert.createdAt
+      } : null,
+      expiresAt: link.expiresAt
+    });
+    
+  } catch (error) {
+    logger.error('❌ Public location share error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== EMERGENCY ALERT ROUTE =====
+async function logEmergencyAlertActivity(alert, type, location, contactsNotified) {
+  await new UserActivity({
+    userId: alert.userId,
+    type: 'emergency_alert',
+    title: '🚨 EMERGENCY ALERT SENT',
+    description: `Emergency alert (${type || 'other'}) delivered to ${contactsNotified} of ${alert.emergencyContacts.length} contacts`,
+    icon: '🚨',
+    metadata: { 
+      alertType: type, 
+      location, 
+      contactCount: alert.emergencyContacts.length,
+      contactsNotified,
+      alertId: alert._id
+    }
+  }).save();
+}
+
+app.post('/api/emergency/alert', authenticateToken, async (req, res) => {
+  try {
+    const { type, location, emergencyContacts, message } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🚨 Emergency alert request', { userId, type, contactsCount: emergencyContacts?.length });
+    
+    if (!emergencyContacts || !Array.isArray(emergencyContacts) || emergencyContacts.length === 0) {
+      logger.warn('⚠️ Emergency alert missing contacts', { userId });
+      return res.status(400).json({ message: 'Emergency contacts are required' });
+    }
+    
+    // Validate emergency contacts
+    const validContacts = emergencyContacts.filter(contact => 
+      contact.name && contact.name.trim() && contact.phone && contact.phone.trim()
+    );
+    
+    if (validContacts.length === 0) {
+      logger.warn('⚠️ Emergency alert no valid contacts', { userId });
+      return res.status(400).json({ message: 'At least one valid emergency contact is required' });
+    }
+    
+    const alert = new EmergencyAlert({
+      userId,
+      alertType: type || 'other',
+      location: location ? {
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        address: location.address || `${location.latitude}, ${location.longitude}`
+      } : null,
+      message: message || '',
+      escalationEligible: true,
+      emergencyContacts: validContacts.map(contact => ({
+        name: contact.name,
+        phone: contact.phone,
+        email: contact.email || '',
+        notificationSent: false
+      }))
+    });
+    
+    const user = await User.findById(userId).select('name email');
+    addAlertTimelineEvent(alert, 'created', {
+      actor: { kind: 'user', name: user?.name },
+      message: message || `SOS alert raised (${alert.alertType})`,
+      location: alert.location || undefined
+    });
+    const contactUrls = issueContactLinks(alert);
+    const responderToken = issueResponderToken(alert);
+    await alert.save();
+    await enableEmergencyAccess(userId);
+    
+    if (alert.location?.latitude != null) {
+      await recordLocationPoint(userId, alert.location, 'emergency_alert');
+    }
+    
+    const dispatchOptions = { contactUrls, responderUrl: buildResponderUrl(responderToken) };
+    
+    // Without a real channel nobody can be reached; say so instead of reporting the alert as sent
+    if (emergencyNotifier.enabledChannels().length === 0) {
+      const outcomes = await emergencyNotifier.dispatch(alert, user, dispatchOptions);
+      await logEmergencyAlertActivity(alert, type, location, 0);
+      logger.error('❌ Emergency alert saved but no notification channel is configured', { userId, alertId: alert._id });
+      
+      return res.status(503).json({
+        success: false,
+        alertId: alert._id,
+        message: 'No delivery channel is configured, so your emergency contacts were not notified. Contact local emergency services directly.',
+        contactsNotified: 0,
+        contactsFailed: validContacts.length,
+        contacts: outcomes
+      });
+    }
+    
+    // Retries with backoff can take a while, so the reply does not wait for them. Each contact's attempts and
+    // final deliveryStatus are stored on the alert as they happen; clients poll GET /api/emergency/alerts/:id
+    // (statusUrl) until no contact is 'pending'.
+    emergencyNotifier.dispatch(alert, user, dispatchOptions)
+      .then(async outcomes => {
+        const contactsNotified = outcomes.filter(outcome => outcome.notificationSent).length;
+        await logEmergencyAlertActivity(alert, type, location, contactsNotified);
+        
+        if (contactsNotified === 0) {
+          logger.error('❌ Emergency alert could not be delivered to any contact', { userId, alertId: alert._id });
+        } else {
+          logger.info('🚨 Emergency alert sent successfully', { userId, alertId: alert._id, contactsNotified });
+        }
+      })
+      .catch(error => logger.error('❌ Emergency alert dispatch error:', error));
+    
+    res.status(202).json({ 
+      success: true,
+      alertId: alert._id,
+      message: 'Emergency alert raised; your contacts are being notified',
+      statusUrl: `/api/emergency/alerts/${alert._id}`,
+      contactsPending: validContacts.length,
+      contacts: alert.emergencyContacts.map(contact => ({
+        name: contact.name,
+        phone: contact.phone,
+        email: contact.email,
+        deliveryStatus: 'pending'
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('❌ Emergency alert error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== GET USER ACTIVITY ROUTE =====
+app.get('/api/users/activity', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = parseInt(req.query.offset) || 0;
+    const userId = req.user.userId;
+    
+    logger.info('📋 User activity fetch request', { userId, limit, offset });
+    
+    const activities = await UserActivity
+      .find({ userId })
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    
+    const formattedActivities = activities.map(activity => ({
+      id: activity._id,
+      icon: activity.icon || '📋',
+      title: activity.title,
+      description: activity.description,
+      date: activity.createdAt,
+      type: activity.type,
+      metadata: activity.metadata
+    }));
+    
+    logger.info('✅ User activity fetched successfully', { userId, count: formattedActivities.length });
+    
+    res.json(formattedActivities);
+    
+  } catch (error) {
+    logger.error('❌ Activity fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== GET TRAVEL HISTORY ROUTE =====
+app.get('/api/users/travel-history', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    const userId = req.user.userId;
+    
+    logger.info('🧳 Travel history fetch request', { userId, limit, offset });
+    
+    // Get completed trips (where end date is in the past)
+    const trips = await Itinerary
+      .find({ 
+        userId,
+        endDate: { $lt: new Date() }
+      })
+      .sort({ endDate: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    
+    // Real spending from expense records; trips without any fall back to their planned activity costs
+    const expenses = await Expense.find({ itineraryId: { $in: trips.map(trip => trip._id) } }).lean();
+    const user = await User.findById(userId).select('displayCurrency').lean();
+    const displayCurrency = user?.displayCurrency || DEFAULT_CURRENCY;
+    const converter = await createBudgetConverter(trips, expenses);
+    const expensesByTrip = new Map();
+    expenses.forEach(expense => {
+      const key = String(expense.itineraryId);
+      if (!expensesByTrip.has(key)) expensesByTrip.set(key, []);
+      expensesByTrip.get(key).push(expense);
+    });
+    
+    const formattedTrips = trips.map(trip => {
+      const tripExpenses = expensesByTrip.get(String(trip._id)) || [];
+      const summary = buildBudgetSummary(trip, tripExpenses, { converter, displayCurrency });
+      const spent = tripExpenses.length > 0;
+      
+      return {
+        id: trip._id,
+        title: trip.title,
+        destination: trip.destination,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        totalCost: spent ? summary.actual : summary.planned,
+        costSource: spent ? 'expenses' : 'planned',
+        plannedCost: summary.planned,
+        actualCost: summary.actual,
+        budget: trip.budget || null,
+        currency: summary.currency,
+        overBudget: !!summary.budget && summary.actual > summary.budget,
+        // Same total in the user's display currency; null when it matches the trip currency or no rate exists
+        displayCost: summary.display ? { currency: summary.display.currency, totalCost: spent ? summary.display.actual : summary.display.planned } : null,
+        rating: trip.rating || null,
+        duration: Math.ceil((new Date(trip.endDate) - new Date(trip.startDate)) / (1000 * 60 * 60 * 24)) + 1,
+        aiGenerated: trip.aiGenerated || false,
+        activities: trip.days ? trip.days.reduce((total, day) => total + (day.activities?.length || 0), 0) : 0,
+        photosEnabled: trip.photosEnabled || false,
+        destinationPhotos: trip.destinationPhotos || []
+      };
+    });
+    
+    logger.info('✅ Travel history fetched successfully', { userId, count: formattedTrips.length });
+    
+    res.json(formattedTrips);
+    
+  } catch (error) {
+    logger.error('❌ Travel history fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== RATE TRIP ROUTE =====
+app.put('/api/itineraries/:id/rate', authenticateToken, async (req, res) => {
+  try {
+    const { rating } = req.body;
+    const userId = req.user.userId;
+    const itineraryId = req.params.id;
+    
+    logger.info('⭐ Trip rating request', { userId, itineraryId, rating });
+    
+    if (!rating || rating < 1 || rating > 5) {
+      logger.warn('⚠️ Invalid rating value', { userId, rating });
+      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+    }
+    
+    const { itinerary: sharedTrip, role } = await findItineraryForMember(itineraryId, userId, { select: '_id', lean: true });
+    
+    if (!sharedTrip) {
+      logger.warn('⚠️ Itinerary not found for rating', { userId, itineraryId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, itineraryId, userId, role, 'owner');
+    }
+    
+    const itinerary = await Itinerary.findOneAndUpdate(
+      { _id: itineraryId, userId },
+      { rating: parseInt(rating), updatedAt: Date.now() },
+      { new: true }
+    );
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for rating', { userId, itineraryId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    // Log activity
+    await new UserActivity({
+      userId,
+      type: 'trip_rated',
+      title: 'Trip rated',
+      description: `Rated "${itinerary.title}" ${rating} stars`,
+      icon: '⭐',
+      metadata: { 
+        itineraryId: itinerary._id, 
+        rating: parseInt(rating),
+        destination: itinerary.destination
+      }
+    }).save();
+    
+    // Update user's average rating
+    await updateUserStats(userId);
+    
+    logger.info('✅ Trip rated successfully', { userId, itineraryId, rating });
+    
+    res.json({ success: true, rating: parseInt(rating) });
+    
+  } catch (error) {
+    logger.error('❌ Trip rating error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== GET CHECK-IN HISTORY ROUTE =====
+app.get('/api/users/check-ins', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = parseInt(req.query.offset) || 0;
+    const userId = req.user.userId;
+    
+    logger.info('📍 Check-in history fetch request', { userId, limit, offset });
+    
+    const checkIns = await CheckIn
+      .find({ userId })
+      .sort({ timestamp: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    
+    logger.info('✅ Check-in history fetched successfully', { userId, count: checkIns.length });
+    
+    res.json(checkIns);
+    
+  } catch (error) {
+    logger.error('❌ Check-ins fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== MEDICAL INFORMATION ROUTES =====
+app.get('/api/users/medical-info', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('🩺 Medical info fetch request', { userId });
+    
+    const user = await User.findById(userId).select('medicalInfo');
+    if (!user) {
+      logger.warn('⚠️ Medical info: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(await discloseMedicalInfo(user, req, { accessorType: 'owner', channel: 'medical_info' }));
+    
+  } catch (error) {
+    logger.error('❌ Medical info fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/users/medical-info/disclosures', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    const userId = req.user.userId;
+    
+    logger.info('🩺 Medical disclosure log fetch request', { userId, limit, offset });
+    
+    const query = { userId };
+    if (req.query.accessorType) query.accessorType = req.query.accessorType;
+    
+    const disclosures = await MedicalDisclosure
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    
+    logger.info('✅ Medical disclosure log fetched', { userId, count: disclosures.length });
+    
+    res.json(disclosures.map(entry => ({
+      id: entry._id,
+      accessorType: entry.accessorType,
+      accessor: entry.accessorLabel,
+      channel: entry.channel,
+      alertId: entry.alertId || null,
+      fields: entry.fields,
+      ipAddress: entry.ipAddress,
+      userAgent: entry.userAgent,
+      date: entry.createdAt
+    })));
+    
+  } catch (error) {
+    logger.error('❌ Medical disclosure log error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Public responder view from the link in an alert; works only while that alert is active
+app.get('/api/emergency/responder/:token', async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    
+    logger.info('🩺 Emergency responder view request', { ip: clientIp });
+    
+    if (!rateLimiter.isAllowed(`responder:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const alert = await EmergencyAlert.findOne({ responderTokenHashes: hashToken(req.params.token) }).lean();
+    
+    if (!alert || !OPEN_ALERT_STATUSES.includes(alert.status) || alertLinkExpired(alert.responderTokensExpireAt, alert)) {
+      logger.warn('⚠️ Responder view refused: Unknown, inactive or expired alert link');
+      return res.status(404).json({ message: 'This emergency link is no longer active' });
+    }
+    
+    const user = await User.findById(alert.userId).select('name medicalInfo emergencyContacts');
+    if (!user) {
+      return res.status(404).json({ message: 'This emergency link is no longer active' });
+    }
+    
+    const medicalInfo = await discloseMedicalInfo(user, req, {
+      accessorType: 'emergency_responder',
+      accessorLabel: req.query.name ? sanitizeString(req.query.name) : 'Emergency responder',
+      channel: 'responder_view',
+      alertId: alert._id
+    });
+    
+    await new UserActivity({
+      userId: user._id,
+      type: 'medical_info_disclosed',
+      title: '🩺 Medical details viewed',
+      description: `Your medical details were viewed through the responder link for your ${alert.alertType} alert`,
+      icon: '🩺',
+      metadata: { alertId: alert._id, ipAddress: clientIp }
+    }).save();
+    
+    logger.info('✅ Responder view served', { userId: user._id, alertId: alert._id });
+    
+    res.json({
+      traveller: { name: user.name },
+      alert: {
+        alertType: alert.alertType,
+        message: alert.message,
+        location: alert.location,
+        createdAt: alert.createdAt
+      },
+      medicalInfo,
+      emergencyContacts: user.emergencyContacts.map(contact => ({
+        name: contact.name,
+        relationship: contact.relationship,
+        phone: contact.phone,
+        isPrimary: contact.isPrimary
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('❌ Responder view error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== GET EMERGENCY ALERTS ROUTE =====
+app.get('/api/emergency/alerts', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = parseInt(req.query.offset) || 0;
+    const userId = req.user.userId;
+    
+    logger.info('🚨 Emergency alerts fetch request', { userId, limit, offset });
+    
+    const alerts = await EmergencyAlert
+      .find({ userId })
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+    
+    logger.info('✅ Emergency alerts fetched successfully', { userId, count: alerts.length });
+    
+    res.json(alerts.map(formatAlertForOwner));
+    
+  } catch (error) {
+    logger.error('❌ Emergency alerts fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== GET EMERGENCY ALERT DETAIL ROUTE =====
+app.get('/api/emergency/alerts/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('🚨 Emergency alert detail request', { userId, alertId: req.params.id });
+    
+    const alert = await EmergencyAlert.findOne({ _id: req.params.id, userId }).lean();
+    
+    if (!alert) {
+      logger.warn('⚠️ Emergency alert not found', { userId, alertId: req.params.id });
+      return res.status(404).json({ message: 'Emergency alert not found' });
+    }
+    
+    res.json(formatAlertForOwner(alert));
+    
+  } catch (error) {
+    logger.error('❌ Emergency alert detail error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== EMERGENCY ALERT FOLLOW-UP ROUTES =====
+app.post('/api/emergency/alerts/:id/updates', authenticateToken, async (req, res) => {
+  try {
+    const { message, location, notifyContacts } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('📝 Emergency alert follow-up request', { userId, alertId: req.params.id, notifyContacts: !!notifyContacts });
+    
+    const text = typeof message === 'string' ? message.trim().substring(0, 1000) : '';
+    if (!text) {
+      return res.status(400).json({ message: 'Message is required' });
+    }
+    if (location && !isValidCoordinate(parseFloat(location.latitude), parseFloat(location.longitude))) {
+      return res.status(400).json({ message: 'Invalid location coordinates' });
+    }
+    
+    const alert = await EmergencyAlert.findOne({ _id: req.params.id, userId });
+    
+    if (!alert) {
+      logger.warn('⚠️ Emergency alert not found for follow-up', { userId, alertId: req.params.id });
+      return res.status(404).json({ message: 'Emergency alert not found' });
+    }
+    if (!OPEN_ALERT_STATUSES.includes(alert.status)) {
+      return res.status(409).json({ message: 'This emergency alert is already closed' });
+    }
+    
+    const user = await User.findById(userId).select('name');
+    const position = location ? {
+      latitude: parseFloat(location.latitude),
+      longitude: parseFloat(location.longitude),
+      address: location.address || `${location.latitude}, ${location.longitude}`
+    } : undefined;
+    
+    if (position) {
+      alert.lastLocation = { ...position, timestamp: new Date() };
+    }
+    
+    const contactsUpdated = notifyContacts ? await notifyAlertContacts(alert, user, text, 'emergency_alert_update') : 0;
+    
+    addAlertTimelineEvent(alert, 'user_update', {
+      actor: { kind: 'user', name: user?.name },
+      message: text,
+      location: position,
+      metadata: { contactsUpdated }
+    });
+    await alert.save();
+    
+    logger.info('✅ Emergency alert follow-up recorded', { userId, alertId: alert._id, contactsUpdated });
+    
+    res.json({ success: true, contactsUpdated, alert: formatAlertForOwner(alert) });
+    
+  } catch (error) {
+    logger.error('❌ Emergency alert follow-up error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/emergency/alerts/:id/escalate', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.warn('🚨 Emergency alert manual escalation request', { userId, alertId: req.params.id });
+    
+    const alert = await EmergencyAlert.findOne({ _id: req.params.id, userId });
+    
+    if (!alert) {
+      logger.warn('⚠️ Emergency alert not found for escalation', { userId, alertId: req.params.id });
+      return res.status(404).json({ message: 'Emergency alert not found' });
+    }
+    if (!OPEN_ALERT_STATUSES.includes(alert.status)) {
+      return res.status(409).json({ message: 'This emergency alert is already closed' });
+    }
+    
+    const user = await User.findById(userId).select('name');
+    const reason = sanitizeString(req.body?.reason) || 'Escalated by the traveller';
+    const outcomes = await escalateAlert(alert, { actor: { kind: 'user', name: user?.name }, reason });
+    const contactsNotified = outcomes.filter(outcome => outcome.notificationSent).length;
+    
+    logger.info('✅ Emergency alert escalated', { userId, alertId: alert._id, contactsNotified });
+    
+    res.json({
+      success: true,
+      contactsNotified,
+      contacts: outcomes,
+      alert: formatAlertForOwner(alert)
+    });
+    
+  } catch (error) {
+    logger.error('❌ Emergency alert escalation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== RESOLVE EMERGENCY ALERT ROUTES =====
+// PUT /resolve and /false-alarm both close the alert; contacts who were notified hear that it is over
+['resolve', 'false-alarm'].forEach(action => {
+  const status = action === 'resolve' ? 'resolved' : 'false_alarm';
+  
+  app.put(`/api/emergency/alerts/:id/${action}`, authenticateToken, async (req, res) => {
+    try {
+      const alertId = req.params.id;
+      const userId = req.user.userId;
+      
+      logger.info('✅ Emergency alert close request', { userId, alertId, status });
+      
+      const alert = await EmergencyAlert.findOne({ _id: alertId, userId });
+      
+      if (!alert) {
+        logger.warn('⚠️ Emergency alert not found for resolve', { userId, alertId });
+        return res.status(404).json({ message: 'Emergency alert not found' });
+      }
+      if (!OPEN_ALERT_STATUSES.includes(alert.status)) {
+        return res.status(409).json({ message: 'This emergency alert is already closed' });
+      }
+      
+      const user = await User.findById(userId).select('name');
+      const note = typeof req.body?.note === 'string' ? req.body.note.trim().substring(0, 1000) : '';
+      const { contactsUpdated } = await closeAlert(alert, status, { note, actor: { kind: 'user', name: user?.name } });
+      
+      // Log activity
+      await new UserActivity({
+        userId,
+        type: status === 'resolved' ? 'emergency_resolved' : 'emergency_false_alarm',
+        title: status === 'resolved' ? 'Emergency alert resolved' : 'Emergency alert cancelled as a false alarm',
+        description: `Emergency alert ${status === 'resolved' ? 'resolved' : 'marked as a false alarm'} - ${alert.alertType}`,
+        icon: '✅',
+        metadata: { alertId: alert._id, contactsUpdated }
+      }).save();
+      
+      logger.info('✅ Emergency alert closed successfully', { userId, alertId, status });
+      
+      res.json({ success: true, contactsUpdated, alert: formatAlertForOwner(alert) });
+      
+    } catch (error) {
+      logger.error('❌ Emergency alert resolve error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+});
+
+// ===== EMERGENCY CONTACT ALERT ROUTES =====
+// Public routes behind each contact's personal link - the token is the credential
+app.get('/api/emergency/contact/:token', async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    
+    logger.info('👀 Emergency contact alert view', { ip: clientIp });
+    
+    if (!rateLimiter.isAllowed(`alert-contact:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const found = await findAlertByContactToken(req.params.token);
+    
+    if (!found) {
+      logger.warn('⚠️ Emergency contact link invalid');
+      return res.status(404).json({ message: 'This emergency link is invalid' });
+    }
+    
+    const { alert, contact } = found;
+    contact.lastViewedAt = new Date();
+    await alert.save();
+    
+    const user = await User.findById(alert.userId).select('name');
+    
+    res.json(formatAlertForContact(alert, user, contact));
+    
+  } catch (error) {
+    logger.error('❌ Emergency contact alert view error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/emergency/contact/:token/acknowledge', async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    
+    logger.info('🙋 Emergency alert acknowledgement', { ip: clientIp });
+    
+    if (!rateLimiter.isAllowed(`alert-contact:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const found = await findAlertByContactToken(req.params.token);
+    
+    if (!found) {
+      logger.warn('⚠️ Emergency contact link invalid');
+      return res.status(404).json({ message: 'This emergency link is invalid' });
+    }
+    
+    const { alert, contact } = found;
+    
+    if (!OPEN_ALERT_STATUSES.includes(alert.status)) {
+      return res.status(409).json({ message: 'This emergency alert is already closed' });
+    }
+    
+    const user = await User.findById(alert.userId).select('name email');
+    
+    if (!contact.acknowledgedAt) {
+      const now = new Date();
+      contact.acknowledgedAt = now;
+      
+      if (alert.status !== 'acknowledged') {
+        alert.status = 'acknowledged';
+        alert.acknowledgedAt = now;
+        alert.acknowledgedBy = contact.name;
+      }
+      
+      const note = sanitizeString(req.body?.message) || '';
+      addAlertTimelineEvent(alert, 'acknowledged', {
+        actor: { kind: 'contact', name: contact.name },
+        message: note || `${contact.name} acknowledged the alert`
+      });
+      await alert.save();
+      
+      await new UserActivity({
+        userId: alert.userId,
+        type: 'emergency_acknowledged',
+        title: 'Emergency alert acknowledged',
+        description: `${contact.name} acknowledged your ${alert.alertType} alert`,
+        icon: '🙋',
+        metadata: { alertId: alert._id, contact: contact.name }
+      }).save();
+      
+      if (user?.email) {
+        try {
+          await mailer.send({
+            to: user.email,
+            subject: `${contact.name} has seen your emergency alert`,
+            text: `Hi ${user.name},\n\n${contact.name} has acknowledged your emergency alert and knows you need help.${note ? `\n\nTheir message: ${note}` : ''}`
+          });
+        } catch (mailError) {
+          logger.error('❌ Failed to tell traveller about acknowledgement:', mailError);
+        }
+      }
+      
+      logger.info('✅ Emergency alert acknowledged', { alertId: alert._id, contact: contact.name });
+    }
+    
+    res.json(formatAlertForContact(alert, user, contact));
+    
+  } catch (error) {
+    logger.error('❌ Emergency alert acknowledgement error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/emergency/contact/:token/messages', async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    
+    logger.info('💬 Emergency contact message', { ip: clientIp });
+    
+    if (!rateLimiter.isAllowed(`alert-contact:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const text = typeof req.body?.message === 'string' ? req.body.message.trim().substring(0, 1000) : '';
+    if (!text) {
+      return res.status(400).json({ message: 'Message is required' });
+    }
+    
+    const found = await findAlertByContactToken(req.params.token);
+    
+    if (!found) {
+      logger.warn('⚠️ Emergency contact link invalid');
+      return res.status(404).json({ message: 'This emergency link is invalid' });
+    }
+    
+    const { alert, contact } = found;
+    
+    if (!OPEN_ALERT_STATUSES.includes(alert.status)) {
+      return res.status(409).json({ message: 'This emergency alert is already closed' });
+    }
+    
+    addAlertTimelineEvent(alert, 'contact_message', {
+      actor: { kind: 'contact', name: contact.name },
+      message: text
+    });
+    await alert.save();
+    
+    await new UserActivity({
+      userId: alert.userId,
+      type: 'emergency_contact_message',
+      title: `💬 Message from ${contact.name}`,
+      description: text,
+      icon: '💬',
+      metadata: { alertId: alert._id, contact: contact.name }
+    }).save();
+    
+    logger.info('✅ Emergency contact message recorded', { alertId: alert._id, contact: contact.name });
+    
+    const user = await User.findById(alert.userId).select('name');
+    res.status(201).json(formatAlertForContact(alert, user, contact));
+    
+  } catch (error) {
+    logger.error('❌ Emergency contact message error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== HELPER FUNCTION TO UPDATE USER STATS =====
+async function updateUserStats(userId) {
+  try {
+    logger.info('📊 Updating user stats', { userId });
+    
+    // Calculate user statistics
+    const totalTrips = await Itinerary.countDocuments({ userId });
+    const completedTrips = await Itinerary.find({ 
+      userId,
+      endDate: { $lt: new Date() }
+    });
+    
+    // Calculate average rating from completed trips
+    const ratedTrips = completedTrips.filter(trip => trip.rating);
+    const avgRating = ratedTrips.length > 0 
+      ? ratedTrips.reduce((sum, trip) => sum + trip.rating, 0) / ratedTrips.length 
+      : 0;
+    
+    // Calculate total days traveled
+    const daysTraveled = completedTrips.reduce((total, trip) => {
+      const days = Math.ceil((new Date(trip.endDate) - new Date(trip.startDate)) / (1000 * 60 * 60 * 24)) + 1;
+      return total + days;
+    }, 0);
+    
+    // Count unique countries (simplified - just count unique destinations)
+    const uniqueDestinations = [...new Set(completedTrips.map(trip => trip.destination))];
+    const countriesVisited = uniqueDestinations.length;
+    
+    // Update user statistics
+    await User.findByIdAndUpdate(userId, {
+      totalTrips,
+      avgRating: Math.round(avgRating * 10) / 10,
+      daysTraveled,
+      countriesVisited,
+      updatedAt: Date.now()
+    });
+    
+    logger.info('✅ User stats updated successfully', { userId, totalTrips, avgRating, daysTraveled, countriesVisited });
+    
+  } catch (error) {
+    logger.error('❌ Error updating user stats:', error);
+  }
+}
+
+// ===== MISSED CHECK-IN MONITOR =====
+const CHECK_IN_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  every_2_hours: 2 * 60 * 60 * 1000,
+  every_4_hours: 4 * 60 * 60 * 1000,
+  every_6_hours: 6 * 60 * 60 * 1000,
+  every_12_hours: 12 * 60 * 60 * 1000,
+  twice_daily: 12 * 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Maps a checkInFrequency setting to milliseconds; "never"/"manual"/"off" disable monitoring
+function getCheckInIntervalMs(frequency) {
+  if (!frequency) return CHECK_IN_INTERVALS.daily;
+  
+  const normalized = String(frequency).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (['never', 'manual', 'off', 'none', 'disabled'].includes(normalized)) return null;
+  if (CHECK_IN_INTERVALS[normalized]) return CHECK_IN_INTERVALS[normalized];
+  
+  // Also accept shorthand such as "4h" or "30m"
+  const shorthand = normalized.match(/^(\d+)(m|h|d)$/);
+  if (shorthand) {
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[shorthand[2]];
+    return parseInt(shorthand[1]) * unitMs;
+  }
+  
+  return CHECK_IN_INTERVALS.daily;
+}
+
+// Trips that are running today; the end date counts as a full travel day
+async function findCurrentItinerary(userId, now = new Date()) {
+  return Itinerary.findOne({
+    ...itineraryAccessFilter(userId),
+    startDate: { $lte: now },
+    endDate: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) }
+  }).sort({ startDate: 1 }).lean();
+}
+
+// Works out when the next check-in is due and where the traveller is in the escalation ladder
+async function computeCheckInSchedule(user, itinerary, now = new Date()) {
+  const intervalMs = getCheckInIntervalMs(user.travelPreferences?.checkInFrequency);
+  if (user.travelPreferences?.autoCheckIn !== true || !intervalMs || !itinerary) {
+    return { monitored: false, intervalMs, itinerary };
+  }
+  
+  const lastCheckIn = await CheckIn.findOne({ userId: user._id }).sort({ timestamp: -1 }).select('timestamp').lean();
+  const tripStart = new Date(itinerary.startDate);
+  const base = lastCheckIn && new Date(lastCheckIn.timestamp) > tripStart ? new Date(lastCheckIn.timestamp) : tripStart;
+  
+  const dueAt = new Date(base.getTime() + intervalMs);
+  const reminderAt = new Date(dueAt.getTime() + checkInMonitor.graceMs);
+  
+  const monitorState = user.checkInMonitor || {};
+  const sameCycle = monitorState.cycleDueAt && new Date(monitorState.cycleDueAt).getTime() === dueAt.getTime();
+  const reminderSentAt = sameCycle ? monitorState.reminderSentAt : null;
+  const escalatedAt = sameCycle ? monitorState.escalatedAt : null;
+  const escalateAt = reminderSentAt ? new Date(new Date(reminderSentAt).getTime() + checkInMonitor.escalationMs) : null;
+  
+  let status = 'ok';
+  if (escalatedAt) status = 'escalated';
+  else if (reminderSentAt) status = 'reminded';
+  else if (now >= dueAt) status = 'overdue';
+  
+  return {
+    monitored: true,
+    intervalMs,
+    itinerary,
+    lastCheckInAt: lastCheckIn?.timestamp || null,
+    dueAt,
+    reminderAt,
+    escalateAt,
+    reminderSentAt,
+    escalatedAt,
+    status
+  };
+}
+
+const checkInMonitor = {
+  scanIntervalMs: parseInt(process.env.CHECK_IN_SCAN_INTERVAL_MS) || 5 * 60 * 1000,
+  graceMs: (parseInt(process.env.CHECK_IN_GRACE_MINUTES) || 30) * 60 * 1000,
+  escalationMs: (parseInt(process.env.CHECK_IN_ESCALATION_MINUTES) || 60) * 60 * 1000,
+  timer: null,
+  running: false,
+  
+  start() {
+    if (this.timer || process.env.CHECK_IN_MONITOR_ENABLED === 'false') return;
+    
+    this.timer = setInterval(() => this.runOnce(), this.scanIntervalMs);
+    logger.info('⏰ Missed check-in monitor started', { scanIntervalMs: this.scanIntervalMs, graceMs: this.graceMs, escalationMs: this.escalationMs });
+  },
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+  
+  async runOnce(now = new Date()) {
+    if (this.running || mongoose.connection.readyState !== 1) return;
+    this.running = true;
+    
+    try {
+      const runningTrips = {
+        startDate: { $lte: now },
+        endDate: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) }
+      };
+      const [ownerIds, memberIds] = await Promise.all([
+        Itinerary.distinct('userId', runningTrips),
+        Itinerary.distinct('members.userId', runningTrips)
+      ]);
+      const travellerIds = [...new Set([...ownerIds, ...memberIds].map(String))];
+      const activeTravellerIds = (await User.distinct('_id', {
+        _id: { $in: travellerIds },
+        'travelPreferences.autoCheckIn': true
+      })).map(String);
+      
+      logger.debug('⏰ Missed check-in scan', { activeTravellers: activeTravellerIds.length });
+      
+      for (const userId of activeTravellerIds) {
+        try {
+          await this.evaluateTraveller(userId, now);
+        } catch (error) {
+          logger.error('❌ Missed check-in evaluation failed for user:', error);
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Missed check-in scan error:', error);
+    } finally {
+      this.running = false;
+    }
+  },
+  
+  async evaluateTraveller(userId, now) {
+    const user = await User.findById(userId).select('name email emergencyContacts travelPreferences checkInMonitor');
+    if (!user) return;
+    
+    const itinerary = await findCurrentItinerary(userId, now);
+    const schedule = await computeCheckInSchedule(user, itinerary, now);
+    if (!schedule.monitored || now < schedule.reminderAt) return;
+    
+    if (!schedule.reminderSentAt) {
+      await this.sendReminder(user, schedule, now);
+    } else if (!schedule.escalatedAt && now >= schedule.escalateAt) {
+      await this.escalate(user, schedule, now);
+    }
+  },
+  
+  async sendReminder(user, schedule, now) {
+    logger.warn('⏰ Check-in overdue, sending reminder', { userId: user._id, dueAt: schedule.dueAt });
+    
+    user.checkInMonitor = {
+      cycleDueAt: schedule.dueAt,
+      reminderSentAt: now,
+      itineraryId: schedule.itinerary._id
+    };
+    await user.save();
+    
+    let delivered = false;
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: 'Time to check in with Aventra',
+        text: `Hi ${user.name},\n\nYour check-in for your trip to ${schedule.itinerary.destination} was due at ${schedule.dueAt.toUTCString()}. Please open Aventra and check in. If we don't hear from you within ${Math.round(this.escalationMs / 60000)} minutes, your emergency contact will be alerted.`
+      });
+      delivered = true;
+    } catch (mailError) {
+      logger.error('❌ Failed to send check-in reminder:', mailError);
+    }
+    
+    await new UserActivity({
+      userId: user._id,
+      type: 'check_in_reminder',
+      title: 'Missed check-in reminder',
+      description: `Check-in was due at ${schedule.dueAt.toISOString()}; reminder ${delivered ? 'sent' : 'could not be sent'}`,
+      icon: '⏰',
+      metadata: {
+        itineraryId: schedule.itinerary._id,
+        dueAt: schedule.dueAt,
+        escalateAt: new Date(now.getTime() + this.escalationMs),
+        reminderDelivered: delivered
+      }
+    }).save();
+  },
+  
+  async escalate(user, schedule, now) {
+    const contact = user.emergencyContacts.find(c => c.isPrimary) || user.emergencyContacts[0];
+    
+    if (!contact) {
+      logger.error('❌ Missed check-in escalation failed: No emergency contact', { userId: user._id });
+      user.checkInMonitor.escalatedAt = now;
+      await user.save();
+      
+      await new UserActivity({
+        userId: user._id,
+        type: 'check_in_escalation_failed',
+        title: 'Missed check-in could not be escalated',
+        description: 'No emergency contact is configured',
+        icon: '⚠️',
+        metadata: { itineraryId: schedule.itinerary._id, dueAt: schedule.dueAt }
+      }).save();
+      return;
+    }
+    
+    logger.warn('🚨 Escalating missed check-in to primary contact', { userId: user._id, contact: contact.name });
+    
+    const lastKnown = await User.findById(user._id).select('currentLocation').lean();
+    const location = lastKnown?.currentLocation?.latitude != null ? {
+      latitude: lastKnown.currentLocation.latitude,
+      longitude: lastKnown.currentLocation.longitude,
+      address: lastKnown.currentLocation.address
+    } : null;
+    
+    const alert = new EmergencyAlert({
+      userId: user._id,
+      alertType: 'missed_check_in',
+      location,
+      escalationEligible: true,
+      message: `${user.name} has not checked in since ${schedule.lastCheckInAt ? new Date(schedule.lastCheckInAt).toUTCString() : 'the start of their trip'} while travelling in ${schedule.itinerary.destination}. Their check-in was due at ${schedule.dueAt.toUTCString()}.`,
+      emergencyContacts: [{
+        name: contact.name,
+        phone: contact.phone,
+        email: contact.email || ''
+      }]
+    });
+    addAlertTimelineEvent(alert, 'created', {
+      actor: { kind: 'system' },
+      message: `Missed check-in escalated to ${contact.name}`,
+      location: location || undefined,
+      metadata: { itineraryId: schedule.itinerary._id, dueAt: schedule.dueAt }
+    });
+    const contactUrls = issueContactLinks(alert);
+    const responderToken = issueResponderToken(alert);
+    await alert.save();
+    
+    user.checkInMonitor.escalatedAt = now;
+    user.checkInMonitor.alertId = alert._id;
+    await user.save();
+    await enableEmergencyAccess(user._id);
+    
+    const outcomes = await emergencyNotifier.dispatch(alert, user, {
+      contactUrls,
+      responderUrl: buildResponderUrl(responderToken)
+    });
+    
+    await new UserActivity({
+      userId: user._id,
+      type: 'check_in_escalated',
+      title: '🚨 Missed check-in escalated',
+      description: `No check-in received; ${contact.name} was ${outcomes[0]?.notificationSent ? 'alerted' : 'not reachable'}`,
+      icon: '🚨',
+      metadata: {
+        alertId: alert._id,
+        itineraryId: schedule.itinerary._id,
+        dueAt: schedule.dueAt,
+        contact: contact.name,
+        notificationSent: !!outcomes[0]?.notificationSent
+      }
+    }).save();
+  }
+};
+
+// ===== LOCATION TRAIL RETENTION JOB =====
+const locationTrailCleanup = {
+  intervalMs: parseInt(process.env.LOCATION_TRAIL_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+  timer: null,
+  running: false,
+  
+  start() {
+    if (this.timer || process.env.LOCATION_TRAIL_CLEANUP_ENABLED === 'false') return;
+    
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    logger.info('🧹 Location trail cleanup job started', { intervalMs: this.intervalMs });
+  },
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+  
+  async runOnce(now = new Date()) {
+    if (this.running || mongoose.connection.readyState !== 1) return;
+    this.running = true;
+    
+    try {
+      const userIds = await LocationPoint.distinct('userId');
+      let deleted = 0;
+      
+      for (const userId of userIds) {
+        try {
+          deleted += await this.applyRetention(userId, now);
+        } catch (error) {
+          logger.error('❌ Location trail retention failed for user:', error);
+        }
+      }
+      
+      if (deleted > 0) {
+        logger.info('🧹 Location trail cleanup complete', { users: userIds.length, deleted });
+      }
+    } catch (error) {
+      logger.error('❌ Location trail cleanup error:', error);
+    } finally {
+      this.running = false;
+    }
+  },
+  
+  // Returns the number of points removed for one user
+  async applyRetention(userId, now = new Date()) {
+    const user = await User.findById(userId).select('locationHistory').lean();
+    
+    // Trails of deleted accounts are removed entirely
+    if (!user) {
+      const result = await LocationPoint.deleteMany({ userId });
+      return result.deletedCount;
+    }
+    
+    const settings = user.locationHistory || {};
+    const retentionDays = settings.retentionDays || 30;
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    
+    const conditions = [{ recordedAt: { $lt: cutoff } }];
+    
+    if (settings.deleteAfterTripEnds) {
+      const endedTripIds = await Itinerary.distinct('_id', {
+        userId,
+        endDate: { $lt: new Date(now.getTime() - 24 * 60 * 60 * 1000) }
+      });
+      if (endedTripIds.length > 0) {
+        conditions.push({ itineraryId: { $in: endedTripIds } });
+      }
+    }
+    
+    const result = await LocationPoint.deleteMany({ userId, $or: conditions });
+    return result.deletedCount;
+  }
+};
+
+// ===== EMERGENCY ALERT ESCALATION MONITOR =====
+// Alerts nobody has acknowledged within ALERT_ACK_TIMEOUT_MINUTES go out to every emergency contact again
+const alertEscalationMonitor = {
+  scanIntervalMs: parseInt(process.env.ALERT_ESCALATION_SCAN_INTERVAL_MS) || 60 * 1000,
+  timer: null,
+  running: false,
+  
+  start() {
+    if (this.timer || process.env.ALERT_ESCALATION_ENABLED === 'false') return;
+    
+    this.timer = setInterval(() => this.runOnce(), this.scanIntervalMs);
+    logger.info('🚨 Emergency alert escalation monitor started', { scanIntervalMs: this.scanIntervalMs, ackTimeoutMinutes: ALERT_ACK_TIMEOUT_MINUTES });
+  },
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+  
+  async runOnce(now = new Date()) {
+    if (this.running || mongoose.connection.readyState !== 1) return;
+    this.running = true;
+    
+    try {
+      const alerts = await EmergencyAlert.find({
+        status: 'active',
+        escalationEligible: true,
+        createdAt: { $lte: new Date(now.getTime() - ALERT_ACK_TIMEOUT_MINUTES * 60 * 1000) }
+      });
+      
+      for (const alert of alerts) {
+        try {
+          await escalateAlert(alert, { reason: `Not acknowledged within ${ALERT_ACK_TIMEOUT_MINUTES} minutes` });
+        } catch (error) {
+          logger.error('❌ Emergency alert escalation failed:', error);
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Emergency alert escalation scan error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+};
+
+// ===== EXCHANGE RATE REFRESHER =====
+// Refreshes the rate table from the provider once a day, retrying on the hourly scan after a failure.
+// EXCHANGE_RATES_FILE is loaded on the first run when it exists.
+const exchangeRateRefresher = {
+  scanIntervalMs: parseInt(process.env.EXCHANGE_RATE_SCAN_INTERVAL_MS) || 60 * 60 * 1000,
+  refreshIntervalMs: 24 * 60 * 60 * 1000,
+  timer: null,
+  running: false,
+  fileLoaded: false,
+  lastRefreshAt: null,
+  
+  start() {
+    if (this.timer || process.env.EXCHANGE_RATE_REFRESH_ENABLED === 'false') return;
+    
+    this.timer = setInterval(() => this.runOnce(), this.scanIntervalMs);
+    logger.info('💱 Exchange rate refresher started', { scanIntervalMs: this.scanIntervalMs, provider: process.env.EXCHANGE_RATE_PROVIDER || 'frankfurter' });
+    
+    // First run as soon as the database is reachable rather than one scan interval later
+    if (mongoose.connection.readyState === 1) this.runOnce();
+    else mongoose.connection.once('connected', () => this.runOnce());
+  },
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+  
+  async runOnce(now = new Date()) {
+    if (this.running || mongoose.connection.readyState !== 1) return;
+    if (this.lastRefreshAt && now - this.lastRefreshAt < this.refreshIntervalMs) return;
+    this.running = true;
+    
+    try {
+      if (!this.fileLoaded) {
+        this.fileLoaded = true;
+        try {
+          await loadExchangeRatesFile();
+        } catch (error) {
+          if (error.code !== 'ENOENT') logger.error('❌ Exchange rate file load error:', error);
+        }
+      }
+      
+      await refreshExchangeRates();
+      this.lastRefreshAt = now;
+    } catch (error) {
+      logger.error('❌ Exchange rate refresh error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+};
+
+// ===== ITINERARY ROUTES =====
+app.post('/api/itineraries', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const itineraryData = { ...req.body, userId, version: 0 };
+    // Members only join through invitations, and only the owner rates a trip
+    ['_id', 'members', 'rating', '__v'].forEach(field => delete itineraryData[field]);
+    
+    logger.info('📝 Creating new itinerary', { userId, destination: req.body.destination });
+    
+    if (itineraryData.timezone !== undefined && itineraryData.timezone !== null && !isValidTimeZone(itineraryData.timezone)) {
+      return res.status(400).json({ message: 'timezone must be an IANA time zone such as Europe/Rome' });
+    }
+    
+    // New trips are priced in the user's display currency unless one is given
+    if (itineraryData.currency === undefined || itineraryData.currency === null) {
+      const user = await User.findById(userId).select('displayCurrency').lean();
+      itineraryData.currency = user?.displayCurrency || DEFAULT_CURRENCY;
+    } else if (isValidCurrency(normalizeCurrency(itineraryData.currency))) {
+      itineraryData.currency = normalizeCurrency(itineraryData.currency);
+    } else {
+      return res.status(400).json({ message: 'currency must be a three-letter ISO 4217 code such as EUR' });
+    }
+    
+    const itinerary = new Itinerary(itineraryData);
+    sortItineraryDays(itinerary);
+    await geocodeItinerary(itinerary);
+    await itinerary.save();
+    await recordItineraryRevision(itinerary, { authorId: userId, source: 'created', summary: 'Itinerary created' });
+    
+    logger.info('✅ Itinerary created successfully', { 
+      itineraryId: itinerary._id, 
+      userId, 
+      destination: itinerary.destination 
+    });
+    
+    setItineraryEtag(res, itinerary);
+    res.status(201).json(itinerary);
+  } catch (error) {
+    logger.error('❌ Itinerary creation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/itineraries', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    logger.info('📋 Fetching user itineraries', { userId });
+    
+    // Shared trips are listed alongside the user's own, each marked with the user's role
+    const itineraries = await Itinerary.find(itineraryAccessFilter(userId)).sort({ createdAt: -1 });
+    
+    logger.info('✅ Itineraries fetched successfully', { 
+      userId, 
+      count: itineraries.length 
+    });
+    
+    res.json(itineraries.map(itinerary => withTripRole(itinerary, userId)));
+  } catch (error) {
+    logger.error('❌ Itineraries fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/itineraries/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('📋 Fetching specific itinerary', { itineraryId: id, userId });
+    
+    const { itinerary } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    setItineraryEtag(res, itinerary);
+    if (req.get('If-None-Match') === buildItineraryEtag(itinerary)) {
+      return res.status(304).end();
+    }
+    
+    logger.info('✅ Itinerary fetched successfully', { itineraryId: id, userId });
+    res.json(withTripRole(itinerary, userId));
+  } catch (error) {
+    logger.error('❌ Itinerary fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/generate-itineraries/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { forceRefreshPhotos } = req.query;
+    const userId = req.user.userId;
+    let updates = { ...req.body, updatedAt: Date.now() };
+    ['_id', 'userId', 'members', 'rating', 'version', '__v', 'createdAt'].forEach(field => delete updates[field]);
+    const expectedVersion = getExpectedItineraryVersion(req);
+    
+    logger.info('✏️ Updating itinerary', { itineraryId: id, userId, expectedVersion });
+    
+    if (Number.isNaN(expectedVersion)) {
+      logger.warn('⚠️ Invalid itinerary version precondition', { itineraryId: id, userId });
+      return res.status(400).json({ message: 'If-Match must be an ETag such as "v3" and version a whole number' });
+    }
+    
+
+    // Validate itinerary ID format
+    if (!id || id.length !== 24) {
+      logger.warn('⚠️ Invalid itinerary ID format', { itineraryId: id, userId });
+      return res.status(400).json({ message: 'Invalid itinerary ID format' });
+    }
+    
+    const { itinerary: existingItinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!existingItinerary) {
+      logger.warn('⚠️ Itinerary not found for update', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    // Stale writes are merged against the version the client started from when they touch different fields or days
+    const currentVersion = existingItinerary.version || 0;
+    let mergedWithServer = false;
+    await recordItineraryRevision(existingItinerary, { source: 'legacy', summary: 'Saved before revision history was kept' });
+    
+    if (expectedVersion !== null && expectedVersion !== currentVersion) {
+      const baseRevision = expectedVersion < currentVersion
+        ? await ItineraryRevision.findOne({ itineraryId: id, version: expectedVersion }).lean()
+        : null;
+      
+      if (!baseRevision) {
+        return sendItineraryConflict(res, id, userId, ['version']);
+      }
+      
+      const { merged, conflicts } = mergeItineraryUpdate(baseRevision.snapshot, itineraryContent(existingItinerary), updates);
+      if (conflicts.length > 0) {
+        return sendItineraryConflict(res, id, userId, conflicts);
+      }
+      
+      logger.info('🔀 Merged stale itinerary update', { itineraryId: id, userId, expectedVersion, currentVersion });
+      updates = { ...merged, updatedAt: Date.now() };
+      mergedWithServer = true;
+    }
+    
+    // Validate required fields
+    if (!updates.destination || !updates.startDate || !updates.endDate) {
+      logger.warn('⚠️ Missing required fields for update', { itineraryId: id, userId });
+      return res.status(400).json({ message: 'Destination, start date, and end date are required' });
+    }
+    
+    // Validate dates
+    let startDate, endDate;
+    try {
+      startDate = new Date(updates.startDate);
+      endDate = new Date(updates.endDate);
+      
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new Error('Invalid date format');
+      }
+      
+      if (startDate >= endDate) {
+        throw new Error('Start date must be before end date');
+      }
+    } catch (dateError) {
+      logger.warn('⚠️ Invalid date values', { itineraryId: id, userId, error: dateError.message });
+      return res.status(400).json({ message: 'Invalid date values: ' + dateError.message });
+    }
+    
+    if (updates.timezone !== undefined && updates.timezone !== null && !isValidTimeZone(updates.timezone)) {
+      logger.warn('⚠️ Invalid itinerary timezone', { itineraryId: id, timezone: updates.timezone });
+      return res.status(400).json({ message: 'timezone must be an IANA time zone such as Europe/Rome' });
+    }
+    
+    // Changing the currency relabels the amounts; it does not convert them
+    if (updates.currency !== undefined) {
+      if (!isValidCurrency(normalizeCurrency(updates.currency))) {
+        logger.warn('⚠️ Invalid itinerary currency', { itineraryId: id, currency: updates.currency });
+        return res.status(400).json({ message: 'currency must be a three-letter ISO 4217 code such as EUR' });
+      }
+      updates.currency = normalizeCurrency(updates.currency);
+    }
+    
+    // Check if destination has changed
+    const destinationChanged = existingItinerary.destination !== updates.destination;
+    
+    // Update title if destination changed
+    if (destinationChanged) {
+      logger.info('🏙️ Destination changed, updating title', { 
+        oldDestination: existingItinerary.destination,
+        newDestination: updates.destination 
+      });
+      
+      const aiGenerated = existingItinerary.aiGenerated;
+      updates.title = `${aiGenerated ? 'AI-Generated' : 'Custom'} Trip to ${updates.destination}`;
+    }
+    
+    // Check if dates have changed
+    let oldStartDate, newStartDate, oldEndDate, newEndDate;
+    try {
+      oldStartDate = new Date(existingItinerary.startDate).toISOString().split('T')[0];
+      newStartDate = new Date(updates.startDate).toISOString().split('T')[0];
+      oldEndDate = new Date(existingItinerary.endDate).toISOString().split('T')[0];
+      newEndDate = new Date(updates.endDate).toISOString().split('T')[0];
+    } catch (dateParseError) {
+      logger.error('❌ Error parsing dates for comparison', { error: dateParseError.message });
+      return res.status(400).json({ message: 'Error parsing dates' });
+    }
+    
+    const datesChanged = oldStartDate !== newStartDate || oldEndDate !== newEndDate;
+    
+    if (datesChanged) {
+      logger.info('📅 Dates changed, updating day structure', { 
+        oldStartDate, 
+        newStartDate, 
+        oldEndDate, 
+        newEndDate 
+      });
+      
+      try {
+        updates.days = buildDaysForDateRange(existingItinerary.days, startDate, endDate);
+      } catch (dayUpdateError) {
+        logger.error('❌ Error updating day structure', { error: dayUpdateError.message });
+        return res.status(400).json({ message: 'Error updating day structure: ' + dayUpdateError.message });
+      }
+    }
+    
+    // Coordinates of the old destination, even corrected ones, no longer apply; activity coordinates were matched
+    // near it, so all but manual corrections are looked up again around the new destination
+    if (destinationChanged) {
+      const plain = value => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+      const relocated = {
+        destination: updates.destination,
+        destinationCoordinates: null,
+        days: (updates.days || existingItinerary.days || []).map(day => {
+          const plainDay = plain(day);
+          return {
+            ...plainDay,
+            activities: (plainDay.activities || []).map(activity => {
+              const plainActivity = plain(activity);
+              return plainActivity.coordinates?.manual ? plainActivity : { ...plainActivity, coordinates: undefined };
+            })
+          };
+        })
+      };
+      
+      const geocoding = await geocodeItinerary(relocated);
+      updates.destinationCoordinates = relocated.destinationCoordinates;
+      updates.days = relocated.days;
+      logger.info('🗺️ Itinerary geocoded for new destination', { itineraryId: id, ...geocoding });
+    }
+    
+    // Handle destination change - regenerate photos if photos are enabled
+    if (destinationChanged && existingItinerary.photosEnabled) {
+      logger.info('📸 Regenerating photos for new destination', { 
+        oldDestination: existingItinerary.destination,
+        newDestination: updates.destination 
+      });
+      
+      try {
+        // Get new destination photos with timeout
+        const photoPromise = fetchPhotosForDestination(updates.destination, null, 5);
+        const timeoutPromise = new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Photo fetch timeout')), 10000)
+        );
+        
+        const newDestinationPhotos = await Promise.race([photoPromise, timeoutPromise]);
+        
+        // Update destination photos
+        updates.destinationPhotos = newDestinationPhotos.slice(0, 3);
+        
+        // Update day and activity photos
+        const daysToUpdate = updates.days || existingItinerary.days || [];
+        
+        if (Array.isArray(daysToUpdate)) {
+          const enhancedDays = await Promise.all(
+            daysToUpdate.map(async (day, dayIndex) => {
+              if (!day || !Array.isArray(day.activities)) {
+                return day;
+              }
+              
+              const enhancedActivities = await Promise.all(
+                day.activities.map(async (activity, activityIndex) => {
+                  if (!activity) return activity;
+                  
+                  try {
+                    // Get new activity-specific photo for the new destination
+                    const newActivityPhoto = await getActivityPhotos(
+                      updates.destination, 
+                      activity.activity, 
+                      activity.location
+                    );
+                    
+                    return {
+                      ...activity,
+                      photo: newActivityPhoto,
+                      fallbackPhoto: newActivityPhoto ? null : 
+                        (newDestinationPhotos[activityIndex % newDestinationPhotos.length] || null)
+                    };
+                  } catch (activityPhotoError) {
+                    logger.warn('⚠️ Error getting activity photo', { 
+                      activity: activity.activity,
+                      error: activityPhotoError.message 
+                    });
+                    return {
+                      ...activity,
+                      photo: null,
+                      fallbackPhoto: newDestinationPhotos[activityIndex % newDestinationPhotos.length] || null
+                    };
+                  }
+                })
+              );
+              
+              return {
+                ...day,
+                activities: enhancedActivities,
+                dayPhoto: newDestinationPhotos[dayIndex % newDestinationPhotos.length] || null
+              };
+            })
+          );
+          
+          updates.days = enhancedDays;
+        }
+        
+        logger.info('✅ Photos regenerated successfully for new destination', { 
+          newDestination: updates.destination,
+          photoCount: newDestinationPhotos.length 
+        });
+        
+      } catch (photoError) {
+        logger.error('❌ Error regenerating photos for new destination:', photoError);
+        // Continue with update even if photo regeneration fails
+        updates.destinationPhotos = existingItinerary.destinationPhotos || [];
+      }
+    }
+    
+    // Update the itinerary, unless someone else saved it while this request was running
+    const itinerary = await Itinerary.findOneAndUpdate(
+      { _id: id, ...itineraryVersionFilter(currentVersion) },
+      { ...updates, $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary update failed', { itineraryId: id, userId });
+      return sendItineraryConflict(res, id, userId, ['version']);
+    }
+    
+    await recordItineraryRevision(itinerary, { authorId: userId, source: 'update' });
+    
+    // Log activity with more details
+    const activityDescription = [];
+    if (destinationChanged) {
+      activityDescription.push(`destination changed to ${updates.destination}`);
+    }
+    if (datesChanged) {
+      activityDescription.push('dates updated');
+    }
+    if (destinationChanged && existingItinerary.photosEnabled) {
+      activityDescription.push('photos regenerated');
+    }
+    
+    try {
+      await new UserActivity({
+        userId,
+        type: 'itinerary_updated',
+        title: 'Itinerary updated',
+        description: `Updated "${itinerary.title}" - ${activityDescription.join(', ')}`,
+        icon: '✏️',
+        metadata: { 
+          itineraryId: itinerary._id,
+          destination: itinerary.destination,
+          destinationChanged,
+          datesChanged,
+          photosRegenerated: destinationChanged && existingItinerary.photosEnabled
+        }
+      }).save();
+    } catch (activityError) {
+      logger.warn('⚠️ Failed to log activity', { error: activityError.message });
+      // Don't fail the entire request for activity logging
+    }
+    
+    logger.info('✅ Itinerary updated successfully', { 
+      itineraryId: id, 
+      userId,
+      destinationChanged,
+      datesChanged,
+      photosRegenerated: destinationChanged && existingItinerary.photosEnabled,
+      mergedWithServer,
+      version: itinerary.version
+    });
+    
+    setItineraryEtag(res, itinerary);
+    res.json(withTripRole(itinerary, userId));
+    
+  } catch (error) {
+    logger.error('❌ Itinerary update error:', error);
+    
+    // Provide more specific error messages
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        details: error.message 
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        message: 'Invalid data format', 
+        details: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      message: 'Server error', 
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+app.delete('/api/itineraries/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('🗑️ Deleting itinerary', { itineraryId: id, userId });
+    
+    const expectedVersion = getExpectedItineraryVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ message: 'If-Match must be an ETag such as "v3"' });
+    }
+    
+    const { itinerary: trip, role } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    if (trip && !hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
+    }
+    
+    const filter = expectedVersion === null ? { _id: id, userId } : { _id: id, userId, ...itineraryVersionFilter(expectedVersion) };
+    const itinerary = await Itinerary.findOneAndDelete(filter);
+    
+    if (!itinerary) {
+      if (expectedVersion !== null) {
+        return sendItineraryConflict(res, id, userId, ['version']);
+      }
+      logger.warn('⚠️ Itinerary not found for deletion', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    await Promise.all([
+      ItineraryRevision.deleteMany({ itineraryId: itinerary._id }),
+      TripInvitation.deleteMany({ itineraryId: itinerary._id }),
+      ItineraryShareLink.deleteMany({ itineraryId: itinerary._id }),
+      Expense.deleteMany({ itineraryId: itinerary._id }),
+      Settlement.deleteMany({ itineraryId: itinerary._id })
+    ]);
+    
+    logger.info('✅ Itinerary deleted successfully', { itineraryId: id, userId });
+    res.json({ message: 'Itinerary deleted successfully' });
+  } catch (error) {
+    logger.error('❌ Itinerary deletion error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== ITINERARY ACTIVITY ROUTES =====
+// Activities and days are addressed by their subdocument ids; every change re-sorts the day by time
+app.post('/api/itineraries/:id/days/:dayId/activities', authenticateToken, async (req, res) => {
+  try {
+    const { id, dayId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('➕ Add activity request', { itineraryId: id, dayId, userId });
+    
+    const { errors, activity: activityData } = validateActivityInput(req.body);
+    if (errors.length > 0) {
+      logger.warn('⚠️ Invalid activity', { itineraryId: id, userId, errors });
+      return res.status(400).json({ message: 'Invalid activity', errors });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    const day = findItineraryDay(itinerary, dayId);
+    if (!day) {
+      logger.warn('⚠️ Itinerary day not found', { itineraryId: id, dayId, userId });
+      return res.status(404).json({ message: 'Day not found' });
+    }
+    
+    const conflicts = await findItineraryDayConflicts(req, itinerary, [day.date]);
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    day.activities.push({ cost: 0, notes: '', location: '', duration: '', ...activityData });
+    const activity = day.activities[day.activities.length - 1];
+    await attachActivityPhoto(itinerary, activity);
+    if (!activity.coordinates?.manual) {
+      await attachActivityCoordinates(itinerary, activity);
+    }
+    
+    sortItineraryDays(itinerary);
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'activity' });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Activity added',
+      description: `Added "${activity.activity}" to ${day.date} of "${itinerary.title}"`,
+      icon: '➕',
+      metadata: { itineraryId: itinerary._id, dayId: day._id, activityId: activity._id }
+    }).save();
+    
+    logger.info('✅ Activity added', { itineraryId: id, activityId: activity._id, userId });
+    
+    setItineraryEtag(res, itinerary);
+    res.status(201).json({ activity, dayId: day._id, itinerary });
+    
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Add activity error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/itineraries/:id/activities/:activityId', authenticateToken, async (req, res) => {
+  try {
+    const { id, activityId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('✏️ Edit activity request', { itineraryId: id, activityId, userId });
+    
+    const { errors, activity: changes } = validateActivityInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      logger.warn('⚠️ Invalid activity', { itineraryId: id, userId, errors });
+      return res.status(400).json({ message: 'Invalid activity', errors });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: 'No activity fields to update' });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    const found = findItineraryActivity(itinerary, activityId);
+    if (!found) {
+      logger.warn('⚠️ Activity not found', { itineraryId: id, activityId, userId });
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+    
+    const { day, activity } = found;
+    const conflicts = await findItineraryDayConflicts(req, itinerary, [day.date]);
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    const locationChanged = changes.location !== undefined && changes.location !== activity.location;
+    const subjectChanged = locationChanged || (changes.activity !== undefined && changes.activity !== activity.activity);
+    
+    activity.set(changes);
+    if (subjectChanged) {
+      await attachActivityPhoto(itinerary, activity);
+    }
+    // A manual correction stays until the location itself changes or the client clears it
+    if (changes.coordinates === null ||
+      (changes.coordinates === undefined && (locationChanged || (subjectChanged && !activity.coordinates?.manual)))) {
+      await attachActivityCoordinates(itinerary, activity);
+    }
+    
+    sortItineraryDays(itinerary);
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'activity' });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Activity updated',
+      description: `Updated "${activity.activity}" on ${day.date} of "${itinerary.title}"`,
+      icon: '✏️',
+      metadata: { itineraryId: itinerary._id, dayId: day._id, activityId: activity._id, fields: Object.keys(changes) }
+    }).save();
+    
+    logger.info('✅ Activity updated', { itineraryId: id, activityId, userId });
+    
+    setItineraryEtag(res, itinerary);
+    res.json({ activity, dayId: day._id, itinerary });
+    
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Edit activity error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/itineraries/:id/activities/:activityId', authenticateToken, async (req, res) => {
+  try {
+    const { id, activityId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('🗑️ Delete activity request', { itineraryId: id, activityId, userId });
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    const found = findItineraryActivity(itinerary, activityId);
+    if (!found) {
+      logger.warn('⚠️ Activity not found', { itineraryId: id, activityId, userId });
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+    
+    const { day, activity } = found;
+    const conflicts = await findItineraryDayConflicts(req, itinerary, [day.date]);
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    day.activities.pull(activity._id);
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'activity' });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Activity removed',
+      description: `Removed "${activity.activity}" from ${day.date} of "${itinerary.title}"`,
+      icon: '🗑️',
+      metadata: { itineraryId: itinerary._id, dayId: day._id, activityId: activity._id }
+    }).save();
+    
+    logger.info('✅ Activity deleted', { itineraryId: id, activityId, userId });
+    
+    setItineraryEtag(res, itinerary);
+    res.json({ success: true, itinerary });
+    
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Delete activity error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Moves an activity to another day (by day id or date), optionally at a new time
+app.post('/api/itineraries/:id/activities/:activityId/move', authenticateToken, async (req, res) => {
+  try {
+    const { id, activityId } = req.params;
+    const { toDay, time } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('↔️ Move activity request', { itineraryId: id, activityId, toDay, userId });
+    
+    if (!toDay) {
+      return res.status(400).json({ message: 'toDay (day id or date) is required' });
+    }
+    
+    const newTime = time !== undefined ? parseActivityTime(time) : undefined;
+    if (newTime === null) {
+      return res.status(400).json({ message: 'time must be a valid time such as 09:30 or 2:15 PM' });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    const found = findItineraryActivity(itinerary, activityId);
+    if (!found) {
+      logger.warn('⚠️ Activity not found', { itineraryId: id, activityId, userId });
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+    
+    const targetDay = findItineraryDay(itinerary, String(toDay));
+    if (!targetDay) {
+      logger.warn('⚠️ Target day not found', { itineraryId: id, toDay, userId });
+      return res.status(404).json({ message: 'Target day not found' });
+    }
+    
+    const { day: sourceDay, activity } = found;
+    const conflicts = await findItineraryDayConflicts(req, itinerary, [sourceDay.date, targetDay.date]);
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    const moved = activity.toObject();
+    if (newTime) moved.time = newTime;
+    
+    sourceDay.activities.pull(activity._id);
+    targetDay.activities.push(moved);
+    sortItineraryDays(itinerary);
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'activity' });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Activity moved',
+      description: `Moved "${moved.activity}" from ${sourceDay.date} to ${targetDay.date} of "${itinerary.title}"`,
+      icon: '↔️',
+      metadata: { itineraryId: itinerary._id, activityId: activity._id, fromDayId: sourceDay._id, toDayId: targetDay._id }
+    }).save();
+    
+    logger.info('✅ Activity moved', { itineraryId: id, activityId, fromDay: sourceDay.date, toDay: targetDay.date });
+    
+    setItineraryEtag(res, itinerary);
+    res.json({ activity: targetDay.activities.id(activity._id), dayId: targetDay._id, itinerary });
+    
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Move activity error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reorders a day: the day's time slots stay where they are and are handed out in the requested order
+app.put('/api/itineraries/:id/days/:dayId/activities/order', authenticateToken, async (req, res) => {
+  try {
+    const { id, dayId } = req.params;
+    const { activityIds } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🔀 Reorder activities request', { itineraryId: id, dayId, userId });
+    
+    if (!Array.isArray(activityIds)) {
+      return res.status(400).json({ message: 'activityIds must be an array' });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    const day = findItineraryDay(itinerary, dayId);
+    if (!day) {
+      logger.warn('⚠️ Itinerary day not found', { itineraryId: id, dayId, userId });
+      return res.status(404).json({ message: 'Day not found' });
+    }
+    
+    const conflicts = await findItineraryDayConflicts(req, itinerary, [day.date]);
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    const currentIds = day.activities.map(activity => activity.id);
+    const requestedIds = activityIds.map(String);
+    const samePermutation = requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every(activityId => currentIds.includes(activityId));
+    
+    if (!samePermutation) {
+      logger.warn('⚠️ Reorder does not match the day', { itineraryId: id, dayId, userId });
+      return res.status(400).json({ message: 'activityIds must list every activity of the day exactly once' });
+    }
+    
+    sortDayActivities(day);
+    const timeSlots = day.activities.map(activity => activity.time);
+    
+    requestedIds.forEach((activityId, index) => {
+      day.activities.id(activityId).time = timeSlots[index];
+    });
+    
+    sortItineraryDays(itinerary);
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'activity' });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Activities reordered',
+      description: `Reordered ${day.date} of "${itinerary.title}"`,
+      icon: '🔀',
+      metadata: { itineraryId: itinerary._id, dayId: day._id }
+    }).save();
+    
+    logger.info('✅ Activities reordered', { itineraryId: id, dayId: day._id, userId });
+    
+    setItineraryEtag(res, itinerary);
+    res.json({ dayId: day._id, activities: day.activities, itinerary });
+    
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Reorder activities error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== ITINERARY REVISION ROUTES =====
+function formatRevision(revision, authors, currentVersion) {
+  return {
+    version: revision.version,
+    createdAt: revision.createdAt,
+    author: revision.authorId
+      ? { id: revision.authorId, name: authors.get(String(revision.authorId)) || 'Unknown' }
+      : null,
+    source: revision.source,
+    summary: revision.summary,
+    restoredFrom: revision.restoredFrom ?? null,
+    current: revision.version === currentVersion
+  };
+}
+
+async function loadRevisionAuthors(revisions) {
+  const authorIds = [...new Set(revisions.map(revision => revision.authorId).filter(Boolean).map(String))];
+  const authors = await User.find({ _id: { $in: authorIds } }).select('name').lean();
+  return new Map(authors.map(author => [String(author._id), author.name]));
+}
+
+app.get('/api/itineraries/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    logger.info('🕘 Itinerary revisions request', { itineraryId: id, userId, limit, offset });
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { select: 'version', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const [revisions, total] = await Promise.all([
+      ItineraryRevision
+        .find({ itineraryId: id })
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      ItineraryRevision.countDocuments({ itineraryId: id })
+    ]);
+    
+    const authors = await loadRevisionAuthors(revisions);
+    
+    res.json({
+      currentVersion: itinerary.version || 0,
+      total,
+      revisions: revisions.map(revision => formatRevision(revision, authors, itinerary.version || 0))
+    });
+    
+  } catch (error) {
+    logger.error('❌ Itinerary revisions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ?from=<version>&to=<version>; "to" defaults to the current version and "from" to the one before it
+app.get('/api/itineraries/:id/revisions/diff', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { select: 'version', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : itinerary.version || 0;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    
+    logger.info('🕘 Itinerary revision diff request', { itineraryId: id, userId, from, to });
+    
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 0) {
+      return res.status(400).json({ message: 'from and to must be revision numbers' });
+    }
+    
+    const revisions = await ItineraryRevision.find({ itineraryId: id, version: { $in: [from, to] } }).lean();
+    const fromRevision = revisions.find(revision => revision.version === from);
+    const toRevision = revisions.find(revision => revision.version === to);
+    
+    if (!fromRevision || !toRevision) {
+      logger.warn('⚠️ Revision not found for diff', { itineraryId: id, from, to });
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    
+    const diff = diffItinerarySnapshots(fromRevision.snapshot, toRevision.snapshot);
+    
+    res.json({
+      from,
+      to,
+      summary: summarizeItineraryDiff(diff),
+      ...diff
+    });
+    
+  } catch (error) {
+    logger.error('❌ Itinerary revision diff error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/itineraries/:id/revisions/:version', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+    const userId = req.user.userId;
+    
+    logger.info('🕘 Itinerary revision request', { itineraryId: id, userId, version });
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { select: 'version', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const revision = Number.isInteger(version)
+      ? await ItineraryRevision.findOne({ itineraryId: id, version }).lean()
+      : null;
+    
+    if (!revision) {
+      logger.warn('⚠️ Revision not found', { itineraryId: id, version });
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    
+    const authors = await loadRevisionAuthors([revision]);
+    
+    res.json({ ...formatRevision(revision, authors, itinerary.version || 0), snapshot: revision.snapshot });
+    
+  } catch (error) {
+    logger.error('❌ Itinerary revision error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Restoring never rewrites history: the old content is saved again as a new revision
+app.post('/api/itineraries/:id/revisions/:version/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+    const userId = req.user.userId;
+    
+    logger.info('⏪ Itinerary restore request', { itineraryId: id, userId, version });
+    
+    const expectedVersion = getExpectedItineraryVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ message: 'If-Match must be an ETag such as "v3"' });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    
+    if (expectedVersion !== null && expectedVersion !== (itinerary.version || 0)) {
+      return sendItineraryConflict(res, id, userId, ['version']);
+    }
+    
+    const revision = Number.isInteger(version)
+      ? await ItineraryRevision.findOne({ itineraryId: id, version }).lean()
+      : null;
+    
+    if (!revision) {
+      logger.warn('⚠️ Revision not found for restore', { itineraryId: id, version });
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    
+    if (revision.version === (itinerary.version || 0)) {
+      return res.status(400).json({ message: 'This revision is already the current version' });
+    }
+    
+    // Make sure the state being replaced is kept even for itineraries saved before revisions existed
+    await recordItineraryRevision(itinerary, { source: 'legacy', summary: 'Saved before revision history was kept' });
+    
+    ITINERARY_CONTENT_FIELDS.forEach(field => {
+      itinerary.set(field, revision.snapshot[field] ?? undefined);
+    });
+    
+    await saveItineraryChange(itinerary, {
+      authorId: userId,
+      source: 'restore',
+      summary: `Restored revision ${revision.version}`,
+      restoredFrom: revision.version
+    });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Itinerary restored',
+      description: `Restored "${itinerary.title}" to revision ${revision.version}`,
+      icon: '⏪',
+      metadata: { itineraryId: itinerary._id, restoredFrom: revision.version, version: itinerary.version }
+    }).save();
+    
+    logger.info('✅ Itinerary restored', { itineraryId: id, userId, restoredFrom: revision.version, version: itinerary.version });
+    
+    setItineraryEtag(res, itinerary);
+    res.json(withTripRole(itinerary, userId));
+    
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Itinerary restore error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== TRIP MEMBERSHIP ROUTES =====
+app.post('/api/itineraries/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, role = 'viewer' } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('✉️ Trip invitation request', { itineraryId: id, userId, role });
+    
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ message: 'A valid email address is required' });
+    }
+    if (!['editor', 'viewer'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be editor or viewer' });
+    }
+    
+    const { itinerary, role: myRole } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for invitation', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(myRole, 'owner')) {
+      return sendTripRoleError(res, id, userId, myRole, 'owner');
+    }
+    
+    const normalizedEmail = email.trim().toLowerCase();
+    const inviter = await User.findById(userId).select('name email');
+    // Registration keeps the address as typed, so accounts are matched regardless of case
+    const existingAccount = await User.findOne({ email: normalizedEmail }).collation({ locale: 'en', strength: 2 }).select('_id').lean();
+    
+    if (inviter?.email?.toLowerCase() === normalizedEmail) {
+      return res.status(400).json({ message: 'You already own this trip' });
+    }
+    if (existingAccount && getTripRole(itinerary, existingAccount._id)) {
+      return res.status(409).json({ message: 'This person is already a member of the trip' });
+    }
+    
+    // A new invitation replaces any earlier one still pending for the same address
+    await TripInvitation.updateMany(
+      { itineraryId: itinerary._id, email: normalizedEmail, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() }
+    );
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await new TripInvitation({
+      itineraryId: itinerary._id,
+      invitedBy: userId,
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TRIP_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }).save();
+    
+    let emailSent = false;
+    try {
+      await sendTripInvitationEmail(invitation, itinerary, inviter, token);
+      emailSent = true;
+    } catch (mailError) {
+      logger.error('❌ Failed to send trip invitation email:', mailError);
+    }
+    
+    await new UserActivity({
+      userId,
+      type: 'trip_invitation_sent',
+      title: 'Trip invitation sent',
+      description: `Invited ${normalizedEmail} to "${itinerary.title}" as ${role}`,
+      icon: '✉️',
+      metadata: { itineraryId: itinerary._id, invitationId: invitation._id, role }
+    }).save();
+    
+    logger.info('✅ Trip invitation created', { itineraryId: id, invitationId: invitation._id, emailSent });
+    
+    res.status(201).json({
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status,
+      expiresAt: invitation.expiresAt,
+      emailSent,
+      inviteUrl: buildTripInvitationUrl(token)
+    });
+    
+  } catch (error) {
+    logger.error('❌ Trip invitation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/itineraries/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('✉️ Trip invitations list request', { itineraryId: id, userId });
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
+    }
+    
+    const invitations = await TripInvitation.find({ itineraryId: id }).sort({ createdAt: -1 }).lean();
+    const now = new Date();
+    
+    res.json(invitations.map(invitation => ({
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status === 'pending' && invitation.expiresAt <= now ? 'expired' : invitation.status,
+      expiresAt: invitation.expiresAt,
+      respondedAt: invitation.respondedAt,
+      createdAt: invitation.createdAt
+    })));
+    
+  } catch (error) {
+    logger.error('❌ Trip invitations list error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/itineraries/:id/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const { id, invitationId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('✉️ Trip invitation revoke request', { itineraryId: id, invitationId, userId });
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
+    }
+    
+    const invitation = await TripInvitation.findOneAndUpdate(
+      { _id: invitationId, itineraryId: id, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!invitation) {
+      logger.warn('⚠️ Pending invitation not found', { itineraryId: id, invitationId });
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    logger.info('✅ Trip invitation revoked', { itineraryId: id, invitationId });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    logger.error('❌ Trip invitation revoke error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// The invitation link works for whichever account opens it; the token is the credential
+app.get('/api/trip-invitations/:token', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('✉️ Trip invitation view', { userId });
+    
+    const invitation = await TripInvitation.findOne({ tokenHash: hashToken(req.params.token) }).lean();
+    const itinerary = invitation
+      ? await Itinerary.findById(invitation.itineraryId).select('title destination startDate endDate userId members').lean()
+      : null;
+    
+    if (!invitation || !itinerary) {
+      logger.warn('⚠️ Trip invitation not found', { userId });
+      return res.status(404).json({ message: 'This invitation is invalid' });
+    }
+    
+    const inviter = await User.findById(invitation.invitedBy).select('name').lean();
+    const expired = invitation.status === 'pending' && invitation.expiresAt <= new Date();
+    
+    res.json({
+      trip: {
+        id: itinerary._id,
+        title: itinerary.title,
+        destination: itinerary.destination,
+        startDate: itinerary.startDate,
+        endDate: itinerary.endDate
+      },
+      invitedBy: inviter?.name || null,
+      email: invitation.email,
+      role: invitation.role,
+      status: expired ? 'expired' : invitation.status,
+      expiresAt: invitation.expiresAt,
+      yourRole: getTripRole(itinerary, userId)
+    });
+    
+  } catch (error) {
+    logger.error('❌ Trip invitation view error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/trip-invitations/:token/:decision', authenticateToken, async (req, res) => {
+  try {
+    const { decision } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('✉️ Trip invitation response', { userId, decision });
+    
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+    
+    const tokenHash = hashToken(req.params.token);
+    const pending = await TripInvitation.findOne({ tokenHash, status: 'pending', expiresAt: { $gt: new Date() } }).lean();
+    
+    if (!pending) {
+      logger.warn('⚠️ Trip invitation invalid, used or expired', { userId });
+      return res.status(404).json({ message: 'This invitation is invalid, has expired or was already answered' });
+    }
+    
+    const itinerary = await Itinerary.findById(pending.itineraryId).select('title userId members');
+    if (!itinerary) {
+      return res.status(404).json({ message: 'This trip no longer exists' });
+    }
+    if (decision === 'accept' && String(itinerary.userId) === String(userId)) {
+      return res.status(400).json({ message: 'You already own this trip' });
+    }
+    
+    // Claim the invitation atomically so it can only be answered once
+    const invitation = await TripInvitation.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { status: decision === 'accept' ? 'accepted' : 'declined', respondedBy: userId, respondedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!invitation) {
+      return res.status(409).json({ message: 'This invitation was already answered' });
+    }
+    
+    const user = await User.findById(userId).select('name');
+    
+    if (decision === 'accept') {
+      const currentRole = getTripRole(itinerary, userId);
+      
+      if (currentRole) {
+        await Itinerary.updateOne(
+          { _id: itinerary._id, 'members.userId': userId },
+          { $set: { 'members.$.role': invitation.role } }
+        );
+      } else {
+        await Itinerary.updateOne(
+          { _id: itinerary._id, 'members.userId': { $ne: userId } },
+          { $push: { members: { userId, role: invitation.role, invitedBy: invitation.invitedBy, addedAt: new Date() } } }
+        );
+      }
+      
+      await new UserActivity({
+        userId,
+        type: 'trip_joined',
+        title: 'Joined a shared trip',
+        description: `Joined "${itinerary.title}" as ${invitation.role}`,
+        icon: '🤝',
+        metadata: { itineraryId: itinerary._id, role: invitation.role }
+      }).save();
+    }
+    
+    await new UserActivity({
+      userId: itinerary.userId,
+      type: decision === 'accept' ? 'trip_member_joined' : 'trip_invitation_declined',
+      title: decision === 'accept' ? 'Invitation accepted' : 'Invitation declined',
+      description: `${user?.name || invitation.email} ${decision === 'accept' ? 'joined' : 'declined to join'} "${itinerary.title}"`,
+      icon: decision === 'accept' ? '🤝' : '✉️',
+      metadata: { itineraryId: itinerary._id, invitationId: invitation._id, memberId: userId, role: invitation.role }
+    }).save();
+    
+    logger.info('✅ Trip invitation answered', { itineraryId: itinerary._id, userId, decision });
+    
+    res.json({
+      success: true,
+      status: invitation.status,
+      itineraryId: itinerary._id,
+      role: decision === 'accept' ? invitation.role : null
     });
+    
+  } catch (error) {
+    logger.error('❌ Trip invitation response error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/itineraries/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('👥 Trip members request', { itineraryId: id, userId });
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const memberIds = [itinerary.userId, ...(itinerary.members || []).map(member => member.userId)];
+    const users = await User.find({ _id: { $in: memberIds } }).select('name email profilePicture').lean();
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    
+    const describe = (memberId, role, addedAt) => {
+      const user = usersById.get(String(memberId));
+      return {
+        userId: memberId,
+        name: user?.name || 'Deleted user',
+        email: user?.email || null,
+        profilePicture: user?.profilePicture || null,
+        role,
+        addedAt: addedAt || null,
+        you: String(memberId) === String(userId)
+      };
+    };
+    
+    res.json([
+      describe(itinerary.userId, 'owner'),
+      ...(itinerary.members || []).map(member => describe(member.userId, member.role, member.addedAt))
+    ]);
+    
   } catch (error) {
-    logger.error('❌ Registration error:', error);
+    logger.error('❌ Trip members error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.put('/api/itineraries/:id/members/:memberId', authenticateToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
-    logger.info('🔐 User login attempt', { email });
+    const { id, memberId } = req.params;
+    const { role: newRole } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('👥 Trip member role change request', { itineraryId: id, memberId, newRole, userId });
+    
+    if (!['editor', 'viewer'].includes(newRole)) {
+      return res.status(400).json({ message: 'Role must be editor or viewer' });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
+    }
+    
+    const member = itinerary.members.find(entry => String(entry.userId) === memberId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    member.role = newRole;
+    await itinerary.save();
+    
+    logger.info('✅ Trip member role changed', { itineraryId: id, memberId, newRole });
+    
+    res.json({ userId: member.userId, role: member.role, addedAt: member.addedAt });
+    
+  } catch (error) {
+    logger.error('❌ Trip member role change error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      logger.warn('⚠️ Login failed: User not found', { email });
-      return res.status(400).json({ message: 'Invalid credentials' });
+// Owners remove members; members can remove themselves ("me") to leave the trip
+app.delete('/api/itineraries/:id/members/:memberId', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const memberId = req.params.memberId === 'me' ? String(userId) : req.params.memberId;
+    
+    logger.info('👥 Trip member removal request', { itineraryId: id, memberId, userId });
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const leaving = memberId === String(userId);
+    if (leaving && role === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot leave their own trip; delete it instead' });
+    }
+    if (!leaving && !hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
+    }
+    
+    const member = itinerary.members.find(entry => String(entry.userId) === memberId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    
+    itinerary.members.pull(member._id);
+    await itinerary.save();
+    
+    await new UserActivity({
+      userId: itinerary.userId,
+      type: 'trip_member_removed',
+      title: leaving ? 'A member left your trip' : 'Trip member removed',
+      description: `${leaving ? 'A member left' : 'Removed a member from'} "${itinerary.title}"`,
+      icon: '👥',
+      metadata: { itineraryId: itinerary._id, memberId }
+    }).save();
+    
+    logger.info('✅ Trip member removed', { itineraryId: id, memberId, leaving });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    logger.error('❌ Trip member removal error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== ITINERARY SHARE LINK ROUTES =====
+app.post('/api/itineraries/:id/share-links', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expiresInDays, password, hideBudget = false } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🔗 Itinerary share link create request', { itineraryId: id, userId, expiresInDays });
+    
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseFloat(expiresInDays);
+      if (isNaN(days) || days <= 0 || days > ITINERARY_SHARE_MAX_DAYS) {
+        logger.warn('⚠️ Invalid itinerary share expiry', { itineraryId: id, expiresInDays });
+        return res.status(400).json({ message: `Expiry must be between 0 and ${ITINERARY_SHARE_MAX_DAYS} days` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+    
+    if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 4 || password.length > 128)) {
+      return res.status(400).json({ message: 'Password must be between 4 and 128 characters' });
+    }
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: 'title', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for share link', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
     }
+    
+    const link = await new ItineraryShareLink({
+      itineraryId: itinerary._id,
+      userId,
+      slug: crypto.randomBytes(18).toString('base64url'),
+      passwordHash: password ? await bcrypt.hash(password, 10) : undefined,
+      passwordProtected: !!password,
+      hideBudget: !!hideBudget,
+      expiresAt
+    }).save();
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_published',
+      title: 'Itinerary published',
+      description: `"${itinerary.title}" can now be viewed with a public link`,
+      icon: '🔗',
+      metadata: { itineraryId: itinerary._id, shareId: link._id, expiresAt, passwordProtected: !!password }
+    }).save();
+    
+    logger.info('✅ Itinerary share link created', { itineraryId: id, shareId: link._id });
+    
+    res.status(201).json(formatItineraryShareLink(req, link));
+    
+  } catch (error) {
+    logger.error('❌ Itinerary share link create error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      logger.warn('⚠️ Login failed: Invalid password', { email });
-      return res.status(400).json({ message: 'Invalid credentials' });
+app.get('/api/itineraries/:id/share-links', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('🔗 Itinerary share links fetch request', { itineraryId: id, userId });
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
     }
+    
+    const links = await ItineraryShareLink.find({ itineraryId: id }).sort({ createdAt: -1 }).lean();
+    
+    res.json(links.map(link => formatItineraryShareLink(req, link)));
+    
+  } catch (error) {
+    logger.error('❌ Itinerary share links fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
+app.delete('/api/itineraries/:id/share-links/:shareId', authenticateToken, async (req, res) => {
+  try {
+    const { id, shareId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('🔗 Itinerary share link revoke request', { itineraryId: id, shareId, userId });
+    
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: 'title', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'owner')) {
+      return sendTripRoleError(res, id, userId, role, 'owner');
+    }
+    
+    const link = await ItineraryShareLink.findOneAndUpdate(
+      { _id: shareId, itineraryId: id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
     );
+    
+    if (!link) {
+      logger.warn('⚠️ Itinerary share link not found for revoke', { itineraryId: id, shareId });
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_unpublished',
+      title: 'Public itinerary link revoked',
+      description: `A public link to "${itinerary.title}" can no longer be opened`,
+      icon: '🔒',
+      metadata: { itineraryId: itinerary._id, shareId: link._id }
+    }).save();
+    
+    logger.info('✅ Itinerary share link revoked', { itineraryId: id, shareId });
+    
+    res.json({ success: true, message: 'Share link revoked' });
+    
+  } catch (error) {
+    logger.error('❌ Itinerary share link revoke error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    logger.info('✅ User logged in successfully', { userId: user._id, email });
+// Public JSON view - GET for open links, POST with { password } for protected ones
+const servePublicItineraryJson = async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    
+    logger.info('🌍 Public itinerary view', { ip: clientIp, method: req.method });
+    
+    if (!rateLimiter.isAllowed(`itinerary-share:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const share = await resolveItineraryShare(req.params.slug, req.body?.password);
+    
+    if (share.status === 404) {
+      logger.warn('⚠️ Itinerary share link invalid, revoked or expired');
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+    if (share.status !== 200) {
+      return res.status(share.status).json({
+        message: share.status === 401 ? 'This itinerary is password protected' : 'Incorrect password',
+        passwordRequired: true
+      });
+    }
+    
+    logger.info('✅ Public itinerary served', { itineraryId: share.itinerary._id, shareId: share.link._id });
+    
+    res.json(buildPublicItinerary(share.itinerary, share.link));
+    
+  } catch (error) {
+    logger.error('❌ Public itinerary error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+app.get('/api/share/itineraries/:slug', servePublicItineraryJson);
+app.post('/api/share/itineraries/:slug', servePublicItineraryJson);
+
+// Server-rendered page; ?embed=1 gives a compact layout without large photos for iframes
+const servePublicItineraryHtml = async (req, res) => {
+  try {
+    const clientIp = getClientIp(req);
+    const embed = req.query.embed === '1' || req.query.embed === 'true';
+    
+    logger.info('🌍 Public itinerary page', { ip: clientIp, method: req.method, embed });
+    
+    res.type('html');
+    
+    if (!rateLimiter.isAllowed(`itinerary-share:${clientIp}`)) {
+      return res.status(429).send(renderSharePage('Too many requests', '<h1>Too many requests</h1><p>Please try again shortly.</p>', { embed }));
+    }
+    
+    const share = await resolveItineraryShare(req.params.slug, req.body?.password);
+    
+    if (share.status === 404) {
+      logger.warn('⚠️ Itinerary share page invalid, revoked or expired');
+      return res.status(404).send(renderSharePage('Link unavailable', '<h1>Link unavailable</h1><p>This link is invalid or has expired.</p>', { embed }));
+    }
+    if (share.status !== 200) {
+      const error = share.status === 403 ? 'Incorrect password, please try again.' : null;
+      return res.status(share.status).send(renderSharePasswordForm(req.params.slug, { embed, error }));
+    }
+    
+    logger.info('✅ Public itinerary page served', { itineraryId: share.itinerary._id, shareId: share.link._id });
+    
+    res.send(renderPublicItineraryHtml(buildPublicItinerary(share.itinerary, share.link), { embed }));
+    
+  } catch (error) {
+    logger.error('❌ Public itinerary page error:', error);
+    res.status(500).send(renderSharePage('Something went wrong', '<h1>Something went wrong</h1><p>Please try again later.</p>'));
+  }
+};
+
+app.get('/share/trips/:slug', servePublicItineraryHtml);
+app.post('/share/trips/:slug', express.urlencoded({ extended: false }), servePublicItineraryHtml);
+
+// ===== ITINERARY CALENDAR ROUTES =====
+app.get('/api/itineraries/:id/calendar.ics', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { timezone } = req.query;
+    const userId = req.user.userId;
+    
+    logger.info('📅 Itinerary calendar export request', { itineraryId: id, userId, timezone });
+    
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'timezone must be an IANA time zone such as Europe/Rome' });
+    }
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for calendar export', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const { events, timeZone } = buildItineraryEvents(itinerary, { timeZone: timezone });
+    
+    logger.info('✅ Itinerary calendar exported', { itineraryId: id, events: events.length, timeZone });
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(itinerary.title, 'ics')}"`);
+    res.send(buildIcsCalendar(itinerary.title, events, { timeZone }));
+    
+  } catch (error) {
+    logger.error('❌ Itinerary calendar export error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
+app.get('/api/users/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('📅 Calendar feed status request', { userId });
+    
+    const user = await User.findById(userId).select('+calendarFeed.tokenHash calendarFeed').lean();
+    if (!user) {
+      logger.warn('⚠️ Calendar feed: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
     res.json({
-      message: 'Login successful',
-      token,
-      user: { id: user._id, name: user.name, email: user.email },
+      enabled: !!user.calendarFeed?.tokenHash,
+      createdAt: user.calendarFeed?.createdAt || null,
+      lastAccessedAt: user.calendarFeed?.lastAccessedAt || null
     });
+    
   } catch (error) {
-    logger.error('❌ Login error:', error);
+    logger.error('❌ Calendar feed status error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== NEW PHOTO API ROUTES =====
-
-// Route to get photos for a destination
-app.get('/api/photos/destination/:destination', authenticateToken, async (req, res) => {
+// Creates the feed, or replaces its address so the old subscription stops working
+app.post('/api/users/calendar-feed', authenticateToken, async (req, res) => {
   try {
-    const { destination } = req.params;
-    const count = parseInt(req.query.count) || 6;
-    const activityType = req.query.type || null;
+    const userId = req.user.userId;
     
-    logger.info('📸 Photo API request for destination', { destination, count, activityType });
+    logger.info('📅 Calendar feed create request', { userId });
     
-    if (!destination || destination.trim().length === 0) {
-      logger.warn('⚠️ Photo API: Invalid destination parameter');
-      return res.status(400).json({ message: 'Destination is required' });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!user) {
+      logger.warn('⚠️ Calendar feed: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    const photos = await fetchPhotosForDestination(destination.trim(), activityType, count);
+    await new UserActivity({
+      userId,
+      type: 'calendar_feed_created',
+      title: 'Calendar feed created',
+      description: 'Your upcoming trips can now be subscribed to from a calendar app',
+      icon: '📅',
+      metadata: {}
+    }).save();
     
-    logger.info('✅ Photo API response', { destination, foundPhotos: photos.length });
+    logger.info('✅ Calendar feed created', { userId });
     
-    res.json({
-      success: true,
-      destination: destination.trim(),
-      count: photos.length,
-      photos
-    });
+    res.status(201).json({ token, ...buildCalendarFeedUrls(req, token), createdAt: user.calendarFeed.createdAt });
     
   } catch (error) {
-    logger.error('❌ Destination photos API error:', error);
-    res.status(500).json({ 
-      message: 'Failed to fetch destination photos',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    logger.error('❌ Calendar feed create error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/users/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('📅 Calendar feed disable request', { userId });
+    
+    await User.updateOne({ _id: userId }, { $unset: { calendarFeed: 1 } });
+    
+    logger.info('✅ Calendar feed disabled', { userId });
+    
+    res.json({ success: true, message: 'Calendar feed disabled' });
+    
+  } catch (error) {
+    logger.error('❌ Calendar feed disable error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Route to get photos for a specific activity
-app.get('/api/photos/activity', authenticateToken, async (req, res) => {
+// Public subscription feed for calendar apps - the token is the credential; built on every request so edits show up on the next refresh
+app.get('/api/calendar/:token/trips.ics', async (req, res) => {
   try {
-    const { destination, activity, location } = req.query;
+    const clientIp = getClientIp(req);
     
-    logger.info('📸 Photo API request for activity', { destination, activity, location });
+    logger.info('📅 Calendar feed request', { ip: clientIp });
     
-    if (!destination || !activity) {
-      logger.warn('⚠️ Photo API: Missing destination or activity parameter');
-      return res.status(400).json({ message: 'Destination and activity are required' });
+    if (!rateLimiter.isAllowed(`calendar-feed:${clientIp}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
     }
     
-    const photo = await getActivityPhotos(destination, activity, location);
+    const user = await User.findOneAndUpdate(
+      { 'calendarFeed.tokenHash': hashToken(req.params.token) },
+      { 'calendarFeed.lastAccessedAt': new Date() }
+    ).select('name');
     
-    logger.info('✅ Activity photo API response', { destination, activity, photoFound: !!photo });
+    if (!user) {
+      logger.warn('⚠️ Calendar feed token invalid');
+      return res.status(404).json({ message: 'This calendar feed does not exist' });
+    }
     
-    res.json({
-      success: true,
-      destination,
-      activity,
-      location,
-      photo,
-      fallbackAvailable: !photo // Indicate if frontend should use fallback
-    });
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    
+    const itineraries = await Itinerary
+      .find({ ...itineraryAccessFilter(user._id), endDate: { $gte: today } })
+      .sort({ startDate: 1 })
+      .limit(50)
+      .lean();
+    
+    const events = itineraries.flatMap(itinerary => buildItineraryEvents(itinerary).events);
+    
+    logger.info('✅ Calendar feed served', { userId: user._id, trips: itineraries.length, events: events.length });
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildIcsCalendar(`${user.name}'s trips`, events, { feed: true }));
     
   } catch (error) {
-    logger.error('❌ Activity photos API error:', error);
-    res.status(500).json({ 
-      message: 'Failed to fetch activity photos',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    logger.error('❌ Calendar feed error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Route to check photo service availability
-app.get('/api/photos/health', authenticateToken, async (req, res) => {
+// ===== ITINERARY DOCUMENT EXPORT ROUTE =====
+app.get('/api/itineraries/:id/document', authenticateToken, async (req, res) => {
   try {
-    logger.info('🔍 Photo service health check initiated');
-    
-    const services = {
-      unsplash: {
-        configured: !!process.env.UNSPLASH_ACCESS_KEY,
-        status: 'unknown'
-      },
-      pexels: {
-        configured: !!process.env.PEXELS_API_KEY,
-        status: 'unknown'
-      },
-      pixabay: {
-        configured: !!process.env.PIXABAY_API_KEY,
-        status: 'unknown'
-      }
-    };
+    const { id } = req.params;
+    const { format = 'pdf', template = 'detailed' } = req.query;
+    const userId = req.user.userId;
     
-    // Test each configured service
-    const testPromises = [];
+    logger.info('🖨️ Itinerary document export request', { itineraryId: id, userId, format, template });
     
-    if (services.unsplash.configured) {
-      testPromises.push(
-        fetchUnsplashPhotos('test', 1)
-          .then(photos => {
-            services.unsplash.status = photos.length > 0 ? 'working' : 'no_results';
-            logger.info('✅ Unsplash health check', { status: services.unsplash.status });
-          })
-          .catch(() => {
-            services.unsplash.status = 'error';
-            logger.error('❌ Unsplash health check failed');
-          })
-      );
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ message: 'format must be pdf or html' });
     }
-    
-    if (services.pexels.configured) {
-      testPromises.push(
-        fetchPexelsPhotos('test', 1)
-          .then(photos => {
-            services.pexels.status = photos.length > 0 ? 'working' : 'no_results';
-            logger.info('✅ Pexels health check', { status: services.pexels.status });
-          })
-          .catch(() => {
-            services.pexels.status = 'error';
-            logger.error('❌ Pexels health check failed');
-          })
-      );
+    if (!ITINERARY_DOCUMENT_TEMPLATES.includes(template)) {
+      return res.status(400).json({ message: `template must be one of: ${ITINERARY_DOCUMENT_TEMPLATES.join(', ')}` });
     }
     
-    if (services.pixabay.configured) {
-      testPromises.push(
-        fetchPixabayPhotos('test', 1)
-          .then(photos => {
-            services.pixabay.status = photos.length > 0 ? 'working' : 'no_results';
-            logger.info('✅ Pixabay health check', { status: services.pixabay.status });
-          })
-          .catch(() => {
-            services.pixabay.status = 'error';
-            logger.error('❌ Pixabay health check failed');
-          })
-      );
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for document export', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
     }
     
-    await Promise.allSettled(testPromises);
+    const user = await User.findById(userId).select('emergencyContacts').lean();
+    const doc = buildItineraryDocument(itinerary, user, template, await createBudgetConverter([itinerary], []));
+    const images = await fetchDocumentImages(doc.photos);
     
-    const summary = {
-      configured: Object.values(services).filter(s => s.configured).length,
-      working: Object.values(services).filter(s => s.status === 'working').length,
-      total: 3
-    };
+    logger.info('✅ Itinerary document built', { itineraryId: id, format, template, images: images.size });
     
-    logger.info('✅ Photo service health check complete', { services, summary });
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(itinerary.title, 'html')}"`);
+      return res.send(renderItineraryDocumentHtml(doc, images));
+    }
     
-    res.json({
-      success: true,
-      services,
-      summary
-    });
+    const pdf = await renderItineraryDocumentPdf(doc, images);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(itinerary.title, 'pdf')}"`);
+    res.send(pdf);
     
   } catch (error) {
-    logger.error('❌ Photo health check error:', error);
-    res.status(500).json({ 
-      message: 'Photo service health check failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    logger.error('❌ Itinerary document export error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Route to track photo downloads (for attribution compliance)
-app.post('/api/photos/download', authenticateToken, async (req, res) => {
+// ===== ITINERARY IMPORT ROUTES =====
+// Hands a claimed import back so the commit can be retried; a finished commit is left alone
+async function releaseImportClaim(importRecord) {
   try {
-    const { photoId, source, downloadUrl } = req.body;
+    await ItineraryImport.updateOne({ _id: importRecord._id, status: 'committing' }, { $set: { status: 'pending' } });
+  } catch (error) {
+    logger.error('❌ Failed to release itinerary import claim:', error);
+  }
+}
+
+// Parses an upload into a stored preview; nothing is created until the preview is committed
+app.post('/api/itinerary-imports', authenticateToken, express.text({ type: ['text/csv', 'text/calendar', 'text/plain', 'application/octet-stream'], limit: IMPORT_MAX_UPLOAD_SIZE }), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { format, content } = readImportPayload(req);
+    const source = typeof req.body === 'object' && typeof req.body?.content === 'string' ? req.body : req.query;
+    const options = {
+      title: source.title,
+      destination: source.destination,
+      timezone: source.timezone,
+      budget: source.budget,
+      currency: source.currency,
+      itineraryIndex: source.itineraryIndex
+    };
     
-    logger.info('📸 Photo download tracking request', { photoId, source, userId: req.user.userId });
+    logger.info('📥 Itinerary import preview request', { userId, format });
     
-    if (source === 'unsplash' && downloadUrl && process.env.UNSPLASH_ACCESS_KEY) {
-      // Trigger download tracking for Unsplash (required by their API terms)
-      try {
-        await axios.get(downloadUrl, {
-          headers: photoServices.unsplash.headers
-        });
-        logger.info(`✅ Unsplash download tracked for photo ${photoId}`);
-      } catch (error) {
-        logger.error('❌ Unsplash download tracking error:', error);
-      }
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+    if (content === undefined || content === null || content === '') {
+      return res.status(400).json({ message: 'The import file is empty' });
     }
     
-    // Log activity
-    await new UserActivity({
-      userId: req.user.userId,
-      type: 'photo_downloaded',
-      title: 'Photo downloaded',
-      description: `Downloaded photo from ${source}`,
-      icon: '📸',
-      metadata: { photoId, source }
+    const parsed = parseImport(format, content, options);
+    const preview = buildImportPreview(format, parsed, options);
+    
+    const importRecord = await new ItineraryImport({
+      userId,
+      format,
+      fileName: sanitizeString(source.fileName) || undefined,
+      parsed: { rows: parsed.rows.slice(0, IMPORT_MAX_ROWS + 1), errors: parsed.errors, warnings: parsed.warnings || [], meta: parsed.meta },
+      options,
+      expiresAt: new Date(Date.now() + IMPORT_PREVIEW_TTL_HOURS * 60 * 60 * 1000)
     }).save();
     
-    logger.info('✅ Photo download tracked successfully', { photoId, source, userId: req.user.userId });
+    logger.info('✅ Itinerary import preview ready', { userId, importId: importRecord._id, ...preview.summary, errors: preview.errors.length });
     
-    res.json({ success: true, message: 'Download tracked successfully' });
+    res.status(201).json({ importId: importRecord._id, expiresAt: importRecord.expiresAt, ...preview });
     
   } catch (error) {
-    logger.error('❌ Photo download tracking error:', error);
+    logger.error('❌ Itinerary import preview error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Route to get photo attribution info
-app.get('/api/photos/:source/:photoId/attribution', async (req, res) => {
+app.get('/api/itinerary-imports/:importId', authenticateToken, async (req, res) => {
   try {
-    const { source, photoId } = req.params;
+    const { importId } = req.params;
+    const userId = req.user.userId;
     
-    logger.info('📸 Photo attribution request', { source, photoId });
+    logger.info('📥 Itinerary import preview fetch', { userId, importId });
     
-    let attribution = {};
+    const importRecord = await ItineraryImport.findOne({ _id: importId, userId }).lean();
     
-    switch (source.toLowerCase()) {
-      case 'unsplash':
-        attribution = {
-          text: 'Photo by {photographer} on Unsplash',
-          url: 'https://unsplash.com',
-          required: true,
-          format: 'Photo by [photographer_name] on Unsplash'
-        };
-        break;
-        
-      case 'pexels':
-        attribution = {
-          text: 'Photo by {photographer} from Pexels',
-          url: 'https://pexels.com',
-          required: true,
-          format: 'Photo by [photographer_name] from Pexels'
-        };
-        break;
-        
-      case 'pixabay':
-        attribution = {
-          text: 'Image by {photographer} from Pixabay',
-          url: 'https://pixabay.com',
-          required: false,
-          format: 'Image by [photographer_name] from Pixabay (optional)'
-        };
-        break;
-        
-      default:
-        logger.warn('⚠️ Invalid photo source requested', { source });
-        return res.status(400).json({ message: 'Invalid photo source' });
+    if (!importRecord) {
+      logger.warn('⚠️ Itinerary import not found', { userId, importId });
+      return res.status(404).json({ message: 'Import not found or expired' });
     }
     
-    logger.info('✅ Photo attribution provided', { source, photoId });
-    
     res.json({
-      source,
-      photoId,
-      attribution
+      importId: importRecord._id,
+      status: importRecord.status,
+      itineraryId: importRecord.itineraryId || null,
+      expiresAt: importRecord.expiresAt,
+      ...buildImportPreview(importRecord.format, importRecord.parsed, importRecord.options)
     });
     
   } catch (error) {
-    logger.error('❌ Photo attribution error:', error);
-    res.status(500).json({ 
-      message: 'Failed to get photo attribution',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    logger.error('❌ Itinerary import fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== USER PROFILE ROUTES =====
-app.get('/api/users/profile', authenticateToken, async (req, res) => {
+// Rows with errors block the import unless skipInvalidRows is set; title, destination, timezone and budget can still be changed here
+app.post('/api/itinerary-imports/:importId/commit', authenticateToken, async (req, res) => {
+  let importRecord = null;
+  
   try {
+    const { importId } = req.params;
+    const { skipInvalidRows = false } = req.body;
     const userId = req.user.userId;
-    logger.info('👤 Profile fetch request', { userId });
     
-    const user = await User.findById(userId).select('-password');
+    logger.info('📥 Itinerary import commit request', { userId, importId, skipInvalidRows });
     
-    if (!user) {
-      logger.warn('⚠️ Profile fetch: User not found', { userId });
-      return res.status(404).json({ message: 'User not found' });
+    // Claimed before anything is created, so two concurrent commits cannot both produce an itinerary
+    importRecord = await ItineraryImport.findOneAndUpdate(
+      { _id: importId, userId, status: 'pending' },
+      { $set: { status: 'committing' } },
+      { new: true }
+    );
+    
+    if (!importRecord) {
+      const existing = await ItineraryImport.findOne({ _id: importId, userId }).select('status itineraryId').lean();
+      if (!existing) {
+        logger.warn('⚠️ Itinerary import not found', { userId, importId });
+        return res.status(404).json({ message: 'Import not found or expired' });
+      }
+      return res.status(409).json({
+        message: existing.status === 'committed' ? 'This import was already committed' : 'This import is already being committed',
+        itineraryId: existing.itineraryId || null
+      });
     }
     
-    // Calculate user statistics
-    const totalTrips = await Itinerary.countDocuments({ userId });
-    const completedTrips = await Itinerary.find({ 
-      userId,
-      endDate: { $lt: new Date() }
+    const options = { ...importRecord.options };
+    ['title', 'destination', 'timezone', 'budget', 'currency'].forEach(field => {
+      if (req.body[field] !== undefined) options[field] = req.body[field];
     });
     
-    // Calculate average rating from completed trips
-    const ratedTrips = completedTrips.filter(trip => trip.rating);
-    const avgRating = ratedTrips.length > 0 
-      ? ratedTrips.reduce((sum, trip) => sum + trip.rating, 0) / ratedTrips.length 
-      : 0;
+    const preview = buildImportPreview(importRecord.format, importRecord.parsed, options);
     
-    // Calculate total days traveled
-    const daysTraveled = completedTrips.reduce((total, trip) => {
-      const days = Math.ceil((new Date(trip.endDate) - new Date(trip.startDate)) / (1000 * 60 * 60 * 24)) + 1;
-      return total + days;
-    }, 0);
+    if (preview.errors.length > 0 || (preview.summary.invalid > 0 && !skipInvalidRows) || preview.summary.valid === 0) {
+      logger.warn('⚠️ Itinerary import has errors', { userId, importId, ...preview.summary, errors: preview.errors.length });
+      await releaseImportClaim(importRecord);
+      return res.status(422).json({
+        message: preview.summary.valid === 0 && preview.errors.length === 0
+          ? 'None of the rows can be imported'
+          : 'Fix the errors or set skipInvalidRows to import only the valid rows',
+        ...preview
+      });
+    }
     
-    // Update user statistics
-    await User.findByIdAndUpdate(userId, {
-      totalTrips,
-      avgRating: Math.round(avgRating * 10) / 10,
-      daysTraveled
+    const itinerary = new Itinerary({ ...preview.itinerary, userId, aiGenerated: false, version: 0 });
+    sortItineraryDays(itinerary);
+    const geocoding = await geocodeItinerary(itinerary);
+    await itinerary.save();
+    
+    importRecord.status = 'committed';
+    importRecord.itineraryId = itinerary._id;
+    importRecord.options = options;
+    await importRecord.save();
+    
+    await recordItineraryRevision(itinerary, {
+      authorId: userId,
+      source: 'created',
+      summary: `Imported from ${importRecord.format.toUpperCase()}${importRecord.fileName ? ` (${importRecord.fileName})` : ''}`
+    });
+    
+    await new UserActivity({
+      userId,
+      type: 'itinerary_imported',
+      title: 'Itinerary imported',
+      description: `Imported "${itinerary.title}" with ${preview.summary.valid} activities from ${importRecord.format.toUpperCase()}`,
+      icon: '📥',
+      metadata: { itineraryId: itinerary._id, importId: importRecord._id, format: importRecord.format, skippedRows: preview.summary.invalid }
+    }).save();
+    
+    logger.info('✅ Itinerary import committed', { userId, importId, itineraryId: itinerary._id });
+    
+    setItineraryEtag(res, itinerary);
+    res.status(201).json({
+      itinerary,
+      imported: preview.summary.valid,
+      geocoding,
+      skipped: preview.rows.filter(row => row.status === 'error').map(row => ({ row: row.row, errors: row.errors }))
     });
     
-    logger.info('✅ Profile data retrieved and updated', { 
-      userId, 
-      totalTrips, 
-      avgRating, 
-      daysTraveled 
-    });
+  } catch (error) {
+    logger.error('❌ Itinerary import commit error:', error);
+    if (importRecord) await releaseImportClaim(importRecord);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== DATA EXPORT ROUTES =====
+app.get('/api/exports/schema', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(EXPORT_JSON_SCHEMA, null, 2));
+});
+
+app.get('/api/itineraries/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('📦 Itinerary export request', { itineraryId: id, userId });
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for export', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
     
-    // Return updated user data
-    const updatedUser = await User.findById(userId).select('-password');
-    res.json(updatedUser);
+    logger.info('✅ Itinerary exported', { itineraryId: id, userId, schemaVersion: EXPORT_SCHEMA_VERSION });
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(itinerary.title, 'aventra.json')}"`);
+    res.json(buildExportEnvelope('itinerary', { itinerary: exportItinerary(itinerary) }));
     
   } catch (error) {
-    logger.error('❌ Profile fetch error:', error);
+    logger.error('❌ Itinerary export error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/users/profile', authenticateToken, async (req, res) => {
+// Everything stored about the account, for backups and data portability requests
+app.get('/api/users/export', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const updates = { ...req.body, updatedAt: Date.now() };
     
-    logger.info('✏️ Profile update request', { userId, updates });
-    
-    const user = await User.findByIdAndUpdate(
-      userId,
-      updates,
-      { new: true, runValidators: true }
-    ).select('-password');
+    logger.info('📦 Account export request', { userId });
     
+    const user = await User.findById(userId);
     if (!user) {
-      logger.warn('⚠️ Profile update: User not found', { userId });
+      logger.warn('⚠️ Account export: User not found', { userId });
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Log activity
+    const exported = await buildAccountExport(user, req);
+    
     await new UserActivity({
       userId,
-      type: 'profile_updated',
-      title: 'Profile updated',
-      description: 'User profile information has been updated',
+      type: 'account_exported',
+      title: 'Account data exported',
+      description: `Downloaded ${exported.data.itineraries.length} itineraries and your account data`,
+      icon: '📦',
+      metadata: { schemaVersion: EXPORT_SCHEMA_VERSION }
     }).save();
     
-    logger.info('✅ Profile updated successfully', { userId });
+    logger.info('✅ Account exported', { userId, itineraries: exported.data.itineraries.length });
+    
+    res.setHeader('Content-Disposition', `attachment; filename="aventra-account-export-${exported.exportedAt.slice(0, 10)}.json"`);
+    res.json(exported);
     
-    res.json(user);
   } catch (error) {
-    logger.error('❌ Profile update error:', error);
+    logger.error('❌ Account export error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== USER PREFERENCES ROUTE =====
-app.put('/api/users/preferences', authenticateToken, async (req, res) => {
+// ===== ITINERARY CLONING & TEMPLATE ROUTES =====
+// Copies a trip the user can see into their own account on new dates; endDate defaults to the original trip length
+app.post('/api/itineraries/:id/clone', authenticateToken, async (req, res) => {
   try {
-    const { travelStyle, budgetRange, interests, pace } = req.body;
+    const { id } = req.params;
+    const { startDate, endDate, title } = req.body;
     const userId = req.user.userId;
     
-    logger.info('🎯 User preferences update request', { userId, travelStyle, budgetRange, interests, pace });
+    logger.info('🧬 Itinerary clone request', { itineraryId: id, userId, startDate, endDate });
     
-    // Validate interests array
-    if (interests && !Array.isArray(interests)) {
-      logger.warn('⚠️ Invalid interests format', { userId, interests });
-      return res.status(400).json({ message: 'Interests must be an array' });
-    }
+    const { itinerary: source } = await findItineraryForMember(id, userId, { lean: true });
     
-    const preferencesUpdate = {
-      preferences: {
-        travelStyle: travelStyle || '',
-        budgetRange: budgetRange || '',
-        interests: interests || [],
-        pace: pace || ''
-      },
-      updatedAt: Date.now()
-    };
+    if (!source) {
+      logger.warn('⚠️ Itinerary not found for cloning', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
     
-    const user = await User.findByIdAndUpdate(
-      userId,
-      preferencesUpdate,
-      { new: true, runValidators: true }
-    ).select('-password');
+    const start = new Date(startDate);
+    const defaultEnd = new Date(start.getTime() + (new Date(source.endDate) - new Date(source.startDate)));
+    const range = parseTripDateRange(startDate, endDate || (isNaN(defaultEnd.getTime()) ? null : defaultEnd));
     
-    if (!user) {
-      logger.warn('⚠️ Preferences update: User not found', { userId });
-      return res.status(404).json({ message: 'User not found' });
+    if (range.error) {
+      logger.warn('⚠️ Invalid clone dates', { itineraryId: id, userId, error: range.error });
+      return res.status(400).json({ message: range.error });
+    }
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ message: 'title must be non-empty text' });
     }
     
-    // Log activity
+    const clone = new Itinerary({
+      userId,
+      title: title ? title.trim().substring(0, 200) : `${source.title} (copy)`,
+      destination: source.destination,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      budget: source.budget,
+      currency: source.currency,
+      timezone: source.timezone,
+      destinationCoordinates: source.destinationCoordinates,
+      preferences: source.preferences,
+      photosEnabled: source.photosEnabled,
+      destinationPhotos: source.destinationPhotos,
+      aiGenerated: source.aiGenerated,
+      days: buildDaysForDateRange((source.days || []).map(copyDayContent), range.startDate, range.endDate),
+      version: 0
+    });
+    sortItineraryDays(clone);
+    await clone.save();
+    await recordItineraryRevision(clone, { authorId: userId, source: 'created', summary: `Cloned from "${source.title}"` });
+    
     await new UserActivity({
       userId,
-      type: 'preferences_updated',
-      title: 'Travel preferences updated',
-      description: `Updated travel style: ${travelStyle}, budget: ${budgetRange}, interests: ${interests?.join(', ') || 'none'}`,
-      icon: '🎯'
+      type: 'itinerary_cloned',
+      title: 'Itinerary cloned',
+      description: `Copied "${source.title}" to ${range.startDate.toISOString().split('T')[0]}`,
+      icon: '🧬',
+      metadata: { itineraryId: clone._id, sourceItineraryId: source._id }
     }).save();
     
-    logger.info('✅ User preferences updated successfully', { userId });
+    logger.info('✅ Itinerary cloned', { sourceItineraryId: id, itineraryId: clone._id, userId });
     
-    res.json(user.preferences);
+    setItineraryEtag(res, clone);
+    res.status(201).json(withTripRole(clone, userId));
     
   } catch (error) {
-    logger.error('❌ Preferences update error:', error);
+    logger.error('❌ Itinerary clone error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== SAFETY SETTINGS ROUTE =====
-app.put('/api/users/safety-settings', authenticateToken, async (req, res) => {
+app.post('/api/itineraries/:id/template', authenticateToken, async (req, res) => {
   try {
-    const { emergencyContacts, locationSharing, medicalInfo, travelPreferences } = req.body;
+    const { id } = req.params;
     const userId = req.user.userId;
     
-    logger.info('🛡️ Safety settings update request', { userId, emergencyContactsCount: emergencyContacts?.length });
+    logger.info('📐 Save as template request', { itineraryId: id, userId });
     
-    // Validate emergency contacts
-    if (!emergencyContacts || !Array.isArray(emergencyContacts) || emergencyContacts.length === 0) {
-      logger.warn('⚠️ Invalid emergency contacts', { userId });
-      return res.status(400).json({ message: 'At least one emergency contact is required' });
-    }
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
     
-    // Validate required fields for each contact
-    for (const contact of emergencyContacts) {
-      if (!contact.name || !contact.name.trim()) {
-        logger.warn('⚠️ Missing contact name', { userId });
-        return res.status(400).json({ message: 'Contact name is required' });
-      }
-      if (!contact.phone || !contact.phone.trim()) {
-        logger.warn('⚠️ Missing contact phone', { userId });
-        return res.status(400).json({ message: 'Contact phone number is required' });
-      }
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found for template', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
     }
     
-    // Ensure one primary contact
-    const primaryContacts = emergencyContacts.filter(contact => contact.isPrimary);
-    if (primaryContacts.length !== 1) {
-      emergencyContacts.forEach((contact, index) => {
-        contact.isPrimary = index === 0;
-      });
+    const { errors, values } = validateTemplateText({ name: itinerary.title, ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid template', errors });
     }
     
-    const updates = {
-      emergencyContacts,
-      locationSharing: locationSharing || {
-        enabled: false,
-        shareWithContacts: false,
-        shareWithTrustedCircle: false,
-        allowEmergencyAccess: false
-      },
-      medicalInfo: medicalInfo || {
-        allergies: '',
-        medications: '',
-        medicalConditions: '',
-        bloodType: '',
-        emergencyMedicalInfo: ''
-      },
-      travelPreferences: travelPreferences || {
-        checkInFrequency: 'daily',
-        autoCheckIn: false,
-        sosButtonEnabled: true
-      },
-      updatedAt: Date.now()
-    };
-    
-    const user = await User.findByIdAndUpdate(
+    const template = await new ItineraryTemplate({
       userId,
-      updates,
-      { new: true, runValidators: true }
-    ).select('-password');
-    
-    if (!user) {
-      logger.warn('⚠️ Safety settings update: User not found', { userId });
-      return res.status(404).json({ message: 'User not found' });
-    }
+      name: values.name,
+      description: values.description,
+      sourceItineraryId: itinerary._id,
+      destination: itinerary.destination,
+      budget: itinerary.budget,
+      currency: itinerary.currency,
+      timezone: itinerary.timezone,
+      destinationCoordinates: itinerary.destinationCoordinates,
+      preferences: itinerary.preferences,
+      photosEnabled: itinerary.photosEnabled,
+      destinationPhotos: itinerary.destinationPhotos,
+      days: (itinerary.days || []).map(copyDayContent)
+    }).save();
     
-    // Log activity
     await new UserActivity({
       userId,
-      type: 'safety_updated',
-      title: 'Safety settings updated',
-      description: `Updated emergency contacts (${emergencyContacts.length}), location sharing: ${locationSharing?.enabled ? 'enabled' : 'disabled'}`,
-      icon: '🛡️'
+      type: 'template_created',
+      title: 'Template saved',
+      description: `Saved "${template.name}" as a reusable template`,
+      icon: '📐',
+      metadata: { templateId: template._id, itineraryId: itinerary._id }
     }).save();
     
-    logger.info('✅ Safety settings updated successfully', { userId });
+    logger.info('✅ Template saved', { templateId: template._id, itineraryId: id, userId });
     
-    res.json({
-      emergencyContacts: user.emergencyContacts,
-      locationSharing: user.locationSharing,
-      medicalInfo: user.medicalInfo,
-      travelPreferences: user.travelPreferences
-    });
+    res.status(201).json(template);
     
   } catch (error) {
-    logger.error('❌ Safety settings update error:', error);
+    logger.error('❌ Save as template error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== LOCATION UPDATE ROUTE =====
-app.put('/api/users/location', authenticateToken, async (req, res) => {
+app.get('/api/templates', authenticateToken, async (req, res) => {
   try {
-    const { latitude, longitude, address, accuracy } = req.body;
     const userId = req.user.userId;
     
-    logger.info('📍 Location update request', { userId, latitude, longitude, address });
+    logger.info('📐 Templates fetch request', { userId });
     
-    if (!latitude || !longitude) {
-      logger.warn('⚠️ Missing location coordinates', { userId });
-      return res.status(400).json({ message: 'Latitude and longitude are required' });
+    const templates = await ItineraryTemplate.find({ userId }).sort({ updatedAt: -1 }).lean();
+    
+    res.json(templates.map(summarizeTemplate));
+    
+  } catch (error) {
+    logger.error('❌ Templates fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('📐 Template fetch request', { templateId, userId });
+    
+    const template = await ItineraryTemplate.findOne({ _id: templateId, userId }).lean();
+    
+    if (!template) {
+      logger.warn('⚠️ Template not found', { templateId, userId });
+      return res.status(404).json({ message: 'Template not found' });
     }
     
-    const locationUpdate = {
-      currentLocation: {
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude),
-        address: address || `${latitude}, ${longitude}`,
-        accuracy: accuracy || 0,
-        timestamp: new Date()
-      },
-      updatedAt: Date.now()
-    };
+    res.json(template);
     
-    const user = await User.findByIdAndUpdate(
-      userId,
-      locationUpdate,
+  } catch (error) {
+    logger.error('❌ Template fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('📐 Template update request', { templateId, userId });
+    
+    const { errors, values } = validateTemplateText(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid template', errors });
+    }
+    
+    const template = await ItineraryTemplate.findOneAndUpdate(
+      { _id: templateId, userId },
+      { ...values, updatedAt: new Date() },
       { new: true }
-    ).select('currentLocation');
+    );
     
-    if (!user) {
-      logger.warn('⚠️ Location update: User not found', { userId });
-      return res.status(404).json({ message: 'User not found' });
+    if (!template) {
+      logger.warn('⚠️ Template not found for update', { templateId, userId });
+      return res.status(404).json({ message: 'Template not found' });
     }
     
-    // Log activity
-    await new UserActivity({
-      userId,
-      type: 'location_updated',
-      title: 'Location updated',
-      description: `Location updated to ${address || 'coordinates'}`,
-      icon: '📍'
-    }).save();
+    logger.info('✅ Template updated', { templateId, userId });
     
-    logger.info('✅ Location updated successfully', { userId });
+    res.json(summarizeTemplate(template));
+    
+  } catch (error) {
+    logger.error('❌ Template update error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/templates/:templateId', authenticateToken, async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.userId;
+    
+    logger.info('📐 Template delete request', { templateId, userId });
+    
+    const template = await ItineraryTemplate.findOneAndDelete({ _id: templateId, userId });
+    
+    if (!template) {
+      logger.warn('⚠️ Template not found for deletion', { templateId, userId });
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    logger.info('✅ Template deleted', { templateId, userId });
     
-    res.json({ success: true, location: user.currentLocation });
+    res.json({ success: true, message: 'Template deleted' });
     
   } catch (error) {
-    logger.error('❌ Location update error:', error);
+    logger.error('❌ Template delete error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== CHECK-IN ROUTE =====
-app.post('/api/users/check-in', authenticateToken, async (req, res) => {
+app.post('/api/templates/:templateId/itineraries', authenticateToken, async (req, res) => {
   try {
-    const { location, status, message, automatic } = req.body;
+    const { templateId } = req.params;
+    const { startDate, endDate, title } = req.body;
     const userId = req.user.userId;
     
-    logger.info('✅ Check-in request', { userId, status, automatic, address: location?.address });
+    logger.info('📐 Trip from template request', { templateId, userId, startDate, endDate });
     
-    if (!location || !location.latitude || !location.longitude) {
-      logger.warn('⚠️ Check-in missing location', { userId });
-      return res.status(400).json({ message: 'Location is required for check-in' });
+    const range = parseTripDateRange(startDate, endDate);
+    if (range.error) {
+      logger.warn('⚠️ Invalid template trip dates', { templateId, userId, error: range.error });
+      return res.status(400).json({ message: range.error });
+    }
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      return res.status(400).json({ message: 'title must be non-empty text' });
     }
     
-    const checkIn = new CheckIn({
+    const template = await ItineraryTemplate.findOne({ _id: templateId, userId }).lean();
+    
+    if (!template) {
+      logger.warn('⚠️ Template not found', { templateId, userId });
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    const itinerary = new Itinerary({
       userId,
-      location: {
-        latitude: parseFloat(location.latitude),
-        longitude: parseFloat(location.longitude),
-        address: location.address || `${location.latitude}, ${location.longitude}`,
-        accuracy: location.accuracy || 0
-      },
-      status: status || 'safe',
-      message: message || '',
-      automatic: automatic || false
+      title: title ? title.trim().substring(0, 200) : template.name,
+      destination: template.destination,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      budget: template.budget,
+      currency: template.currency,
+      timezone: template.timezone,
+      destinationCoordinates: template.destinationCoordinates,
+      preferences: template.preferences,
+      photosEnabled: template.photosEnabled,
+      destinationPhotos: template.destinationPhotos,
+      days: buildDaysForDateRange(template.days, range.startDate, range.endDate),
+      version: 0
     });
+    sortItineraryDays(itinerary);
+    await itinerary.save();
+    await recordItineraryRevision(itinerary, { authorId: userId, source: 'created', summary: `Created from template "${template.name}"` });
     
-    await checkIn.save();
+    await ItineraryTemplate.updateOne({ _id: template._id }, { $inc: { timesUsed: 1 } });
     
-    // Update user's current location
-    await User.findByIdAndUpdate(userId, {
-      currentLocation: {
-        latitude: parseFloat(location.latitude),
-        longitude: parseFloat(location.longitude),
-        address: location.address || `${location.latitude}, ${location.longitude}`,
-        accuracy: location.accuracy || 0,
-        timestamp: new Date()
-      }
-    });
+    await new UserActivity({
+      userId,
+      type: 'itinerary_from_template',
+      title: 'Trip created from template',
+      description: `Planned "${itinerary.title}" from the template "${template.name}"`,
+      icon: '📐',
+      metadata: { itineraryId: itinerary._id, templateId: template._id }
+    }).save();
+    
+    logger.info('✅ Trip created from template', { templateId, itineraryId: itinerary._id, userId });
+    
+    setItineraryEtag(res, itinerary);
+    res.status(201).json(withTripRole(itinerary, userId));
+    
+  } catch (error) {
+    logger.error('❌ Trip from template error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== EXPENSE & BUDGET ROUTES =====
+app.get('/api/itineraries/:id/expenses', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { category, date } = req.query;
+    const userId = req.user.userId;
     
-    // Log activity
-    await new UserActivity({
-      userId,
-      type: 'check_in',
-      title: automatic ? 'Automatic check-in' : 'Manual check-in',
-      description: `Checked in from ${location.address || 'current location'} - Status: ${status || 'safe'}`,
-      icon: '✅',
-      metadata: { location, status }
-    }).save();
+    logger.info('💸 Expenses fetch request', { itineraryId: id, userId, category, date });
     
-    logger.info('✅ Check-in completed successfully', { userId, checkInId: checkIn._id });
+    const { itinerary } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    
+    const filter = { itineraryId: itinerary._id };
+    if (category) filter.category = category;
+    if (date) filter.date = date;
     
-    res.json({ success: true, checkIn });
+    const expenses = await Expense.find(filter).sort({ date: 1, createdAt: 1 }).lean();
+    
+    res.json(expenses.map(formatExpense));
     
   } catch (error) {
-    logger.error('❌ Check-in error:', error);
+    logger.error('❌ Expenses fetch error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== EMERGENCY ALERT ROUTE =====
-app.post('/api/emergency/alert', authenticateToken, async (req, res) => {
+app.post('/api/itineraries/:id/expenses', authenticateToken, async (req, res) => {
   try {
-    const { type, location, emergencyContacts, message } = req.body;
+    const { id } = req.params;
     const userId = req.user.userId;
     
-    logger.info('🚨 Emergency alert request', { userId, type, contactsCount: emergencyContacts?.length });
+    logger.info('💸 Add expense request', { itineraryId: id, userId });
     
-    if (!emergencyContacts || !Array.isArray(emergencyContacts) || emergencyContacts.length === 0) {
-      logger.warn('⚠️ Emergency alert missing contacts', { userId });
-      return res.status(400).json({ message: 'Emergency contacts are required' });
+    const { errors, expense: expenseData } = validateExpenseInput(req.body);
+    if (errors.length > 0) {
+      logger.warn('⚠️ Invalid expense', { itineraryId: id, userId, errors });
+      return res.status(400).json({ message: 'Invalid expense', errors });
     }
     
-    // Validate emergency contacts
-    const validContacts = emergencyContacts.filter(contact => 
-      contact.name && contact.name.trim() && contact.phone && contact.phone.trim()
-    );
+    const { itinerary, role } = await findItineraryForMember(id, userId);
     
-    if (validContacts.length === 0) {
-      logger.warn('⚠️ Emergency alert no valid contacts', { userId });
-      return res.status(400).json({ message: 'At least one valid emergency contact is required' });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
     }
     
-    const alert = new EmergencyAlert({
-      userId,
-      alertType: type || 'other',
-      location: location ? {
-        latitude: parseFloat(location.latitude),
-        longitude: parseFloat(location.longitude),
-        address: location.address || `${location.latitude}, ${location.longitude}`
-      } : null,
-      message: message || '',
-      emergencyContacts: validContacts.map(contact => ({
-        name: contact.name,
-        phone: contact.phone,
-        email: contact.email || '',
-        notificationSent: false
-      }))
-    });
+    const link = resolveExpenseActivity(itinerary, expenseData);
+    if (!link.ok) {
+      return res.status(link.status).json({ message: link.message });
+    }
+    if (expenseData.paidBy && !getTripRole(itinerary, expenseData.paidBy)) {
+      return res.status(400).json({ message: 'paidBy must be the id of a trip member' });
+    }
     
-    await alert.save();
+    const currency = expenseData.currency || itinerary.currency || DEFAULT_CURRENCY;
+    // In the currency's own minor units, so splits and balances in e.g. JPY never carry fractions
+    if (expenseData.amount !== undefined) expenseData.amount = roundCurrency(expenseData.amount, currency);
+    const { errors: splitErrors, split } = buildExpenseSplit(req.body.split, itinerary, expenseData.amount, currency);
+    if (splitErrors.length > 0) {
+      logger.warn('⚠️ Invalid expense split', { itineraryId: id, userId, errors: splitErrors });
+      return res.status(400).json({ message: 'Invalid expense split', errors: splitErrors });
+    }
     
-    // In a real implementation, you would send notifications here
-    // For now, we'll just mark them as sent
-    alert.emergencyContacts.forEach(contact => {
-      contact.notificationSent = true;
-    });
-    await alert.save();
+    const expense = await new Expense({
+      itineraryId: itinerary._id,
+      userId: itinerary.userId,
+      createdBy: userId,
+      paidBy: userId,
+      category: 'other',
+      date: new Date().toISOString().split('T')[0],
+      ...expenseData,
+      currency,
+      split
+    }).save();
+    
+    const expenses = await Expense.find({ itineraryId: itinerary._id }).lean();
+    const summary = buildBudgetSummary(itinerary, expenses, { converter: await createBudgetConverter([itinerary], expenses) });
     
-    // Log critical activity
     await new UserActivity({
       userId,
-      type: 'emergency_alert',
-      title: '🚨 EMERGENCY ALERT SENT',
-      description: `Emergency alert (${type || 'other'}) sent to ${validContacts.length} contacts`,
-      icon: '🚨',
-      metadata: { 
-        alertType: type, 
-        location, 
-        contactCount: validContacts.length,
-        alertId: alert._id
-      }
+      type: 'expense_added',
+      title: 'Expense recorded',
+      description: `${expense.amount} ${expense.currency} for ${expense.category} on "${itinerary.title}"`,
+      icon: '💸',
+      metadata: { itineraryId: itinerary._id, expenseId: expense._id, amount: expense.amount, currency: expense.currency }
     }).save();
     
-    logger.info('🚨 Emergency alert sent successfully', { userId, alertId: alert._id, contactsNotified: validContacts.length });
+    logger.info('✅ Expense added', { itineraryId: id, expenseId: expense._id, warnings: summary.warnings.length });
     
-    res.json({ 
-      success: true, 
-      alertId: alert._id,
-      message: 'Emergency alert sent successfully',
-      contactsNotified: validContacts.length
-    });
+    res.status(201).json({ expense: formatExpense(expense), warnings: summary.warnings });
     
   } catch (error) {
-    logger.error('❌ Emergency alert error:', error);
+    logger.error('❌ Add expense error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== GET USER ACTIVITY ROUTE =====
-app.get('/api/users/activity', authenticateToken, async (req, res) => {
+app.put('/api/itineraries/:id/expenses/:expenseId', authenticateToken, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
+    const { id, expenseId } = req.params;
     const userId = req.user.userId;
     
-    logger.info('📋 User activity fetch request', { userId, limit, offset });
+    logger.info('💸 Edit expense request', { itineraryId: id, expenseId, userId });
     
-    const activities = await UserActivity
-      .find({ userId })
-      .sort({ createdAt: -1 })
-      .skip(offset)
-      .limit(limit)
-      .lean();
+    const { errors, expense: changes } = validateExpenseInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      logger.warn('⚠️ Invalid expense', { itineraryId: id, userId, errors });
+      return res.status(400).json({ message: 'Invalid expense', errors });
+    }
     
-    const formattedActivities = activities.map(activity => ({
-      id: activity._id,
-      icon: activity.icon || '📋',
-      title: activity.title,
-      description: activity.description,
-      date: activity.createdAt,
-      type: activity.type,
-      metadata: activity.metadata
-    }));
+    const { itinerary, role } = await findItineraryForMember(id, userId);
     
-    logger.info('✅ User activity fetched successfully', { userId, count: formattedActivities.length });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
     
-    res.json(formattedActivities);
+    if (changes.activityId && !findItineraryActivity(itinerary, changes.activityId)) {
+      return res.status(404).json({ message: 'Activity not found in this itinerary' });
+    }
+    if (changes.paidBy && !getTripRole(itinerary, changes.paidBy)) {
+      return res.status(400).json({ message: 'paidBy must be the id of a trip member' });
+    }
+    
+    const expense = await Expense.findOne({ _id: expenseId, itineraryId: itinerary._id });
+    
+    if (!expense) {
+      logger.warn('⚠️ Expense not found', { itineraryId: id, expenseId });
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    // A new split replaces the old one; otherwise the existing split follows amount or currency changes
+    const currency = changes.currency || expense.currency;
+    if (changes.amount !== undefined) changes.amount = roundCurrency(changes.amount, currency);
+    const amount = changes.amount ?? expense.amount;
+    if (req.body.split !== undefined || changes.amount !== undefined || changes.currency !== undefined) {
+      const { errors: splitErrors, split } = req.body.split !== undefined
+        ? buildExpenseSplit(req.body.split, itinerary, amount, currency)
+        : rebuildExpenseSplit(expense.split, itinerary, amount, currency);
+      
+      if (splitErrors.length > 0) {
+        logger.warn('⚠️ Invalid expense split', { itineraryId: id, expenseId, errors: splitErrors });
+        return res.status(400).json({ message: 'Invalid expense split', errors: splitErrors });
+      }
+      if (split) changes.split = split;
+    }
+    
+    Object.assign(expense, changes, { updatedAt: new Date() });
+    await expense.save();
+    
+    const expenses = await Expense.find({ itineraryId: itinerary._id }).lean();
+    const summary = buildBudgetSummary(itinerary, expenses, { converter: await createBudgetConverter([itinerary], expenses) });
+    
+    logger.info('✅ Expense updated', { itineraryId: id, expenseId });
+    
+    res.json({ expense: formatExpense(expense), warnings: summary.warnings });
     
   } catch (error) {
-    logger.error('❌ Activity fetch error:', error);
+    logger.error('❌ Edit expense error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== GET TRAVEL HISTORY ROUTE =====
-app.get('/api/users/travel-history', authenticateToken, async (req, res) => {
+app.delete('/api/itineraries/:id/expenses/:expenseId', authenticateToken, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+    const { id, expenseId } = req.params;
     const userId = req.user.userId;
     
-    logger.info('🧳 Travel history fetch request', { userId, limit, offset });
+    logger.info('💸 Delete expense request', { itineraryId: id, expenseId, userId });
     
-    // Get completed trips (where end date is in the past)
-    const trips = await Itinerary
-      .find({ 
-        userId,
-        endDate: { $lt: new Date() }
-      })
-      .sort({ endDate: -1 })
-      .skip(offset)
-      .limit(limit)
-      .lean();
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
     
-    const formattedTrips = trips.map(trip => ({
-      id: trip._id,
-      title: trip.title,
-      destination: trip.destination,
-      startDate: trip.startDate,
-      endDate: trip.endDate,
-      totalCost: trip.budget || 0,
-      rating: trip.rating || null,
-      duration: Math.ceil((new Date(trip.endDate) - new Date(trip.startDate)) / (1000 * 60 * 60 * 24)) + 1,
-      aiGenerated: trip.aiGenerated || false,
-      activities: trip.days ? trip.days.reduce((total, day) => total + (day.activities?.length || 0), 0) : 0,
-      photosEnabled: trip.photosEnabled || false,
-      destinationPhotos: trip.destinationPhotos || []
-    }));
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
     
-    logger.info('✅ Travel history fetched successfully', { userId, count: formattedTrips.length });
+    const expense = await Expense.findOneAndDelete({ _id: expenseId, itineraryId: itinerary._id });
     
-    res.json(formattedTrips);
+    if (!expense) {
+      logger.warn('⚠️ Expense not found for deletion', { itineraryId: id, expenseId });
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    logger.info('✅ Expense deleted', { itineraryId: id, expenseId });
+    
+    res.json({ success: true, message: 'Expense deleted' });
     
   } catch (error) {
-    logger.error('❌ Travel history fetch error:', error);
+    logger.error('❌ Delete expense error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== RATE TRIP ROUTE =====
-app.put('/api/itineraries/:id/rate', authenticateToken, async (req, res) => {
+app.get('/api/itineraries/:id/budget', authenticateToken, async (req, res) => {
   try {
-    const { rating } = req.body;
+    const { id } = req.params;
     const userId = req.user.userId;
-    const itineraryId = req.params.id;
     
-    logger.info('⭐ Trip rating request', { userId, itineraryId, rating });
+    logger.info('📊 Budget summary request', { itineraryId: id, userId, currency: req.query.currency });
     
-    if (!rating || rating < 1 || rating > 5) {
-      logger.warn('⚠️ Invalid rating value', { userId, rating });
-      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+    // Totals are repeated in ?currency= or else the user's display currency
+    let displayCurrency = req.query.currency !== undefined ? normalizeCurrency(req.query.currency) : null;
+    if (displayCurrency !== null && !isValidCurrency(displayCurrency)) {
+      return res.status(400).json({ message: 'currency must be a three-letter ISO 4217 code such as EUR' });
     }
     
-    const itinerary = await Itinerary.findOneAndUpdate(
-      { _id: itineraryId, userId },
-      { rating: parseInt(rating), updatedAt: Date.now() },
-      { new: true }
-    );
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
     
     if (!itinerary) {
-      logger.warn('⚠️ Itinerary not found for rating', { userId, itineraryId });
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
       return res.status(404).json({ message: 'Itinerary not found' });
     }
     
-    // Log activity
-    await new UserActivity({
-      userId,
-      type: 'trip_rated',
-      title: 'Trip rated',
-      description: `Rated "${itinerary.title}" ${rating} stars`,
-      icon: '⭐',
-      metadata: { 
-        itineraryId: itinerary._id, 
-        rating: parseInt(rating),
-        destination: itinerary.destination
-      }
-    }).save();
+    if (!displayCurrency) {
+      const user = await User.findById(userId).select('displayCurrency').lean();
+      displayCurrency = user?.displayCurrency || DEFAULT_CURRENCY;
+    }
     
-    // Update user's average rating
-    await updateUserStats(userId);
+    const expenses = await Expense.find({ itineraryId: itinerary._id }).lean();
+    const converter = await createBudgetConverter([itinerary], expenses);
+    const summary = buildBudgetSummary(itinerary, expenses, { converter, displayCurrency });
     
-    logger.info('✅ Trip rated successfully', { userId, itineraryId, rating });
+    logger.info('✅ Budget summary built', { itineraryId: id, planned: summary.planned, actual: summary.actual, warnings: summary.warnings.length });
     
-    res.json({ success: true, rating: parseInt(rating) });
+    res.json({ itineraryId: itinerary._id, expenseCount: expenses.length, ...summary });
     
   } catch (error) {
-    logger.error('❌ Trip rating error:', error);
+    logger.error('❌ Budget summary error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== GET CHECK-IN HISTORY ROUTE =====
-app.get('/api/users/check-ins', authenticateToken, async (req, res) => {
+// ===== TRIP BALANCE & SETTLEMENT ROUTES =====
+app.get('/api/itineraries/:id/balances', authenticateToken, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
+    const { id } = req.params;
     const userId = req.user.userId;
     
-    logger.info('📍 Check-in history fetch request', { userId, limit, offset });
+    logger.info('⚖️ Trip balances request', { itineraryId: id, userId });
     
-    const checkIns = await CheckIn
-      .find({ userId })
-      .sort({ timestamp: -1 })
-      .skip(offset)
-      .limit(limit)
-      .lean();
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
     
-    logger.info('✅ Check-in history fetched successfully', { userId, count: checkIns.length });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
     
-    res.json(checkIns);
+    const { ledger, namesById } = await loadTripLedger(itinerary);
+    const { currency, balances, transfers, warnings } = buildTripBalances(ledger);
+    const memberIds = new Set(ledger.memberIds);
+    const name = memberId => namesById.get(memberId) || 'Former member';
+    
+    logger.info('✅ Trip balances built', { itineraryId: id, people: balances.length, transfers: transfers.length });
     
+    res.json({
+      itineraryId: itinerary._id,
+      currency,
+      balances: balances.map(entry => ({ ...entry, name: name(entry.userId), member: memberIds.has(entry.userId), you: entry.userId === String(userId) })),
+      transfers: transfers.map(transfer => ({ ...transfer, fromName: name(transfer.fromUserId), toName: name(transfer.toUserId) })),
+      warnings
+    });
+  
   } catch (error) {
-    logger.error('❌ Check-ins fetch error:', error);
+    logger.error('❌ Trip balances error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== GET EMERGENCY ALERTS ROUTE =====
-app.get('/api/emergency/alerts', authenticateToken, async (req, res) => {
+app.get('/api/itineraries/:id/settlements', authenticateToken, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
+    const { id } = req.params;
     const userId = req.user.userId;
     
-    logger.info('🚨 Emergency alerts fetch request', { userId, limit, offset });
+    logger.info('🤝 Settlements fetch request', { itineraryId: id, userId });
     
-    const alerts = await EmergencyAlert
-      .find({ userId })
-      .sort({ createdAt: -1 })
-      .skip(offset)
-      .limit(limit)
-      .lean();
+    const { itinerary } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
     
-    logger.info('✅ Emergency alerts fetched successfully', { userId, count: alerts.length });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
     
-    res.json(alerts);
+    const settlements = await Settlement.find({ itineraryId: itinerary._id }).sort({ date: 1, createdAt: 1 }).lean();
     
+    res.json(settlements.map(formatSettlement));
+  
   } catch (error) {
-    logger.error('❌ Emergency alerts fetch error:', error);
+    logger.error('❌ Settlements fetch error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== RESOLVE EMERGENCY ALERT ROUTE =====
-app.put('/api/emergency/alerts/:id/resolve', authenticateToken, async (req, res) => {
+// Anyone on the trip can record a payment they made or received; editors can record payments between others
+app.post('/api/itineraries/:id/settlements', authenticateToken, async (req, res) => {
   try {
-    const alertId = req.params.id;
+    const { id } = req.params;
     const userId = req.user.userId;
     
-    logger.info('✅ Emergency alert resolve request', { userId, alertId });
+    logger.info('🤝 Record settlement request', { itineraryId: id, userId });
     
-    const alert = await EmergencyAlert.findOneAndUpdate(
-      { _id: alertId, userId },
-      { 
-        status: 'resolved',
-        resolvedAt: new Date()
-      },
-      { new: true }
-    );
+    const { errors, settlement: settlementData } = validateSettlementInput(req.body, userId);
+    if (errors.length > 0) {
+      logger.warn('⚠️ Invalid settlement', { itineraryId: id, userId, errors });
+      return res.status(400).json({ message: 'Invalid settlement', errors });
+    }
     
-    if (!alert) {
-      logger.warn('⚠️ Emergency alert not found for resolve', { userId, alertId });
-      return res.status(404).json({ message: 'Emergency alert not found' });
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: '_id title currency', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
     }
     
-    // Log activity
+    const involvesUser = [settlementData.fromUserId, settlementData.toUserId].includes(String(userId));
+    if (!involvesUser && !hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
+    if (!getTripRole(itinerary, settlementData.fromUserId) || !getTripRole(itinerary, settlementData.toUserId)) {
+      return res.status(400).json({ message: 'Both people in a settlement must be members of the trip' });
+    }
+    
+    const settlementCurrency = settlementData.currency || itinerary.currency || DEFAULT_CURRENCY;
+    settlementData.amount = roundCurrency(settlementData.amount, settlementCurrency);
+    if (settlementData.amount <= 0) {
+      return res.status(400).json({ message: 'Invalid settlement', errors: [`amount is less than the smallest unit of ${settlementCurrency}`] });
+    }
+    
+    const settlement = await new Settlement({
+      itineraryId: itinerary._id,
+      userId: itinerary.userId,
+      createdBy: userId,
+      currency: itinerary.currency || DEFAULT_CURRENCY,
+      date: new Date().toISOString().split('T')[0],
+      ...settlementData
+    }).save();
+    
     await new UserActivity({
       userId,
-      type: 'emergency_resolved',
-      title: 'Emergency alert resolved',
-      description: `Emergency alert resolved - ${alert.alertType}`,
-      icon: '✅',
-      metadata: { alertId: alert._id }
+      type: 'settlement_recorded',
+      title: 'Payment recorded',
+      description: `${formatMoney(settlement.amount, settlement.currency)} settled on "${itinerary.title}"`,
+      icon: '🤝',
+      metadata: { itineraryId: itinerary._id, settlementId: settlement._id, fromUserId: settlement.fromUserId, toUserId: settlement.toUserId, amount: settlement.amount, currency: settlement.currency }
     }).save();
     
-    logger.info('✅ Emergency alert resolved successfully', { userId, alertId });
-    
-    res.json({ success: true, alert });
+    logger.info('✅ Settlement recorded', { itineraryId: id, settlementId: settlement._id });
     
+    res.status(201).json(formatSettlement(settlement));
+  
   } catch (error) {
-    logger.error('❌ Emergency alert resolve error:', error);
+    logger.error('❌ Record settlement error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// ===== HELPER FUNCTION TO UPDATE USER STATS =====
-async function updateUserStats(userId) {
+app.delete('/api/itineraries/:id/settlements/:settlementId', authenticateToken, async (req, res) => {
   try {
-    logger.info('📊 Updating user stats', { userId });
+    const { id, settlementId } = req.params;
+    const userId = req.user.userId;
     
-    // Calculate user statistics
-    const totalTrips = await Itinerary.countDocuments({ userId });
-    const completedTrips = await Itinerary.find({ 
-      userId,
-      endDate: { $lt: new Date() }
-    });
+    logger.info('🤝 Delete settlement request', { itineraryId: id, settlementId, userId });
     
-    // Calculate average rating from completed trips
-    const ratedTrips = completedTrips.filter(trip => trip.rating);
-    const avgRating = ratedTrips.length > 0 
-      ? ratedTrips.reduce((sum, trip) => sum + trip.rating, 0) / ratedTrips.length 
-      : 0;
+    const { itinerary, role } = await findItineraryForMember(id, userId, { select: '_id', lean: true });
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
     
-    // Calculate total days traveled
-    const daysTraveled = completedTrips.reduce((total, trip) => {
-      const days = Math.ceil((new Date(trip.endDate) - new Date(trip.startDate)) / (1000 * 60 * 60 * 24)) + 1;
-      return total + days;
-    }, 0);
+    const settlement = await Settlement.findOne({ _id: settlementId, itineraryId: itinerary._id });
     
-    // Count unique countries (simplified - just count unique destinations)
-    const uniqueDestinations = [...new Set(completedTrips.map(trip => trip.destination))];
-    const countriesVisited = uniqueDestinations.length;
+    if (!settlement) {
+      logger.warn('⚠️ Settlement not found for deletion', { itineraryId: id, settlementId });
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+    if (String(settlement.createdBy) !== String(userId) && !hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
     
-    // Update user statistics
-    await User.findByIdAndUpdate(userId, {
-      totalTrips,
-      avgRating: Math.round(avgRating * 10) / 10,
-      daysTraveled,
-      countriesVisited,
-      updatedAt: Date.now()
-    });
+    await settlement.deleteOne();
     
-    logger.info('✅ User stats updated successfully', { userId, totalTrips, avgRating, daysTraveled, countriesVisited });
+    logger.info('✅ Settlement deleted', { itineraryId: id, settlementId });
     
+    res.json({ success: true, message: 'Settlement deleted' });
+  
   } catch (error) {
-    logger.error('❌ Error updating user stats:', error);
+    logger.error('❌ Delete settlement error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-}
+});
 
-// ===== ITINERARY ROUTES =====
-app.post('/api/itineraries', authenticateToken, async (req, res) => {
+app.get('/api/itineraries/:id/ledger.csv', authenticateToken, async (req, res) => {
   try {
+    const { id } = req.params;
     const userId = req.user.userId;
-    const itineraryData = { ...req.body, userId };
     
-    logger.info('📝 Creating new itinerary', { userId, destination: req.body.destination });
+    logger.info('📒 Ledger export request', { itineraryId: id, userId });
     
-    const itinerary = new Itinerary(itineraryData);
-    await itinerary.save();
+    const { itinerary } = await findItineraryForMember(id, userId, { lean: true });
     
-    logger.info('✅ Itinerary created successfully', { 
-      itineraryId: itinerary._id, 
-      userId, 
-      destination: itinerary.destination 
-    });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
     
-    res.status(201).json(itinerary);
+    const { ledger, namesById } = await loadTripLedger(itinerary);
+    
+    logger.info('✅ Ledger exported', { itineraryId: id, entries: ledger.entries.length });
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(`${itinerary.title}-ledger`, 'csv')}"`);
+    res.send(buildLedgerCsv(ledger, namesById));
+  
   } catch (error) {
-    logger.error('❌ Itinerary creation error:', error);
+    logger.error('❌ Ledger export error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.get('/api/itineraries', authenticateToken, async (req, res) => {
+// ===== GEOCODING ROUTES =====
+// Looks up a place name; near (a destination name) lowers the confidence of matches far away from it
+app.get('/api/geocode', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    logger.info('📋 Fetching user itineraries', { userId });
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const nearQuery = typeof req.query.near === 'string' ? req.query.near.trim() : '';
     
-    const itineraries = await Itinerary.find({ userId }).sort({ createdAt: -1 });
+    logger.info('🗺️ Geocode request', { userId, query, near: nearQuery || undefined });
     
-    logger.info('✅ Itineraries fetched successfully', { 
-      userId, 
-      count: itineraries.length 
-    });
+    if (!query || query.length > 200) {
+      return res.status(400).json({ message: 'q must be a place name of at most 200 characters' });
+    }
+    if (!rateLimiter.isAllowed(`geocode:${userId}`)) {
+      return res.status(429).json({ message: 'Too many requests, please try again shortly' });
+    }
+    
+    const near = nearQuery ? await geocodeLocation(nearQuery) : null;
+    const result = await geocodeLocation(query, { near });
     
-    res.json(itineraries);
+    if (!result) {
+      return res.status(404).json({ message: 'No location found', query });
+    }
+    
+    res.json({ query, result });
+  
   } catch (error) {
-    logger.error('❌ Itineraries fetch error:', error);
+    logger.error('❌ Geocode error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.get('/api/itineraries/:id', authenticateToken, async (req, res) => {
+// Resolves the destination and activities that have no coordinates yet; force looks up all but manual corrections
+app.post('/api/itineraries/:id/geocode', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
+    const force = req.body?.force === true;
     
-    logger.info('📋 Fetching specific itinerary', { itineraryId: id, userId });
+    logger.info('🗺️ Itinerary geocode request', { itineraryId: id, userId, force });
     
-    const itinerary = await Itinerary.findOne({ _id: id, userId });
+    const { itinerary, role } = await findItineraryForMember(id, userId);
     
     if (!itinerary) {
       logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
       return res.status(404).json({ message: 'Itinerary not found' });
     }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
     
-    logger.info('✅ Itinerary fetched successfully', { itineraryId: id, userId });
-    res.json(itinerary);
+    const conflicts = await findItineraryDayConflicts(req, itinerary, itinerary.days.map(day => day.date));
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    const geocoding = await geocodeItinerary(itinerary, { force });
+    
+    if (geocoding.resolved > 0 || itinerary.isModified('destinationCoordinates')) {
+      await saveItineraryChange(itinerary, { authorId: userId, source: 'location' });
+    }
+    
+    logger.info('✅ Itinerary geocoded', { itineraryId: id, userId, ...geocoding });
+    
+    setItineraryEtag(res, itinerary);
+    res.json({ geocoding, itinerary });
+  
   } catch (error) {
-    logger.error('❌ Itinerary fetch error:', error);
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Itinerary geocode error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/generate-itineraries/:id', authenticateToken, async (req, res) => {
+// Corrects the destination by hand; null clears the correction and resolves the destination name again
+app.put('/api/itineraries/:id/destination-coordinates', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { forceRefreshPhotos } = req.query;
     const userId = req.user.userId;
-    const updates = { ...req.body, updatedAt: Date.now() };
     
-    logger.info('✏️ Updating itinerary', { itineraryId: id, userId });
+    logger.info('📍 Destination coordinates request', { itineraryId: id, userId });
     
-
-    // Validate itinerary ID format
-    if (!id || id.length !== 24) {
-      logger.warn('⚠️ Invalid itinerary ID format', { itineraryId: id, userId });
-      return res.status(400).json({ message: 'Invalid itinerary ID format' });
+    const reset = req.body?.coordinates === null;
+    const { coordinates, error } = reset ? {} : validateManualCoordinates(req.body?.coordinates);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
     
-    const existingItinerary = await Itinerary.findOne({ _id: id, userId });
+    const { itinerary, role } = await findItineraryForMember(id, userId);
     
-    if (!existingItinerary) {
-      logger.warn('⚠️ Itinerary not found for update', { itineraryId: id, userId });
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
       return res.status(404).json({ message: 'Itinerary not found' });
     }
-    
-    // Validate required fields
-    if (!updates.destination || !updates.startDate || !updates.endDate) {
-      logger.warn('⚠️ Missing required fields for update', { itineraryId: id, userId });
-      return res.status(400).json({ message: 'Destination, start date, and end date are required' });
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
     }
     
-    // Validate dates
-    let startDate, endDate;
-    try {
-      startDate = new Date(updates.startDate);
-      endDate = new Date(updates.endDate);
-      
-      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-        throw new Error('Invalid date format');
-      }
-      
-      if (startDate >= endDate) {
-        throw new Error('Start date must be before end date');
-      }
-    } catch (dateError) {
-      logger.warn('⚠️ Invalid date values', { itineraryId: id, userId, error: dateError.message });
-      return res.status(400).json({ message: 'Invalid date values: ' + dateError.message });
+    const conflicts = await findItineraryFieldConflicts(req, itinerary, ['destination', 'destinationCoordinates']);
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
     }
     
-    // Check if destination has changed
-    const destinationChanged = existingItinerary.destination !== updates.destination;
-    
-    // Update title if destination changed
-    if (destinationChanged) {
-      logger.info('🏙️ Destination changed, updating title', { 
-        oldDestination: existingItinerary.destination,
-        newDestination: updates.destination 
-      });
-      
-      const aiGenerated = existingItinerary.aiGenerated;
-      updates.title = `${aiGenerated ? 'AI-Generated' : 'Custom'} Trip to ${updates.destination}`;
+    if (reset) {
+      const result = await geocodeLocation(itinerary.destination);
+      itinerary.destinationCoordinates = result ? toStoredCoordinates(result) : undefined;
+    } else {
+      itinerary.destinationCoordinates = coordinates;
     }
     
-    // Check if dates have changed
-    let oldStartDate, newStartDate, oldEndDate, newEndDate;
-    try {
-      oldStartDate = new Date(existingItinerary.startDate).toISOString().split('T')[0];
-      newStartDate = new Date(updates.startDate).toISOString().split('T')[0];
-      oldEndDate = new Date(existingItinerary.endDate).toISOString().split('T')[0];
-      newEndDate = new Date(updates.endDate).toISOString().split('T')[0];
-    } catch (dateParseError) {
-      logger.error('❌ Error parsing dates for comparison', { error: dateParseError.message });
-      return res.status(400).json({ message: 'Error parsing dates' });
-    }
+    await saveItineraryChange(itinerary, {
+      authorId: userId,
+      source: 'location',
+      summary: reset ? 'Destination location reset' : 'Destination location corrected'
+    });
     
-    const datesChanged = oldStartDate !== newStartDate || oldEndDate !== newEndDate;
+    await new UserActivity({
+      userId,
+      type: 'itinerary_updated',
+      title: 'Destination location updated',
+      description: `${reset ? 'Reset' : 'Corrected'} the location of ${itinerary.destination} for "${itinerary.title}"`,
+      icon: '📍',
+      metadata: { itineraryId: itinerary._id, manual: !reset }
+    }).save();
     
-    if (datesChanged) {
-      logger.info('📅 Dates changed, updating day structure', { 
-        oldStartDate, 
-        newStartDate, 
-        oldEndDate, 
-        newEndDate 
-      });
-      
-      try {
-        // Calculate new duration
-        const newDuration = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-        const oldDuration = existingItinerary.days ? existingItinerary.days.length : 0;
-        
-        // Validate duration
-        if (newDuration < 1 || newDuration > 365) {
-          throw new Error('Invalid trip duration');
-        }
-        
-        // Update the days array to match new dates
-        const updatedDays = [];
-        const startDateObj = new Date(newStartDate + 'T00:00:00');
-        
-        for (let i = 0; i < newDuration; i++) {
-          const currentDate = new Date(startDateObj);
-          currentDate.setDate(startDateObj.getDate() + i);
-          const dateStr = currentDate.toISOString().split('T')[0];
-          
-          // Try to preserve activities from corresponding old day
-          let dayActivities = [];
-          let dayPhoto = null;
-          
-          if (i < oldDuration && 
-              existingItinerary.days && 
-              existingItinerary.days[i] && 
-              Array.isArray(existingItinerary.days[i].activities)) {
-            dayActivities = existingItinerary.days[i].activities;
-            dayPhoto = existingItinerary.days[i].dayPhoto || null;
-          }
-          
-          updatedDays.push({
-            date: dateStr,
-            activities: dayActivities,
-            dayPhoto: dayPhoto
-          });
-        }
-        
-        updates.days = updatedDays;
-        
-      } catch (dayUpdateError) {
-        logger.error('❌ Error updating day structure', { error: dayUpdateError.message });
-        return res.status(400).json({ message: 'Error updating day structure: ' + dayUpdateError.message });
-      }
-    }
+    logger.info('✅ Destination coordinates updated', { itineraryId: id, userId, manual: !reset });
     
-    // Handle destination change - regenerate photos if photos are enabled
-    if (destinationChanged && existingItinerary.photosEnabled) {
-      logger.info('📸 Regenerating photos for new destination', { 
-        oldDestination: existingItinerary.destination,
-        newDestination: updates.destination 
-      });
-      
-      try {
-        // Get new destination photos with timeout
-        const photoPromise = fetchPhotosForDestination(updates.destination, null, 5);
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Photo fetch timeout')), 10000)
-        );
-        
-        const newDestinationPhotos = await Promise.race([photoPromise, timeoutPromise]);
-        
-        // Update destination photos
-        updates.destinationPhotos = newDestinationPhotos.slice(0, 3);
-        
-        // Update day and activity photos
-        const daysToUpdate = updates.days || existingItinerary.days || [];
-        
-        if (Array.isArray(daysToUpdate)) {
-          const enhancedDays = await Promise.all(
-            daysToUpdate.map(async (day, dayIndex) => {
-              if (!day || !Array.isArray(day.activities)) {
-                return day;
-              }
-              
-              const enhancedActivities = await Promise.all(
-                day.activities.map(async (activity, activityIndex) => {
-                  if (!activity) return activity;
-                  
-                  try {
-                    // Get new activity-specific photo for the new destination
-                    const newActivityPhoto = await getActivityPhotos(
-                      updates.destination, 
-                      activity.activity, 
-                      activity.location
-                    );
-                    
-                    return {
-                      ...activity,
-                      photo: newActivityPhoto,
-                      fallbackPhoto: newActivityPhoto ? null : 
-                        (newDestinationPhotos[activityIndex % newDestinationPhotos.length] || null)
-                    };
-                  } catch (activityPhotoError) {
-                    logger.warn('⚠️ Error getting activity photo', { 
-                      activity: activity.activity,
-                      error: activityPhotoError.message 
-                    });
-                    return {
-                      ...activity,
-                      photo: null,
-                      fallbackPhoto: newDestinationPhotos[activityIndex % newDestinationPhotos.length] || null
-                    };
-                  }
-                })
-              );
-              
-              return {
-                ...day,
-                activities: enhancedActivities,
-                dayPhoto: newDestinationPhotos[dayIndex % newDestinationPhotos.length] || null
-              };
-            })
-          );
-          
-          updates.days = enhancedDays;
-        }
-        
-        logger.info('✅ Photos regenerated successfully for new destination', { 
-          newDestination: updates.destination,
-          photoCount: newDestinationPhotos.length 
-        });
-        
-      } catch (photoError) {
-        logger.error('❌ Error regenerating photos for new destination:', photoError);
-        // Continue with update even if photo regeneration fails
-        updates.destinationPhotos = existingItinerary.destinationPhotos || [];
-      }
+    setItineraryEtag(res, itinerary);
+    res.json({ destinationCoordinates: itinerary.destinationCoordinates || null, itinerary });
+  
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
     }
+    logger.error('❌ Destination coordinates error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== ITINERARY TIMELINE ROUTES =====
+// Checked timeline per day; ?date=YYYY-MM-DD limits it to one day
+app.get('/api/itineraries/:id/timeline', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
     
-    // Update the itinerary
-    const itinerary = await Itinerary.findOneAndUpdate(
-      { _id: id, userId },
-      updates,
-      { new: true, runValidators: true }
-    );
+    logger.info('🕒 Itinerary timeline request', { itineraryId: id, userId });
+    
+    const { errors, options } = readScheduleOptions(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid timeline options', errors });
+    }
+    
+    const { itinerary } = await findItineraryForMember(id, userId, { select: 'title destination days version', lean: true });
     
     if (!itinerary) {
-      logger.warn('⚠️ Itinerary update failed', { itineraryId: id, userId });
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
       return res.status(404).json({ message: 'Itinerary not found' });
     }
     
-    // Log activity with more details
-    const activityDescription = [];
-    if (destinationChanged) {
-      activityDescription.push(`destination changed to ${updates.destination}`);
+    const dates = typeof req.query.date === 'string' ? [req.query.date] : null;
+    const timeline = buildItineraryTimeline(itinerary, options, dates);
+    
+    if (dates && timeline.days.length === 0) {
+      logger.warn('⚠️ Itinerary day not found', { itineraryId: id, date: req.query.date, userId });
+      return res.status(404).json({ message: 'Day not found' });
     }
-    if (datesChanged) {
-      activityDescription.push('dates updated');
+    
+    setItineraryEtag(res, itinerary);
+    res.json({ itineraryId: itinerary._id, title: itinerary.title, ...timeline });
+  
+  } catch (error) {
+    logger.error('❌ Itinerary timeline error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Moves conflicting activities later until every transfer fits; dryRun only returns the proposed times
+app.post('/api/itineraries/:id/timeline/auto-shift', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const body = req.body || {};
+    const dryRun = body.dryRun === true;
+    
+    logger.info('🕒 Timeline auto-shift request', { itineraryId: id, userId, dryRun });
+    
+    const { errors, options } = readScheduleOptions(body);
+    if (body.dates !== undefined && (!Array.isArray(body.dates) || !body.dates.every(date => typeof date === 'string'))) {
+      errors.push('dates must be a list of YYYY-MM-DD dates');
     }
-    if (destinationChanged && existingItinerary.photosEnabled) {
-      activityDescription.push('photos regenerated');
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid timeline options', errors });
     }
     
-    try {
-      await new UserActivity({
-        userId,
-        type: 'itinerary_updated',
-        title: 'Itinerary updated',
-        description: `Updated "${itinerary.title}" - ${activityDescription.join(', ')}`,
-        icon: '✏️',
-        metadata: { 
-          itineraryId: itinerary._id,
-          destination: itinerary.destination,
-          destinationChanged,
-          datesChanged,
-          photosRegenerated: destinationChanged && existingItinerary.photosEnabled
-        }
-      }).save();
-    } catch (activityError) {
-      logger.warn('⚠️ Failed to log activity', { error: activityError.message });
-      // Don't fail the entire request for activity logging
+    const { itinerary, role } = await findItineraryForMember(id, userId);
+    
+    if (!itinerary) {
+      logger.warn('⚠️ Itinerary not found', { itineraryId: id, userId });
+      return res.status(404).json({ message: 'Itinerary not found' });
+    }
+    if (!dryRun && !hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
     }
     
-    logger.info('✅ Itinerary updated successfully', { 
-      itineraryId: id, 
+    const proposed = buildItineraryTimeline(itinerary, { ...options, autoShift: true }, body.dates || null);
+    
+    if (dryRun || proposed.shifts.length === 0) {
+      setItineraryEtag(res, itinerary);
+      return res.json({ applied: false, shifts: proposed.shifts, timeline: proposed });
+    }
+    
+    const conflicts = await findItineraryDayConflicts(req, itinerary, proposed.shifts.map(shift => shift.date));
+    if (conflicts.length > 0) {
+      return sendItineraryConflict(res, id, userId, conflicts);
+    }
+    
+    applyTimelineShifts(itinerary, proposed);
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'schedule' });
+    
+    await new UserActivity({
       userId,
-      destinationChanged,
-      datesChanged,
-      photosRegenerated: destinationChanged && existingItinerary.photosEnabled
+      type: 'itinerary_updated',
+      title: 'Schedule adjusted',
+      description: `Moved ${proposed.shifts.length} ${proposed.shifts.length === 1 ? 'activity' : 'activities'} in "${itinerary.title}" to fit travel times`,
+      icon: '🕒',
+      metadata: { itineraryId: itinerary._id, mode: options.mode, shifts: proposed.shifts.length }
+    }).save();
+    
+    logger.info('✅ Timeline auto-shift applied', { itineraryId: id, userId, shifts: proposed.shifts.length });
+    
+    setItineraryEtag(res, itinerary);
+    res.json({
+      applied: true,
+      shifts: proposed.shifts,
+      timeline: buildItineraryTimeline(itinerary, options, body.dates || null),
+      itinerary
     });
+  
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
+    logger.error('❌ Timeline auto-shift error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// ===== EXCHANGE RATE ROUTES =====
+// Rate table that applies on ?date= (default today), optionally limited to ?currencies=EUR,JPY
+app.get('/api/exchange-rates', authenticateToken, async (req, res) => {
+  try {
+    const { date, currencies } = req.query;
+    const userId = req.user.userId;
     
-    res.json(itinerary);
+    logger.info('💱 Exchange rates request', { userId, date, currencies });
     
+    if (date !== undefined && !isImportDate(date)) {
+      return res.status(400).json({ message: 'date must be a calendar date in YYYY-MM-DD format' });
+    }
+    
+    const table = await findExchangeRateTable(date);
+    
+    if (!table) {
+      logger.warn('⚠️ No exchange rates stored yet', { userId });
+      return res.status(404).json({ message: 'No exchange rates are available yet' });
+    }
+    
+    const wanted = currencies ? String(currencies).split(',').map(normalizeCurrency).filter(Boolean) : null;
+    const rates = wanted
+      ? Object.fromEntries(wanted.filter(code => table.rates[code] !== undefined).map(code => [code, table.rates[code]]))
+      : table.rates;
+    
+    res.json({ base: table.base, date: table.date, requestedDate: date || null, source: table.source, fetchedAt: table.fetchedAt, rates });
+  
   } catch (error) {
-    logger.error('❌ Itinerary update error:', error);
+    logger.error('❌ Exchange rates fetch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/exchange-rates/convert', authenticateToken, async (req, res) => {
+  try {
+    const { amount, from, to, date } = req.query;
+    const userId = req.user.userId;
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    const value = Number(amount);
     
-    // Provide more specific error messages
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ 
-        message: 'Validation error', 
-        details: error.message 
-      });
+    logger.info('💱 Currency conversion request', { userId, amount, from, to, date });
+    
+    if (amount === undefined || amount === '' || !Number.isFinite(value)) {
+      return res.status(400).json({ message: 'amount must be a number' });
+    }
+    if (!isValidCurrency(source) || !isValidCurrency(target)) {
+      return res.status(400).json({ message: 'from and to must be three-letter ISO 4217 codes such as EUR' });
+    }
+    if (date !== undefined && !isImportDate(date)) {
+      return res.status(400).json({ message: 'date must be a calendar date in YYYY-MM-DD format' });
     }
     
-    if (error.name === 'CastError') {
-      return res.status(400).json({ 
-        message: 'Invalid data format', 
-        details: error.message 
-      });
+    const converter = await createCurrencyConverter(date ? [date] : []);
+    const converted = converter.convert(value, source, target, date);
+    
+    if (converted === null) {
+      logger.warn('⚠️ No exchange rate for conversion', { from: source, to: target, date });
+      return res.status(404).json({ message: `No exchange rate from ${source} to ${target} is available` });
     }
     
-    res.status(500).json({ 
-      message: 'Server error', 
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    res.json({
+      amount: value,
+      from: source,
+      to: target,
+      converted: roundCurrency(converted, target),
+      rate: value === 0 ? null : converted / value,
+      rateDate: source === target ? null : converter.rateDate(date),
+      warning: converter.earlyRateWarning()?.message || null
     });
+  
+  } catch (error) {
+    logger.error('❌ Currency conversion error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.delete('/api/itineraries/:id', authenticateToken, async (req, res) => {
+// Fetches the provider's table for { date } (default latest) right away instead of waiting for the daily refresh
+app.post('/api/admin/exchange-rates/refresh', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { date } = req.body;
     const userId = req.user.userId;
     
-    logger.info('🗑️ Deleting itinerary', { itineraryId: id, userId });
+    logger.info('💱 Exchange rate refresh request', { userId, date });
     
-    const itinerary = await Itinerary.findOneAndDelete({ _id: id, userId });
+    if (date !== undefined && !isImportDate(date)) {
+      return res.status(400).json({ message: 'date must be a calendar date in YYYY-MM-DD format' });
+    }
     
-    if (!itinerary) {
-      logger.warn('⚠️ Itinerary not found for deletion', { itineraryId: id, userId });
-      return res.status(404).json({ message: 'Itinerary not found' });
+    let saved;
+    try {
+      saved = await refreshExchangeRates(date);
+    } catch (providerError) {
+      logger.error('❌ Exchange rate provider error:', providerError);
+      return res.status(502).json({ message: 'The exchange rate provider could not be reached', error: providerError.message });
     }
     
-    logger.info('✅ Itinerary deleted successfully', { itineraryId: id, userId });
-    res.json({ message: 'Itinerary deleted successfully' });
+    res.json({ success: true, ...saved });
+  
   } catch (error) {
-    logger.error('❌ Itinerary deletion error:', error);
+    logger.error('❌ Exchange rate refresh error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Loads rate tables sent in the rate file format; with { fromFile: true } EXCHANGE_RATES_FILE is reloaded instead
+app.post('/api/admin/exchange-rates/import', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const fromFile = req.body.fromFile === true;
+    
+    logger.info('💱 Exchange rate import request', { userId, fromFile });
+    
+    let result;
+    if (fromFile) {
+      try {
+        result = await loadExchangeRatesFile();
+      } catch (fileError) {
+        logger.warn('⚠️ Exchange rate file could not be read', { error: fileError.message });
+        return res.status(400).json({ message: 'The exchange rate file could not be read', error: fileError.message });
+      }
+    } else {
+      result = await importExchangeRateTables(req.body, 'upload');
+    }
+    
+    if (result.tables === 0) {
+      return res.status(400).json({ message: 'No rate tables were imported', errors: result.errors });
+    }
+    
+    logger.info('✅ Exchange rates imported', { userId, tables: result.tables, errors: result.errors.length });
+    
+    res.json({ success: true, ...result });
+  
+  } catch (error) {
+    logger.error('❌ Exchange rate import error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -2446,7 +12920,7 @@ app.delete('/api/itineraries/:id', authenticateToken, async (req, res) => {
 // ===== ENHANCED ITINERARY GENERATION ROUTE WITH PHOTOS =====
 app.post('/api/generate-itinerary', authenticateToken, async (req, res) => {
   try {
-    const { destination, startDate, endDate, interests, budget, pace, includePhotos = true } = req.body;
+    const { destination, startDate, endDate, interests, budget, pace, currency, includePhotos = true } = req.body;
     const userId = req.user.userId;
     
     logger.info('🎯 Itinerary generation request', { 
@@ -2457,9 +12931,14 @@ app.post('/api/generate-itinerary', authenticateToken, async (req, res) => {
       interests, 
       budget, 
       pace, 
+      currency,
       includePhotos 
     });
     
+    if (currency !== undefined && !isValidCurrency(normalizeCurrency(currency))) {
+      return res.status(400).json({ message: 'currency must be a three-letter ISO 4217 code such as EUR' });
+    }
+    
     const days = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
     
     let generatedItinerary;
@@ -2486,7 +12965,7 @@ IMPORTANT: Generate activities for each day but DO NOT worry about specific date
 Focus on creating great activities. The dates will be handled separately.
 
 Create a JSON response with this EXACT structure. Follow these rules strictly:
-1. Cost must be a NUMBER (integer), never text
+1. Cost must be a NUMBER in USD (cents allowed), never text
 2. Use 0 for free activities
 3. Times must be in HH:MM format
 4. All fields are required
@@ -2510,7 +12989,7 @@ Create a JSON response with this EXACT structure. Follow these rules strictly:
   ]
 }
 
-Generate exactly ${days} days of activities. Make costs realistic integers in USD. Make location names specific for photo search. No explanatory text, just the JSON.`;
+Generate exactly ${days} days of activities. Make costs realistic amounts in USD. Make location names specific for photo search. No explanatory text, just the JSON.`;
 
         const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
         const result = await model.generateContent(prompt);
@@ -2576,6 +13055,29 @@ Generate exactly ${days} days of activities. Make costs realistic integers in US
       throw new Error('Failed to generate valid itinerary');
     }
     
+    // Costs and the budget tier are produced in DEFAULT_CURRENCY and converted into the trip currency
+    let tripCurrency = currency !== undefined ? normalizeCurrency(currency) : null;
+    if (!tripCurrency) {
+      const user = await User.findById(userId).select('displayCurrency').lean();
+      tripCurrency = user?.displayCurrency || DEFAULT_CURRENCY;
+    }
+    
+    let budgetAmount = budget === 'budget' ? 500 : budget === 'mid-range' ? 1500 : 3000;
+    let currencyWarning = null;
+    if (tripCurrency !== DEFAULT_CURRENCY) {
+      const converter = await createCurrencyConverter();
+      const convertedBudget = converter.convert(budgetAmount, DEFAULT_CURRENCY, tripCurrency);
+      
+      if (convertedBudget === null) {
+        logger.warn('⚠️ No exchange rate for trip currency, keeping generated prices', { currency: tripCurrency });
+        currencyWarning = `No exchange rate for ${tripCurrency} is available yet, so the trip is priced in ${DEFAULT_CURRENCY}`;
+        tripCurrency = DEFAULT_CURRENCY;
+      } else {
+        generatedItinerary.days = convertDaysCurrency(generatedItinerary.days, converter, tripCurrency);
+        budgetAmount = roundCurrency(convertedBudget, tripCurrency);
+      }
+    }
+    
     logger.info('💾 Saving itinerary to database');
     
     // Create and save the itinerary
@@ -2585,7 +13087,8 @@ Generate exactly ${days} days of activities. Make costs realistic integers in US
       destination,
       startDate,
       endDate,
-      budget: budget === 'budget' ? 500 : budget === 'mid-range' ? 1500 : 3000,
+      budget: budgetAmount,
+      currency: tripCurrency,
       preferences: { interests, pace },
       days: generatedItinerary.days,
       aiGenerated: useAI,
@@ -2593,7 +13096,15 @@ Generate exactly ${days} days of activities. Make costs realistic integers in US
       destinationPhotos: generatedItinerary.destinationPhotos || [],
     });
     
+    const geocoding = await geocodeItinerary(itinerary);
+    logger.info('🗺️ Itinerary geocoded', geocoding);
+    
+    // Generated times are evenly spaced; move activities later where the durations and transfers do not fit
+    const schedule = buildItineraryTimeline(itinerary, { autoShift: true });
+    applyTimelineShifts(itinerary, schedule);
+    
     const savedItinerary = await itinerary.save();
+    await recordItineraryRevision(savedItinerary, { authorId: userId, source: 'generated', summary: 'Itinerary generated' });
     
     // Log activity
     await new UserActivity({
@@ -2628,6 +13139,9 @@ Generate exactly ${days} days of activities. Make costs realistic integers in US
         pexels: !!process.env.PEXELS_API_KEY,
         pixabay: !!process.env.PIXABAY_API_KEY
       },
+      currencyWarning,
+      geocoding,
+      scheduleAdjustments: schedule.shifts.length,
       message: useAI ? 
         `AI-generated itinerary created${includePhotos ? ' with photos' : ''}!` : 
         `Custom itinerary created${includePhotos ? ' with photos' : ''}!`
@@ -2650,15 +13164,15 @@ app.post('/api/itineraries/:id/add-photos', authenticateToken, async (req, res)
     
     logger.info('📸 Add photos to existing itinerary request', { userId, itineraryId });
     
-    const itinerary = await Itinerary.findOne({
-      _id: itineraryId,
-      userId,
-    });
+    const { itinerary, role } = await findItineraryForMember(itineraryId, userId);
     
     if (!itinerary) {
       logger.warn('⚠️ Itinerary not found for photo addition', { userId, itineraryId });
       return res.status(404).json({ message: 'Itinerary not found' });
     }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, itineraryId, userId, role, 'editor');
+    }
     
     logger.info(`📸 Adding photos to existing itinerary: ${itinerary.title}`);
     
@@ -2762,18 +13276,25 @@ app.post('/api/itineraries/:id/add-photos', authenticateToken, async (req, res)
       totalActivities: enhancedDays.reduce((total, day) => total + (day.activities?.length || 0), 0)
     });
     
-    // Update the itinerary
-    const updatedItinerary = await Itinerary.findByIdAndUpdate(
-      itineraryId,
+    // Update the itinerary; photo lookups are slow, so refuse if it was edited in the meantime
+    const updatedItinerary = await Itinerary.findOneAndUpdate(
+      { _id: itineraryId, ...itineraryVersionFilter(itinerary.version || 0) },
       {
         days: enhancedDays,
         destinationPhotos: destinationPhotos.slice(0, 3),
         photosEnabled: true,
-        updatedAt: Date.now()
+        updatedAt: Date.now(),
+        $inc: { version: 1 }
       },
       { new: true }
     );
     
+    if (!updatedItinerary) {
+      return sendItineraryConflict(res, itineraryId, userId, ['version']);
+    }
+    
+    await recordItineraryRevision(updatedItinerary, { authorId: userId, source: 'photos', summary: 'Photos added' });
+    
     // Log activity
     await new UserActivity({
       userId,
@@ -2824,15 +13345,15 @@ app.post('/api/itineraries/:id/days/:dayIndex/activities/:activityIndex/refresh-
     
     logger.info('🔄 Refresh activity photo request', { userId, itineraryId: id, dayIndex, activityIndex });
     
-    const itinerary = await Itinerary.findOne({
-      _id: id,
-      userId,
-    });
+    const { itinerary, role } = await findItineraryForMember(id, userId);
     
     if (!itinerary) {
       logger.warn('⚠️ Itinerary not found for photo refresh', { userId, itineraryId: id });
       return res.status(404).json({ message: 'Itinerary not found' });
     }
+    if (!hasTripRole(role, 'editor')) {
+      return sendTripRoleError(res, id, userId, role, 'editor');
+    }
     
     const dayIdx = parseInt(dayIndex);
     const actIdx = parseInt(activityIndex);
@@ -2876,9 +13397,8 @@ app.post('/api/itineraries/:id/days/:dayIndex/activities/:activityIndex/refresh-
     
     // Update the specific activity
     itinerary.days[dayIdx].activities[actIdx].photo = newPhoto;
-    itinerary.updatedAt = Date.now();
     
-    await itinerary.save();
+    await saveItineraryChange(itinerary, { authorId: userId, source: 'photos', summary: `Photo refreshed for "${activity.activity}"` });
     
     logger.info('✅ Activity photo refreshed successfully', { 
       userId, 
@@ -2895,6 +13415,9 @@ app.post('/api/itineraries/:id/days/:dayIndex/activities/:activityIndex/refresh-
     });
     
   } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return sendItineraryConflict(res, req.params.id, req.user.userId, ['version']);
+    }
     logger.error('❌ Refresh photo error:', error);
     res.status(500).json({ 
       message: 'Failed to refresh photo',
@@ -3015,10 +13538,16 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
     
     if (itineraryId && itineraryId !== 'undefined' && itineraryId !== '' && itineraryId.length === 24) {
       try {
-        itinerary = await Itinerary.findById(itineraryId);
+        ({ itinerary } = await findItineraryForMember(itineraryId, userId));
       } catch (err) {
         logger.debug('Invalid itinerary ID, proceeding without itinerary context');
       }
+      
+      // Trip chats are only available to the trip's owner and members
+      if (!itinerary) {
+        logger.warn('⚠️ Chat itinerary not found', { userId, itineraryId });
+        return res.status(404).json({ message: 'Itinerary not found', response: 'I could not find that trip.' });
+      }
     }
     
     let aiResponse;
@@ -3151,6 +13680,11 @@ app.get('/api/chat-history/:itineraryId?', authenticateToken, async (req, res) =
     const query = { userId };
     
     if (itineraryId && itineraryId !== 'undefined' && itineraryId !== '' && itineraryId.length === 24) {
+      const { itinerary } = await findItineraryForMember(itineraryId, userId, { select: '_id', lean: true });
+      if (!itinerary) {
+        logger.warn('⚠️ Chat history itinerary not found', { userId, itineraryId });
+        return res.status(404).json({ message: 'Itinerary not found' });
+      }
       query.itineraryId = itineraryId;
     } else {
       query.itineraryId = null;
@@ -3169,28 +13703,198 @@ app.get('/api/chat-history/:itineraryId?', authenticateToken, async (req, res) =
 });
 
 // ===== ADDITIONAL USER ROUTES =====
+app.post('/api/users/two-factor/setup', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    logger.info('🔐 Two-factor setup request', { userId });
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      logger.warn('⚠️ Two-factor setup: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.twoFactorEnabled) {
+      logger.warn('⚠️ Two-factor setup: Already enabled', { userId });
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    // The secret stays pending until the user proves their authenticator works
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    user.updatedAt = Date.now();
+    await user.save();
+    
+    logger.info('✅ Two-factor setup secret issued', { userId });
+    
+    res.json({
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, user.email),
+      issuer: TWO_FACTOR_ISSUER,
+      digits: TOTP_DIGITS,
+      period: TOTP_STEP_SECONDS
+    });
+    
+  } catch (error) {
+    logger.error('❌ Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/users/two-factor/enable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🔐 Two-factor enable request', { userId });
+    
+    const user = await User.findById(userId).select('+twoFactorPendingSecret');
+    if (!user) {
+      logger.warn('⚠️ Two-factor enable: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.twoFactorEnabled) {
+      logger.warn('⚠️ Two-factor enable: Already enabled', { userId });
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactorPendingSecret) {
+      logger.warn('⚠️ Two-factor enable: No pending setup', { userId });
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    
+    if (!(await useTotpCode(user, user.twoFactorPendingSecret, code))) {
+      logger.warn('⚠️ Two-factor enable: Invalid code', { userId });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = await hashRecoveryCodes(recoveryCodes);
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.updatedAt = Date.now();
+    await user.save();
+    
+    await new UserActivity({
+      userId,
+      type: 'two_factor_toggle',
+      title: 'Two-factor authentication enabled',
+      description: '2FA has been enabled for this account',
+      icon: '🔐'
+    }).save();
+    
+    logger.info('✅ Two-factor authentication enabled', { userId });
+    
+    // Recovery codes are only ever shown once, in plain text, here
+    res.json({ success: true, twoFactorEnabled: true, recoveryCodes });
+    
+  } catch (error) {
+    logger.error('❌ Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/users/two-factor/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const userId = req.user.userId;
+    
+    logger.info('🔑 Recovery codes regeneration request', { userId });
+    
+    const user = await User.findById(userId).select('+twoFactorSecret');
+    if (!user) {
+      logger.warn('⚠️ Recovery codes: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.twoFactorEnabled) {
+      logger.warn('⚠️ Recovery codes: 2FA not enabled', { userId });
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!(await useTotpCode(user, user.twoFactorSecret, code))) {
+      logger.warn('⚠️ Recovery codes: Invalid code', { userId });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = await hashRecoveryCodes(recoveryCodes);
+    user.updatedAt = Date.now();
+    await user.save();
+    
+    await new UserActivity({
+      userId,
+      type: 'two_factor_recovery_regenerated',
+      title: 'Recovery codes regenerated',
+      description: 'A new set of 2FA recovery codes was generated',
+      icon: '🔑'
+    }).save();
+    
+    logger.info('✅ Recovery codes regenerated', { userId });
+    
+    res.json({ success: true, recoveryCodes });
+    
+  } catch (error) {
+    logger.error('❌ Recovery codes regeneration error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 app.put('/api/users/two-factor', authenticateToken, async (req, res) => {
   try {
-    const { enabled } = req.body;
+    const { enabled, code, recoveryCode } = req.body;
     const userId = req.user.userId;
     
     logger.info('🔐 Two-factor authentication toggle request', { userId, enabled });
     
-    await User.findByIdAndUpdate(userId, {
-      twoFactorEnabled: !!enabled,
-      updatedAt: Date.now()
-    });
+    // Enabling needs the setup/enable flow so a working authenticator is proven first
+    if (enabled) {
+      logger.warn('⚠️ Two-factor toggle: Enable requested without setup', { userId });
+      return res.status(400).json({
+        message: 'Use POST /api/users/two-factor/setup and /api/users/two-factor/enable to turn on two-factor authentication'
+      });
+    }
+    
+    const user = await User.findById(userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      logger.warn('⚠️ Two-factor toggle: User not found', { userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.twoFactorEnabled) {
+      return res.json({ success: true, twoFactorEnabled: false });
+    }
+    
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      logger.warn('⚠️ Two-factor toggle: Invalid code', { userId });
+      return res.status(400).json({ message: 'A valid authentication or recovery code is required to disable 2FA' });
+    }
+    
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorEnabledAt = undefined;
+    user.updatedAt = Date.now();
+    await user.save();
     
     await new UserActivity({
       userId,
       type: 'two_factor_toggle',
-      title: `Two-factor authentication ${enabled ? 'enabled' : 'disabled'}`,
-      description: `2FA has been ${enabled ? 'enabled' : 'disabled'} for this account`,
+      title: 'Two-factor authentication disabled',
+      description: '2FA has been disabled for this account',
+      icon: '🔓'
     }).save();
     
-    logger.info('✅ Two-factor authentication toggled successfully', { userId, enabled });
+    logger.info('✅ Two-factor authentication disabled', { userId });
     
-    res.json({ success: true, twoFactorEnabled: !!enabled });
+    res.json({ success: true, twoFactorEnabled: false });
     
   } catch (error) {
     logger.error('❌ Two-factor toggle error:', error);
@@ -3210,7 +13914,21 @@ app.delete('/api/users/delete-account', authenticateToken, async (req, res) => {
       Chat.deleteMany({ userId }),
       UserActivity.deleteMany({ userId }),
       CheckIn.deleteMany({ userId }),
-      EmergencyAlert.deleteMany({ userId })
+      EmergencyAlert.deleteMany({ userId }),
+      RefreshToken.deleteMany({ userId }),
+      AccountToken.deleteMany({ userId }),
+      LocationShareLink.deleteMany({ userId }),
+      LocationPoint.deleteMany({ userId }),
+      Geofence.deleteMany({ userId }),
+      MedicalDisclosure.deleteMany({ userId }),
+      ItineraryRevision.deleteMany({ userId }),
+      TripInvitation.deleteMany({ invitedBy: userId }),
+      ItineraryShareLink.deleteMany({ userId }),
+      ItineraryImport.deleteMany({ userId }),
+      ItineraryTemplate.deleteMany({ userId }),
+      Expense.deleteMany({ userId }),
+      Settlement.deleteMany({ userId }),
+      Itinerary.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } })
     ]);
     
     logger.info('✅ Account deleted successfully', { userId });
@@ -3297,6 +14015,11 @@ app.get('/api/health', (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    logger.warn('⚠️ Request body too large', { method: req.method, url: redactUrl(req.originalUrl), length: err.length, limit: err.limit });
+    return res.status(413).json({ message: `Request body is too large (limit ${Math.floor(err.limit / 1024)} KB)` });
+  }
+  
   logger.error('💥 Unhandled error:', err);
   res.status(500).json({ 
     message: 'Internal server error',
@@ -3306,7 +14029,7 @@ app.use((err, req, res, next) => {
 
 // Handle 404 routes
 app.use('*', (req, res) => {
-  logger.warn('🔍 404 - Route not found', { method: req.method, url: req.originalUrl });
+  logger.warn('🔍 404 - Route not found', { method: req.method, url: redactUrl(req.originalUrl) });
   res.status(404).json({ message: 'Route not found' });
 });
 
@@ -3335,6 +14058,10 @@ process.on('unhandledRejection', (reason, promise) => {
 // ===== START SERVER =====
 app.listen(PORT, () => {
   logger.info('🚀 Server started successfully', { port: PORT });
+  checkInMonitor.start();
+  locationTrailCleanup.start();
+  alertEscalationMonitor.start();
+  exchangeRateRefresher.start();
   logger.info('📊 Service Status:', {
     unsplash: !!process.env.UNSPLASH_ACCESS_KEY ? '✅ Configured' : '❌ Not configured',
     pexels: !!process.env.PEXELS_API_KEY ? '✅ Configured' : '❌ Not configured',